@@ -1,6 +1,6 @@
 import React, { useState, useRef, useEffect, useMemo, useCallback } from 'react';
 import TerminalLine from '@/components/TerminalLine';
-import getSpacetimeClient from '@/lib/spacetimedbClient';
+import getSpacetimeClient, { setSubscriptionScope } from '@/lib/spacetimedbClient';
 import { useAuth } from '@/contexts/AuthContext';
 
 const COMMAND_PROMPT = '›';
@@ -119,6 +119,7 @@ export default function ArkyvTerminal({ disabled = false, autoFocusTrigger = 0,
     const [conversationMode, setConversationMode] = useState(null); // { npcName, npcAlias }
     const [conversationHistory, setConversationHistory] = useState([]); // Array of {role: 'user'|'assistant', content: string}
     const [isMusicEnabled, setIsMusicEnabled] = useState(false);
+    const [connectionStatus, setConnectionStatus] = useState(() => spacetime.connectionState());
     const conversationModeRef = useRef(null); // Ref to track conversation mode for subscriptions
 
     // Listen for audio state changes to update music button
@@ -352,6 +353,59 @@ export default function ArkyvTerminal({ disabled = false, autoFocusTrigger = 0,
         
     }, [registerLine]);
 
+    // Streamed NPC replies take the place of the NPC's typing line and grow
+    // as the worker publishes them; the finished reply arrives as npc_speech.
+    const showReplyDraft = useCallback((draft) => {
+        const text = `${draft.npc_name}: ${draft.body}`;
+        setLines((prev) => {
+            let index = prev.findIndex((line) => line.draftId === draft.command_id);
+            for (let i = prev.length - 1; index === -1 && i >= 0; i -= 1) {
+                const line = prev[i];
+                if (line.messageKind === 'npc_typing' && !line.draftId && line.originalMessage?.body?.startsWith(draft.npc_name)) index = i;
+            }
+            if (index === -1) {
+                return [...prev, {
+                    id: `draft-${draft.command_id}`,
+                    type: 'message',
+                    text,
+                    color: 'text-purple-300',
+                    prefix: '◆',
+                    prefixColor: 'text-purple-400 animate-pulse',
+                    typeSpeed: 0,
+                    room_id: draft.room_id,
+                    messageKind: 'npc_typing',
+                    draftId: draft.command_id,
+                }].slice(-MAX_LINES);
+            }
+            const next = [...prev];
+            next[index] = { ...prev[index], text, draftId: draft.command_id };
+            return next;
+        });
+    }, []);
+
+    const removeReplyDraft = useCallback((commandId) => {
+        setLines((prev) => prev.filter((line) => line.draftId !== commandId));
+    }, []);
+
+    // Report dropped connections and offline-queued commands in the log.
+    useEffect(() => {
+        let previous = spacetime.connectionState();
+        const subscription = spacetime.onConnectionStateChange((status) => {
+            setConnectionStatus(status);
+            if (status.state === 'reconnecting' && previous.state !== 'reconnecting') {
+                appendLine(createErrorLine('Connection lost. Reconnecting… commands you send will be queued.'));
+            } else if (status.state === 'connected' && previous.state === 'reconnecting') {
+                appendLine(createSystemLine(status.queued
+                    ? `Reconnected. Replaying ${status.queued} queued command${status.queued === 1 ? '' : 's'}…`
+                    : 'Reconnected.'));
+            } else if (status.state === 'reconnecting' && status.queued > previous.queued) {
+                appendLine(createSystemLine(`Offline — command queued (${status.queued} waiting).`));
+            }
+            previous = status;
+        });
+        return () => subscription.unsubscribe();
+    }, [appendLine, spacetime]);
+
     const appendLines = useCallback((entries) => {
         if (!entries || !entries.length) {
             return;
@@ -558,6 +612,7 @@ export default function ArkyvTerminal({ disabled = false, autoFocusTrigger = 0,
         unsubscribeFromRoom({ notifyRoomChange: false });
 
         currentRoomRef.current = roomId;
+        setSubscriptionScope({ mode: 'region', roomId });
         roomEntryTimesRef.current.set(roomId, Date.now());
         getRegistry(roomId).clear();
         const notifyRegion = async () => {
@@ -676,8 +731,22 @@ export default function ArkyvTerminal({ disabled = false, autoFocusTrigger = 0,
             (message) => message.target_character_id === (activeCharacter?.id || session?.user?.id),
             (error) => console.error('Private-message subscription failed:', error),
         );
-        setRoomSubscription({ unsubscribe: () => { subscription.unsubscribe(); privateSubscription.unsubscribe(); } });
-    }, [appendLine, getRegistry, spacetime, unsubscribeFromRoom, activeCharacter, session?.user?.id, loadAvailableExits, loadRoomNPCs, loadRoomCharacters, conversationMode, addToConversationHistory]);
+        let shownDrafts = new Set();
+        const draftSubscription = spacetime
+            .from('npc_reply_drafts')
+            .select('*')
+            .eq('room_id', roomId)
+            .subscribe(
+                ({ data }) => {
+                    const current = new Set(data.map((draft) => draft.command_id));
+                    shownDrafts.forEach((commandId) => { if (!current.has(commandId)) removeReplyDraft(commandId); });
+                    data.forEach(showReplyDraft);
+                    shownDrafts = current;
+                },
+                (error) => console.error('Reply-draft subscription failed:', error),
+            );
+        setRoomSubscription({ unsubscribe: () => { subscription.unsubscribe(); privateSubscription.unsubscribe(); draftSubscription.unsubscribe(); } });
+    }, [appendLine, showReplyDraft, removeReplyDraft, getRegistry, spacetime, unsubscribeFromRoom, activeCharacter, session?.user?.id, loadAvailableExits, loadRoomNPCs, loadRoomCharacters, conversationMode, addToConversationHistory]);
 
     // Keep active character ref in sync
     useEffect(() => {
@@ -2303,6 +2372,7 @@ export default function ArkyvTerminal({ disabled = false, autoFocusTrigger = 0,
                             placeholder={(() => {
                                 if (disabled) return 'Handshake in progress...';
                                 if (isProcessing) return 'Processing...';
+                                if (connectionStatus.state === 'reconnecting') return 'Reconnecting… commands will be queued';
                                 
                                 // Check if mobile (sm breakpoint is 640px)
                                 const isMobile = typeof window !== 'undefined' && window.innerWidth < 640;
@@ -62,13 +62,11 @@ const RoomChatWindow = ({
     const [isSending, setIsSending] = useState(false);
     const spacetime = useMemo(() => getSpacetimeClient(), []);
     const messagesEndRef = useRef(null);
-    const messagesSnapshotRef = useRef([]);
-    const lastFetchedRegionRef = useRef('');
 
     const visibleRegion = normalizeRegionName(regionName);
+    const activeCharacterId = activeCharacter?.id || null;
 
     useEffect(() => {
-        messagesSnapshotRef.current = messages;
         messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
     }, [messages]);
 
@@ -124,119 +122,75 @@ const RoomChatWindow = ({
         });
     }, [latestMessage, visibleRegion, activeCharacter]);
 
-    const fetchRegionMessages = useCallback(async (region) => {
-        const normalizedRegion = normalizeRegionName(region);
-
+    useEffect(() => {
+        const normalizedRegion = normalizeRegionName(regionName);
         if (!normalizedRegion) {
             setMessages([]);
             setIsLoading(false);
-            lastFetchedRegionRef.current = '';
-            return;
-        }
-
-        const shouldShowLoader =
-            lastFetchedRegionRef.current !== normalizedRegion || messagesSnapshotRef.current.length === 0;
-
-        if (shouldShowLoader) {
-            setIsLoading(true);
-        }
-
-        try {
-            const { data, error } = await spacetime
-                .from('region_chats')
-                .select('id, region, region_name, room_id, character_id, character_name, kind, body, created_at')
-                .eq('region_name', normalizedRegion)
-                .order('created_at', { ascending: true });
-
-            if (error) {
-                console.error('Error loading region chat messages:', error);
-                if (shouldShowLoader) {
-                    setMessages([]);
-                }
-            } else if (Array.isArray(data)) {
-                // Filter messages for apartment region - only show own messages
-                const isApartment = normalizedRegion === 'your-apartment' || normalizedRegion === 'Your Apartment';
-                const filteredData = isApartment && activeCharacter
-                    ? data.filter(msg => msg.character_id === activeCharacter.id)
-                    : data;
-                
-                setMessages(filteredData);
-                lastFetchedRegionRef.current = normalizedRegion;
-            }
-        } catch (error) {
-            console.error('Failed to load region chat messages:', error);
-            if (shouldShowLoader) {
-                setMessages([]);
-            }
-        } finally {
-            setIsLoading(false);
+            return undefined;
         }
-    }, [spacetime, activeCharacter]);
-
-    useEffect(() => {
-        fetchRegionMessages(regionName);
-    }, [regionName, fetchRegionMessages]);
-
-    useEffect(() => {
-        const fetchRegionDisplayName = async () => {
-            const normalizedRegion = normalizeRegionName(regionName);
-            if (!normalizedRegion) {
-                setDisplayName('');
-                return;
-            }
 
-            try {
-                const { data, error } = await spacetime
-                    .from('regions')
-                    .select('display_name')
-                    .eq('name', normalizedRegion)
-                    .single();
+        // Filter messages for apartment region - only show own messages
+        const isApartment = normalizedRegion === 'your-apartment' || normalizedRegion === 'Your Apartment';
+        const isVisible = (message) => !isApartment || !activeCharacterId || message.character_id === activeCharacterId;
+        let initialDelivery = true;
+        setIsLoading(true);
+
+        const subscription = spacetime
+            .from('region_chats')
+            .select('id, region, region_name, room_id, character_id, character_name, kind, body, created_at')
+            .eq('region_name', normalizedRegion)
+            .order('created_at', { ascending: true })
+            .subscribe(
+                ({ data, inserted, updated, deleted }) => {
+                    if (initialDelivery) {
+                        initialDelivery = false;
+                        setMessages(data.filter(isVisible));
+                        setIsLoading(false);
+                        return;
+                    }
 
-                if (error) {
-                    console.error('Error fetching region display name:', error);
-                    setDisplayName(normalizedRegion);
-                } else if (data?.display_name) {
-                    setDisplayName(data.display_name);
-                } else {
-                    setDisplayName(normalizedRegion);
-                }
-            } catch (error) {
-                console.error('Failed to fetch region display name:', error);
-                setDisplayName(normalizedRegion);
-            }
-        };
+                    // Apply diffs rather than replacing the list so room "say"
+                    // lines merged in from latestMessage are kept.
+                    const deletedIds = new Set(deleted.map((message) => message.id));
+                    const updatedById = new Map(updated.map((message) => [message.id, message]));
+                    setMessages((prev) => {
+                        const next = prev
+                            .filter((entry) => !deletedIds.has(entry.id))
+                            .map((entry) => updatedById.get(entry.id) || entry);
+                        const knownIds = new Set(next.map((entry) => entry.id));
+                        return [...next, ...inserted.filter((message) => isVisible(message) && !knownIds.has(message.id))];
+                    });
+                },
+                (error) => {
+                    console.error('Region-chat subscription failed:', error);
+                    setIsLoading(false);
+                },
+            );
 
-        fetchRegionDisplayName();
-    }, [regionName, spacetime]);
+        return () => subscription.unsubscribe();
+    }, [regionName, spacetime, activeCharacterId]);
 
     useEffect(() => {
         const normalizedRegion = normalizeRegionName(regionName);
         if (!normalizedRegion) {
+            setDisplayName('');
             return undefined;
         }
 
-        const subscription = spacetime.onInsert(
-                'region_chats',
-                (payload) => {
-                    const newMessage = payload.new;
-                    if (!newMessage || normalizeRegionName(newMessage.region_name) !== normalizedRegion) {
-                        return;
-                    }
-
-                    setMessages((prev) => {
-                        if (prev.some((entry) => entry.id && entry.id === newMessage.id)) {
-                            return prev;
-                        }
-                        return [...prev, newMessage];
-                    });
+        const subscription = spacetime
+            .from('regions')
+            .select('display_name')
+            .eq('name', normalizedRegion)
+            .subscribe(
+                ({ data }) => setDisplayName(data[0]?.display_name || normalizedRegion),
+                (error) => {
+                    console.error('Failed to fetch region display name:', error);
+                    setDisplayName(normalizedRegion);
                 },
-                (message) => normalizeRegionName(message.region_name) === normalizedRegion,
-                (error) => console.error('Region-chat subscription failed:', error),
             );
 
-        return () => {
-            spacetime.removeSubscription(subscription);
-        };
+        return () => subscription.unsubscribe();
     }, [regionName, spacetime]);
 
     const formatMessage = useCallback((message) => {
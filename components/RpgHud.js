@@ -9,6 +9,10 @@ const TABS = [
     { id: 'combat', label: 'Combat' },
 ];
 
+const EMPTY_ROWS = [];
+const DEFAULT_PROGRESSION = { level: 1, experience: 0, unspent_stat_points: 0 };
+const DEFAULT_WALLET = { gold: 0 };
+
 function xpForNextLevel(config, level) {
     let required = Math.max(1, Number(config?.base_xp) || 100);
     const growth = Math.max(0, Number(config?.growth_percent) || 0);
@@ -48,122 +52,113 @@ function ItemArt({ definition, size = 'md' }) {
 export default function RpgHud({ actor, environmentData = {}, onExecuteCommand, className = '' }) {
     const spacetime = useMemo(() => getSpacetimeClient(), []);
     const [tab, setTab] = useState('gear');
-    const [definitions, setDefinitions] = useState(new Map());
-    const [objects, setObjects] = useState([]);
-    const [stats, setStats] = useState([]);
-    const [zone, setZone] = useState({ pvpEnabled: false, name: '' });
-    const [nearbyNpcs, setNearbyNpcs] = useState([]);
-    const [progression, setProgression] = useState({ level: 1, experience: 0, unspent_stat_points: 0 });
-    const [progressionConfig, setProgressionConfig] = useState(null);
-    const [abilities, setAbilities] = useState([]);
-    const [abilityGrants, setAbilityGrants] = useState([]);
-    const [cooldowns, setCooldowns] = useState([]);
-    const [scheduledCasts, setScheduledCasts] = useState([]);
-    const [statusEffects, setStatusEffects] = useState([]);
-    const [equipmentSlots, setEquipmentSlots] = useState([]);
-    const [factions, setFactions] = useState([]);
-    const [reputations, setReputations] = useState([]);
-    const [quests, setQuests] = useState([]);
-    const [questObjectives, setQuestObjectives] = useState([]);
-    const [actorQuests, setActorQuests] = useState([]);
-    const [questProgress, setQuestProgress] = useState([]);
-    const [questChoices, setQuestChoices] = useState([]);
-    const [actorQuestChoices, setActorQuestChoices] = useState([]);
-    const [wallet, setWallet] = useState({ gold: 0 });
-    const [lifeState, setLifeState] = useState(null);
-    const [lifecycleConfig, setLifecycleConfig] = useState(null);
+    const [rows, setRows] = useState({});
+    const [roomRows, setRoomRows] = useState({});
+    const [now, setNow] = useState(() => Date.now());
 
     const run = useCallback((command) => onExecuteCommand?.(command), [onExecuteCommand]);
 
-    const refresh = useCallback(async () => {
-        if (!actor?.id) {
-            setObjects([]);
-            setStats([]);
-            setNearbyNpcs([]);
-            setScheduledCasts([]);
-            setStatusEffects([]);
-            setLifeState(null);
-            return;
-        }
-        const [definitionsResult, objectsResult, statDefinitionsResult, actorStatsResult, roomsResult, regionsResult, npcsResult, progressionResult, progressionConfigResult, abilitiesResult, grantsResult, cooldownsResult, scheduledCastsResult, slotsResult, factionsResult, reputationsResult, questsResult, objectivesResult, actorQuestsResult, questProgressResult, walletResult, lifeStateResult, lifecycleConfigResult, statusEffectsResult, questChoicesResult, actorQuestChoicesResult] = await Promise.all([
-            spacetime.from('object_definitions').select('*'),
-            spacetime.from('world_objects').select('*').eq('location_id', actor.id),
-            spacetime.from('stat_definitions').select('*'),
-            spacetime.from('actor_stats').select('*').eq('actor_id', actor.id),
-            spacetime.from('rooms').select('*'),
-            spacetime.from('regions').select('*'),
-            spacetime.from('npcs').select('*'),
-            spacetime.from('actor_progressions').select('*').eq('actor_id', actor.id),
-            spacetime.from('progression_configs').select('*'),
-            spacetime.from('ability_definitions').select('*').order('required_level'),
-            spacetime.from('actor_abilities').select('*').eq('actor_id', actor.id),
-            spacetime.from('actor_cooldowns').select('*').eq('actor_id', actor.id),
-            spacetime.from('scheduled_casts').select('*').eq('actor_id', actor.id),
-            spacetime.from('equipment_slot_definitions').select('*').order('sort_order'),
-            spacetime.from('faction_definitions').select('*').order('name'),
-            spacetime.from('actor_faction_reputations').select('*').eq('actor_id', actor.id),
-            spacetime.from('quest_definitions').select('*').eq('active', true).order('title'),
-            spacetime.from('quest_objectives').select('*').order('sort_order'),
-            spacetime.from('actor_quests').select('*').eq('actor_id', actor.id),
-            spacetime.from('actor_quest_progress').select('*').eq('actor_id', actor.id),
-            spacetime.from('actor_wallets').select('*').eq('actor_id', actor.id),
-            spacetime.from('actor_life_states').select('*').eq('actor_id', actor.id),
-            spacetime.from('world_lifecycle_configs').select('*'),
-            spacetime.from('actor_status_effects').select('*').eq('actor_id', actor.id),
-            spacetime.from('quest_choices').select('*').order('sort_order'),
-            spacetime.from('actor_quest_choices').select('*').eq('actor_id', actor.id),
-        ]);
-        if ([definitionsResult, objectsResult, statDefinitionsResult, actorStatsResult, roomsResult, regionsResult, npcsResult, progressionResult, progressionConfigResult, abilitiesResult, grantsResult, cooldownsResult, scheduledCastsResult, slotsResult, factionsResult, reputationsResult, questsResult, objectivesResult, actorQuestsResult, questProgressResult, walletResult, lifeStateResult, lifecycleConfigResult, statusEffectsResult, questChoicesResult, actorQuestChoicesResult].some((result) => result.error)) return;
-        const nextDefinitions = new Map((definitionsResult.data || []).map((definition) => [definition.id, definition]));
-        const overrides = new Map((actorStatsResult.data || []).map((row) => [row.stat_definition_id, row]));
-        const equipped = (objectsResult.data || []).filter((object) => object.location_kind === 'equipped');
-        const equipmentBonus = (statId) => equipped.filter((object) => Number(object.durability) > 0).reduce((total, object) => {
-            const modifier = nextDefinitions.get(object.definition_id)?.stat_modifiers?.[statId];
+    useEffect(() => {
+        setRows({});
+        if (!actor?.id) return undefined;
+        const queries = {
+            definitions: spacetime.from('object_definitions').select('*'),
+            objects: spacetime.from('world_objects').select('*').eq('location_id', actor.id),
+            statDefinitions: spacetime.from('stat_definitions').select('*'),
+            actorStats: spacetime.from('actor_stats').select('*').eq('actor_id', actor.id),
+            regions: spacetime.from('regions').select('*'),
+            progression: spacetime.from('actor_progressions').select('*').eq('actor_id', actor.id),
+            progressionConfig: spacetime.from('progression_configs').select('*'),
+            abilities: spacetime.from('ability_definitions').select('*').order('required_level'),
+            abilityGrants: spacetime.from('actor_abilities').select('*').eq('actor_id', actor.id),
+            cooldowns: spacetime.from('actor_cooldowns').select('*').eq('actor_id', actor.id),
+            scheduledCasts: spacetime.from('scheduled_casts').select('*').eq('actor_id', actor.id),
+            equipmentSlots: spacetime.from('equipment_slot_definitions').select('*').order('sort_order'),
+            factions: spacetime.from('faction_definitions').select('*').order('name'),
+            reputations: spacetime.from('actor_faction_reputations').select('*').eq('actor_id', actor.id),
+            quests: spacetime.from('quest_definitions').select('*').eq('active', true).order('title'),
+            questObjectives: spacetime.from('quest_objectives').select('*').order('sort_order'),
+            actorQuests: spacetime.from('actor_quests').select('*').eq('actor_id', actor.id),
+            questProgress: spacetime.from('actor_quest_progress').select('*').eq('actor_id', actor.id),
+            wallet: spacetime.from('actor_wallets').select('*').eq('actor_id', actor.id),
+            lifeState: spacetime.from('actor_life_states').select('*').eq('actor_id', actor.id),
+            lifecycleConfig: spacetime.from('world_lifecycle_configs').select('*'),
+            statusEffects: spacetime.from('actor_status_effects').select('*').eq('actor_id', actor.id),
+            questChoices: spacetime.from('quest_choices').select('*').order('sort_order'),
+            actorQuestChoices: spacetime.from('actor_quest_choices').select('*').eq('actor_id', actor.id),
+        };
+        const subscriptions = Object.entries(queries).map(([name, query]) => query.subscribe(
+            ({ data }) => setRows((current) => ({ ...current, [name]: data })),
+        ));
+        return () => subscriptions.forEach((subscription) => subscription.unsubscribe());
+    }, [actor?.id, spacetime]);
+
+    useEffect(() => {
+        setRoomRows({});
+        if (!actor?.id || !actor.current_room) return undefined;
+        const queries = {
+            rooms: spacetime.from('rooms').select('*').eq('id', actor.current_room),
+            npcs: spacetime.from('npcs').select('*').eq('current_room', actor.current_room),
+        };
+        const subscriptions = Object.entries(queries).map(([name, query]) => query.subscribe(
+            ({ data }) => setRoomRows((current) => ({ ...current, [name]: data })),
+        ));
+        return () => subscriptions.forEach((subscription) => subscription.unsubscribe());
+    }, [actor?.id, actor?.current_room, spacetime]);
+
+    // Regeneration, cooldowns, and status timers are derived from the clock
+    // rather than from row changes, so they need their own tick.
+    useEffect(() => {
+        if (!actor?.id) return undefined;
+        const timer = window.setInterval(() => setNow(Date.now()), 1000);
+        return () => window.clearInterval(timer);
+    }, [actor?.id]);
+
+    const definitions = useMemo(() => new Map((rows.definitions || []).map((definition) => [definition.id, definition])), [rows.definitions]);
+    const objects = useMemo(() => (rows.objects || []).filter((object) => ['inventory', 'equipped'].includes(object.location_kind)), [rows.objects]);
+    const statusEffects = useMemo(() => (rows.statusEffects || []).filter((status) => Number(status.expires_at_micros) > now * 1000), [rows.statusEffects, now]);
+    const stats = useMemo(() => {
+        const overrides = new Map((rows.actorStats || []).map((row) => [row.stat_definition_id, row]));
+        const equippedObjects = objects.filter((object) => object.location_kind === 'equipped');
+        const equipmentBonus = (statId) => equippedObjects.filter((object) => Number(object.durability) > 0).reduce((total, object) => {
+            const modifier = definitions.get(object.definition_id)?.stat_modifiers?.[statId];
             return total + (Number(modifier) || 0);
         }, 0);
-        setDefinitions(nextDefinitions);
-        setObjects((objectsResult.data || []).filter((object) => ['inventory', 'equipped'].includes(object.location_kind)));
-        setStats((statDefinitionsResult.data || []).filter((definition) => definition.visible).map((definition) => {
+        return (rows.statDefinitions || []).filter((definition) => definition.visible).map((definition) => {
             const row = overrides.get(definition.id);
             const rawBase = row?.base_value ?? definition.default_value;
-            const updatedAt = row?.updated_at ? new Date(row.updated_at).getTime() : Date.now();
-            const elapsedSeconds = Math.max(0, Math.floor((Date.now() - updatedAt) / 1000));
+            const updatedAt = row?.updated_at ? new Date(row.updated_at).getTime() : now;
+            const elapsedSeconds = Math.max(0, Math.floor((now - updatedAt) / 1000));
             const rawValue = Math.min(rawBase, (row?.current_value ?? definition.default_value) + elapsedSeconds * Math.max(0, Number(definition.regeneration_per_second) || 0));
             const bonus = equipmentBonus(definition.id);
-            const statusBonus = (statusEffectsResult.data || []).filter((status) => status.stat_id === definition.id && Number(status.expires_at_micros) > Date.now() * 1000).reduce((total, status) => total + (Number(status.modifier_value) || 0) * Math.max(1, Number(status.stacks) || 1), 0);
+            const statusBonus = statusEffects.filter((status) => status.stat_id === definition.id).reduce((total, status) => total + (Number(status.modifier_value) || 0) * Math.max(1, Number(status.stacks) || 1), 0);
             return { ...definition, value: rawValue + bonus + statusBonus, rawValue, baseValue: rawBase + bonus, bonus, statusBonus, investedPoints: Number(row?.invested_points) || 0 };
-        }));
-        const room = (roomsResult.data || []).find((candidate) => candidate.id === actor.current_room);
-        const region = (regionsResult.data || []).find((candidate) => candidate.name === room?.region_name);
-        setZone({ pvpEnabled: Boolean(region?.pvp_enabled), name: region?.display_name || region?.name || room?.region || '' });
-        setNearbyNpcs((npcsResult.data || []).filter((npc) => npc.current_room === actor.current_room));
-        setProgression((progressionResult.data || [])[0] || { level: 1, experience: 0, unspent_stat_points: 0 });
-        setProgressionConfig((progressionConfigResult.data || [])[0] || null);
-        setAbilities(abilitiesResult.data || []);
-        setAbilityGrants(grantsResult.data || []);
-        setCooldowns(cooldownsResult.data || []);
-        setScheduledCasts(scheduledCastsResult.data || []);
-        setEquipmentSlots(slotsResult.data || []);
-        setFactions(factionsResult.data || []);
-        setReputations(reputationsResult.data || []);
-        setQuests(questsResult.data || []);
-        setQuestObjectives(objectivesResult.data || []);
-        setActorQuests(actorQuestsResult.data || []);
-        setQuestProgress(questProgressResult.data || []);
-        setWallet((walletResult.data || [])[0] || { gold: 0 });
-        setLifeState((lifeStateResult.data || [])[0] || null);
-        setLifecycleConfig((lifecycleConfigResult.data || [])[0] || null);
-        setStatusEffects((statusEffectsResult.data || []).filter((status) => Number(status.expires_at_micros) > Date.now() * 1000));
-        setQuestChoices(questChoicesResult.data || []);
-        setActorQuestChoices(actorQuestChoicesResult.data || []);
-    }, [actor?.current_room, actor?.id, spacetime]);
-
-    useEffect(() => {
-        refresh();
-        if (!actor?.id) return undefined;
-        const timer = window.setInterval(refresh, 1500);
-        return () => window.clearInterval(timer);
-    }, [actor?.id, refresh]);
+        });
+    }, [rows.actorStats, rows.statDefinitions, objects, definitions, statusEffects, now]);
+    const zone = useMemo(() => {
+        const room = (roomRows.rooms || [])[0];
+        const region = (rows.regions || []).find((candidate) => candidate.name === room?.region_name);
+        return { pvpEnabled: Boolean(region?.pvp_enabled), name: region?.display_name || region?.name || room?.region || '' };
+    }, [roomRows.rooms, rows.regions]);
+    const nearbyNpcs = roomRows.npcs || EMPTY_ROWS;
+    const progression = (rows.progression || [])[0] || DEFAULT_PROGRESSION;
+    const progressionConfig = (rows.progressionConfig || [])[0] || null;
+    const abilities = rows.abilities || EMPTY_ROWS;
+    const abilityGrants = rows.abilityGrants || EMPTY_ROWS;
+    const cooldowns = rows.cooldowns || EMPTY_ROWS;
+    const scheduledCasts = rows.scheduledCasts || EMPTY_ROWS;
+    const equipmentSlots = rows.equipmentSlots || EMPTY_ROWS;
+    const factions = rows.factions || EMPTY_ROWS;
+    const reputations = rows.reputations || EMPTY_ROWS;
+    const quests = rows.quests || EMPTY_ROWS;
+    const questObjectives = rows.questObjectives || EMPTY_ROWS;
+    const actorQuests = rows.actorQuests || EMPTY_ROWS;
+    const questProgress = rows.questProgress || EMPTY_ROWS;
+    const wallet = (rows.wallet || [])[0] || DEFAULT_WALLET;
+    const lifeState = (rows.lifeState || [])[0] || null;
+    const lifecycleConfig = (rows.lifecycleConfig || [])[0] || null;
+    const questChoices = rows.questChoices || EMPTY_ROWS;
+    const actorQuestChoices = rows.actorQuestChoices || EMPTY_ROWS;
 
     const inventory = objects.filter((object) => object.location_kind === 'inventory');
     const equipped = objects.filter((object) => object.location_kind === 'equipped');
@@ -180,9 +175,9 @@ export default function RpgHud({ actor, environmentData = {}, onExecuteCommand,
     const activeCastAbility = activeCast ? abilities.find((ability) => ability.id === activeCast.ability_id) : null;
     const cooldownRemaining = (abilityId) => {
         const row = cooldowns.find((cooldown) => cooldown.action_id === `ability:${abilityId}`);
-        return Math.max(0, Math.ceil(((Number(row?.ready_at_micros) || 0) - Date.now() * 1000) / 1000));
+        return Math.max(0, Math.ceil(((Number(row?.ready_at_micros) || 0) - now * 1000) / 1000));
     };
-    const globalCooldownRemaining = Math.max(0, Math.ceil(((Number(cooldowns.find((cooldown) => cooldown.action_id === 'global-cooldown')?.ready_at_micros) || 0) - Date.now() * 1000) / 1000));
+    const globalCooldownRemaining = Math.max(0, Math.ceil(((Number(cooldowns.find((cooldown) => cooldown.action_id === 'global-cooldown')?.ready_at_micros) || 0) - now * 1000) / 1000));
     const playerTargets = zone.pvpEnabled ? (environmentData.characters || []).map((name) => ({ name: cleanTargetName(name), kind: 'Player' })) : [];
     const npcTargets = nearbyNpcs
         .filter((npc) => npcDisposition(npc) !== 'friendly')
@@ -217,8 +212,8 @@ export default function RpgHud({ actor, environmentData = {}, onExecuteCommand,
         const state = actorQuestByQuest.get(quest.id);
         return !state || state.status === 'failed' || (state.status === 'completed' && quest.repeatable);
     });
-    const respawnSeconds = Math.max(0, Math.ceil(((Number(lifeState?.respawn_available_at_micros) || 0) - Date.now() * 1000) / 1_000_000));
-    const protectionSeconds = Math.max(0, Math.ceil(((Number(lifeState?.protected_until_micros) || 0) - Date.now() * 1000) / 1_000_000));
+    const respawnSeconds = Math.max(0, Math.ceil(((Number(lifeState?.respawn_available_at_micros) || 0) - now * 1000) / 1_000_000));
+    const protectionSeconds = Math.max(0, Math.ceil(((Number(lifeState?.protected_until_micros) || 0) - now * 1000) / 1_000_000));
     const isDead = lifeState?.state === 'dead';
 
     return (
@@ -353,7 +348,7 @@ export default function RpgHud({ actor, environmentData = {}, onExecuteCommand,
                             );
                         })}
                     </div>
-                    {statusEffects.length > 0 && <div className="rounded-xl border border-fuchsia-400/20 bg-fuchsia-500/[0.04] p-3"><h3 className="text-[0.65rem] font-semibold uppercase tracking-[0.18em] text-fuchsia-200">Active effects</h3><div className="mt-2 flex flex-wrap gap-2">{statusEffects.map((status) => <span key={status.id} className={`rounded-full border px-2.5 py-1 text-[0.62rem] ${['debuff', 'stun', 'damage_over_time'].includes(status.kind) ? 'border-rose-400/30 text-rose-200' : 'border-fuchsia-400/30 text-fuchsia-100'}`}>{status.name || status.kind.replaceAll('_', ' ')}{Number(status.stacks) > 1 ? ` ×${status.stacks}` : ''} · {Math.max(0, Math.ceil((Number(status.expires_at_micros) - Date.now() * 1000) / 1_000_000))}s</span>)}</div></div>}
+                    {statusEffects.length > 0 && <div className="rounded-xl border border-fuchsia-400/20 bg-fuchsia-500/[0.04] p-3"><h3 className="text-[0.65rem] font-semibold uppercase tracking-[0.18em] text-fuchsia-200">Active effects</h3><div className="mt-2 flex flex-wrap gap-2">{statusEffects.map((status) => <span key={status.id} className={`rounded-full border px-2.5 py-1 text-[0.62rem] ${['debuff', 'stun', 'damage_over_time'].includes(status.kind) ? 'border-rose-400/30 text-rose-200' : 'border-fuchsia-400/30 text-fuchsia-100'}`}>{status.name || status.kind.replaceAll('_', ' ')}{Number(status.stacks) > 1 ? ` ×${status.stacks}` : ''} · {Math.max(0, Math.ceil((Number(status.expires_at_micros) - now * 1000) / 1_000_000))}s</span>)}</div></div>}
                     </div>
                 )}
 
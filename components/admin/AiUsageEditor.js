@@ -0,0 +1,310 @@
+import React, { useCallback, useEffect, useMemo, useState } from 'react';
+import getSpacetimeClient from '@/lib/spacetimedbClient';
+
+const inputClass = 'w-full rounded-md border border-slate-600/70 bg-slate-950/70 px-3 py-2 text-sm text-slate-100 placeholder:text-slate-600 focus:border-cyan-400 focus:outline-none';
+const labelClass = 'text-[0.65rem] uppercase tracking-[0.18em] text-slate-400';
+const buttonClass = 'rounded-md border border-cyan-400/50 bg-cyan-500/10 px-3 py-2 text-[0.65rem] uppercase tracking-[0.16em] text-cyan-100 transition hover:bg-cyan-500/20 disabled:cursor-not-allowed disabled:opacity-40';
+
+const DAY_MS = 86_400_000;
+const PERIODS = [
+    { days: 1, label: 'Today' },
+    { days: 7, label: 'Last 7 days' },
+    { days: 30, label: 'Last 30 days' },
+];
+const BREAKDOWNS = [
+    { key: 'route', label: 'By route', name: (row) => row.route },
+    { key: 'profile', label: 'By identity', name: (row) => row.profile_id },
+    { key: 'model', label: 'By provider and model', name: (row) => `${row.provider} · ${row.model || 'default'}` },
+];
+const WORKER_PROFILE = 'service:npc_worker';
+
+const emptyBudget = () => ({ scope: 'identity', target: '*', daily_requests: 0, daily_tokens: 0, daily_images: 0 });
+const today = () => Math.floor(Date.now() / DAY_MS);
+const number = (value) => Number(value || 0).toLocaleString();
+const limit = (value) => (Number(value) > 0 ? number(value) : 'No limit');
+
+function totalsOf(rows) {
+    return rows.reduce((totals, row) => ({
+        requests: totals.requests + Number(row.requests || 0),
+        failures: totals.failures + Number(row.failures || 0),
+        tokens: totals.tokens + Number(row.prompt_tokens || 0) + Number(row.completion_tokens || 0),
+        images: totals.images + Number(row.images || 0),
+        latency: totals.latency + Number(row.latency_ms_total || 0),
+    }), { requests: 0, failures: 0, tokens: 0, images: 0, latency: 0 });
+}
+
+export default function AiUsageEditor() {
+    const spacetime = useMemo(() => getSpacetimeClient(), []);
+    const [daily, setDaily] = useState([]);
+    const [events, setEvents] = useState([]);
+    const [budgets, setBudgets] = useState([]);
+    const [profiles, setProfiles] = useState([]);
+    const [cacheStats, setCacheStats] = useState(null);
+    const [periodDays, setPeriodDays] = useState(1);
+    const [form, setForm] = useState(emptyBudget);
+    const [busy, setBusy] = useState(false);
+    const [message, setMessage] = useState(null);
+
+    const load = useCallback(async () => {
+        const [dailyResult, eventResult, budgetResult, profileResult] = await Promise.all([
+            spacetime.from('ai_usage_daily').select('*'),
+            spacetime.from('ai_usage_events').select('*'),
+            spacetime.from('ai_budgets').select('*'),
+            spacetime.from('profiles').select('id, handle, name').order('handle'),
+        ]);
+        if (dailyResult.error) throw dailyResult.error;
+        if (eventResult.error) throw eventResult.error;
+        if (budgetResult.error) throw budgetResult.error;
+        setDaily(dailyResult.data || []);
+        setEvents(eventResult.data || []);
+        setBudgets(budgetResult.data || []);
+        setProfiles(profileResult.data || []);
+        // The cache lives on the web server, not in the world database.
+        const cacheResponse = await fetch('/api/arkyv/ai-cache').catch(() => null);
+        setCacheStats(cacheResponse?.ok ? await cacheResponse.json() : null);
+    }, [spacetime]);
+
+    const clearCache = async () => {
+        const response = await fetch('/api/arkyv/ai-cache', { method: 'DELETE' });
+        const body = await response.json().catch(() => ({}));
+        return response.ok ? { data: body } : { error: new Error(body.message || body.error || 'Could not clear the cache.') };
+    };
+
+    useEffect(() => {
+        let active = true;
+        load().catch((error) => {
+            if (active) setMessage({ type: 'error', text: error?.message || String(error) });
+        });
+        return () => { active = false; };
+    }, [load]);
+
+    const run = async (operation, success) => {
+        setBusy(true);
+        setMessage(null);
+        try {
+            const result = await operation();
+            if (result?.error) throw result.error;
+            await load();
+            setMessage({ type: 'success', text: success });
+        } catch (error) {
+            setMessage({ type: 'error', text: error?.message || String(error) });
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    const profileLabel = useCallback((profileId) => {
+        if (profileId === '*') return 'Every identity';
+        if (profileId === WORKER_PROFILE) return 'NPC worker';
+        const profile = profiles.find((row) => row.id === profileId);
+        return profile?.handle || profile?.name || profileId;
+    }, [profiles]);
+
+    const currentDay = today();
+    const todayRows = useMemo(() => daily.filter((row) => Number(row.day) === currentDay), [currentDay, daily]);
+    const periodRows = useMemo(() => daily.filter((row) => Number(row.day) > currentDay - periodDays), [currentDay, daily, periodDays]);
+    const todayTotals = totalsOf(todayRows);
+    const weekTotals = totalsOf(daily.filter((row) => Number(row.day) > currentDay - 7));
+    const breakdowns = useMemo(() => BREAKDOWNS.map((breakdown) => {
+        const groups = new Map();
+        for (const row of periodRows) {
+            const name = breakdown.name(row);
+            groups.set(name, [...(groups.get(name) || []), row]);
+        }
+        const entries = [...groups.entries()].map(([name, rows]) => ({ name, ...totalsOf(rows) })).sort((left, right) => right.requests - left.requests);
+        return { ...breakdown, entries };
+    }), [periodRows]);
+    const recent = useMemo(() => [...events].sort((left, right) => Number(right.id) - Number(left.id)).slice(0, 40), [events]);
+    const routes = useMemo(() => [...new Set([...daily, ...events].map((row) => row.route))].sort(), [daily, events]);
+
+    const budgetUsage = (budget) => {
+        if (budget.scope === 'route') return totalsOf(todayRows.filter((row) => row.route === budget.target));
+        if (budget.target !== '*') return totalsOf(todayRows.filter((row) => row.profile_id === budget.target));
+        // The default applies to each identity on its own, so show the busiest.
+        const identities = [...new Set(todayRows.map((row) => row.profile_id))].filter((id) => id !== WORKER_PROFILE);
+        return identities.map((id) => totalsOf(todayRows.filter((row) => row.profile_id === id))).sort((left, right) => right.requests - left.requests)[0] || totalsOf([]);
+    };
+
+    return (
+        <div className="space-y-6 normal-case tracking-normal">
+            <div>
+                <h3 className="text-sm uppercase tracking-[0.2em] text-cyan-200">AI usage</h3>
+                <p className="mt-1 max-w-3xl text-xs leading-5 text-slate-500">
+                    Every text and image request the admin tools, NPC replies, Archie, and the NPC worker send to a provider, with its token and image counts and how long it took. Days run in UTC. Budgets stop new requests for the rest of the day once a limit is reached.
+                </p>
+            </div>
+
+            {message && (
+                <div className={`rounded-md border px-3 py-2 text-xs ${message.type === 'error' ? 'border-rose-500/40 bg-rose-500/10 text-rose-200' : 'border-emerald-500/40 bg-emerald-500/10 text-emerald-200'}`}>
+                    {message.text}
+                </div>
+            )}
+
+            <div className="grid gap-4 md:grid-cols-2">
+                {[['Today', todayTotals], ['Last 7 days', weekTotals]].map(([label, totals]) => (
+                    <section key={label} className="rounded-xl border border-slate-700/70 bg-slate-950/35 p-4 sm:p-5">
+                        <p className={labelClass}>{label}</p>
+                        <dl className="mt-3 grid grid-cols-2 gap-3 text-xs sm:grid-cols-4">
+                            <div><dt className="text-slate-500">Requests</dt><dd className="mt-1 text-lg text-slate-100">{number(totals.requests)}</dd></div>
+                            <div><dt className="text-slate-500">Tokens</dt><dd className="mt-1 text-lg text-slate-100">{number(totals.tokens)}</dd></div>
+                            <div><dt className="text-slate-500">Images</dt><dd className="mt-1 text-lg text-slate-100">{number(totals.images)}</dd></div>
+                            <div><dt className="text-slate-500">Failed</dt><dd className={`mt-1 text-lg ${totals.failures ? 'text-rose-200' : 'text-slate-100'}`}>{number(totals.failures)}</dd></div>
+                        </dl>
+                    </section>
+                ))}
+            </div>
+
+            <section className="space-y-4 rounded-xl border border-slate-700/70 bg-slate-950/35 p-4 sm:p-5">
+                <div className="flex flex-wrap items-end justify-between gap-3">
+                    <h4 className="text-xs uppercase tracking-[0.2em] text-emerald-200">Breakdown</h4>
+                    <label className={labelClass}>
+                        Period
+                        <select value={periodDays} onChange={(event) => setPeriodDays(Number(event.target.value))} className={`${inputClass} mt-2 normal-case tracking-normal`}>
+                            {PERIODS.map((period) => <option key={period.days} value={period.days}>{period.label}</option>)}
+                        </select>
+                    </label>
+                </div>
+                <div className="grid gap-4 xl:grid-cols-3">
+                    {breakdowns.map((breakdown) => (
+                        <div key={breakdown.key}>
+                            <p className={labelClass}>{breakdown.label}</p>
+                            {breakdown.entries.length === 0 && <p className="mt-2 text-xs text-slate-600">No requests in this period.</p>}
+                            <table className="mt-2 w-full text-left text-xs">
+                                <tbody>
+                                    {breakdown.entries.map((entry) => (
+                                        <tr key={entry.name} className="border-t border-slate-800">
+                                            <td className="py-2 pr-2 text-slate-200">{breakdown.key === 'profile' ? profileLabel(entry.name) : entry.name}</td>
+                                            <td className="py-2 pr-2 text-right text-slate-400">{number(entry.requests)} req</td>
+                                            <td className="py-2 pr-2 text-right text-slate-400">{entry.images ? `${number(entry.images)} img` : `${number(entry.tokens)} tok`}</td>
+                                            <td className="py-2 text-right text-slate-500">{entry.requests ? Math.round(entry.latency / entry.requests).toLocaleString() : 0} ms</td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        </div>
+                    ))}
+                </div>
+            </section>
+
+            <section className="space-y-3 rounded-xl border border-slate-700/70 bg-slate-950/35 p-4 sm:p-5">
+                <div className="flex flex-wrap items-start justify-between gap-3">
+                    <div>
+                        <h4 className="text-xs uppercase tracking-[0.2em] text-sky-200">Suggestion cache</h4>
+                        <p className="mt-1 max-w-2xl text-xs text-slate-500">Name, description, and colour suggestions are reused when the same request is made again. Asking twice in a row for the same thing skips the cache and stores the new answer. Counts reset when the web server restarts.</p>
+                    </div>
+                    <button type="button" disabled={busy || !cacheStats?.entries} onClick={() => run(clearCache, 'Suggestion cache cleared.')} className={buttonClass}>Clear cache</button>
+                </div>
+                {!cacheStats && <p className="text-xs text-slate-600">Cache statistics are unavailable.</p>}
+                {cacheStats && !cacheStats.enabled && <p className="text-xs text-slate-600">The cache is off. Set AI_CACHE_TTL_SECONDS to turn it on.</p>}
+                {cacheStats?.enabled && (
+                    <>
+                        <dl className="grid grid-cols-2 gap-3 text-xs sm:grid-cols-5">
+                            <div><dt className="text-slate-500">Hits</dt><dd className="mt-1 text-lg text-slate-100">{number(cacheStats.hits)}</dd></div>
+                            <div><dt className="text-slate-500">Misses</dt><dd className="mt-1 text-lg text-slate-100">{number(cacheStats.misses)}</dd></div>
+                            <div><dt className="text-slate-500">Asked again</dt><dd className="mt-1 text-lg text-slate-100">{number(cacheStats.bypasses)}</dd></div>
+                            <div><dt className="text-slate-500">Hit rate</dt><dd className="mt-1 text-lg text-slate-100">{cacheStats.hits + cacheStats.misses ? Math.round((cacheStats.hits / (cacheStats.hits + cacheStats.misses)) * 100) : 0}%</dd></div>
+                            <div><dt className="text-slate-500">Stored</dt><dd className="mt-1 text-lg text-slate-100">{number(cacheStats.entries)} <span className="text-xs text-slate-500">({Math.ceil(cacheStats.bytes / 1024).toLocaleString()} KB)</span></dd></div>
+                        </dl>
+                        <p className="text-xs text-slate-600">Answers are kept for {Math.round(cacheStats.ttlSeconds / 3600).toLocaleString()} h · counting since {new Date(cacheStats.since).toLocaleString()}</p>
+                        {Object.keys(cacheStats.tasks).length > 0 && (
+                            <table className="w-full text-left text-xs">
+                                <tbody>
+                                    {Object.entries(cacheStats.tasks).map(([task, counts]) => (
+                                        <tr key={task} className="border-t border-slate-800">
+                                            <td className="py-2 pr-2 text-slate-200">{task}</td>
+                                            <td className="py-2 pr-2 text-right text-slate-400">{number(counts.hits)} hits</td>
+                                            <td className="py-2 pr-2 text-right text-slate-400">{number(counts.misses)} misses</td>
+                                            <td className="py-2 text-right text-slate-500">{number(counts.bypasses)} asked again</td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        )}
+                    </>
+                )}
+            </section>
+
+            <section className="space-y-4 rounded-xl border border-slate-700/70 bg-slate-950/35 p-4 sm:p-5">
+                <div>
+                    <h4 className="text-xs uppercase tracking-[0.2em] text-amber-200">Daily budgets</h4>
+                    <p className="mt-1 text-xs text-slate-500">An identity budget caps one identity across every route; &quot;Every identity&quot; applies to anyone without their own. A route budget is shared by everyone using that route. Zero means no limit. The NPC worker&apos;s calls are counted but not stopped.</p>
+                </div>
+                <div className="grid gap-3 md:grid-cols-[140px_1fr_repeat(3,120px)_auto]">
+                    <label className={labelClass}>
+                        Applies to
+                        <select value={form.scope} onChange={(event) => setForm((value) => ({ ...value, scope: event.target.value, target: event.target.value === 'identity' ? '*' : '' }))} className={`${inputClass} mt-2 normal-case tracking-normal`}>
+                            <option value="identity">Identity</option>
+                            <option value="route">Route</option>
+                        </select>
+                    </label>
+                    <label className={labelClass}>
+                        {form.scope === 'identity' ? 'Identity' : 'Route'}
+                        {form.scope === 'identity' ? (
+                            <select value={form.target} onChange={(event) => setForm((value) => ({ ...value, target: event.target.value }))} className={`${inputClass} mt-2 normal-case tracking-normal`}>
+                                <option value="*">Every identity</option>
+                                {profiles.map((profile) => <option key={profile.id} value={profile.id}>{profileLabel(profile.id)}</option>)}
+                            </select>
+                        ) : (
+                            <>
+                                <input list="ai-usage-routes" value={form.target} placeholder="suggest-room-name" onChange={(event) => setForm((value) => ({ ...value, target: event.target.value }))} className={`${inputClass} mt-2 normal-case tracking-normal`} />
+                                <datalist id="ai-usage-routes">{routes.map((route) => <option key={route} value={route} />)}</datalist>
+                            </>
+                        )}
+                    </label>
+                    {[['daily_requests', 'Requests'], ['daily_tokens', 'Tokens'], ['daily_images', 'Images']].map(([field, label]) => (
+                        <label key={field} className={labelClass}>
+                            {label}
+                            <input type="number" min="0" value={form[field]} onChange={(event) => setForm((value) => ({ ...value, [field]: event.target.value }))} className={`${inputClass} mt-2 normal-case tracking-normal`} />
+                        </label>
+                    ))}
+                    <div className="flex items-end">
+                        <button type="button" disabled={busy || !form.target.trim()} onClick={() => run(() => spacetime.saveAiBudget(form), 'Budget saved.')} className={buttonClass}>Save budget</button>
+                    </div>
+                </div>
+                {budgets.length === 0 && <p className="text-xs text-slate-600">No budgets yet; requests are limited only by the per-minute rate limit.</p>}
+                <div className="space-y-2">
+                    {budgets.map((budget) => {
+                        const used = budgetUsage(budget);
+                        return (
+                            <div key={budget.id} className="flex flex-wrap items-center justify-between gap-3 rounded-lg border border-slate-800 p-3 text-xs">
+                                <div>
+                                    <p className="text-slate-200">{budget.scope === 'route' ? `Route ${budget.target}` : profileLabel(budget.target)}</p>
+                                    <p className="mt-1 text-slate-500">
+                                        Requests {number(used.requests)} / {limit(budget.daily_requests)} · Tokens {number(used.tokens)} / {limit(budget.daily_tokens)} · Images {number(used.images)} / {limit(budget.daily_images)}
+                                        {budget.scope === 'identity' && budget.target === '*' ? ' · busiest identity' : ''}
+                                    </p>
+                                </div>
+                                <div className="flex gap-3">
+                                    <button type="button" disabled={busy} onClick={() => setForm({ scope: budget.scope, target: budget.target, daily_requests: budget.daily_requests, daily_tokens: budget.daily_tokens, daily_images: budget.daily_images })} className="text-cyan-200 disabled:opacity-40">Edit</button>
+                                    <button type="button" disabled={busy} onClick={() => run(() => spacetime.deleteAiBudget(budget.id), 'Budget removed.')} className="text-rose-300 disabled:opacity-40">Remove</button>
+                                </div>
+                            </div>
+                        );
+                    })}
+                </div>
+            </section>
+
+            <section className="space-y-3 rounded-xl border border-slate-700/70 bg-slate-950/35 p-4 sm:p-5">
+                <h4 className="text-xs uppercase tracking-[0.2em] text-slate-300">Recent requests</h4>
+                {recent.length === 0 && <p className="text-xs text-slate-600">No requests recorded in the last two weeks.</p>}
+                <div className="max-h-96 overflow-auto">
+                    <table className="w-full text-left text-xs">
+                        <tbody>
+                            {recent.map((row) => (
+                                <tr key={row.id} className="border-t border-slate-800">
+                                    <td className="py-2 pr-3 text-slate-500">{new Date(row.created_at).toLocaleString()}</td>
+                                    <td className="py-2 pr-3 text-slate-200">{row.route}{row.task && row.task !== row.route ? <span className="text-slate-500"> · {row.task}</span> : null}</td>
+                                    <td className="py-2 pr-3 text-slate-400">{profileLabel(row.profile_id)}</td>
+                                    <td className="py-2 pr-3 text-slate-400">{row.provider} · {row.model || 'default'}</td>
+                                    <td className="py-2 pr-3 text-right text-slate-400">{row.images ? `${number(row.images)} img` : `${number(Number(row.prompt_tokens) + Number(row.completion_tokens))} tok`}</td>
+                                    <td className="py-2 pr-3 text-right text-slate-500">{number(row.latency_ms)} ms</td>
+                                    <td className={`py-2 text-right ${row.succeeded ? 'text-emerald-300' : 'text-rose-300'}`}>{row.succeeded ? 'ok' : 'failed'}</td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            </section>
+        </div>
+    );
+}
@@ -13,10 +13,46 @@ const QUICK_PROMPTS = [
 
 const timestamp = () => new Date().toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
 
+const PROVIDER_NAMES = { openai: 'OpenAI', grok: 'Grok', local: 'Local', custom: 'Custom', fake: 'Fake' };
+
 function providerLabel(status) {
   if (!status?.provider) return 'No provider';
-  const names = { openai: 'OpenAI', grok: 'Grok', local: 'Local', custom: 'Custom' };
-  return `${names[status.provider] || status.provider} · ${status.model || 'unconfigured'}`;
+  return `${PROVIDER_NAMES[status.provider] || status.provider} · ${status.model || 'unconfigured'}`;
+}
+
+const PROVIDER_STATES = {
+  healthy: ['Ready', 'bg-emerald-400', 'text-emerald-200'],
+  failing: ['Failing', 'bg-amber-400', 'text-amber-200'],
+  open: ['Skipped', 'bg-rose-400', 'text-rose-200'],
+  unconfigured: ['Not configured', 'bg-slate-600', 'text-slate-500'],
+};
+
+// The server's provider chain in failover order, with each circuit breaker.
+function ProviderChain({ providers }) {
+  return (
+    <section className="mb-4 rounded-xl border border-slate-800 bg-black/20 p-3">
+      <h3 className="text-[0.65rem] font-semibold uppercase tracking-[0.2em] text-slate-400">Provider chain</h3>
+      <ol className="mt-2 space-y-2">
+        {providers.map((entry, index) => {
+          const [label, dot, text] = PROVIDER_STATES[entry.state] || PROVIDER_STATES.unconfigured;
+          return (
+            <li key={entry.provider} className="flex gap-2.5">
+              <span className={`mt-1.5 h-1.5 w-1.5 shrink-0 rounded-full ${dot}`} />
+              <div className="min-w-0 flex-1">
+                <p className="text-xs text-slate-300">
+                  {index + 1}. {PROVIDER_NAMES[entry.provider] || entry.provider}
+                  <span className={`ml-2 text-[0.6rem] uppercase tracking-[0.14em] ${text}`}>{label}</span>
+                  {entry.active && <span className="ml-2 text-[0.6rem] uppercase tracking-[0.14em] text-cyan-300">Active</span>}
+                </p>
+                {entry.retryAt && <p className="text-[0.62rem] text-slate-500">Retried after {new Date(entry.retryAt).toLocaleTimeString()}</p>}
+                {entry.lastError && entry.state !== 'healthy' && <p className="mt-0.5 break-words text-[0.62rem] leading-4 text-slate-500">{entry.lastError}</p>}
+              </div>
+            </li>
+          );
+        })}
+      </ol>
+    </section>
+  );
 }
 
 function ActivityRow({ item }) {
@@ -43,6 +79,7 @@ export default function ArchieAgentSidebar({
   const [provider, setProvider] = useState(null);
   const [prompt, setPrompt] = useState('');
   const [messages, setMessages] = useState([]);
+  const [reportDraft, setReportDraft] = useState('');
   const [activity, setActivity] = useState([]);
   const [running, setRunning] = useState(false);
   const [status, setStatus] = useState('idle');
@@ -52,6 +89,8 @@ export default function ArchieAgentSidebar({
   const [error, setError] = useState('');
   const [lastApplied, setLastApplied] = useState(null);
 
+  const [providerCheck, setProviderCheck] = useState(0);
+
   useEffect(() => {
     let active = true;
     fetch('/api/arkyv/archie', { cache: 'no-store' })
@@ -63,7 +102,7 @@ export default function ArchieAgentSidebar({
         if (active) setProvider({ available: false, error: fetchError.message || 'Could not read Archie configuration.' });
       });
     return () => { active = false; };
-  }, []);
+  }, [providerCheck]);
 
   useEffect(() => () => abortRef.current?.abort(), []);
 
@@ -118,7 +157,11 @@ export default function ArchieAgentSidebar({
           model: event.model,
         }));
       }
+    } else if (event.type === 'report_delta') {
+      setReportDraft((value) => value + event.delta);
     } else if (event.type === 'tool') {
+      // Text written before a tool call is thinking aloud, not the report.
+      setReportDraft('');
       setStatus('working');
       setStatusText('Archie is working through the archive…');
       addActivity(event.detail || event.name, 'tool', event.name);
@@ -145,6 +188,7 @@ export default function ArchieAgentSidebar({
     setLastApplied(null);
     setError('');
     setActivity([]);
+    setReportDraft('');
     setRunning(true);
     setStatus('loading_world');
     setStatusText('Archie is opening the world archive…');
@@ -204,6 +248,7 @@ export default function ArchieAgentSidebar({
 
       const computedSummary = summarizeArchieOperations(finalResult.operations);
       finalResult.summary = computedSummary;
+      setReportDraft('');
       setMessages((items) => [...items, {
         role: 'assistant',
         content: finalResult.report,
@@ -238,7 +283,9 @@ export default function ArchieAgentSidebar({
       addActivity(stopped ? 'Run stopped safely; no changes applied' : (runError.message || 'Run failed'), stopped ? 'complete' : 'error');
     } finally {
       if (abortRef.current === controller) abortRef.current = null;
+      setReportDraft('');
       setRunning(false);
+      setProviderCheck((value) => value + 1);
     }
   };
 
@@ -305,6 +352,8 @@ export default function ArchieAgentSidebar({
             </div>
           )}
 
+          {(provider?.providers?.length > 1 || provider?.failed?.length > 0) && <ProviderChain providers={provider.providers} />}
+
           {messages.length === 0 && (
             <div className="mb-5 rounded-xl border border-cyan-400/15 bg-cyan-500/[0.04] p-4">
               <p className="text-sm leading-6 text-slate-300">Tell Archie what the world needs. Archie can inspect existing content, stage connected systems, validate references, and commit a bounded patch through the same rules as the visual editor.</p>
@@ -327,6 +376,12 @@ export default function ArchieAgentSidebar({
                 {message.summary?.records > 0 && <p className="mt-2 text-[0.65rem] uppercase tracking-[0.14em] text-emerald-300">{message.summary.records} staged record changes</p>}
               </div>
             ))}
+            {running && reportDraft && (
+              <div className="mr-3 rounded-xl border border-cyan-400/20 bg-cyan-500/[0.05] p-3.5">
+                <p className="text-[0.62rem] font-semibold uppercase tracking-[0.18em] text-cyan-200">Archie · writing</p>
+                <p className="mt-2 whitespace-pre-wrap text-sm leading-6 text-slate-300">{reportDraft}<span className="ml-0.5 animate-pulse text-cyan-300">▍</span></p>
+              </div>
+            )}
           </div>
 
           {activity.length > 0 && (
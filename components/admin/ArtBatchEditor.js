@@ -0,0 +1,215 @@
+import React, { useCallback, useEffect, useMemo, useState } from 'react';
+import getSpacetimeClient from '@/lib/spacetimedbClient';
+import {
+    ART_BATCH_KINDS,
+    IMAGE_CREDIT_COST,
+    MAX_ART_BATCH_CONCURRENCY,
+    clearArtBatch,
+    createArtBatch,
+    currentArtBatch,
+    findArtTargets,
+    isArtBatchRunning,
+    pauseArtBatch,
+    requeueFailedArt,
+    startArtBatch,
+    summarizeArtBatch,
+    watchArtBatch,
+} from '@/lib/artBatch';
+
+const inputClass = 'w-full rounded-md border border-slate-600/70 bg-slate-950/70 px-3 py-2 text-sm text-slate-100 placeholder:text-slate-600 focus:border-cyan-400 focus:outline-none';
+const labelClass = 'text-[0.65rem] uppercase tracking-[0.18em] text-slate-400';
+const buttonClass = 'rounded-md border border-cyan-400/50 bg-cyan-500/10 px-3 py-2 text-[0.65rem] uppercase tracking-[0.16em] text-cyan-100 transition hover:bg-cyan-500/20 disabled:cursor-not-allowed disabled:opacity-40';
+
+const STATUS_CLASSES = {
+    pending: 'text-slate-500',
+    running: 'text-cyan-200',
+    done: 'text-emerald-200',
+    skipped: 'text-slate-400',
+    failed: 'text-rose-200',
+};
+const targetKey = (target) => `${target.kind}:${target.id}`;
+// The runner mutates the job in place; React needs a fresh object.
+const snapshot = (job) => (job ? { ...job, items: job.items.map((item) => ({ ...item })) } : null);
+
+export default function ArtBatchEditor({ canGenerateItems = false }) {
+    const spacetime = useMemo(() => getSpacetimeClient(), []);
+    const kindOptions = useMemo(() => Object.keys(ART_BATCH_KINDS).filter((kind) => kind !== 'item' || canGenerateItems), [canGenerateItems]);
+    const [regions, setRegions] = useState([]);
+    const [form, setForm] = useState({ region: '', kinds: ['room', 'npc'], onlyMissing: true, includeRegion: true, concurrency: 2 });
+    const [found, setFound] = useState(null);
+    const [selected, setSelected] = useState(new Set());
+    const [job, setJob] = useState(null);
+    const [busy, setBusy] = useState(false);
+    const [message, setMessage] = useState(null);
+
+    useEffect(() => {
+        spacetime.from('regions').select('name, display_name').order('name')
+            .then(({ data }) => setRegions(data || []))
+            .catch(() => setRegions([]));
+    }, [spacetime]);
+
+    // Pick up a job left running by a reload or by another tab of the studio.
+    useEffect(() => {
+        const unwatch = watchArtBatch((next) => setJob(snapshot(next)));
+        const saved = currentArtBatch();
+        setJob(snapshot(saved));
+        if (saved?.status === 'running' && !isArtBatchRunning()) startArtBatch(spacetime, saved);
+        return unwatch;
+    }, [spacetime]);
+
+    const findTargets = useCallback(async () => {
+        setBusy(true);
+        setMessage(null);
+        try {
+            const result = await findArtTargets(spacetime, { region: form.region, kinds: form.kinds.filter((kind) => kindOptions.includes(kind)), onlyMissing: form.onlyMissing });
+            setFound(result);
+            setSelected(new Set(result.targets.map(targetKey)));
+        } catch (error) {
+            setMessage({ type: 'error', text: error?.message || String(error) });
+        } finally {
+            setBusy(false);
+        }
+    }, [form, kindOptions, spacetime]);
+
+    const queue = () => {
+        const targets = found.targets.filter((target) => selected.has(targetKey(target)));
+        setFound(null);
+        startArtBatch(spacetime, createArtBatch(targets, form));
+    };
+
+    const retryFailed = () => {
+        const requeued = requeueFailedArt();
+        if (requeued && requeued.status !== 'running') startArtBatch(spacetime, requeued);
+    };
+
+    const toggleKind = (kind) => setForm((value) => ({
+        ...value,
+        kinds: value.kinds.includes(kind) ? value.kinds.filter((entry) => entry !== kind) : [...value.kinds, kind],
+    }));
+    const toggleTarget = (key) => setSelected((value) => {
+        const next = new Set(value);
+        if (next.has(key)) next.delete(key);
+        else next.add(key);
+        return next;
+    });
+
+    const counts = summarizeArtBatch(job);
+    const finished = counts.done + counts.skipped + counts.failed;
+    const running = isArtBatchRunning();
+    const active = job && (job.status === 'running' || running);
+    const failures = job?.items.filter((item) => item.status === 'failed') || [];
+
+    return (
+        <div className="space-y-6 normal-case tracking-normal">
+            <div>
+                <h3 className="text-sm uppercase tracking-[0.2em] text-cyan-200">Batch art</h3>
+                <p className="mt-1 max-w-3xl text-xs leading-5 text-slate-500">
+                    Queue scene, portrait, and item art for a whole region, or for the records you pick, using the configured image provider. A few images generate at a time while you keep working. The queue is kept in this browser, so reloading the page carries on where it stopped.
+                </p>
+            </div>
+
+            {message && (
+                <div className={`rounded-md border px-3 py-2 text-xs ${message.type === 'error' ? 'border-rose-500/40 bg-rose-500/10 text-rose-200' : 'border-emerald-500/40 bg-emerald-500/10 text-emerald-200'}`}>
+                    {message.text}
+                </div>
+            )}
+
+            {job && (
+                <section className="space-y-4 rounded-xl border border-slate-700/70 bg-slate-950/35 p-4 sm:p-5">
+                    <div className="flex flex-wrap items-start justify-between gap-3">
+                        <div>
+                            <p className={labelClass}>Job · {new Date(job.createdAt).toLocaleString()}</p>
+                            <p className="mt-1 text-sm text-slate-100">
+                                {finished} of {counts.total} finished · {counts.done} generated{counts.skipped ? ` · ${counts.skipped} already had art` : ''}{counts.failed ? ` · ${counts.failed} failed` : ''}
+                            </p>
+                            <p className="mt-1 text-xs text-slate-500">
+                                {job.status === 'done' ? 'Finished.' : job.status === 'paused' ? (running ? 'Pausing after the images in progress…' : 'Paused.') : `Running, ${job.concurrency} at a time.`}
+                                {job.credits !== null && ` ${job.credits} credits left (${IMAGE_CREDIT_COST} per image).`}
+                            </p>
+                            {job.reason && <p className="mt-1 text-xs text-amber-200">{job.reason}</p>}
+                        </div>
+                        <div className="flex flex-wrap gap-2">
+                            {job.status === 'running' && <button type="button" onClick={pauseArtBatch} className={buttonClass}>Pause</button>}
+                            {job.status === 'paused' && counts.pending > 0 && <button type="button" onClick={() => startArtBatch(spacetime, currentArtBatch())} className={buttonClass}>Resume</button>}
+                            {counts.failed > 0 && <button type="button" onClick={retryFailed} className={buttonClass}>Retry failed</button>}
+                            <button type="button" onClick={clearArtBatch} className="rounded-md border border-slate-600 px-3 py-2 text-[0.65rem] uppercase tracking-[0.16em] text-slate-400 hover:text-white">{active ? 'Cancel job' : 'Clear'}</button>
+                        </div>
+                    </div>
+                    <div className="h-2 overflow-hidden rounded-full bg-slate-800">
+                        <div className="h-full bg-cyan-400/70 transition-all" style={{ width: `${counts.total ? (finished / counts.total) * 100 : 0}%` }} />
+                    </div>
+                    {failures.length > 0 && (
+                        <ul className="max-h-48 space-y-1 overflow-auto text-xs text-rose-200">
+                            {failures.map((item) => <li key={targetKey(item)}>{ART_BATCH_KINDS[item.kind].label} · {item.label}: {item.error}</li>)}
+                        </ul>
+                    )}
+                    <ul className="max-h-64 space-y-1 overflow-auto text-xs">
+                        {job.items.map((item) => (
+                            <li key={targetKey(item)} className="flex justify-between gap-3 border-t border-slate-800 pt-1">
+                                <span className="text-slate-300">{ART_BATCH_KINDS[item.kind].label} · {item.label}</span>
+                                <span className={STATUS_CLASSES[item.status]}>{item.status}</span>
+                            </li>
+                        ))}
+                    </ul>
+                </section>
+            )}
+
+            {!active && (
+                <section className="space-y-4 rounded-xl border border-slate-700/70 bg-slate-950/35 p-4 sm:p-5">
+                    <div className="grid gap-3 md:grid-cols-[1fr_auto_auto]">
+                        <label className={labelClass}>
+                            Region
+                            <select value={form.region} onChange={(event) => setForm((value) => ({ ...value, region: event.target.value }))} className={`${inputClass} mt-2 normal-case tracking-normal`}>
+                                <option value="">Whole world</option>
+                                {regions.map((region) => <option key={region.name} value={region.name}>{region.display_name || region.name}</option>)}
+                            </select>
+                        </label>
+                        <label className={labelClass}>
+                            At a time
+                            <select value={form.concurrency} onChange={(event) => setForm((value) => ({ ...value, concurrency: Number(event.target.value) }))} className={`${inputClass} mt-2`}>
+                                {Array.from({ length: MAX_ART_BATCH_CONCURRENCY }, (_, index) => index + 1).map((count) => <option key={count} value={count}>{count}</option>)}
+                            </select>
+                        </label>
+                        <div className="flex items-end">
+                            <button type="button" disabled={busy || form.kinds.length === 0} onClick={findTargets} className={buttonClass}>Find records</button>
+                        </div>
+                    </div>
+                    <div className="flex flex-wrap gap-4 text-xs text-slate-300">
+                        {kindOptions.map((kind) => (
+                            <label key={kind} className="flex items-center gap-2"><input type="checkbox" checked={form.kinds.includes(kind)} onChange={() => toggleKind(kind)} className="accent-cyan-400" />{ART_BATCH_KINDS[kind].label}</label>
+                        ))}
+                        <label className="flex items-center gap-2"><input type="checkbox" checked={form.onlyMissing} onChange={(event) => setForm((value) => ({ ...value, onlyMissing: event.target.checked }))} className="accent-cyan-400" />Only records without art</label>
+                        <label className="flex items-center gap-2"><input type="checkbox" checked={form.includeRegion} onChange={(event) => setForm((value) => ({ ...value, includeRegion: event.target.checked }))} className="accent-cyan-400" />Include the region description in prompts</label>
+                    </div>
+
+                    {found && (
+                        <div className="space-y-3">
+                            <div className="flex flex-wrap items-center justify-between gap-3 text-xs text-slate-400">
+                                <span>
+                                    {selected.size} of {found.targets.length} selected{found.withoutDescription ? ` · ${found.withoutDescription} left out for having no description` : ''}
+                                </span>
+                                <span className="flex gap-3">
+                                    <button type="button" onClick={() => setSelected(new Set(found.targets.map(targetKey)))} className="text-cyan-200">All</button>
+                                    <button type="button" onClick={() => setSelected(new Set())} className="text-cyan-200">None</button>
+                                </span>
+                            </div>
+                            <ul className="max-h-72 space-y-1 overflow-auto text-xs">
+                                {found.targets.map((target) => (
+                                    <li key={targetKey(target)}>
+                                        <label className="flex items-center gap-2 text-slate-300">
+                                            <input type="checkbox" checked={selected.has(targetKey(target))} onChange={() => toggleTarget(targetKey(target))} className="accent-cyan-400" />
+                                            {ART_BATCH_KINDS[target.kind].label} · {target.label}{target.hasArt && <span className="text-slate-600">(replaces current art)</span>}
+                                        </label>
+                                    </li>
+                                ))}
+                            </ul>
+                            <button type="button" disabled={selected.size === 0} onClick={queue} className={buttonClass}>
+                                Generate {selected.size} image(s)
+                            </button>
+                        </div>
+                    )}
+                </section>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,296 @@
+import React, { useCallback, useEffect, useMemo, useState } from 'react';
+import getSpacetimeClient from '@/lib/spacetimedbClient';
+import {
+    ART_STYLE_KINDS,
+    ART_STYLE_REFERENCE_MODES,
+    ART_STYLE_SEED_MODES,
+    DEFAULT_REFERENCE_STRENGTH,
+    MAX_ART_STYLE_SEED,
+    artStyleId,
+    normalizeArtStyle,
+} from '@/lib/artStyles';
+
+const inputClass = 'w-full rounded-md border border-slate-600/70 bg-slate-950/70 px-3 py-2 text-sm text-slate-100 placeholder:text-slate-600 focus:border-cyan-400 focus:outline-none';
+const labelClass = 'text-[0.65rem] uppercase tracking-[0.18em] text-slate-400';
+const buttonClass = 'rounded-md border border-cyan-400/50 bg-cyan-500/10 px-3 py-2 text-[0.65rem] uppercase tracking-[0.16em] text-cyan-100 transition hover:bg-cyan-500/20 disabled:cursor-not-allowed disabled:opacity-40';
+
+const REFERENCE_TYPES = new Set(['image/png', 'image/jpeg', 'image/webp']);
+const REFERENCE_MAX_BYTES = 1.5 * 1024 * 1024;
+
+const RECORD_SOURCES = {
+    region: { table: 'regions', columns: 'name, display_name', order: 'name', key: 'name', label: (row) => row.display_name || row.name },
+    room: { table: 'rooms', columns: 'id, name, region_name', order: 'name', key: 'id', label: (row) => `${row.name}${row.region_name ? ` · ${row.region_name}` : ''}` },
+    npc: { table: 'npcs', columns: 'id, name', order: 'name', key: 'id', label: (row) => row.name },
+    item: { table: 'object_definitions', columns: 'id, name', order: 'name', key: 'id', label: (row) => row.name },
+};
+
+const emptyForm = () => ({
+    stylePrompt: '', negativePrompt: '', sampler: '', steps: '', cfgScale: '', seedMode: '', seed: '',
+    referenceImage: '', referenceMode: 'img2img', referenceStrength: String(DEFAULT_REFERENCE_STRENGTH), controlNetModule: '', controlNetModel: '',
+});
+
+// Stored profiles only carry the fields they set; the form shows the rest blank.
+const formFromStyle = (style) => Object.fromEntries(Object.entries({ ...emptyForm(), ...normalizeArtStyle(style) }).map(([key, value]) => [key, String(value)]));
+
+function readFileAsDataUrl(file) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(new Error('Could not read that image file.'));
+        reader.readAsDataURL(file);
+    });
+}
+
+export default function ArtStylesEditor() {
+    const spacetime = useMemo(() => getSpacetimeClient(), []);
+    const [styles, setStyles] = useState([]);
+    const [records, setRecords] = useState({ region: [], room: [], npc: [], item: [] });
+    const [target, setTarget] = useState({ kind: 'region', id: '' });
+    const [form, setForm] = useState(emptyForm);
+    const [busy, setBusy] = useState(false);
+    const [message, setMessage] = useState(null);
+
+    const load = useCallback(async () => {
+        const kinds = Object.keys(RECORD_SOURCES);
+        const [styleResult, ...recordResults] = await Promise.all([
+            spacetime.from('art_styles').select('*').order('id'),
+            ...kinds.map((kind) => spacetime.from(RECORD_SOURCES[kind].table).select(RECORD_SOURCES[kind].columns).order(RECORD_SOURCES[kind].order)),
+        ]);
+        const failed = [styleResult, ...recordResults].find((result) => result.error);
+        if (failed) setMessage({ type: 'error', text: failed.error.message || String(failed.error) });
+        setStyles(styleResult.data || []);
+        setRecords(Object.fromEntries(kinds.map((kind, index) => [kind, recordResults[index].data || []])));
+    }, [spacetime]);
+
+    useEffect(() => {
+        load();
+    }, [load]);
+
+    const stylesById = useMemo(() => new Map(styles.map((row) => [row.id, row])), [styles]);
+    const labelOf = useCallback((kind, id) => {
+        const source = RECORD_SOURCES[kind];
+        const row = records[kind]?.find((entry) => entry[source.key] === id);
+        return row ? source.label(row) : id;
+    }, [records]);
+    const currentId = target.id ? artStyleId(target.kind, target.id) : '';
+    const existing = currentId ? stylesById.get(currentId) : null;
+
+    const pick = (kind, id) => {
+        setTarget({ kind, id });
+        setForm(formFromStyle(id ? stylesById.get(artStyleId(kind, id))?.style_json : null));
+        setMessage(null);
+    };
+
+    const setField = (field) => (event) => setForm((value) => ({ ...value, [field]: event.target.value }));
+
+    const run = async (action, success) => {
+        setBusy(true);
+        setMessage(null);
+        try {
+            const { error } = await action();
+            if (error) throw error;
+            await load();
+            setMessage({ type: 'success', text: success });
+            return true;
+        } catch (error) {
+            setMessage({ type: 'error', text: error?.message || String(error) });
+            return false;
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    const save = () => {
+        const style = normalizeArtStyle(form);
+        // The mode and strength have defaults in the form; without an image they say nothing.
+        if (!style.referenceImage) {
+            delete style.referenceMode;
+            delete style.referenceStrength;
+        }
+        const label = `${ART_STYLE_KINDS[target.kind]} · ${labelOf(target.kind, target.id)}`;
+        return run(
+            () => (existing
+                ? spacetime.from('art_styles').update({ style_json: style }).eq('id', currentId)
+                : spacetime.from('art_styles').insert({ target_kind: target.kind, target_id: target.id, style_json: style })),
+            `Saved the art style for ${label}.`,
+        );
+    };
+
+    const remove = () => run(
+        () => spacetime.from('art_styles').delete().eq('id', currentId),
+        'Removed the art style. Images for this record follow its region again.',
+    ).then((removed) => removed && setForm(emptyForm()));
+
+    const uploadReference = async (event) => {
+        const file = event.target.files?.[0];
+        event.target.value = '';
+        if (!file) return;
+        setBusy(true);
+        setMessage(null);
+        try {
+            if (!REFERENCE_TYPES.has(file.type)) throw new Error('Choose a PNG, JPEG, or WebP image.');
+            if (file.size > REFERENCE_MAX_BYTES) throw new Error('Reference images must be 1.5 MB or smaller.');
+            const dataUrl = await readFileAsDataUrl(file);
+            // The server resizes it and keeps full color, then stores it as an asset.
+            const response = await fetch('/api/arkyv/process-image', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ kind: 'reference', dataUrl }),
+            });
+            const processed = await response.json();
+            if (!response.ok) throw new Error(processed.message || processed.error || 'Failed to process image');
+            setForm((value) => ({ ...value, referenceImage: processed.imageUrl }));
+            setMessage({ type: 'success', text: `Stored a ${processed.width}×${processed.height} reference image. Save the style to use it.` });
+        } catch (error) {
+            setMessage({ type: 'error', text: error?.message || String(error) });
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    const source = RECORD_SOURCES[target.kind];
+
+    return (
+        <div className="space-y-6 normal-case tracking-normal">
+            <div>
+                <h3 className="text-sm uppercase tracking-[0.2em] text-cyan-200">Art styles</h3>
+                <p className="mt-1 max-w-3xl text-xs leading-5 text-slate-500">
+                    Give a region one look for every room scene, NPC portrait, and item icon generated for it: a style prompt, things to avoid, sampler settings, a seed, and a reference image. A room, NPC, or item can override single fields; blank fields follow the region. Sampler settings and reference images apply to the local Stable Diffusion and ComfyUI backends.
+                </p>
+            </div>
+
+            {message && (
+                <div className={`rounded-md border px-3 py-2 text-xs ${message.type === 'error' ? 'border-rose-500/40 bg-rose-500/10 text-rose-200' : 'border-emerald-500/40 bg-emerald-500/10 text-emerald-200'}`}>
+                    {message.text}
+                </div>
+            )}
+
+            <section className="space-y-4 rounded-xl border border-slate-700/70 bg-slate-950/35 p-4 sm:p-5">
+                <div className="grid gap-3 md:grid-cols-[180px_1fr]">
+                    <label className={labelClass}>
+                        Applies to
+                        <select value={target.kind} onChange={(event) => pick(event.target.value, '')} className={`${inputClass} mt-2`}>
+                            {Object.entries(ART_STYLE_KINDS).map(([kind, label]) => <option key={kind} value={kind}>{label}</option>)}
+                        </select>
+                    </label>
+                    <label className={labelClass}>
+                        Record
+                        <select value={target.id} onChange={(event) => pick(target.kind, event.target.value)} className={`${inputClass} mt-2 normal-case tracking-normal`}>
+                            <option value="">Choose a {ART_STYLE_KINDS[target.kind].toLowerCase()}</option>
+                            {records[target.kind].map((row) => (
+                                <option key={row[source.key]} value={row[source.key]}>
+                                    {source.label(row)}{stylesById.has(artStyleId(target.kind, row[source.key])) ? ' · styled' : ''}
+                                </option>
+                            ))}
+                        </select>
+                    </label>
+                </div>
+
+                {target.id && (
+                    <>
+                        <label className={`${labelClass} block`}>
+                            Style prompt
+                            <textarea value={form.stylePrompt} onChange={setField('stylePrompt')} maxLength={600} className={`${inputClass} mt-2 min-h-20 normal-case tracking-normal`} placeholder="muted teal and amber palette, heavy dithering, 16-bit" />
+                        </label>
+                        <label className={`${labelClass} block`}>
+                            Negative prompt
+                            <textarea value={form.negativePrompt} onChange={setField('negativePrompt')} maxLength={600} className={`${inputClass} mt-2 min-h-16 normal-case tracking-normal`} placeholder="photorealistic, text, watermark" />
+                        </label>
+                        <div className="grid gap-3 md:grid-cols-3">
+                            <label className={labelClass}>
+                                Sampler
+                                <input value={form.sampler} onChange={setField('sampler')} maxLength={80} className={`${inputClass} mt-2 normal-case tracking-normal`} placeholder="Backend default" />
+                            </label>
+                            <label className={labelClass}>
+                                Steps
+                                <input type="number" min={1} max={150} value={form.steps} onChange={setField('steps')} className={`${inputClass} mt-2`} placeholder="Default" />
+                            </label>
+                            <label className={labelClass}>
+                                CFG scale
+                                <input type="number" min={1} max={30} step={0.5} value={form.cfgScale} onChange={setField('cfgScale')} className={`${inputClass} mt-2`} placeholder="Default" />
+                            </label>
+                        </div>
+                        <div className="grid gap-3 md:grid-cols-2">
+                            <label className={labelClass}>
+                                Seed
+                                <select value={form.seedMode} onChange={setField('seedMode')} className={`${inputClass} mt-2 normal-case tracking-normal`}>
+                                    <option value="">{target.kind === 'region' ? 'New seed every time' : 'Follow the region'}</option>
+                                    {Object.entries(ART_STYLE_SEED_MODES).map(([mode, label]) => <option key={mode} value={mode}>{label}</option>)}
+                                </select>
+                            </label>
+                            <label className={labelClass}>
+                                Base seed
+                                <input type="number" min={0} max={MAX_ART_STYLE_SEED} value={form.seed} onChange={setField('seed')} disabled={form.seedMode === 'random'} className={`${inputClass} mt-2`} placeholder="0" />
+                            </label>
+                        </div>
+
+                        <div className="grid gap-4 rounded-xl border border-cyan-400/20 bg-cyan-500/[0.04] p-4 sm:grid-cols-[128px_1fr]">
+                            <div className="flex aspect-square h-32 w-32 items-center justify-center overflow-hidden rounded-xl border border-cyan-400/30 bg-slate-950 text-xs text-slate-600">
+                                {form.referenceImage ? <div role="img" aria-label="Reference" className="h-full w-full bg-cover bg-center" style={{ backgroundImage: `url(${form.referenceImage})` }} /> : 'No reference'}
+                            </div>
+                            <div className="min-w-0 space-y-3">
+                                <p className="text-xs leading-5 text-slate-500">A reference image steers the composition and palette. Img2img starts each image from it; ControlNet guides the layout and needs a model installed in the WebUI.</p>
+                                <div className="grid gap-3 md:grid-cols-2">
+                                    <label className={labelClass}>
+                                        Use it to
+                                        <select value={form.referenceMode} onChange={setField('referenceMode')} className={`${inputClass} mt-2 normal-case tracking-normal`}>
+                                            {Object.entries(ART_STYLE_REFERENCE_MODES).map(([mode, label]) => <option key={mode} value={mode}>{label}</option>)}
+                                        </select>
+                                    </label>
+                                    <label className={labelClass}>
+                                        Strength · {Number(form.referenceStrength || 0).toFixed(2)}
+                                        <input type="range" min={0} max={1} step={0.05} value={form.referenceStrength} onChange={setField('referenceStrength')} className="mt-4 w-full accent-cyan-400" />
+                                    </label>
+                                </div>
+                                {form.referenceMode === 'controlnet' && (
+                                    <div className="grid gap-3 md:grid-cols-2">
+                                        <label className={labelClass}>
+                                            ControlNet module
+                                            <input value={form.controlNetModule} onChange={setField('controlNetModule')} maxLength={80} className={`${inputClass} mt-2 normal-case tracking-normal`} placeholder="canny" />
+                                        </label>
+                                        <label className={labelClass}>
+                                            ControlNet model
+                                            <input value={form.controlNetModel} onChange={setField('controlNetModel')} maxLength={160} className={`${inputClass} mt-2 normal-case tracking-normal`} placeholder="control_v11p_sd15_canny" />
+                                        </label>
+                                    </div>
+                                )}
+                                <div className="flex flex-wrap gap-2">
+                                    <label className={`${buttonClass} cursor-pointer`}>
+                                        Upload reference
+                                        <input type="file" accept="image/png,image/jpeg,image/webp" disabled={busy} onChange={uploadReference} className="hidden" />
+                                    </label>
+                                    {form.referenceImage && <button type="button" onClick={() => setForm((value) => ({ ...value, referenceImage: '' }))} className="rounded-md border border-slate-600 px-3 py-2 text-[0.65rem] uppercase tracking-[0.16em] text-slate-400 hover:text-white">Remove</button>}
+                                </div>
+                            </div>
+                        </div>
+
+                        <div className="flex flex-wrap gap-2">
+                            <button type="button" disabled={busy} onClick={save} className={buttonClass}>{existing ? 'Save style' : 'Create style'}</button>
+                            {existing && <button type="button" disabled={busy} onClick={remove} className="rounded-md border border-rose-500/50 px-3 py-2 text-[0.65rem] uppercase tracking-[0.16em] text-rose-200 hover:bg-rose-500/10 disabled:opacity-40">Remove style</button>}
+                        </div>
+                    </>
+                )}
+            </section>
+
+            {styles.length > 0 && (
+                <section className="space-y-3 rounded-xl border border-slate-700/70 bg-slate-950/35 p-4 sm:p-5">
+                    <p className={labelClass}>Styled records</p>
+                    <ul className="space-y-1 text-xs">
+                        {styles.map((row) => {
+                            const style = normalizeArtStyle(row.style_json);
+                            return (
+                                <li key={row.id} className="flex items-center justify-between gap-3 border-t border-slate-800 pt-1">
+                                    <span className="min-w-0 truncate text-slate-300">
+                                        {ART_STYLE_KINDS[row.target_kind] || row.target_kind} · {labelOf(row.target_kind, row.target_id)}
+                                        <span className="text-slate-600"> · {Object.keys(style).length} setting(s){style.referenceImage ? ' · reference' : ''}</span>
+                                    </span>
+                                    <button type="button" onClick={() => pick(row.target_kind, row.target_id)} className="text-cyan-200">Edit</button>
+                                </li>
+                            );
+                        })}
+                    </ul>
+                </section>
+            )}
+        </div>
+    );
+}
@@ -1,5 +1,6 @@
 import React, { useCallback, useEffect, useMemo, useRef, useState } from 'react';
 import getSpacetimeClient from '@/lib/spacetimedbClient';
+import { assetUrl, referencedAssetIds } from '@/lib/assetUrls';
 import {
   ENGINE_SYSTEM_TABLES,
   WORLD_CONTENT_PRIMARY_KEYS,
@@ -21,6 +22,7 @@ const SYSTEMS = [
   { table: 'recipe_rules', label: 'Recipe learning & quality', permission: 'economy.manage', key: 'recipe_id', references: { recipe_id: 'crafting_recipes', profession_id: 'profession_definitions' }, template: { recipe_id: '', profession_id: null, required_profession_rank: 0, must_be_learned: true, success_percent: 95, cooldown_seconds: 0 } },
   { table: 'dialogue_nodes', label: 'Dialogue nodes', permission: 'world.manage', key: 'id', references: { npc_id: 'npcs', required_quest_id: 'quest_definitions', required_faction_id: 'faction_definitions' }, template: { id: '', npc_id: '', text: '', entry_node: true, required_quest_id: null, required_faction_id: null, required_reputation: 0, sort_order: 100 } },
   { table: 'dialogue_choices', label: 'Dialogue choices', permission: 'world.manage', key: 'id', references: { node_id: 'dialogue_nodes', next_node_id: 'dialogue_nodes' }, options: { action_kind: ['none', 'start_quest', 'gold', 'reputation', 'give_item', 'learn_recipe', 'learn_profession'] }, template: { id: '', node_id: '', label: '', next_node_id: null, action_kind: 'none', action_reference_id: null, action_value: 0, sort_order: 100 } },
+  { table: 'npc_ai_actions', label: 'AI NPC actions', permission: 'world.manage', key: 'id', references: { npc_id: 'npcs' }, options: { action_kind: ['start_quest', 'gold', 'reputation', 'give_item', 'learn_recipe', 'learn_profession'] }, template: { id: '', npc_id: '', action_kind: 'gold', action_reference_id: null, max_value: 10, uses_per_actor: 1, instructions: '' } },
   { table: 'exit_rules', label: 'Doors, locks & traps', permission: 'world.manage', key: 'exit_id', references: { exit_id: 'exits', key_definition_id: 'object_definitions', required_quest_id: 'quest_definitions', required_option_id: 'character_option_definitions' }, template: { exit_id: '', is_door: true, closed: false, locked: false, key_definition_id: null, hidden: false, trap_damage: 0, required_quest_id: null, required_option_id: null } },
   { table: 'world_triggers', label: 'Conditions & actions', permission: 'world.manage', key: 'id', references: { source_id: 'rooms' }, options: { event_kind: ['room_enter'] }, template: { id: '', event_kind: 'room_enter', source_id: null, conditions_json: { minimum_level: 1 }, actions_json: [{ kind: 'message', text: 'A bell tolls in the distance.' }], once_per_actor: true, active: true } },
   { table: 'world_simulation_configs', label: 'World simulation', permission: 'world.manage', key: 'id', options: { mode: ['turn_driven', 'scheduled'] }, template: { id: 'world', mode: 'turn_driven', tick_seconds: 5, day_length_minutes: 60, weather_enabled: false, active: false } },
@@ -31,6 +33,35 @@ const canUse = (permissions, permission) => permissions?.has?.('*') || permissio
 const pretty = (value) => JSON.stringify(value, null, 2);
 const fieldLabel = (field) => field.replace(/_/g, ' ').replace(/\b\w/g, (character) => character.toUpperCase());
 const referenceLabel = (row) => row.name || row.title || row.label || row.verb || row.id || row.quest_id || row.vendor_stock_id;
+// Imported images are sent in batches that stay under the asset route's body limit.
+const ASSET_BATCH_CHARS = 4_000_000;
+const blobToDataUrl = (blob) => new Promise((resolve, reject) => { const reader = new FileReader(); reader.onload = () => resolve(reader.result); reader.onerror = () => reject(reader.error); reader.readAsDataURL(blob); });
+
+// Exported bundles carry the stored images their rows point at, so they can be
+// imported on another server. An image already missing here is left out.
+async function attachAssets(bundle) {
+  const assets = {};
+  for (const id of referencedAssetIds(bundle.tables)) {
+    const response = await fetch(assetUrl(id));
+    if (response.ok) assets[id] = await blobToDataUrl(await response.blob());
+  }
+  return { ...bundle, assets };
+}
+
+async function uploadAssets(assets) {
+  let batch = {}; let size = 0;
+  const send = async () => {
+    const response = await fetch('/api/arkyv/assets', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ assets: batch }) });
+    const body = await response.json().catch(() => ({}));
+    if (!response.ok) throw new Error(body.message || body.error || 'Could not store the bundle images.');
+    batch = {}; size = 0;
+  };
+  for (const [id, dataUrl] of Object.entries(assets || {})) {
+    if (size > 0 && size + dataUrl.length > ASSET_BATCH_CHARS) await send();
+    batch[id] = dataUrl; size += dataUrl.length;
+  }
+  if (size > 0) await send();
+}
 
 function ConfigField({ field, value, onChange, options, disabled = false }) {
   if (typeof value === 'boolean') {
@@ -153,6 +184,7 @@ export default function EngineSystemsEditor({ enabled, permissions, actors = []
 
   const restoreWorld = async (bundle) => {
     if (bundle?.format !== 'arkyv-world' || !bundle.tables) throw new Error('This is not an Arkyv world bundle.');
+    await uploadAssets(bundle.assets);
     for (const table of portableContentTables) {
       const sourceRecords = Array.isArray(bundle.tables[table]) ? bundle.tables[table] : [];
       const records = table === 'world_objects' ? orderWorldObjectsForRestore(sourceRecords) : sourceRecords;
@@ -188,7 +220,7 @@ export default function EngineSystemsEditor({ enabled, permissions, actors = []
     const configured = selectedSystem?.options?.[field];
     if (configured) return configured;
     let referenceTable = selectedSystem?.references?.[field];
-    if (selectedSystem?.table === 'dialogue_choices' && field === 'action_reference_id') {
+    if (['dialogue_choices', 'npc_ai_actions'].includes(selectedSystem?.table) && field === 'action_reference_id') {
       referenceTable = {
         start_quest: 'quest_definitions',
         reputation: 'faction_definitions',
@@ -233,7 +265,7 @@ export default function EngineSystemsEditor({ enabled, permissions, actors = []
 
       {mayManageWorld && <div className="grid gap-6 xl:grid-cols-2">
         <section className="space-y-4 rounded-xl border border-slate-700 bg-slate-950/35 p-4"><div className="flex flex-wrap items-center justify-between gap-2"><div><h3 className="text-sm uppercase tracking-[0.2em] text-amber-200">Content health</h3><p className="mt-1 text-xs text-slate-500">Broken references, patrol links, empty quests, and unreachable rooms.</p></div><button type="button" disabled={busy} onClick={() => run(() => spacetime.validateWorldContent(), 'World validation completed.')} className={buttonClass}>Run validation</button></div><div className="max-h-80 space-y-2 overflow-auto">{issues.map((issue) => <div key={issue.id} className={`rounded-lg border p-3 text-xs ${issue.severity === 'error' ? 'border-rose-400/30 text-rose-100' : 'border-amber-400/20 text-amber-100'}`}><p className="font-medium uppercase">{issue.severity} · {issue.category} · {issue.record_id}</p><p className="mt-1 text-slate-400">{issue.message}</p></div>)}{issues.length === 0 && <p className="text-xs text-slate-600">No issues recorded. Run validation after editing content.</p>}</div></section>
-        <section className="space-y-4 rounded-xl border border-slate-700 bg-slate-950/35 p-4"><div><h3 className="text-sm uppercase tracking-[0.2em] text-emerald-200">Snapshots & portability</h3><p className="mt-1 text-xs text-slate-500">Create a server-side snapshot, export a portable JSON bundle, or merge one into this world.</p></div><div className="flex flex-wrap gap-2"><button type="button" disabled={busy} onClick={() => run(createSnapshot, 'Snapshot created.')} className={buttonClass}>Create snapshot</button><button type="button" disabled={busy} onClick={async () => download(await collectWorld(), `arkyv-world-${new Date().toISOString().slice(0, 10)}.json`)} className={buttonClass}>Export current</button><button type="button" disabled={busy} onClick={() => importRef.current?.click()} className={buttonClass}>Import & merge</button><input ref={importRef} type="file" accept="application/json,.json" hidden onChange={importFile} /></div><div className="max-h-64 space-y-2 overflow-auto">{snapshots.map((snapshot) => <div key={snapshot.id} className="flex items-center justify-between gap-3 rounded-lg border border-slate-800 p-3 text-xs"><div><p className="text-slate-200">{snapshot.name}</p><p className="mt-1 text-slate-600">{new Date(snapshot.created_at).toLocaleString()}</p></div><div className="flex gap-2"><button type="button" onClick={() => run(() => restoreWorld(snapshot.content_json), 'Snapshot restored and merged.')} className="text-emerald-200">Restore</button><button type="button" onClick={() => download(snapshot.content_json, `${snapshot.id}.json`)} className="text-cyan-200">Export</button><button type="button" onClick={() => run(() => spacetime.deleteWorldSnapshot(snapshot.id), 'Snapshot deleted.')} className="text-rose-200">Delete</button></div></div>)}</div></section>
+        <section className="space-y-4 rounded-xl border border-slate-700 bg-slate-950/35 p-4"><div><h3 className="text-sm uppercase tracking-[0.2em] text-emerald-200">Snapshots & portability</h3><p className="mt-1 text-xs text-slate-500">Create a server-side snapshot, export a portable JSON bundle with its images, or merge one into this world.</p></div><div className="flex flex-wrap gap-2"><button type="button" disabled={busy} onClick={() => run(createSnapshot, 'Snapshot created.')} className={buttonClass}>Create snapshot</button><button type="button" disabled={busy} onClick={() => run(async () => download(await attachAssets(await collectWorld()), `arkyv-world-${new Date().toISOString().slice(0, 10)}.json`), 'World bundle exported.')} className={buttonClass}>Export current</button><button type="button" disabled={busy} onClick={() => importRef.current?.click()} className={buttonClass}>Import & merge</button><input ref={importRef} type="file" accept="application/json,.json" hidden onChange={importFile} /></div><div className="max-h-64 space-y-2 overflow-auto">{snapshots.map((snapshot) => <div key={snapshot.id} className="flex items-center justify-between gap-3 rounded-lg border border-slate-800 p-3 text-xs"><div><p className="text-slate-200">{snapshot.name}</p><p className="mt-1 text-slate-600">{new Date(snapshot.created_at).toLocaleString()}</p></div><div className="flex gap-2"><button type="button" onClick={() => run(() => restoreWorld(snapshot.content_json), 'Snapshot restored and merged.')} className="text-emerald-200">Restore</button><button type="button" onClick={() => run(async () => download(await attachAssets(snapshot.content_json), `${snapshot.id}.json`), 'Snapshot exported.')} className="text-cyan-200">Export</button><button type="button" onClick={() => run(() => spacetime.deleteWorldSnapshot(snapshot.id), 'Snapshot deleted.')} className="text-rose-200">Delete</button></div></div>)}</div></section>
       </div>}
 
       {mayModerate && <div className="grid gap-6 xl:grid-cols-2">
@@ -0,0 +1,98 @@
+import React, { useCallback, useEffect, useState } from 'react';
+
+const labelClass = 'text-[0.65rem] uppercase tracking-[0.18em] text-slate-400';
+const buttonClass = 'rounded-md border border-cyan-400/50 bg-cyan-500/10 px-3 py-2 text-[0.65rem] uppercase tracking-[0.16em] text-cyan-100 transition hover:bg-cyan-500/20 disabled:cursor-not-allowed disabled:opacity-40';
+
+const kilobytes = (bytes) => `${(Number(bytes || 0) / 1024).toFixed(1)} KB`;
+
+async function requestJson(init) {
+    const response = await fetch('/api/arkyv/assets', init);
+    const body = await response.json().catch(() => ({}));
+    if (!response.ok) throw new Error(body.message || body.error || `Request failed with status ${response.status}.`);
+    return body;
+}
+
+export default function ImageAssetsEditor() {
+    const [status, setStatus] = useState(null);
+    const [failures, setFailures] = useState([]);
+    const [busy, setBusy] = useState(false);
+    const [message, setMessage] = useState(null);
+
+    const run = useCallback(async (init, describe) => {
+        setBusy(true);
+        setMessage(null);
+        try {
+            const body = await requestJson(init);
+            setStatus(body);
+            if (describe) {
+                setFailures(body.failed || []);
+                setMessage({ type: body.failed?.length ? 'error' : 'success', text: describe(body) });
+            }
+        } catch (error) {
+            setMessage({ type: 'error', text: error?.message || String(error) });
+        } finally {
+            setBusy(false);
+        }
+    }, []);
+
+    const load = useCallback(() => run(), [run]);
+
+    useEffect(() => {
+        load();
+    }, [load]);
+
+    const migrate = () => run(
+        { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ action: 'migrate' }) },
+        (body) => `Moved ${body.migrated} inline image(s), ${kilobytes(body.inlineBytes)} of row data, into the asset store.${body.failed.length ? ` ${body.failed.length} could not be moved.` : ''}`,
+    );
+
+    const collect = () => run(
+        { method: 'DELETE' },
+        (body) => `Removed ${body.removed} unused asset(s) and freed ${kilobytes(body.freedBytes)}.`,
+    );
+
+    return (
+        <div className="space-y-6 normal-case tracking-normal">
+            <div className="flex flex-wrap items-start justify-between gap-3">
+                <div>
+                    <h3 className="text-sm uppercase tracking-[0.2em] text-cyan-200">Image assets</h3>
+                    <p className="mt-1 max-w-3xl text-xs leading-5 text-slate-500">
+                        Room scenes, NPC portraits, and item art are stored on the web server by content hash. Rows keep a short /api/assets path, so players download only the images they see, and identical images are stored once.
+                    </p>
+                </div>
+                <button type="button" disabled={busy} onClick={load} className={buttonClass}>Refresh</button>
+            </div>
+
+            {message && (
+                <div className={`rounded-md border px-3 py-2 text-xs ${message.type === 'error' ? 'border-rose-500/40 bg-rose-500/10 text-rose-200' : 'border-emerald-500/40 bg-emerald-500/10 text-emerald-200'}`}>
+                    {message.text}
+                </div>
+            )}
+
+            {status && (
+                <div className="grid gap-4 md:grid-cols-2">
+                    <section className="space-y-3 rounded-xl border border-slate-700/70 bg-slate-950/35 p-4 sm:p-5">
+                        <p className={labelClass}>Inline images</p>
+                        <p className="text-2xl text-slate-100">{status.inlineImages.toLocaleString()}</p>
+                        <p className="text-xs leading-5 text-slate-500">Rows that still carry their image as a data URL, which every subscribed client downloads. Moving them is safe to repeat.</p>
+                        <button type="button" disabled={busy || status.inlineImages === 0} onClick={migrate} className={buttonClass}>Move to asset store</button>
+                        {failures.length > 0 && (
+                            <ul className="space-y-1 text-xs text-rose-200">
+                                {failures.map((failure) => <li key={`${failure.table}:${failure.id}`}>{failure.table} · {failure.id}: {failure.error}</li>)}
+                            </ul>
+                        )}
+                    </section>
+
+                    <section className="space-y-3 rounded-xl border border-slate-700/70 bg-slate-950/35 p-4 sm:p-5">
+                        <p className={labelClass}>Stored assets</p>
+                        <p className="text-2xl text-slate-100">{status.assets.toLocaleString()} <span className="text-sm text-slate-500">{kilobytes(status.bytes)}</span></p>
+                        <p className="text-xs leading-5 text-slate-500">
+                            {status.unreferenced.toLocaleString()} ({kilobytes(status.unreferencedBytes)}) are not used by any room, NPC, item, or snapshot. Removing them skips anything stored in the last {status.graceHours} hour(s), in case an editor has not saved it yet.
+                        </p>
+                        <button type="button" disabled={busy || status.unreferenced === 0} onClick={collect} className={buttonClass}>Remove unused</button>
+                    </section>
+                </div>
+            )}
+        </div>
+    );
+}
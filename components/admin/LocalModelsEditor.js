@@ -0,0 +1,147 @@
+import React, { useCallback, useEffect, useState } from 'react';
+
+const inputClass = 'w-full rounded-md border border-slate-600/70 bg-slate-950/70 px-3 py-2 text-sm text-slate-100 placeholder:text-slate-600 focus:border-cyan-400 focus:outline-none';
+const labelClass = 'text-[0.65rem] uppercase tracking-[0.18em] text-slate-400';
+const buttonClass = 'rounded-md border border-cyan-400/50 bg-cyan-500/10 px-3 py-2 text-[0.65rem] uppercase tracking-[0.16em] text-cyan-100 transition hover:bg-cyan-500/20 disabled:cursor-not-allowed disabled:opacity-40';
+
+const SERVER_LABELS = { ollama: 'Ollama', llamacpp: 'llama.cpp server', openai: 'OpenAI-compatible server' };
+const ROLE_HINTS = {
+    fast: 'Names, short suggestions, and NPC replies',
+    smart: 'Room and region writing, summaries',
+    vision: 'Requests that include an image',
+};
+
+const contextLabel = (value) => (value ? `${Number(value).toLocaleString()} ctx` : 'ctx unknown');
+const sizeLabel = (bytes) => (bytes ? `${(Number(bytes) / 1024 ** 3).toFixed(1)} GB` : null);
+
+async function requestJson(init) {
+    const response = await fetch('/api/arkyv/local-models', init);
+    const body = await response.json().catch(() => ({}));
+    if (!response.ok) throw new Error(body.message || body.error || `Request failed with status ${response.status}.`);
+    return body;
+}
+
+export default function LocalModelsEditor() {
+    const [status, setStatus] = useState(null);
+    const [choices, setChoices] = useState({});
+    const [busy, setBusy] = useState(false);
+    const [message, setMessage] = useState(null);
+
+    const apply = useCallback((body) => {
+        setStatus(body);
+        setChoices(Object.fromEntries(body.configured.map((entry) => [entry.role, entry.model])));
+    }, []);
+
+    const load = useCallback(async () => {
+        setBusy(true);
+        setMessage(null);
+        try {
+            apply(await requestJson());
+        } catch (error) {
+            setMessage({ type: 'error', text: error?.message || String(error) });
+        } finally {
+            setBusy(false);
+        }
+    }, [apply]);
+
+    useEffect(() => {
+        load();
+    }, [load]);
+
+    const save = async () => {
+        setBusy(true);
+        setMessage(null);
+        try {
+            const body = await requestJson({ method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(choices) });
+            apply(body);
+            setMessage({
+                type: 'success',
+                text: body.saved
+                    ? 'Models saved to .env.local. The web server uses them now; restart the NPC worker to pick them up.'
+                    : 'Models switched until the web server restarts. There is no .env.local to save them in, so set LOCAL_AI_*_MODEL in the environment to keep them.',
+            });
+        } catch (error) {
+            setMessage({ type: 'error', text: error?.message || String(error) });
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    const changed = status?.configured.some((entry) => choices[entry.role] !== entry.model);
+
+    return (
+        <div className="space-y-6 normal-case tracking-normal">
+            <div className="flex flex-wrap items-start justify-between gap-3">
+                <div>
+                    <h3 className="text-sm uppercase tracking-[0.2em] text-cyan-200">AI models</h3>
+                    <p className="mt-1 max-w-3xl text-xs leading-5 text-slate-500">
+                        The models installed on the local text server that AI_PROVIDER=local uses, and which one answers each kind of request. Set LOCAL_AI_SERVER to ollama or llamacpp to see context lengths and model details.
+                    </p>
+                </div>
+                <button type="button" disabled={busy} onClick={load} className={buttonClass}>Refresh</button>
+            </div>
+
+            {message && (
+                <div className={`rounded-md border px-3 py-2 text-xs ${message.type === 'error' ? 'border-rose-500/40 bg-rose-500/10 text-rose-200' : 'border-emerald-500/40 bg-emerald-500/10 text-emerald-200'}`}>
+                    {message.text}
+                </div>
+            )}
+
+            {status && (
+                <section className="space-y-4 rounded-xl border border-slate-700/70 bg-slate-950/35 p-4 sm:p-5">
+                    <div>
+                        <p className={labelClass}>{SERVER_LABELS[status.server] || status.server}</p>
+                        <p className="mt-1 text-xs text-slate-400">{status.baseUrl}</p>
+                        {!status.inChain && <p className="mt-2 text-xs text-amber-200">AI_PROVIDER does not include local, so these models are not used yet.</p>}
+                        {!status.reachable && <p className="mt-2 text-xs text-rose-200">Not reachable: {status.error}</p>}
+                    </div>
+
+                    {status.reachable && (
+                        <div className="grid gap-3 md:grid-cols-[repeat(3,1fr)_auto]">
+                            {status.configured.map((entry) => (
+                                <label key={entry.role} className={labelClass}>
+                                    {entry.role}
+                                    <select value={choices[entry.role] || ''} onChange={(event) => setChoices((value) => ({ ...value, [entry.role]: event.target.value }))} className={`${inputClass} mt-2 normal-case tracking-normal`}>
+                                        {!entry.installed && <option value={entry.model}>{entry.model || 'Not set'} (not installed)</option>}
+                                        {status.models.map((model) => <option key={model.name} value={model.name}>{model.name} · {contextLabel(model.contextLength)}</option>)}
+                                    </select>
+                                    <span className="mt-1 block normal-case tracking-normal text-slate-600">{ROLE_HINTS[entry.role]}</span>
+                                    {entry.servedBy && <span className="mt-1 block normal-case tracking-normal text-amber-200">Answered by the loaded model, {entry.servedBy}</span>}
+                                </label>
+                            ))}
+                            <div className="flex items-start pt-6">
+                                <button type="button" disabled={busy || !changed} onClick={save} className={buttonClass}>Use these models</button>
+                            </div>
+                        </div>
+                    )}
+
+                    {status.reachable && status.configured.some((entry) => !entry.installed) && status.server === 'ollama' && (
+                        <p className="text-xs text-amber-200">
+                            Missing models fail every request that uses them. Pull them with {status.configured.filter((entry) => !entry.installed && entry.model).map((entry) => `ollama pull ${entry.model}`).join(', ')}, or choose an installed model above.
+                        </p>
+                    )}
+                </section>
+            )}
+
+            {status?.reachable && (
+                <section className="space-y-3 rounded-xl border border-slate-700/70 bg-slate-950/35 p-4 sm:p-5">
+                    <h4 className="text-xs uppercase tracking-[0.2em] text-emerald-200">Installed models</h4>
+                    {status.models.length === 0 && <p className="text-xs text-slate-600">The server has no models yet.</p>}
+                    <table className="w-full text-left text-xs">
+                        <tbody>
+                            {status.models.map((model) => (
+                                <tr key={model.name} className="border-t border-slate-800">
+                                    <td className="py-2 pr-3 text-slate-200">{model.name}</td>
+                                    <td className="py-2 pr-3 text-slate-400">{[model.family, model.parameterSize, model.quantization].filter(Boolean).join(' · ')}</td>
+                                    <td className="py-2 pr-3 text-slate-400">{model.capabilities.filter((capability) => capability !== 'completion').join(', ')}</td>
+                                    <td className="py-2 pr-3 text-right text-slate-400">{contextLabel(model.contextLength)}</td>
+                                    <td className="py-2 text-right text-slate-500">{sizeLabel(model.size)}</td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </section>
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,227 @@
+import React, { useCallback, useEffect, useMemo, useState } from 'react';
+import getSpacetimeClient from '@/lib/spacetimedbClient';
+
+const inputClass = 'w-full rounded-md border border-slate-600/70 bg-slate-950/70 px-3 py-2 text-sm text-slate-100 placeholder:text-slate-600 focus:border-cyan-400 focus:outline-none';
+const buttonClass = 'rounded-md border border-cyan-400/50 bg-cyan-500/10 px-3 py-2 text-[0.65rem] uppercase tracking-[0.16em] text-cyan-100 transition hover:bg-cyan-500/20 disabled:cursor-not-allowed disabled:opacity-40';
+
+const freshId = (prefix) => `${prefix}-${globalThis.crypto?.randomUUID?.() || Date.now()}`;
+
+const emptyAction = (npcId) => ({
+    id: freshId(`${npcId}-ai-action`),
+    npc_id: npcId,
+    action_kind: 'gold',
+    action_reference_id: null,
+    max_value: 10,
+    uses_per_actor: 1,
+    instructions: '',
+});
+
+const actionLabels = {
+    start_quest: 'Offer quest',
+    gold: 'Give gold',
+    reputation: 'Change reputation',
+    give_item: 'Give item',
+    learn_recipe: 'Teach recipe',
+    learn_profession: 'Teach profession',
+};
+
+const valueLabels = {
+    gold: 'Most gold per reply',
+    give_item: 'Most items per reply',
+    reputation: 'Largest change per reply',
+    learn_profession: 'Starting rank',
+};
+
+export default function NpcAiActionsEditor({ npcId, npcName }) {
+    const spacetime = useMemo(() => getSpacetimeClient(), []);
+    const [actions, setActions] = useState([]);
+    const [references, setReferences] = useState({});
+    const [form, setForm] = useState(null);
+    const [busy, setBusy] = useState(false);
+    const [message, setMessage] = useState(null);
+
+    const load = useCallback(async () => {
+        const [actionResult, questResult, factionResult, itemResult, recipeResult, professionResult] = await Promise.all([
+            spacetime.from('npc_ai_actions').select('*').eq('npc_id', npcId),
+            spacetime.from('quest_definitions').select('id, title').order('title'),
+            spacetime.from('faction_definitions').select('id, name').order('name'),
+            spacetime.from('object_definitions').select('id, name').order('name'),
+            spacetime.from('crafting_recipes').select('id, name').order('name'),
+            spacetime.from('profession_definitions').select('id, name').order('name'),
+        ]);
+        if (actionResult.error) throw actionResult.error;
+        setActions([...(actionResult.data || [])].sort((left, right) => String(left.created_at).localeCompare(String(right.created_at))));
+        setReferences({
+            start_quest: questResult.data || [],
+            reputation: factionResult.data || [],
+            give_item: itemResult.data || [],
+            learn_recipe: recipeResult.data || [],
+            learn_profession: professionResult.data || [],
+        });
+        setForm(null);
+    }, [npcId, spacetime]);
+
+    useEffect(() => {
+        let active = true;
+        setMessage(null);
+        load().catch((error) => {
+            if (active) setMessage({ type: 'error', text: error?.message || String(error) });
+        });
+        return () => { active = false; };
+    }, [load]);
+
+    const run = async (operation, success) => {
+        setBusy(true);
+        setMessage(null);
+        try {
+            const result = await operation();
+            if (result?.error) throw result.error;
+            await load();
+            setMessage({ type: 'success', text: success });
+        } catch (error) {
+            setMessage({ type: 'error', text: error?.message || String(error) });
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    const referenceName = (action) => {
+        const reference = (references[action.action_kind] || []).find((row) => row.id === action.action_reference_id);
+        return reference?.title || reference?.name || action.action_reference_id;
+    };
+
+    const saveAction = () => {
+        const needsReference = Boolean(references[form.action_kind]);
+        if (needsReference && !form.action_reference_id) {
+            setMessage({ type: 'error', text: 'Choose what this action hands out.' });
+            return;
+        }
+        const payload = {
+            ...form,
+            npc_id: npcId,
+            action_reference_id: needsReference ? form.action_reference_id : null,
+            max_value: Math.max(0, Number(form.max_value) || 0),
+            uses_per_actor: Math.max(0, Number(form.uses_per_actor) || 0),
+            instructions: form.instructions.trim(),
+        };
+        run(
+            () => spacetime.configureEngineRecord('npc_ai_actions', payload),
+            actions.some((action) => action.id === payload.id) ? 'AI action saved.' : 'AI action added.',
+        );
+    };
+
+    const deleteAction = () => {
+        if (!form?.id || !actions.some((action) => action.id === form.id)) return;
+        run(() => spacetime.deleteEngineRecord('npc_ai_actions', form.id), 'AI action removed.');
+    };
+
+    const referenceOptions = form ? references[form.action_kind] : null;
+
+    return (
+        <section className="md:col-span-2 rounded-xl border border-amber-400/25 bg-amber-500/[0.04] p-4 normal-case tracking-normal">
+            <div className="flex flex-wrap items-start justify-between gap-3">
+                <div>
+                    <p className="text-xs uppercase tracking-[0.24em] text-amber-200">AI actions</p>
+                    <p className="mt-2 max-w-3xl text-xs leading-5 text-slate-400">
+                        What {npcName || 'this NPC'} may do on its own during AI conversations. The model decides when to use an action; the server checks every call against the limits below before anything changes.
+                    </p>
+                </div>
+                <button type="button" onClick={() => { setForm(emptyAction(npcId)); setMessage(null); }} disabled={busy} className={buttonClass}>Add action</button>
+            </div>
+
+            {message && (
+                <div className={`mt-4 rounded-md border px-3 py-2 text-xs ${message.type === 'error' ? 'border-rose-500/40 bg-rose-500/10 text-rose-200' : 'border-emerald-500/40 bg-emerald-500/10 text-emerald-200'}`}>
+                    {message.text}
+                </div>
+            )}
+
+            <div className="mt-4 flex flex-wrap gap-2">
+                {actions.length === 0 && (
+                    <p className="w-full rounded-lg border border-dashed border-slate-700 p-3 text-xs leading-5 text-slate-500">
+                        No actions yet. Without any, this NPC can only talk.
+                    </p>
+                )}
+                {actions.map((action) => (
+                    <button
+                        key={action.id}
+                        type="button"
+                        onClick={() => { setForm({ ...action, instructions: action.instructions || '' }); setMessage(null); }}
+                        className={`rounded-full border px-3 py-1.5 text-xs ${form?.id === action.id ? 'border-amber-300/60 bg-amber-500/10 text-amber-100' : 'border-slate-700 text-slate-300 hover:border-slate-500'}`}
+                    >
+                        {actionLabels[action.action_kind] || action.action_kind}{action.action_reference_id ? `: ${referenceName(action)}` : ''}
+                    </button>
+                ))}
+            </div>
+
+            {form && (
+                <div className="mt-4 space-y-3 rounded-lg border border-slate-700 bg-slate-950/35 p-4">
+                    <div className="grid gap-3 sm:grid-cols-2">
+                        <label className="text-[0.65rem] uppercase tracking-[0.18em] text-slate-400">
+                            Action
+                            <select
+                                value={form.action_kind}
+                                onChange={(event) => setForm((value) => ({ ...value, action_kind: event.target.value, action_reference_id: null }))}
+                                className={`${inputClass} mt-2 normal-case tracking-normal`}
+                            >
+                                {Object.entries(actionLabels).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+                            </select>
+                        </label>
+                        {referenceOptions && (
+                            <label className="text-[0.65rem] uppercase tracking-[0.18em] text-slate-400">
+                                Target
+                                <select
+                                    value={form.action_reference_id || ''}
+                                    onChange={(event) => setForm((value) => ({ ...value, action_reference_id: event.target.value || null }))}
+                                    className={`${inputClass} mt-2 normal-case tracking-normal`}
+                                >
+                                    <option value="">Choose...</option>
+                                    {referenceOptions.map((option) => <option key={option.id} value={option.id}>{option.title || option.name || option.id}</option>)}
+                                </select>
+                            </label>
+                        )}
+                        {valueLabels[form.action_kind] && (
+                            <label className="text-[0.65rem] uppercase tracking-[0.18em] text-slate-400">
+                                {valueLabels[form.action_kind]}
+                                <input
+                                    type="number"
+                                    min="0"
+                                    value={form.max_value}
+                                    onChange={(event) => setForm((value) => ({ ...value, max_value: event.target.value }))}
+                                    className={`${inputClass} mt-2`}
+                                />
+                            </label>
+                        )}
+                        <label className="text-[0.65rem] uppercase tracking-[0.18em] text-slate-400">
+                            Uses per player (0 = unlimited)
+                            <input
+                                type="number"
+                                min="0"
+                                value={form.uses_per_actor}
+                                onChange={(event) => setForm((value) => ({ ...value, uses_per_actor: event.target.value }))}
+                                className={`${inputClass} mt-2`}
+                            />
+                        </label>
+                    </div>
+                    <label className="block text-[0.65rem] uppercase tracking-[0.18em] text-slate-400">
+                        When to use it
+                        <textarea
+                            value={form.instructions}
+                            onChange={(event) => setForm((value) => ({ ...value, instructions: event.target.value }))}
+                            rows={2}
+                            maxLength={300}
+                            placeholder="Only after the player returns the ferryman's lantern."
+                            className={`${inputClass} mt-2 normal-case tracking-normal`}
+                        />
+                    </label>
+                    <div className="flex flex-wrap justify-between gap-2">
+                        <button type="button" onClick={deleteAction} disabled={busy || !actions.some((action) => action.id === form.id)} className="rounded-md border border-rose-500/50 px-3 py-2 text-[0.65rem] uppercase tracking-[0.16em] text-rose-200 disabled:opacity-30">Remove action</button>
+                        <div className="flex gap-2">
+                            <button type="button" onClick={() => setForm(null)} disabled={busy} className="rounded-md border border-slate-600 px-3 py-2 text-[0.65rem] uppercase tracking-[0.16em] text-slate-300">Cancel</button>
+                            <button type="button" onClick={saveAction} disabled={busy} className={buttonClass}>{busy ? 'Saving...' : 'Save action'}</button>
+                        </div>
+                    </div>
+                </div>
+            )}
+        </section>
+    );
+}
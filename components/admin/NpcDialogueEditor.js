@@ -41,7 +41,7 @@ const actionLabels = {
     learn_profession: 'Teach profession',
 };
 
-export default function NpcDialogueEditor({ npcId, npcName, npcAlias }) {
+export default function NpcDialogueEditor({ npcId, npcName, npcAlias, dialogueMode = 'authored', onDialogueModeChange }) {
     const spacetime = useMemo(() => getSpacetimeClient(), []);
     const [nodes, setNodes] = useState([]);
     const [choices, setChoices] = useState([]);
@@ -195,6 +195,7 @@ export default function NpcDialogueEditor({ npcId, npcName, npcAlias }) {
     };
 
     const authoredActive = nodes.some((node) => node.entry_node);
+    const hybrid = dialogueMode === 'hybrid';
     const selectedChoices = choices.filter((choice) => choice.node_id === selectedNodeId);
     const actionReferenceOptions = choiceForm?.action_kind === 'start_quest' ? quests
         : choiceForm?.action_kind === 'reputation' ? factions
@@ -216,10 +217,27 @@ export default function NpcDialogueEditor({ npcId, npcName, npcAlias }) {
                     </p>
                 </div>
                 <span className={`rounded-full border px-3 py-1 text-[0.62rem] uppercase tracking-[0.18em] ${authoredActive ? 'border-emerald-400/40 bg-emerald-500/10 text-emerald-200' : 'border-amber-400/40 bg-amber-500/10 text-amber-200'}`}>
-                    {authoredActive ? 'Authored replies active' : 'AI replies active'}
+                    {authoredActive ? (hybrid ? 'Authored + AI replies' : 'Authored replies active') : 'AI replies active'}
                 </span>
             </div>
 
+            {onDialogueModeChange && (
+                <label className="mt-4 block max-w-xl text-[0.65rem] uppercase tracking-[0.18em] text-slate-400">
+                    Off-script player input
+                    <select
+                        value={hybrid ? 'hybrid' : 'authored'}
+                        onChange={(event) => onDialogueModeChange(event.target.value)}
+                        className={`${inputClass} mt-2 normal-case tracking-normal`}
+                    >
+                        <option value="authored">Authored only: players must pick a listed response</option>
+                        <option value="hybrid">Hybrid: match free text to a response, or let the AI improvise</option>
+                    </select>
+                    <span className="mt-1 block normal-case tracking-normal text-slate-500">
+                        In hybrid mode, free text that means the same as a listed response runs it. Anything else gets an AI reply that stays in the current line and steers back to its responses. Saved with the NPC.
+                    </span>
+                </label>
+            )}
+
             {message && (
                 <div className={`mt-4 rounded-md border px-3 py-2 text-xs ${message.type === 'error' ? 'border-rose-500/40 bg-rose-500/10 text-rose-200' : 'border-emerald-500/40 bg-emerald-500/10 text-emerald-200'}`}>
                     {message.text}
@@ -0,0 +1,177 @@
+import React, { useCallback, useEffect, useMemo, useState } from 'react';
+import getSpacetimeClient from '@/lib/spacetimedbClient';
+import { NPC_MEMORY_FACT_LIMIT, parseKeyFacts, parseRecentExchanges, sentimentLabel } from '@/lib/npcMemory';
+
+const inputClass = 'w-full rounded-md border border-slate-600/70 bg-slate-950/70 px-3 py-2 text-sm text-slate-100 placeholder:text-slate-600 focus:border-cyan-400 focus:outline-none';
+const buttonClass = 'rounded-md border border-cyan-400/50 bg-cyan-500/10 px-3 py-2 text-[0.65rem] uppercase tracking-[0.16em] text-cyan-100 transition hover:bg-cyan-500/20 disabled:cursor-not-allowed disabled:opacity-40';
+
+const memoryForm = (memory) => ({
+    summary: memory.summary || '',
+    key_facts: parseKeyFacts(memory.key_facts).join('\n'),
+    sentiment: memory.sentiment ?? 0,
+});
+
+const byLastTalked = (left, right) => String(right.last_talked_at || '').localeCompare(String(left.last_talked_at || ''));
+
+export default function NpcMemoryEditor({ npcId, npcName }) {
+    const spacetime = useMemo(() => getSpacetimeClient(), []);
+    const [memories, setMemories] = useState([]);
+    const [actorNames, setActorNames] = useState({});
+    const [selectedId, setSelectedId] = useState('');
+    const [form, setForm] = useState(null);
+    const [busy, setBusy] = useState(false);
+    const [message, setMessage] = useState(null);
+
+    const load = useCallback(async (preferredId = '') => {
+        const [memoryResult, characterResult, profileResult] = await Promise.all([
+            spacetime.from('npc_memories').select('*').eq('npc_id', npcId),
+            spacetime.from('characters').select('id, name'),
+            spacetime.from('profiles').select('id, handle, name'),
+        ]);
+        if (memoryResult.error) throw memoryResult.error;
+        const nextMemories = [...(memoryResult.data || [])].sort(byLastTalked);
+        setMemories(nextMemories);
+        setActorNames(Object.fromEntries([
+            ...(profileResult.data || []).map((profile) => [profile.id, profile.name || profile.handle || 'Player']),
+            ...(characterResult.data || []).map((character) => [character.id, character.name]),
+        ]));
+        const selected = nextMemories.find((memory) => memory.id === preferredId) || nextMemories[0];
+        setSelectedId(selected?.id || '');
+        setForm(selected ? memoryForm(selected) : null);
+    }, [npcId, spacetime]);
+
+    useEffect(() => {
+        let active = true;
+        setMessage(null);
+        load().catch((error) => {
+            if (active) setMessage({ type: 'error', text: error?.message || String(error) });
+        });
+        return () => { active = false; };
+    }, [load]);
+
+    const run = async (operation, success, preferredId = selectedId) => {
+        setBusy(true);
+        setMessage(null);
+        try {
+            const result = await operation();
+            if (result?.error) throw result.error;
+            await load(preferredId);
+            setMessage({ type: 'success', text: success });
+        } catch (error) {
+            setMessage({ type: 'error', text: error?.message || String(error) });
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    const selected = memories.find((memory) => memory.id === selectedId);
+    const pendingLines = selected ? parseRecentExchanges(selected.recent_exchanges).length : 0;
+
+    const chooseMemory = (memory) => {
+        setSelectedId(memory.id);
+        setForm(memoryForm(memory));
+        setMessage(null);
+    };
+
+    const saveMemory = () => {
+        const keyFacts = form.key_facts.split('\n').map((fact) => fact.trim()).filter(Boolean);
+        if (keyFacts.length > NPC_MEMORY_FACT_LIMIT) {
+            setMessage({ type: 'error', text: `Keep at most ${NPC_MEMORY_FACT_LIMIT} key facts.` });
+            return;
+        }
+        run(
+            () => spacetime.updateNpcMemory(selectedId, { summary: form.summary.trim(), key_facts: keyFacts, sentiment: form.sentiment }),
+            'Memory saved.',
+        );
+    };
+
+    const forgetMemory = () => {
+        if (!selectedId || !window.confirm(`Make ${npcName || 'this NPC'} forget everything about ${actorNames[selected?.actor_id] || 'this player'}?`)) return;
+        run(() => spacetime.forgetNpcMemory(selectedId), 'Memory forgotten.', '');
+    };
+
+    return (
+        <section className="md:col-span-2 rounded-xl border border-violet-400/25 bg-violet-500/[0.04] p-4 normal-case tracking-normal">
+            <div>
+                <p className="text-xs uppercase tracking-[0.24em] text-violet-200">Player memories</p>
+                <p className="mt-2 max-w-3xl text-xs leading-5 text-slate-400">
+                    What {npcName || 'this NPC'} remembers about each player after AI conversations. The NPC worker updates a memory once a conversation goes quiet; edits here are used from the next reply on.
+                </p>
+            </div>
+
+            {message && (
+                <div className={`mt-4 rounded-md border px-3 py-2 text-xs ${message.type === 'error' ? 'border-rose-500/40 bg-rose-500/10 text-rose-200' : 'border-emerald-500/40 bg-emerald-500/10 text-emerald-200'}`}>
+                    {message.text}
+                </div>
+            )}
+
+            {memories.length === 0 ? (
+                <p className="mt-4 rounded-lg border border-dashed border-slate-700 p-3 text-xs leading-5 text-slate-500">
+                    No memories yet. They appear after a player talks with this NPC through the AI.
+                </p>
+            ) : (
+                <div className="mt-4 grid gap-4 lg:grid-cols-[240px_minmax(0,1fr)]">
+                    <div className="space-y-2">
+                        {memories.map((memory) => (
+                            <button
+                                key={memory.id}
+                                type="button"
+                                onClick={() => chooseMemory(memory)}
+                                className={`w-full rounded-lg border p-3 text-left transition ${selectedId === memory.id ? 'border-violet-300/60 bg-violet-500/10' : 'border-slate-700 bg-slate-950/40 hover:border-slate-500'}`}
+                            >
+                                <span className="block truncate text-xs text-slate-100">{actorNames[memory.actor_id] || memory.actor_id}</span>
+                                <span className="mt-1 block text-[0.6rem] uppercase tracking-[0.16em] text-slate-500">
+                                    {sentimentLabel(memory.sentiment)} · {memory.conversations} conversation(s)
+                                </span>
+                            </button>
+                        ))}
+                    </div>
+
+                    {form && (
+                        <div className="space-y-4 rounded-lg border border-slate-700 bg-slate-950/35 p-4">
+                            <label className="block text-[0.65rem] uppercase tracking-[0.18em] text-slate-400">
+                                Summary
+                                <textarea
+                                    value={form.summary}
+                                    onChange={(event) => setForm((value) => ({ ...value, summary: event.target.value }))}
+                                    rows={4}
+                                    maxLength={1200}
+                                    placeholder={`What ${npcName || 'the NPC'} remembers, in their own words`}
+                                    className={`${inputClass} mt-2 normal-case tracking-normal`}
+                                />
+                            </label>
+                            <label className="block text-[0.65rem] uppercase tracking-[0.18em] text-slate-400">
+                                Key facts, one per line
+                                <textarea
+                                    value={form.key_facts}
+                                    onChange={(event) => setForm((value) => ({ ...value, key_facts: event.target.value }))}
+                                    rows={4}
+                                    placeholder="Promised to bring back the ferryman's lantern"
+                                    className={`${inputClass} mt-2 normal-case tracking-normal`}
+                                />
+                            </label>
+                            <label className="block text-[0.65rem] uppercase tracking-[0.18em] text-slate-400">
+                                Sentiment: {form.sentiment} ({sentimentLabel(form.sentiment)})
+                                <input
+                                    type="range"
+                                    min="-100"
+                                    max="100"
+                                    value={form.sentiment}
+                                    onChange={(event) => setForm((value) => ({ ...value, sentiment: Number(event.target.value) }))}
+                                    className="mt-2 w-full accent-violet-400"
+                                />
+                            </label>
+                            {pendingLines > 0 && (
+                                <p className="text-xs text-slate-500">{pendingLines} recent line(s) are waiting to be summarized.</p>
+                            )}
+                            <div className="flex flex-wrap justify-between gap-2">
+                                <button type="button" onClick={forgetMemory} disabled={busy} className="rounded-md border border-rose-500/50 px-3 py-2 text-[0.65rem] uppercase tracking-[0.16em] text-rose-200 disabled:opacity-30">Forget player</button>
+                                <button type="button" onClick={saveMemory} disabled={busy} className={buttonClass}>{busy ? 'Saving...' : 'Save memory'}</button>
+                            </div>
+                        </div>
+                    )}
+                </div>
+            )}
+        </section>
+    );
+}
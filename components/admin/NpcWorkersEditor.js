@@ -0,0 +1,93 @@
+import React, { useCallback, useEffect, useMemo, useState } from 'react';
+import getSpacetimeClient from '@/lib/spacetimedbClient';
+
+const inputClass = 'w-full rounded-md border border-slate-600/70 bg-slate-950/70 px-3 py-2 text-sm text-slate-100 placeholder:text-slate-600 focus:border-cyan-400 focus:outline-none';
+const labelClass = 'text-[0.65rem] uppercase tracking-[0.18em] text-slate-400';
+const buttonClass = 'rounded-md border border-cyan-400/50 bg-cyan-500/10 px-3 py-2 text-[0.65rem] uppercase tracking-[0.16em] text-cyan-100 transition hover:bg-cyan-500/20 disabled:cursor-not-allowed disabled:opacity-40';
+
+const NPC_WORKER_ROLE = 'npc_worker';
+
+export default function NpcWorkersEditor() {
+    const spacetime = useMemo(() => getSpacetimeClient(), []);
+    const [workers, setWorkers] = useState([]);
+    const [form, setForm] = useState({ identity: '', label: '' });
+    const [busy, setBusy] = useState(false);
+    const [message, setMessage] = useState(null);
+
+    const load = useCallback(async () => {
+        const { data, error } = await spacetime.from('npc_workers').select('*').order('created_at');
+        if (error) setMessage({ type: 'error', text: error.message || String(error) });
+        setWorkers(data || []);
+    }, [spacetime]);
+
+    useEffect(() => {
+        load();
+    }, [load]);
+
+    const run = async (action, success) => {
+        setBusy(true);
+        setMessage(null);
+        try {
+            const { error } = await action();
+            if (error) throw error;
+            await load();
+            setMessage({ type: 'success', text: success });
+        } catch (error) {
+            setMessage({ type: 'error', text: error?.message || String(error) });
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    const approve = (identity, label = '') => run(() => spacetime.approveNpcWorker(identity.trim(), label), 'NPC worker approved. It answers queued conversations from now on.');
+    const revoke = (identity) => run(() => spacetime.revokeNpcWorker(identity), 'NPC worker removed.');
+
+    return (
+        <div className="space-y-4 rounded-xl border border-slate-700 bg-slate-950/35 p-4">
+            <div>
+                <h3 className="text-sm uppercase tracking-[0.22em] text-purple-200">NPC dialogue workers</h3>
+                <p className="mt-1 text-xs leading-5 text-slate-500">
+                    A worker answers AI NPC conversations, reads NPC memories, and applies the game actions NPCs take, so it only starts once it is approved here. A new worker asks for the role when it connects and logs its identity. Identities that own characters or hold administrator access cannot be approved.
+                </p>
+            </div>
+
+            {message && (
+                <div className={`rounded-md border px-3 py-2 text-xs ${message.type === 'error' ? 'border-rose-500/40 bg-rose-500/10 text-rose-200' : 'border-emerald-500/40 bg-emerald-500/10 text-emerald-200'}`}>
+                    {message.text}
+                </div>
+            )}
+
+            {workers.length > 0 && (
+                <ul className="space-y-1 text-xs">
+                    {workers.map((worker) => (
+                        <li key={worker.identity} className="flex flex-wrap items-center justify-between gap-3 border-t border-slate-800 pt-1">
+                            <span className="min-w-0 truncate text-slate-300">
+                                {worker.label}
+                                <span className="text-slate-600"> · {worker.identity.slice(0, 16)}…</span>
+                                {worker.role === NPC_WORKER_ROLE ? <span className="text-emerald-300"> · approved</span> : <span className="text-amber-200"> · waiting for approval</span>}
+                            </span>
+                            <span className="flex gap-3">
+                                {worker.role !== NPC_WORKER_ROLE && <button type="button" disabled={busy} onClick={() => approve(worker.identity)} className="text-cyan-200">Approve</button>}
+                                <button type="button" disabled={busy} onClick={() => revoke(worker.identity)} className="text-rose-300">{worker.role === NPC_WORKER_ROLE ? 'Revoke' : 'Decline'}</button>
+                            </span>
+                        </li>
+                    ))}
+                </ul>
+            )}
+
+            <div className="grid gap-3 sm:grid-cols-[2fr_1fr_auto]">
+                <label className={labelClass}>
+                    Worker identity
+                    <input value={form.identity} onChange={(event) => setForm((value) => ({ ...value, identity: event.target.value }))} className={`${inputClass} mt-2 font-mono normal-case tracking-normal`} placeholder="Hex identity from the worker log" />
+                </label>
+                <label className={labelClass}>
+                    Label
+                    <input value={form.label} onChange={(event) => setForm((value) => ({ ...value, label: event.target.value }))} maxLength={80} className={`${inputClass} mt-2 normal-case tracking-normal`} placeholder="NPC dialogue worker" />
+                </label>
+                <div className="flex items-end">
+                    <button type="button" disabled={busy || !form.identity.trim()} onClick={() => approve(form.identity, form.label)} className={buttonClass}>Approve</button>
+                </div>
+            </div>
+        </div>
+    );
+}
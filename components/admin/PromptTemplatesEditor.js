@@ -0,0 +1,221 @@
+import React, { useCallback, useEffect, useMemo, useState } from 'react';
+import getSpacetimeClient from '@/lib/spacetimedbClient';
+import { PROMPT_SUBJECTS, PROMPT_TEMPLATES, renderPromptMessages } from '@/lib/promptTemplates';
+
+const inputClass = 'w-full rounded-md border border-slate-600/70 bg-slate-950/70 px-3 py-2 text-sm text-slate-100 placeholder:text-slate-600 focus:border-cyan-400 focus:outline-none';
+const labelClass = 'text-[0.65rem] uppercase tracking-[0.18em] text-slate-400';
+const buttonClass = 'rounded-md border border-cyan-400/50 bg-cyan-500/10 px-3 py-2 text-[0.65rem] uppercase tracking-[0.16em] text-cyan-100 transition hover:bg-cyan-500/20 disabled:cursor-not-allowed disabled:opacity-40';
+
+const SAMPLE = 'sample';
+const SUBJECT_TABLES = { room: 'rooms', region: 'regions', npc: 'npcs' };
+
+const recordKey = (subject, record) => (subject === 'region' ? record.name : record.id);
+const recordLabel = (subject, record) => (subject === 'region' ? record.display_name || record.name : record.name || record.id);
+
+export default function PromptTemplatesEditor() {
+    const spacetime = useMemo(() => getSpacetimeClient(), []);
+    const [overrides, setOverrides] = useState([]);
+    const [versions, setVersions] = useState([]);
+    const [records, setRecords] = useState({ rooms: [], regions: [], npcs: [] });
+    const [templateId, setTemplateId] = useState(Object.keys(PROMPT_TEMPLATES)[0]);
+    const [draft, setDraft] = useState(null);
+    const [sampleKey, setSampleKey] = useState(SAMPLE);
+    const [busy, setBusy] = useState(false);
+    const [message, setMessage] = useState(null);
+
+    const load = useCallback(async () => {
+        const [overrideResult, versionResult, roomResult, regionResult, npcResult] = await Promise.all([
+            spacetime.from('prompt_templates').select('*'),
+            spacetime.from('prompt_template_versions').select('*'),
+            spacetime.from('rooms').select('id, name, description, region, region_name').order('name'),
+            spacetime.from('regions').select('name, display_name, description, color_scheme').order('name'),
+            spacetime.from('npcs').select('id, name, alias, description, current_room, dialogue_tree').order('name'),
+        ]);
+        if (overrideResult.error) throw overrideResult.error;
+        if (versionResult.error) throw versionResult.error;
+        setOverrides(overrideResult.data || []);
+        setVersions(versionResult.data || []);
+        setRecords({ rooms: roomResult.data || [], regions: regionResult.data || [], npcs: npcResult.data || [] });
+    }, [spacetime]);
+
+    useEffect(() => {
+        let active = true;
+        load().catch((error) => {
+            if (active) setMessage({ type: 'error', text: error?.message || String(error) });
+        });
+        return () => { active = false; };
+    }, [load]);
+
+    const template = PROMPT_TEMPLATES[templateId];
+    const subject = PROMPT_SUBJECTS[template.subject];
+    const override = overrides.find((row) => row.id === templateId);
+    const saved = override ? { system: override.system, user: override.user } : { system: template.system, user: template.user };
+
+    // Switching templates, or a save landing, replaces the draft with what the
+    // world uses now.
+    useEffect(() => {
+        setDraft({ system: saved.system, user: saved.user });
+    }, [templateId, saved.system, saved.user]);
+
+    useEffect(() => {
+        setSampleKey(SAMPLE);
+    }, [template.subject]);
+
+    const run = async (operation, success) => {
+        setBusy(true);
+        setMessage(null);
+        try {
+            const result = await operation();
+            if (result?.error) throw result.error;
+            await load();
+            setMessage({ type: 'success', text: success });
+        } catch (error) {
+            setMessage({ type: 'error', text: error?.message || String(error) });
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    const subjectRecords = useMemo(() => records[SUBJECT_TABLES[template.subject]] || [], [records, template.subject]);
+    const sampleBody = useMemo(() => {
+        const record = subjectRecords.find((row) => recordKey(template.subject, row) === sampleKey);
+        return record ? subject.fromRecord(record, records) : subject.sample;
+    }, [records, sampleKey, subject, subjectRecords, template.subject]);
+    const preview = useMemo(
+        () => (draft ? renderPromptMessages({ ...template, ...draft }, sampleBody) : []),
+        [draft, sampleBody, template],
+    );
+    const history = useMemo(
+        () => versions.filter((row) => row.template_id === templateId).sort((left, right) => right.version - left.version),
+        [templateId, versions],
+    );
+
+    const dirty = draft && (draft.system !== saved.system || draft.user !== saved.user);
+    const grouped = Object.keys(PROMPT_SUBJECTS).map((key) => [key, Object.entries(PROMPT_TEMPLATES).filter(([, entry]) => entry.subject === key)]);
+
+    return (
+        <div className="space-y-6 normal-case tracking-normal">
+            <div>
+                <h3 className="text-sm uppercase tracking-[0.2em] text-cyan-200">AI prompts</h3>
+                <p className="mt-1 max-w-3xl text-xs leading-5 text-slate-500">
+                    The prompts behind the admin panel&apos;s suggestion buttons. Edits apply to this world only and take effect on the next suggestion. Every save is kept, so an older wording can be loaded and saved again, and a reset returns to the built-in prompt.
+                </p>
+            </div>
+
+            {message && (
+                <div className={`rounded-md border px-3 py-2 text-xs ${message.type === 'error' ? 'border-rose-500/40 bg-rose-500/10 text-rose-200' : 'border-emerald-500/40 bg-emerald-500/10 text-emerald-200'}`}>
+                    {message.text}
+                </div>
+            )}
+
+            <div className="grid gap-6 xl:grid-cols-[260px_1fr]">
+                <nav className="space-y-4">
+                    {grouped.map(([key, entries]) => (
+                        <div key={key}>
+                            <p className={labelClass}>{PROMPT_SUBJECTS[key].label}</p>
+                            <div className="mt-2 space-y-1">
+                                {entries.map(([id, entry]) => (
+                                    <button
+                                        key={id}
+                                        type="button"
+                                        onClick={() => { setTemplateId(id); setMessage(null); }}
+                                        className={`flex w-full items-center justify-between gap-2 rounded-md border px-3 py-2 text-left text-xs ${templateId === id ? 'border-cyan-400/60 bg-cyan-500/10 text-cyan-100' : 'border-slate-800 text-slate-300 hover:border-slate-600'}`}
+                                    >
+                                        <span>{entry.label}</span>
+                                        {overrides.some((row) => row.id === id) && <span className="rounded-full border border-amber-400/40 px-2 text-[0.6rem] uppercase tracking-[0.14em] text-amber-200">Edited</span>}
+                                    </button>
+                                ))}
+                            </div>
+                        </div>
+                    ))}
+                </nav>
+
+                {draft && (
+                    <div className="space-y-6">
+                        <section className="space-y-4 rounded-xl border border-slate-700/70 bg-slate-950/35 p-4 sm:p-5">
+                            <div className="flex flex-wrap items-start justify-between gap-3">
+                                <div>
+                                    <p className="text-sm text-slate-100">{template.label}</p>
+                                    <p className="mt-1 text-xs text-slate-500">{template.description} Used by <span className="font-mono text-slate-400">/api/arkyv/{template.route}</span>.</p>
+                                    <p className="mt-1 text-xs text-slate-600">{override ? `Edited · version ${override.version} · ${new Date(override.updated_at).toLocaleString()}` : 'Built-in prompt'}</p>
+                                </div>
+                                <div className="flex flex-wrap gap-2">
+                                    <button type="button" disabled={busy || !dirty} onClick={() => run(() => spacetime.savePromptTemplate(templateId, draft), 'Prompt saved.')} className={buttonClass}>Save</button>
+                                    <button type="button" disabled={busy || !dirty} onClick={() => setDraft({ ...saved })} className={buttonClass}>Discard changes</button>
+                                    <button type="button" disabled={busy || !override} onClick={() => run(() => spacetime.resetPromptTemplate(templateId), 'Prompt reset to the default.')} className="rounded-md border border-rose-400/50 bg-rose-500/10 px-3 py-2 text-[0.65rem] uppercase tracking-[0.16em] text-rose-200 disabled:cursor-not-allowed disabled:opacity-40">Reset to default</button>
+                                </div>
+                            </div>
+                            <label className={`${labelClass} block`}>
+                                System message
+                                <textarea rows={4} value={draft.system} onChange={(event) => setDraft((value) => ({ ...value, system: event.target.value }))} className={`${inputClass} mt-2 font-mono text-xs normal-case tracking-normal`} />
+                            </label>
+                            <label className={`${labelClass} block`}>
+                                User message
+                                <textarea rows={16} value={draft.user} onChange={(event) => setDraft((value) => ({ ...value, user: event.target.value }))} className={`${inputClass} mt-2 font-mono text-xs normal-case tracking-normal`} />
+                            </label>
+                            <div>
+                                <p className={labelClass}>Variables</p>
+                                <p className="mt-1 text-xs text-slate-500">
+                                    <span className="font-mono">{'{{name}}'}</span> inserts a value. <span className="font-mono">{'{{#name}}…{{/name}}'}</span> keeps its text only when the value is set, and <span className="font-mono">{'{{^name}}…{{/name}}'}</span> only when it is empty.
+                                </p>
+                                <dl className="mt-2 grid gap-x-4 gap-y-1 text-xs sm:grid-cols-[200px_1fr]">
+                                    {Object.entries(subject.variables).map(([name, description]) => (
+                                        <React.Fragment key={name}>
+                                            <dt className="font-mono text-cyan-200">{`{{${name}}}`}</dt>
+                                            <dd className="text-slate-400">{description}</dd>
+                                        </React.Fragment>
+                                    ))}
+                                </dl>
+                            </div>
+                        </section>
+
+                        <section className="space-y-3 rounded-xl border border-slate-700/70 bg-slate-950/35 p-4 sm:p-5">
+                            <div className="flex flex-wrap items-end justify-between gap-3">
+                                <div>
+                                    <h4 className="text-xs uppercase tracking-[0.2em] text-emerald-200">Preview</h4>
+                                    <p className="mt-1 text-xs text-slate-500">The unsaved draft, filled in as the route would fill it.</p>
+                                </div>
+                                <label className={labelClass}>
+                                    Sample
+                                    <select value={sampleKey} onChange={(event) => setSampleKey(event.target.value)} className={`${inputClass} mt-2 normal-case tracking-normal`}>
+                                        <option value={SAMPLE}>Built-in sample</option>
+                                        {subjectRecords.map((record) => <option key={recordKey(template.subject, record)} value={recordKey(template.subject, record)}>{recordLabel(template.subject, record)}</option>)}
+                                    </select>
+                                </label>
+                            </div>
+                            {preview.map((entry) => (
+                                <div key={entry.role} className="rounded-lg border border-slate-800 bg-black/20 p-3">
+                                    <p className="text-[0.6rem] uppercase tracking-[0.18em] text-slate-500">{entry.role}</p>
+                                    <pre className="mt-2 whitespace-pre-wrap font-mono text-xs leading-5 text-slate-300">{entry.content}</pre>
+                                </div>
+                            ))}
+                        </section>
+
+                        <section className="space-y-3 rounded-xl border border-slate-700/70 bg-slate-950/35 p-4 sm:p-5">
+                            <h4 className="text-xs uppercase tracking-[0.2em] text-slate-300">History</h4>
+                            {history.length === 0 && <p className="text-xs text-slate-600">This prompt has never been edited.</p>}
+                            <div className="max-h-72 space-y-2 overflow-auto">
+                                {history.map((row) => (
+                                    <div key={row.id} className="flex items-center justify-between gap-3 rounded-lg border border-slate-800 p-3 text-xs">
+                                        <div>
+                                            <p className="text-slate-200">Version {row.version} · {row.action === 'reset' ? 'reset to default' : 'saved'}</p>
+                                            <p className="mt-1 text-slate-600">{new Date(row.created_at).toLocaleString()} · {row.created_by}</p>
+                                        </div>
+                                        <button
+                                            type="button"
+                                            disabled={busy}
+                                            onClick={() => setDraft(row.action === 'reset' ? { system: template.system, user: template.user } : { system: row.system, user: row.user })}
+                                            className="text-cyan-200 disabled:opacity-40"
+                                        >
+                                            Load into editor
+                                        </button>
+                                    </div>
+                                ))}
+                            </div>
+                        </section>
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+}
@@ -1,6 +1,13 @@
 import React, { useCallback, useEffect, useMemo, useState } from 'react';
 import getSpacetimeClient from '@/lib/spacetimedbClient';
+import AiUsageEditor from '@/components/admin/AiUsageEditor';
+import ArtBatchEditor from '@/components/admin/ArtBatchEditor';
+import ArtStylesEditor from '@/components/admin/ArtStylesEditor';
 import EngineSystemsEditor from '@/components/admin/EngineSystemsEditor';
+import ImageAssetsEditor from '@/components/admin/ImageAssetsEditor';
+import LocalModelsEditor from '@/components/admin/LocalModelsEditor';
+import NpcWorkersEditor from '@/components/admin/NpcWorkersEditor';
+import PromptTemplatesEditor from '@/components/admin/PromptTemplatesEditor';
 
 const PRIMITIVE_PRESETS = [
     { kind: 'item', label: 'Item', icon: '◇', description: 'Portable building block or crafting material.', portable: true, stackable: true, max_stack: 20 },
@@ -28,6 +35,12 @@ const TAB_OPTIONS = [
     { id: 'loot', label: 'Enemy loot' },
     { id: 'actors', label: 'Actor values' },
     { id: 'moderation', label: 'Player moderation' },
+    { id: 'prompts', label: 'AI prompts' },
+    { id: 'usage', label: 'AI usage' },
+    { id: 'models', label: 'AI models' },
+    { id: 'art', label: 'Batch art' },
+    { id: 'styles', label: 'Art styles' },
+    { id: 'assets', label: 'Image assets' },
     { id: 'advanced', label: 'Advanced engine' },
 ];
 
@@ -35,7 +48,7 @@ const TAB_PERMISSIONS = {
     objects: 'systems.manage', stats: 'systems.manage', abilities: 'systems.manage', combat: 'systems.manage', origins: 'systems.manage',
     progression: 'systems.manage', slots: 'systems.manage', factions: 'world.manage', instances: 'world.manage', loot: 'world.manage',
     quests: 'quests.manage', economy: 'economy.manage', roles: 'roles.manage', lifecycle: 'lifecycle.manage',
-    actors: 'players.moderate', moderation: 'players.moderate', advanced: ['world.manage', 'systems.manage', 'economy.manage', 'players.moderate'],
+    actors: 'players.moderate', moderation: 'players.moderate', prompts: 'world.manage', usage: 'world.manage', models: 'world.manage', art: 'world.manage', styles: 'world.manage', assets: 'world.manage', advanced: ['world.manage', 'systems.manage', 'economy.manage', 'players.moderate'],
 };
 
 const inputClass = 'w-full rounded-md border border-slate-600/70 bg-slate-950/70 px-3 py-2 text-sm text-slate-100 placeholder:text-slate-600 focus:border-cyan-400 focus:outline-none';
@@ -456,6 +469,7 @@ export default function RpgSystemsEditor({ enabled, currentProfile }) {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
                 body: JSON.stringify({
+                    itemId: editingDefinition || undefined,
                     name: definitionForm.name,
                     description: definitionForm.description,
                     primitiveKind: definitionForm.primitive_kind,
@@ -471,7 +485,8 @@ export default function RpgSystemsEditor({ enabled, currentProfile }) {
                 ? ` ${data.creditsRemaining} credits remain.`
                 : '';
             const provider = data.provider === 'local' ? ' Generated with your local image model.' : credits;
-            setMessage({ type: 'success', text: `Generated a ${data.width}×${data.height} inventory image.${provider}` });
+            const stored = data.imageBytes ? ` Stored as ${Math.max(1, Math.round(data.imageBytes / 1024))} KB.` : '';
+            setMessage({ type: 'success', text: `Generated a ${data.width}×${data.height} inventory image.${stored}${provider}` });
         } catch (error) {
             setMessage({ type: 'error', text: error?.message || String(error) });
         } finally {
@@ -484,17 +499,15 @@ export default function RpgSystemsEditor({ enabled, currentProfile }) {
         try { payload = definitionPayload(definitionForm); } catch (error) { setMessage({ type: 'error', text: error.message }); return; }
         if (!payload.id || !payload.name) { setMessage({ type: 'error', text: 'Object id and name are required.' }); return; }
         const ok = await run(
-            async () => {
-                const definitionResult = editingDefinition
-                    ? await spacetime.from('object_definitions').update(payload).eq('id', editingDefinition).select()
-                    : await spacetime.from('object_definitions').insert(payload).select();
-                if (definitionResult?.error) return definitionResult;
-                return spacetime.configureEngineRecord('object_rules', objectRulePayload(
+            () => spacetime.batch((tx) => {
+                if (editingDefinition) tx.from('object_definitions').update(payload).eq('id', editingDefinition);
+                else tx.from('object_definitions').insert(payload);
+                tx.configureEngineRecord('object_rules', objectRulePayload(
                     payload.id,
                     { base_value: definitionForm.base_value, tradeable: definitionForm.tradeable },
                     objectRulesById.get(payload.id),
                 ));
-            },
+            }, `Systems editor: save object ${payload.id}`),
             editingDefinition ? 'Object primitive updated.' : 'Object primitive created.',
         );
         if (ok) { setEditingDefinition(null); setDefinitionForm(emptyDefinition()); }
@@ -687,17 +700,15 @@ export default function RpgSystemsEditor({ enabled, currentProfile }) {
         };
         if (!payload.id || !payload.name || !payload.output_definition_id) { setMessage({ type: 'error', text: 'Recipe id, name, and output are required.' }); return; }
         if (processSeconds > 0 && !payload.station_definition_id) { setMessage({ type: 'error', text: 'Timed recipes require a station container.' }); return; }
-        const ok = await run(async () => {
-            const recipeResult = editingRecipe
-                ? await spacetime.from('crafting_recipes').update(payload).eq('id', editingRecipe).select()
-                : await spacetime.from('crafting_recipes').insert(payload).select();
-            if (recipeResult?.error) return recipeResult;
-            return spacetime.configureEngineRecord('object_rules', objectRulePayload(
+        const ok = await run(() => spacetime.batch((tx) => {
+            if (editingRecipe) tx.from('crafting_recipes').update(payload).eq('id', editingRecipe);
+            else tx.from('crafting_recipes').insert(payload);
+            tx.configureEngineRecord('object_rules', objectRulePayload(
                 payload.output_definition_id,
                 { base_value: recipeForm.output_base_value, tradeable: recipeForm.output_tradeable },
                 objectRulesById.get(payload.output_definition_id),
             ));
-        }, editingRecipe ? 'Recipe updated.' : 'Recipe created.');
+        }, `Systems editor: save recipe ${payload.id}`), editingRecipe ? 'Recipe updated.' : 'Recipe created.');
         if (ok) { setEditingRecipe(payload.id); setIngredientForm((value) => ({ ...value, recipe_id: payload.id })); }
     };
     const saveIngredient = async () => {
@@ -1297,7 +1308,9 @@ export default function RpgSystemsEditor({ enabled, currentProfile }) {
             )}
 
             {activeTab === 'roles' && (
-                <div className="space-y-6 p-4 sm:p-6"><div className="rounded-xl border border-purple-400/20 bg-purple-500/[0.04] p-4 text-xs leading-5 text-slate-400">The founding saved-world administrator remains an unrestricted owner and cannot be converted into a delegated role. Assigned profiles receive only the checked permission keys, enforced inside SpacetimeDB.</div><div className="grid gap-6 xl:grid-cols-[1fr_420px]"><div className="space-y-3">{adminRoles.map((role) => <button key={role.id} type="button" onClick={() => { setEditingRole(role.id); setRoleForm({ ...emptyRole(), ...role, permissions: Array.isArray(role.permissions) ? role.permissions : [] }); }} className={`w-full rounded-xl border p-4 text-left ${editingRole === role.id ? 'border-purple-300 bg-purple-500/15' : 'border-slate-700 bg-slate-950/35'}`}><span className="text-sm text-slate-100">{role.name}</span><span className="mt-1 block text-xs text-slate-500">{role.permissions?.join?.(', ') || 'No permissions'}</span></button>)}</div><div className="space-y-4 rounded-xl border border-slate-700 bg-slate-950/35 p-4"><Field label="Role name"><input className={inputClass} value={roleForm.name} onChange={(event) => setRoleForm((value) => ({ ...value, name: event.target.value }))} /></Field><Field label="Stable id"><input disabled={Boolean(editingRole)} className={inputClass} value={roleForm.id} onChange={(event) => setRoleForm((value) => ({ ...value, id: event.target.value }))} /></Field><Field label="Description"><textarea className={`${inputClass} min-h-20`} value={roleForm.description} onChange={(event) => setRoleForm((value) => ({ ...value, description: event.target.value }))} /></Field><div className="grid gap-2">{[['world.manage','World, rooms, NPCs, objects'],['systems.manage','Stats, abilities, combat, origins'],['quests.manage','Quests and rewards'],['economy.manage','Currencies, vendors, crafting'],['lifecycle.manage','Spawn and death rules'],['players.moderate','Players and runtime state'],['roles.manage','Admin roles and assignments'],['*','Full access']].map(([permission,label]) => <Check key={permission} label={label} checked={roleForm.permissions.includes(permission)} onChange={(checked) => setRoleForm((value) => ({ ...value, permissions: checked ? [...new Set([...value.permissions, permission])] : value.permissions.filter((item) => item !== permission) }))} />)}</div><div className="flex justify-end gap-3">{editingRole && <button type="button" onClick={() => remove('admin_role_definitions', editingRole, 'Admin role')} className="text-xs text-rose-300">Delete</button>}<button type="button" onClick={saveRole} className={buttonClass}>Save role</button></div></div></div><div className="rounded-xl border border-slate-700 bg-slate-950/35 p-4"><h3 className="text-sm uppercase tracking-[0.22em] text-purple-200">Assignments</h3><div className="mt-4 grid gap-3 sm:grid-cols-[1fr_1fr_auto]"><Field label="Saved-world profile"><select className={inputClass} value={roleAssignmentForm.profile_id} onChange={(event) => setRoleAssignmentForm((value) => ({ ...value, profile_id: event.target.value }))}><option value="">Choose profile…</option>{profiles.filter((profile) => !profile.is_admin || adminAssignments.some((assignment) => assignment.profile_id === profile.id)).map((profile) => <option key={profile.id} value={profile.id}>{profile.name || profile.handle || profile.id}</option>)}</select></Field><Field label="Role"><select className={inputClass} value={roleAssignmentForm.role_id} onChange={(event) => setRoleAssignmentForm((value) => ({ ...value, role_id: event.target.value }))}><option value="">Choose role…</option>{adminRoles.map((role) => <option key={role.id} value={role.id}>{role.name}</option>)}</select></Field><div className="flex items-end"><button type="button" onClick={saveRoleAssignment} className={buttonClass}>Assign</button></div></div><div className="mt-3 flex flex-wrap gap-2">{adminAssignments.map((row) => <button key={row.profile_id} type="button" onClick={() => run(() => spacetime.from('admin_role_assignments').delete().eq('profile_id', row.profile_id), 'Role assignment removed.')} className="rounded-full border border-slate-700 px-3 py-1.5 text-xs text-slate-300 hover:border-rose-400">{profiles.find((profile) => profile.id === row.profile_id)?.name || row.profile_id} · {adminRoles.find((role) => role.id === row.role_id)?.name || row.role_id} ×</button>)}</div></div></div>
+                <div className="space-y-6 p-4 sm:p-6"><div className="rounded-xl border border-purple-400/20 bg-purple-500/[0.04] p-4 text-xs leading-5 text-slate-400">The founding saved-world administrator remains an unrestricted owner and cannot be converted into a delegated role. Assigned profiles receive only the checked permission keys, enforced inside SpacetimeDB.</div><div className="grid gap-6 xl:grid-cols-[1fr_420px]"><div className="space-y-3">{adminRoles.map((role) => <button key={role.id} type="button" onClick={() => { setEditingRole(role.id); setRoleForm({ ...emptyRole(), ...role, permissions: Array.isArray(role.permissions) ? role.permissions : [] }); }} className={`w-full rounded-xl border p-4 text-left ${editingRole === role.id ? 'border-purple-300 bg-purple-500/15' : 'border-slate-700 bg-slate-950/35'}`}><span className="text-sm text-slate-100">{role.name}</span><span className="mt-1 block text-xs text-slate-500">{role.permissions?.join?.(', ') || 'No permissions'}</span></button>)}</div><div className="space-y-4 rounded-xl border border-slate-700 bg-slate-950/35 p-4"><Field label="Role name"><input className={inputClass} value={roleForm.name} onChange={(event) => setRoleForm((value) => ({ ...value, name: event.target.value }))} /></Field><Field label="Stable id"><input disabled={Boolean(editingRole)} className={inputClass} value={roleForm.id} onChange={(event) => setRoleForm((value) => ({ ...value, id: event.target.value }))} /></Field><Field label="Description"><textarea className={`${inputClass} min-h-20`} value={roleForm.description} onChange={(event) => setRoleForm((value) => ({ ...value, description: event.target.value }))} /></Field><div className="grid gap-2">{[['world.manage','World, rooms, NPCs, objects'],['systems.manage','Stats, abilities, combat, origins'],['quests.manage','Quests and rewards'],['economy.manage','Currencies, vendors, crafting'],['lifecycle.manage','Spawn and death rules'],['players.moderate','Players and runtime state'],['roles.manage','Admin roles and assignments'],['*','Full access']].map(([permission,label]) => <Check key={permission} label={label} checked={roleForm.permissions.includes(permission)} onChange={(checked) => setRoleForm((value) => ({ ...value, permissions: checked ? [...new Set([...value.permissions, permission])] : value.permissions.filter((item) => item !== permission) }))} />)}</div><div className="flex justify-end gap-3">{editingRole && <button type="button" onClick={() => remove('admin_role_definitions', editingRole, 'Admin role')} className="text-xs text-rose-300">Delete</button>}<button type="button" onClick={saveRole} className={buttonClass}>Save role</button></div></div></div><div className="rounded-xl border border-slate-700 bg-slate-950/35 p-4"><h3 className="text-sm uppercase tracking-[0.22em] text-purple-200">Assignments</h3><div className="mt-4 grid gap-3 sm:grid-cols-[1fr_1fr_auto]"><Field label="Saved-world profile"><select className={inputClass} value={roleAssignmentForm.profile_id} onChange={(event) => setRoleAssignmentForm((value) => ({ ...value, profile_id: event.target.value }))}><option value="">Choose profile…</option>{profiles.filter((profile) => !profile.is_admin || adminAssignments.some((assignment) => assignment.profile_id === profile.id)).map((profile) => <option key={profile.id} value={profile.id}>{profile.name || profile.handle || profile.id}</option>)}</select></Field><Field label="Role"><select className={inputClass} value={roleAssignmentForm.role_id} onChange={(event) => setRoleAssignmentForm((value) => ({ ...value, role_id: event.target.value }))}><option value="">Choose role…</option>{adminRoles.map((role) => <option key={role.id} value={role.id}>{role.name}</option>)}</select></Field><div className="flex items-end"><button type="button" onClick={saveRoleAssignment} className={buttonClass}>Assign</button></div></div><div className="mt-3 flex flex-wrap gap-2">{adminAssignments.map((row) => <button key={row.profile_id} type="button" onClick={() => run(() => spacetime.from('admin_role_assignments').delete().eq('profile_id', row.profile_id), 'Role assignment removed.')} className="rounded-full border border-slate-700 px-3 py-1.5 text-xs text-slate-300 hover:border-rose-400">{profiles.find((profile) => profile.id === row.profile_id)?.name || row.profile_id} · {adminRoles.find((role) => role.id === row.role_id)?.name || row.role_id} ×</button>)}</div></div>
+                    <NpcWorkersEditor />
+                </div>
             )}
 
             {activeTab === 'lifecycle' && (
@@ -1439,6 +1452,12 @@ export default function RpgSystemsEditor({ enabled, currentProfile }) {
                     </>}
                 </div>
             )}
+            {activeTab === 'prompts' && <PromptTemplatesEditor />}
+            {activeTab === 'usage' && <AiUsageEditor />}
+            {activeTab === 'models' && <LocalModelsEditor />}
+            {activeTab === 'art' && <ArtBatchEditor canGenerateItems={can('systems.manage')} />}
+            {activeTab === 'styles' && <ArtStylesEditor />}
+            {activeTab === 'assets' && <ImageAssetsEditor />}
             {activeTab === 'advanced' && <EngineSystemsEditor enabled={enabled} permissions={grantedPermissions} actors={actors} />}
         </section>
     );
@@ -16,13 +16,14 @@ const eslintConfig = [
       "node_modules/**",
       ".next/**",
       ".smoke-build/**",
+      ".worker-build/**",
       "out/**",
       "build/**",
       "next-env.d.ts",
     ],
   },
   {
-    files: ["scripts/smoke-rpg-runtime.ts"],
+    files: ["scripts/smoke-rpg-runtime.ts", "scripts/npc-worker.ts"],
     rules: {
       "@typescript-eslint/no-explicit-any": "off",
     },
@@ -0,0 +1,22 @@
+// THIS FILE IS AUTOMATICALLY GENERATED BY SPACETIMEDB. EDITS TO THIS FILE
+// WILL NOT BE SAVED. MODIFY TABLES IN YOUR MODULE SOURCE CODE INSTEAD.
+
+/* eslint-disable */
+/* tslint:disable */
+import {
+  TypeBuilder as __TypeBuilder,
+  t as __t,
+  type AlgebraicTypeType as __AlgebraicTypeType,
+  type Infer as __Infer,
+} from "spacetimedb";
+
+export default __t.row({
+  id: __t.string().primaryKey(),
+  scope: __t.string(),
+  target: __t.string(),
+  dailyRequests: __t.u32().name("daily_requests"),
+  dailyTokens: __t.u64().name("daily_tokens"),
+  dailyImages: __t.u32().name("daily_images"),
+  updatedBy: __t.string().name("updated_by"),
+  updatedAt: __t.timestamp().name("updated_at"),
+});
@@ -0,0 +1,28 @@
+// THIS FILE IS AUTOMATICALLY GENERATED BY SPACETIMEDB. EDITS TO THIS FILE
+// WILL NOT BE SAVED. MODIFY TABLES IN YOUR MODULE SOURCE CODE INSTEAD.
+
+/* eslint-disable */
+/* tslint:disable */
+import {
+  TypeBuilder as __TypeBuilder,
+  t as __t,
+  type AlgebraicTypeType as __AlgebraicTypeType,
+  type Infer as __Infer,
+} from "spacetimedb";
+
+export default __t.row({
+  id: __t.u64().primaryKey(),
+  scope: __t.string(),
+  owner: __t.identity(),
+  profileId: __t.string().name("profile_id"),
+  route: __t.string(),
+  task: __t.string(),
+  provider: __t.string(),
+  model: __t.string(),
+  promptTokens: __t.u64().name("prompt_tokens"),
+  completionTokens: __t.u64().name("completion_tokens"),
+  images: __t.u32(),
+  latencyMs: __t.u32().name("latency_ms"),
+  succeeded: __t.bool(),
+  createdAt: __t.timestamp().name("created_at"),
+});
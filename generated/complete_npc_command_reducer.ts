@@ -13,4 +13,6 @@ import {
 export default {
   commandId: __t.string(),
   response: __t.string(),
+  actionsJson: __t.string(),
+  dialogueChoiceId: __t.option(__t.string()),
 };
@@ -35,24 +35,37 @@ import {
 
 // Import all reducer arg schemas
 import AdminActorActionReducer from "./admin_actor_action_reducer";
+import ApplyAdminBatchReducer from "./apply_admin_batch_reducer";
 import ApplyAdminPatchReducer from "./apply_admin_patch_reducer";
+import ApproveNpcWorkerReducer from "./approve_npc_worker_reducer";
 import AuthorizeProviderRequestReducer from "./authorize_provider_request_reducer";
 import CompleteNpcCommandReducer from "./complete_npc_command_reducer";
 import ConfigureEngineRecordReducer from "./configure_engine_record_reducer";
+import DeleteAiBudgetReducer from "./delete_ai_budget_reducer";
 import DeleteCurrentAccountReducer from "./delete_current_account_reducer";
 import DeleteEngineRecordReducer from "./delete_engine_record_reducer";
 import DeleteRowsReducer from "./delete_rows_reducer";
 import DeleteWorldSnapshotReducer from "./delete_world_snapshot_reducer";
+import ForgetNpcMemoryReducer from "./forget_npc_memory_reducer";
 import InsertRowsReducer from "./insert_rows_reducer";
 import InstallRpgStarterKitReducer from "./install_rpg_starter_kit_reducer";
 import ModeratePlayerReducer from "./moderate_player_reducer";
+import RecordAiUsageReducer from "./record_ai_usage_reducer";
+import RecordNpcMemoryReducer from "./record_npc_memory_reducer";
+import RequestNpcWorkerReducer from "./request_npc_worker_reducer";
+import ResetPromptTemplateReducer from "./reset_prompt_template_reducer";
 import ResolvePlayerReportReducer from "./resolve_player_report_reducer";
 import ResolveScheduledCastReducer from "./resolve_scheduled_cast_reducer";
 import ResolveScheduledEffectTickReducer from "./resolve_scheduled_effect_tick_reducer";
 import ResolveWorldTickReducer from "./resolve_world_tick_reducer";
+import RevokeNpcWorkerReducer from "./revoke_npc_worker_reducer";
+import SaveAiBudgetReducer from "./save_ai_budget_reducer";
+import SavePromptTemplateReducer from "./save_prompt_template_reducer";
 import SaveWorldSnapshotReducer from "./save_world_snapshot_reducer";
 import SelectCharacterOptionReducer from "./select_character_option_reducer";
+import StreamNpcReplyReducer from "./stream_npc_reply_reducer";
 import SubmitCommandReducer from "./submit_command_reducer";
+import UpdateNpcMemoryReducer from "./update_npc_memory_reducer";
 import UpdateRowsReducer from "./update_rows_reducer";
 import ValidateWorldContentReducer from "./validate_world_content_reducer";
 
@@ -63,6 +76,7 @@ import AbilityDefinitionRow from "./ability_definition_table";
 import AbilityEffectDefinitionRow from "./ability_effect_definition_table";
 import AbilityUnlockRuleRow from "./ability_unlock_rule_table";
 import ActorAbilityRow from "./actor_ability_table";
+import ActorAiActionUseRow from "./actor_ai_action_use_table";
 import ActorCharacterOptionRow from "./actor_character_option_table";
 import ActorCooldownRow from "./actor_cooldown_table";
 import ActorCrimeRow from "./actor_crime_table";
@@ -89,6 +103,14 @@ import AdminPlayerSanctionsRow from "./admin_player_sanctions_table";
 import AdminRoleAssignmentRow from "./admin_role_assignment_table";
 import AdminRoleDefinitionRow from "./admin_role_definition_table";
 import AdminWorldSnapshotsRow from "./admin_world_snapshots_table";
+import AdminPromptTemplateVersionsRow from "./admin_prompt_template_versions_table";
+import AdminAiUsageEventsRow from "./admin_ai_usage_events_table";
+import AdminAiUsageDailyRow from "./admin_ai_usage_daily_table";
+import AdminNpcWorkersRow from "./admin_npc_workers_table";
+import AiBudgetRow from "./ai_budget_table";
+import AiUsageDailyRow from "./ai_usage_daily_table";
+import AiUsageEventRow from "./ai_usage_event_table";
+import ArtStyleRow from "./art_style_table";
 import BankConfigRow from "./bank_config_table";
 import CharacterRow from "./character_table";
 import CharacterOptionDefinitionRow from "./character_option_definition_table";
@@ -113,6 +135,10 @@ import MySocialRelationshipsRow from "./my_social_relationships_table";
 import MyTradeOffersRow from "./my_trade_offers_table";
 import MyTradeSessionsRow from "./my_trade_sessions_table";
 import NpcRow from "./npc_table";
+import NpcAiActionRow from "./npc_ai_action_table";
+import NpcReplyDraftRow from "./npc_reply_draft_table";
+import NpcReplyJobRow from "./npc_reply_job_table";
+import NpcMemoryRow from "./npc_memory_table";
 import NpcThreatRow from "./npc_threat_table";
 import ObjectDefinitionRow from "./object_definition_table";
 import ObjectRuleRow from "./object_rule_table";
@@ -122,8 +148,12 @@ import PlayerReportRow from "./player_report_table";
 import PlayerSanctionRow from "./player_sanction_table";
 import PrivateMessageRow from "./private_message_table";
 import ProfessionDefinitionRow from "./profession_definition_table";
+import PendingNpcRepliesRow from "./pending_npc_replies_table";
+import NpcMemoriesRow from "./npc_memories_table";
 import ProfileRow from "./profile_table";
 import ProgressionConfigRow from "./progression_config_table";
+import PromptTemplateRow from "./prompt_template_table";
+import PromptTemplateVersionRow from "./prompt_template_version_table";
 import ProviderRequestWindowRow from "./provider_request_window_table";
 import QuestChoiceRow from "./quest_choice_table";
 import QuestDefinitionRow from "./quest_definition_table";
@@ -138,6 +168,7 @@ import RoomMessageRow from "./room_message_table";
 import ScheduledCastRow from "./scheduled_cast_table";
 import ScheduledEffectTickRow from "./scheduled_effect_tick_table";
 import ScheduledWorldTickRow from "./scheduled_world_tick_table";
+import ServiceIdentityRow from "./service_identity_table";
 import SocialRelationshipRow from "./social_relationship_table";
 import SpawnPointRow from "./spawn_point_table";
 import StatDefinitionRow from "./stat_definition_table";
@@ -201,6 +232,17 @@ const tablesSchema = __schema({
       { name: 'actor_ability_id_key', constraint: 'unique', columns: ['id'] },
     ],
   }, ActorAbilityRow),
+  actor_ai_action_use: __table({
+    name: 'actor_ai_action_use',
+    indexes: [
+      { name: 'id', algorithm: 'btree', columns: [
+        'id',
+      ] },
+    ],
+    constraints: [
+      { name: 'actor_ai_action_use_id_key', constraint: 'unique', columns: ['id'] },
+    ],
+  }, ActorAiActionUseRow),
   actor_character_option: __table({
     name: 'actor_character_option',
     indexes: [
@@ -446,6 +488,59 @@ const tablesSchema = __schema({
       { name: 'admin_role_definition_id_key', constraint: 'unique', columns: ['id'] },
     ],
   }, AdminRoleDefinitionRow),
+  ai_budget: __table({
+    name: 'ai_budget',
+    indexes: [
+      { name: 'id', algorithm: 'btree', columns: [
+        'id',
+      ] },
+    ],
+    constraints: [
+      { name: 'ai_budget_id_key', constraint: 'unique', columns: ['id'] },
+    ],
+  }, AiBudgetRow),
+  ai_usage_daily: __table({
+    name: 'ai_usage_daily',
+    indexes: [
+      { name: 'day_index', algorithm: 'btree', columns: [
+        'day',
+      ] },
+      { name: 'id', algorithm: 'btree', columns: [
+        'id',
+      ] },
+      { name: 'scope_index', algorithm: 'btree', columns: [
+        'scope',
+      ] },
+    ],
+    constraints: [
+      { name: 'ai_usage_daily_id_key', constraint: 'unique', columns: ['id'] },
+    ],
+  }, AiUsageDailyRow),
+  ai_usage_event: __table({
+    name: 'ai_usage_event',
+    indexes: [
+      { name: 'id', algorithm: 'btree', columns: [
+        'id',
+      ] },
+      { name: 'scope_index', algorithm: 'btree', columns: [
+        'scope',
+      ] },
+    ],
+    constraints: [
+      { name: 'ai_usage_event_id_key', constraint: 'unique', columns: ['id'] },
+    ],
+  }, AiUsageEventRow),
+  art_style: __table({
+    name: 'art_style',
+    indexes: [
+      { name: 'id', algorithm: 'btree', columns: [
+        'id',
+      ] },
+    ],
+    constraints: [
+      { name: 'art_style_id_key', constraint: 'unique', columns: ['id'] },
+    ],
+  }, ArtStyleRow),
   bank_config: __table({
     name: 'bank_config',
     indexes: [
@@ -672,6 +767,56 @@ const tablesSchema = __schema({
       { name: 'npc_id_key', constraint: 'unique', columns: ['id'] },
     ],
   }, NpcRow),
+  npc_ai_action: __table({
+    name: 'npc_ai_action',
+    indexes: [
+      { name: 'id', algorithm: 'btree', columns: [
+        'id',
+      ] },
+    ],
+    constraints: [
+      { name: 'npc_ai_action_id_key', constraint: 'unique', columns: ['id'] },
+    ],
+  }, NpcAiActionRow),
+  npc_memory: __table({
+    name: 'npc_memory',
+    indexes: [
+      { name: 'id', algorithm: 'btree', columns: [
+        'id',
+      ] },
+      { name: 'scope_index', algorithm: 'btree', columns: [
+        'scope',
+      ] },
+    ],
+    constraints: [
+      { name: 'npc_memory_id_key', constraint: 'unique', columns: ['id'] },
+    ],
+  }, NpcMemoryRow),
+  npc_reply_draft: __table({
+    name: 'npc_reply_draft',
+    indexes: [
+      { name: 'command_id', algorithm: 'btree', columns: [
+        'commandId',
+      ] },
+    ],
+    constraints: [
+      { name: 'npc_reply_draft_command_id_key', constraint: 'unique', columns: ['commandId'] },
+    ],
+  }, NpcReplyDraftRow),
+  npc_reply_job: __table({
+    name: 'npc_reply_job',
+    indexes: [
+      { name: 'command_id', algorithm: 'btree', columns: [
+        'commandId',
+      ] },
+      { name: 'state_index', algorithm: 'btree', columns: [
+        'state',
+      ] },
+    ],
+    constraints: [
+      { name: 'npc_reply_job_command_id_key', constraint: 'unique', columns: ['commandId'] },
+    ],
+  }, NpcReplyJobRow),
   npc_threat: __table({
     name: 'npc_threat',
     indexes: [
@@ -808,6 +953,34 @@ const tablesSchema = __schema({
       { name: 'progression_config_id_key', constraint: 'unique', columns: ['id'] },
     ],
   }, ProgressionConfigRow),
+  prompt_template: __table({
+    name: 'prompt_template',
+    indexes: [
+      { name: 'id', algorithm: 'btree', columns: [
+        'id',
+      ] },
+    ],
+    constraints: [
+      { name: 'prompt_template_id_key', constraint: 'unique', columns: ['id'] },
+    ],
+  }, PromptTemplateRow),
+  prompt_template_version: __table({
+    name: 'prompt_template_version',
+    indexes: [
+      { name: 'id', algorithm: 'btree', columns: [
+        'id',
+      ] },
+      { name: 'scope_index', algorithm: 'btree', columns: [
+        'scope',
+      ] },
+      { name: 'template_index', algorithm: 'btree', columns: [
+        'templateId',
+      ] },
+    ],
+    constraints: [
+      { name: 'prompt_template_version_id_key', constraint: 'unique', columns: ['id'] },
+    ],
+  }, PromptTemplateVersionRow),
   provider_request_window: __table({
     name: 'provider_request_window',
     indexes: [
@@ -962,6 +1135,17 @@ const tablesSchema = __schema({
       { name: 'scheduled_world_tick_scheduled_id_key', constraint: 'unique', columns: ['scheduledId'] },
     ],
   }, ScheduledWorldTickRow),
+  service_identity: __table({
+    name: 'service_identity',
+    indexes: [
+      { name: 'identity', algorithm: 'btree', columns: [
+        'identity',
+      ] },
+    ],
+    constraints: [
+      { name: 'service_identity_identity_key', constraint: 'unique', columns: ['identity'] },
+    ],
+  }, ServiceIdentityRow),
   social_relationship: __table({
     name: 'social_relationship',
     indexes: [
@@ -1187,29 +1371,84 @@ const tablesSchema = __schema({
     constraints: [
     ],
   }, MyTradeSessionsRow),
+  pending_npc_replies: __table({
+    name: 'pending_npc_replies',
+    indexes: [
+    ],
+    constraints: [
+    ],
+  }, PendingNpcRepliesRow),
+  npc_memories: __table({
+    name: 'npc_memories',
+    indexes: [
+    ],
+    constraints: [
+    ],
+  }, NpcMemoriesRow),
+  admin_prompt_template_versions: __table({
+    name: 'admin_prompt_template_versions',
+    indexes: [
+    ],
+    constraints: [
+    ],
+  }, AdminPromptTemplateVersionsRow),
+  admin_ai_usage_events: __table({
+    name: 'admin_ai_usage_events',
+    indexes: [
+    ],
+    constraints: [
+    ],
+  }, AdminAiUsageEventsRow),
+  admin_ai_usage_daily: __table({
+    name: 'admin_ai_usage_daily',
+    indexes: [
+    ],
+    constraints: [
+    ],
+  }, AdminAiUsageDailyRow),
+  admin_npc_workers: __table({
+    name: 'admin_npc_workers',
+    indexes: [
+    ],
+    constraints: [
+    ],
+  }, AdminNpcWorkersRow),
 });
 
 /** The schema information for all reducers in this module. This is defined the same way as the reducers would have been defined in the server, except the body of the reducer is omitted in code generation. */
 const reducersSchema = __reducers(
   __reducerSchema("admin_actor_action", AdminActorActionReducer),
+  __reducerSchema("apply_admin_batch", ApplyAdminBatchReducer),
   __reducerSchema("apply_admin_patch", ApplyAdminPatchReducer),
+  __reducerSchema("approve_npc_worker", ApproveNpcWorkerReducer),
   __reducerSchema("authorize_provider_request", AuthorizeProviderRequestReducer),
   __reducerSchema("complete_npc_command", CompleteNpcCommandReducer),
   __reducerSchema("configure_engine_record", ConfigureEngineRecordReducer),
+  __reducerSchema("delete_ai_budget", DeleteAiBudgetReducer),
   __reducerSchema("delete_current_account", DeleteCurrentAccountReducer),
   __reducerSchema("delete_engine_record", DeleteEngineRecordReducer),
   __reducerSchema("delete_rows", DeleteRowsReducer),
   __reducerSchema("delete_world_snapshot", DeleteWorldSnapshotReducer),
+  __reducerSchema("forget_npc_memory", ForgetNpcMemoryReducer),
   __reducerSchema("insert_rows", InsertRowsReducer),
   __reducerSchema("install_rpg_starter_kit", InstallRpgStarterKitReducer),
   __reducerSchema("moderate_player", ModeratePlayerReducer),
+  __reducerSchema("record_ai_usage", RecordAiUsageReducer),
+  __reducerSchema("record_npc_memory", RecordNpcMemoryReducer),
+  __reducerSchema("request_npc_worker", RequestNpcWorkerReducer),
+  __reducerSchema("reset_prompt_template", ResetPromptTemplateReducer),
   __reducerSchema("resolve_player_report", ResolvePlayerReportReducer),
   __reducerSchema("resolve_scheduled_cast", ResolveScheduledCastReducer),
   __reducerSchema("resolve_scheduled_effect_tick", ResolveScheduledEffectTickReducer),
   __reducerSchema("resolve_world_tick", ResolveWorldTickReducer),
+  __reducerSchema("revoke_npc_worker", RevokeNpcWorkerReducer),
+  __reducerSchema("save_ai_budget", SaveAiBudgetReducer),
+  __reducerSchema("save_prompt_template", SavePromptTemplateReducer),
   __reducerSchema("save_world_snapshot", SaveWorldSnapshotReducer),
   __reducerSchema("select_character_option", SelectCharacterOptionReducer),
+  __reducerSchema("stream_npc_reply", StreamNpcReplyReducer),
   __reducerSchema("submit_command", SubmitCommandReducer),
+  __reducerSchema("update_npc_memory", UpdateNpcMemoryReducer),
   __reducerSchema("update_rows", UpdateRowsReducer),
   __reducerSchema("validate_world_content", ValidateWorldContentReducer),
 );
@@ -0,0 +1,25 @@
+// THIS FILE IS AUTOMATICALLY GENERATED BY SPACETIMEDB. EDITS TO THIS FILE
+// WILL NOT BE SAVED. MODIFY TABLES IN YOUR MODULE SOURCE CODE INSTEAD.
+
+/* eslint-disable */
+/* tslint:disable */
+import {
+  TypeBuilder as __TypeBuilder,
+  t as __t,
+  type AlgebraicTypeType as __AlgebraicTypeType,
+  type Infer as __Infer,
+} from "spacetimedb";
+
+export default __t.row({
+  id: __t.string().primaryKey(),
+  scope: __t.string(),
+  npcId: __t.string().name("npc_id"),
+  actorId: __t.string().name("actor_id"),
+  summary: __t.string(),
+  keyFacts: __t.string().name("key_facts"),
+  sentiment: __t.i32(),
+  conversations: __t.u32(),
+  recentExchanges: __t.string().name("recent_exchanges"),
+  lastTalkedAt: __t.timestamp().name("last_talked_at"),
+  updatedAt: __t.timestamp().name("updated_at"),
+});
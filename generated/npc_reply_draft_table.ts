@@ -0,0 +1,20 @@
+// THIS FILE IS AUTOMATICALLY GENERATED BY SPACETIMEDB. EDITS TO THIS FILE
+// WILL NOT BE SAVED. MODIFY TABLES IN YOUR MODULE SOURCE CODE INSTEAD.
+
+/* eslint-disable */
+/* tslint:disable */
+import {
+  TypeBuilder as __TypeBuilder,
+  t as __t,
+  type AlgebraicTypeType as __AlgebraicTypeType,
+  type Infer as __Infer,
+} from "spacetimedb";
+
+export default __t.row({
+  commandId: __t.string().primaryKey().name("command_id"),
+  roomId: __t.string().name("room_id"),
+  npcId: __t.string().name("npc_id"),
+  npcName: __t.string().name("npc_name"),
+  body: __t.string(),
+  updatedAt: __t.timestamp().name("updated_at"),
+});
@@ -0,0 +1,23 @@
+// THIS FILE IS AUTOMATICALLY GENERATED BY SPACETIMEDB. EDITS TO THIS FILE
+// WILL NOT BE SAVED. MODIFY TABLES IN YOUR MODULE SOURCE CODE INSTEAD.
+
+/* eslint-disable */
+/* tslint:disable */
+import {
+  TypeBuilder as __TypeBuilder,
+  t as __t,
+  type AlgebraicTypeType as __AlgebraicTypeType,
+  type Infer as __Infer,
+} from "spacetimedb";
+
+export default __t.row({
+  commandId: __t.string().name("command_id"),
+  npcId: __t.string().name("npc_id"),
+  roomId: __t.string().name("room_id"),
+  actorId: __t.string().name("actor_id"),
+  playerMessage: __t.string().name("player_message"),
+  conversationHistory: __t.option(__t.string()).name("conversation_history"),
+  state: __t.string(),
+  createdAt: __t.timestamp().name("created_at"),
+  dialogueNodeId: __t.option(__t.string()).name("dialogue_node_id"),
+});
@@ -0,0 +1,23 @@
+// THIS FILE IS AUTOMATICALLY GENERATED BY SPACETIMEDB. EDITS TO THIS FILE
+// WILL NOT BE SAVED. MODIFY TABLES IN YOUR MODULE SOURCE CODE INSTEAD.
+
+/* eslint-disable */
+/* tslint:disable */
+import {
+  TypeBuilder as __TypeBuilder,
+  t as __t,
+  type AlgebraicTypeType as __AlgebraicTypeType,
+  type Infer as __Infer,
+} from "spacetimedb";
+
+export default __t.row({
+  id: __t.string().primaryKey(),
+  scope: __t.string(),
+  templateId: __t.string().name("template_id"),
+  version: __t.u32(),
+  action: __t.string(),
+  system: __t.string(),
+  user: __t.string(),
+  createdBy: __t.string().name("created_by"),
+  createdAt: __t.timestamp().name("created_at"),
+});
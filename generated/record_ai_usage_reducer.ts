@@ -0,0 +1,24 @@
+// THIS FILE IS AUTOMATICALLY GENERATED BY SPACETIMEDB. EDITS TO THIS FILE
+// WILL NOT BE SAVED. MODIFY TABLES IN YOUR MODULE SOURCE CODE INSTEAD.
+
+/* eslint-disable */
+/* tslint:disable */
+import {
+  TypeBuilder as __TypeBuilder,
+  t as __t,
+  type AlgebraicTypeType as __AlgebraicTypeType,
+  type Infer as __Infer,
+} from "spacetimedb";
+
+export default {
+  actorId: __t.string(),
+  route: __t.string(),
+  task: __t.string(),
+  provider: __t.string(),
+  model: __t.string(),
+  promptTokens: __t.u64(),
+  completionTokens: __t.u64(),
+  images: __t.u32(),
+  latencyMs: __t.u32(),
+  succeeded: __t.bool(),
+};
@@ -83,6 +83,15 @@ export const ActorAbility = __t.object("ActorAbility", {
 });
 export type ActorAbility = __Infer<typeof ActorAbility>;
 
+export const ActorAiActionUse = __t.object("ActorAiActionUse", {
+  id: __t.string(),
+  actorId: __t.string(),
+  actionId: __t.string(),
+  uses: __t.u32(),
+  lastUsedAt: __t.timestamp(),
+});
+export type ActorAiActionUse = __Infer<typeof ActorAiActionUse>;
+
 export const ActorCharacterOption = __t.object("ActorCharacterOption", {
   id: __t.string(),
   actorId: __t.string(),
@@ -309,6 +318,63 @@ export const AdminRoleDefinition = __t.object("AdminRoleDefinition", {
 });
 export type AdminRoleDefinition = __Infer<typeof AdminRoleDefinition>;
 
+export const AiBudget = __t.object("AiBudget", {
+  id: __t.string(),
+  scope: __t.string(),
+  target: __t.string(),
+  dailyRequests: __t.u32(),
+  dailyTokens: __t.u64(),
+  dailyImages: __t.u32(),
+  updatedBy: __t.string(),
+  updatedAt: __t.timestamp(),
+});
+export type AiBudget = __Infer<typeof AiBudget>;
+
+export const AiUsageDaily = __t.object("AiUsageDaily", {
+  id: __t.string(),
+  scope: __t.string(),
+  day: __t.u32(),
+  profileId: __t.string(),
+  route: __t.string(),
+  provider: __t.string(),
+  model: __t.string(),
+  requests: __t.u32(),
+  failures: __t.u32(),
+  promptTokens: __t.u64(),
+  completionTokens: __t.u64(),
+  images: __t.u32(),
+  latencyMsTotal: __t.u64(),
+  updatedAt: __t.timestamp(),
+});
+export type AiUsageDaily = __Infer<typeof AiUsageDaily>;
+
+export const AiUsageEvent = __t.object("AiUsageEvent", {
+  id: __t.u64(),
+  scope: __t.string(),
+  owner: __t.identity(),
+  profileId: __t.string(),
+  route: __t.string(),
+  task: __t.string(),
+  provider: __t.string(),
+  model: __t.string(),
+  promptTokens: __t.u64(),
+  completionTokens: __t.u64(),
+  images: __t.u32(),
+  latencyMs: __t.u32(),
+  succeeded: __t.bool(),
+  createdAt: __t.timestamp(),
+});
+export type AiUsageEvent = __Infer<typeof AiUsageEvent>;
+
+export const ArtStyle = __t.object("ArtStyle", {
+  id: __t.string(),
+  targetKind: __t.string(),
+  targetId: __t.string(),
+  styleJson: __t.string(),
+  updatedAt: __t.timestamp(),
+});
+export type ArtStyle = __Infer<typeof ArtStyle>;
+
 export const BankConfig = __t.object("BankConfig", {
   id: __t.string(),
   accessMode: __t.string(),
@@ -579,6 +645,57 @@ export const Npc = __t.object("Npc", {
 });
 export type Npc = __Infer<typeof Npc>;
 
+export const NpcAiAction = __t.object("NpcAiAction", {
+  id: __t.string(),
+  npcId: __t.string(),
+  actionKind: __t.string(),
+  actionReferenceId: __t.option(__t.string()),
+  maxValue: __t.i32(),
+  usesPerActor: __t.u32(),
+  instructions: __t.string(),
+  createdAt: __t.timestamp(),
+  updatedAt: __t.timestamp(),
+});
+export type NpcAiAction = __Infer<typeof NpcAiAction>;
+
+export const NpcMemory = __t.object("NpcMemory", {
+  id: __t.string(),
+  scope: __t.string(),
+  npcId: __t.string(),
+  actorId: __t.string(),
+  summary: __t.string(),
+  keyFacts: __t.string(),
+  sentiment: __t.i32(),
+  conversations: __t.u32(),
+  recentExchanges: __t.string(),
+  lastTalkedAt: __t.timestamp(),
+  updatedAt: __t.timestamp(),
+});
+export type NpcMemory = __Infer<typeof NpcMemory>;
+
+export const NpcReplyDraft = __t.object("NpcReplyDraft", {
+  commandId: __t.string(),
+  roomId: __t.string(),
+  npcId: __t.string(),
+  npcName: __t.string(),
+  body: __t.string(),
+  updatedAt: __t.timestamp(),
+});
+export type NpcReplyDraft = __Infer<typeof NpcReplyDraft>;
+
+export const NpcReplyJob = __t.object("NpcReplyJob", {
+  commandId: __t.string(),
+  npcId: __t.string(),
+  roomId: __t.string(),
+  actorId: __t.string(),
+  playerMessage: __t.string(),
+  conversationHistory: __t.option(__t.string()),
+  state: __t.string(),
+  createdAt: __t.timestamp(),
+  dialogueNodeId: __t.option(__t.string()),
+});
+export type NpcReplyJob = __Infer<typeof NpcReplyJob>;
+
 export const NpcThreat = __t.object("NpcThreat", {
   id: __t.string(),
   npcId: __t.string(),
@@ -732,6 +849,29 @@ export const ProgressionConfig = __t.object("ProgressionConfig", {
 });
 export type ProgressionConfig = __Infer<typeof ProgressionConfig>;
 
+export const PromptTemplate = __t.object("PromptTemplate", {
+  id: __t.string(),
+  system: __t.string(),
+  user: __t.string(),
+  version: __t.u32(),
+  updatedBy: __t.string(),
+  updatedAt: __t.timestamp(),
+});
+export type PromptTemplate = __Infer<typeof PromptTemplate>;
+
+export const PromptTemplateVersion = __t.object("PromptTemplateVersion", {
+  id: __t.string(),
+  scope: __t.string(),
+  templateId: __t.string(),
+  version: __t.u32(),
+  action: __t.string(),
+  system: __t.string(),
+  user: __t.string(),
+  createdBy: __t.string(),
+  createdAt: __t.timestamp(),
+});
+export type PromptTemplateVersion = __Infer<typeof PromptTemplateVersion>;
+
 export const ProviderRequestWindow = __t.object("ProviderRequestWindow", {
   id: __t.string(),
   owner: __t.identity(),
@@ -902,6 +1042,14 @@ export const ScheduledWorldTick = __t.object("ScheduledWorldTick", {
 });
 export type ScheduledWorldTick = __Infer<typeof ScheduledWorldTick>;
 
+export const ServiceIdentity = __t.object("ServiceIdentity", {
+  identity: __t.identity(),
+  role: __t.string(),
+  label: __t.string(),
+  createdAt: __t.timestamp(),
+});
+export type ServiceIdentity = __Infer<typeof ServiceIdentity>;
+
 export const SocialRelationship = __t.object("SocialRelationship", {
   id: __t.string(),
   owner: __t.identity(),
@@ -7,48 +7,74 @@ import { type Infer as __Infer } from "spacetimedb";
 
 // Import all reducer arg schemas
 import AdminActorActionReducer from "../admin_actor_action_reducer";
+import ApplyAdminBatchReducer from "../apply_admin_batch_reducer";
 import ApplyAdminPatchReducer from "../apply_admin_patch_reducer";
+import ApproveNpcWorkerReducer from "../approve_npc_worker_reducer";
 import AuthorizeProviderRequestReducer from "../authorize_provider_request_reducer";
 import ClientConnectedReducer from "../client_connected_reducer";
 import CompleteNpcCommandReducer from "../complete_npc_command_reducer";
 import ConfigureEngineRecordReducer from "../configure_engine_record_reducer";
+import DeleteAiBudgetReducer from "../delete_ai_budget_reducer";
 import DeleteCurrentAccountReducer from "../delete_current_account_reducer";
 import DeleteEngineRecordReducer from "../delete_engine_record_reducer";
 import DeleteRowsReducer from "../delete_rows_reducer";
 import DeleteWorldSnapshotReducer from "../delete_world_snapshot_reducer";
+import ForgetNpcMemoryReducer from "../forget_npc_memory_reducer";
 import InsertRowsReducer from "../insert_rows_reducer";
 import InstallRpgStarterKitReducer from "../install_rpg_starter_kit_reducer";
 import ModeratePlayerReducer from "../moderate_player_reducer";
+import RecordAiUsageReducer from "../record_ai_usage_reducer";
+import RecordNpcMemoryReducer from "../record_npc_memory_reducer";
+import RequestNpcWorkerReducer from "../request_npc_worker_reducer";
+import ResetPromptTemplateReducer from "../reset_prompt_template_reducer";
 import ResolvePlayerReportReducer from "../resolve_player_report_reducer";
 import ResolveScheduledCastReducer from "../resolve_scheduled_cast_reducer";
 import ResolveScheduledEffectTickReducer from "../resolve_scheduled_effect_tick_reducer";
 import ResolveWorldTickReducer from "../resolve_world_tick_reducer";
+import RevokeNpcWorkerReducer from "../revoke_npc_worker_reducer";
+import SaveAiBudgetReducer from "../save_ai_budget_reducer";
+import SavePromptTemplateReducer from "../save_prompt_template_reducer";
 import SaveWorldSnapshotReducer from "../save_world_snapshot_reducer";
 import SelectCharacterOptionReducer from "../select_character_option_reducer";
+import StreamNpcReplyReducer from "../stream_npc_reply_reducer";
 import SubmitCommandReducer from "../submit_command_reducer";
+import UpdateNpcMemoryReducer from "../update_npc_memory_reducer";
 import UpdateRowsReducer from "../update_rows_reducer";
 import ValidateWorldContentReducer from "../validate_world_content_reducer";
 
 export type AdminActorActionParams = __Infer<typeof AdminActorActionReducer>;
+export type ApplyAdminBatchParams = __Infer<typeof ApplyAdminBatchReducer>;
 export type ApplyAdminPatchParams = __Infer<typeof ApplyAdminPatchReducer>;
+export type ApproveNpcWorkerParams = __Infer<typeof ApproveNpcWorkerReducer>;
 export type AuthorizeProviderRequestParams = __Infer<typeof AuthorizeProviderRequestReducer>;
 export type ClientConnectedParams = __Infer<typeof ClientConnectedReducer>;
 export type CompleteNpcCommandParams = __Infer<typeof CompleteNpcCommandReducer>;
 export type ConfigureEngineRecordParams = __Infer<typeof ConfigureEngineRecordReducer>;
+export type DeleteAiBudgetParams = __Infer<typeof DeleteAiBudgetReducer>;
 export type DeleteCurrentAccountParams = __Infer<typeof DeleteCurrentAccountReducer>;
 export type DeleteEngineRecordParams = __Infer<typeof DeleteEngineRecordReducer>;
 export type DeleteRowsParams = __Infer<typeof DeleteRowsReducer>;
 export type DeleteWorldSnapshotParams = __Infer<typeof DeleteWorldSnapshotReducer>;
+export type ForgetNpcMemoryParams = __Infer<typeof ForgetNpcMemoryReducer>;
 export type InsertRowsParams = __Infer<typeof InsertRowsReducer>;
 export type InstallRpgStarterKitParams = __Infer<typeof InstallRpgStarterKitReducer>;
 export type ModeratePlayerParams = __Infer<typeof ModeratePlayerReducer>;
+export type RecordAiUsageParams = __Infer<typeof RecordAiUsageReducer>;
+export type RecordNpcMemoryParams = __Infer<typeof RecordNpcMemoryReducer>;
+export type RequestNpcWorkerParams = __Infer<typeof RequestNpcWorkerReducer>;
+export type ResetPromptTemplateParams = __Infer<typeof ResetPromptTemplateReducer>;
 export type ResolvePlayerReportParams = __Infer<typeof ResolvePlayerReportReducer>;
 export type ResolveScheduledCastParams = __Infer<typeof ResolveScheduledCastReducer>;
 export type ResolveScheduledEffectTickParams = __Infer<typeof ResolveScheduledEffectTickReducer>;
 export type ResolveWorldTickParams = __Infer<typeof ResolveWorldTickReducer>;
+export type RevokeNpcWorkerParams = __Infer<typeof RevokeNpcWorkerReducer>;
+export type SaveAiBudgetParams = __Infer<typeof SaveAiBudgetReducer>;
+export type SavePromptTemplateParams = __Infer<typeof SavePromptTemplateReducer>;
 export type SaveWorldSnapshotParams = __Infer<typeof SaveWorldSnapshotReducer>;
 export type SelectCharacterOptionParams = __Infer<typeof SelectCharacterOptionReducer>;
+export type StreamNpcReplyParams = __Infer<typeof StreamNpcReplyReducer>;
 export type SubmitCommandParams = __Infer<typeof SubmitCommandReducer>;
+export type UpdateNpcMemoryParams = __Infer<typeof UpdateNpcMemoryReducer>;
 export type UpdateRowsParams = __Infer<typeof UpdateRowsReducer>;
 export type ValidateWorldContentParams = __Infer<typeof ValidateWorldContentReducer>;
 
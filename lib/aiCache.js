@@ -0,0 +1,131 @@
+// Response cache for the admin editor's suggestion routes. Admins often ask
+// for a name, description, or palette again with the same context; identical
+// requests are answered from disk instead of the provider until they expire.
+// Entries are JSON files named by a SHA-256 of everything that shapes the
+// reply: provider chain, models, prompt messages, and sampling settings.
+// NPC dialogue and Archie do not pass a cache and always reach the provider.
+
+import { createHash } from 'node:crypto';
+import { mkdir, readdir, readFile, rename, rm, stat, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+
+const CACHE_DIR = path.resolve(process.env.AI_CACHE_DIR?.trim() || '.cache/ai-responses');
+const TTL_MS = Math.max(0, Number(process.env.AI_CACHE_TTL_SECONDS ?? 86_400) || 0) * 1_000;
+const PRUNE_EVERY_WRITES = 50;
+
+// Hit and miss counts since the server started, per task.
+const stats = { since: new Date().toISOString(), writes: 0, tasks: new Map() };
+
+function taskStats(task) {
+    const name = task || 'unnamed';
+    if (!stats.tasks.has(name)) stats.tasks.set(name, { hits: 0, misses: 0, bypasses: 0 });
+    return stats.tasks.get(name);
+}
+
+const cacheKey = (descriptor) => createHash('sha256').update(JSON.stringify(descriptor)).digest('hex');
+const entryPath = (key) => path.join(CACHE_DIR, `${key}.json`);
+
+async function readEntry(key) {
+    try {
+        const entry = JSON.parse(await readFile(entryPath(key), 'utf8'));
+        if (entry.expiresAt > Date.now()) return entry;
+        await rm(entryPath(key), { force: true });
+    } catch (error) {
+        if (error.code !== 'ENOENT') console.warn('Ignoring an unreadable AI cache entry:', error.message);
+    }
+    return null;
+}
+
+async function writeEntry(key, task, completion) {
+    await mkdir(CACHE_DIR, { recursive: true });
+    const now = Date.now();
+    const entry = { task, createdAt: now, expiresAt: now + TTL_MS, completion };
+    // Written beside the entry and renamed, so a reader never sees half a file.
+    const temporary = `${entryPath(key)}.${process.pid}.${now}.tmp`;
+    await writeFile(temporary, JSON.stringify(entry));
+    await rename(temporary, entryPath(key));
+    stats.writes += 1;
+    if (stats.writes % PRUNE_EVERY_WRITES === 0) await pruneExpired();
+}
+
+async function cacheFiles() {
+    try {
+        return (await readdir(CACHE_DIR)).filter((name) => name.endsWith('.json'));
+    } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+    }
+}
+
+async function pruneExpired() {
+    for (const name of await cacheFiles()) {
+        try {
+            const entry = JSON.parse(await readFile(path.join(CACHE_DIR, name), 'utf8'));
+            if (entry.expiresAt <= Date.now()) await rm(path.join(CACHE_DIR, name), { force: true });
+        } catch {
+            await rm(path.join(CACHE_DIR, name), { force: true });
+        }
+    }
+}
+
+/**
+ * The cache for a suggestion route, passed to createChatCompletion or
+ * createStructuredCompletion as `cache`. A request body with `fresh: true`
+ * skips the stored answer and replaces it with a new one, which is how the
+ * editor asks for another suggestion.
+ * @param {Object} req - The API request
+ * @returns {Object|null} `{bypass, get, set}`, or null when
+ *   AI_CACHE_TTL_SECONDS is 0
+ */
+export function suggestionCache(req) {
+    if (TTL_MS === 0) return null;
+    return {
+        bypass: req?.body?.fresh === true,
+        async get(descriptor) {
+            const counts = taskStats(descriptor.task);
+            if (this.bypass) {
+                counts.bypasses += 1;
+                return null;
+            }
+            const entry = await readEntry(cacheKey(descriptor));
+            counts[entry ? 'hits' : 'misses'] += 1;
+            return entry?.completion || null;
+        },
+        async set(descriptor, completion) {
+            try {
+                await writeEntry(cacheKey(descriptor), descriptor.task, completion);
+            } catch (error) {
+                console.warn('Could not store an AI cache entry:', error.message);
+            }
+        },
+    };
+}
+
+/**
+ * Hit and miss counts since the server started, and what is on disk.
+ * @returns {Promise<Object>}
+ */
+export async function getAICacheStats() {
+    const files = await cacheFiles();
+    let bytes = 0;
+    for (const name of files) {
+        bytes += (await stat(path.join(CACHE_DIR, name)).catch(() => ({ size: 0 }))).size;
+    }
+    const tasks = Object.fromEntries([...stats.tasks.entries()].sort(([left], [right]) => left.localeCompare(right)));
+    const totals = Object.values(tasks).reduce((sum, row) => ({
+        hits: sum.hits + row.hits,
+        misses: sum.misses + row.misses,
+        bypasses: sum.bypasses + row.bypasses,
+    }), { hits: 0, misses: 0, bypasses: 0 });
+    return { enabled: TTL_MS > 0, ttlSeconds: TTL_MS / 1_000, since: stats.since, entries: files.length, bytes, ...totals, tasks };
+}
+
+/**
+ * Deletes every stored answer. Counts are kept.
+ * @returns {Promise<number>} How many entries were removed
+ */
+export async function clearAICache() {
+    const files = await cacheFiles();
+    await Promise.all(files.map((name) => rm(path.join(CACHE_DIR, name), { force: true })));
+    return files.length;
+}
@@ -3,13 +3,18 @@
  * 
  * Supports OpenAI, Grok, local OpenAI-compatible servers, and a custom
  * OpenAI-compatible endpoint via environment variables. Ollama, llama.cpp,
- * LM Studio, vLLM, and LocalAI can all use the local provider.
+ * LM Studio, vLLM, and LocalAI can all use the local provider. The fake
+ * provider answers offline from lib/fakeAIProvider for development and CI.
  * 
  * Environment Variables:
- * - AI_PROVIDER: "openai" (default), "grok", "local", or "custom"
+ * - AI_PROVIDER: "openai" (default), "grok", "local", "custom", or "fake", or a
+ *   comma-separated chain such as "local,openai" that requests fail over along
  * - OPENAI_API_KEY: Your OpenAI API key
  * - GROK_API_KEY: Your Grok API key
  * - LOCAL_AI_BASE_URL: OpenAI-compatible base URL, including /v1
+ * - LOCAL_AI_SERVER: "ollama" for Ollama's native chat API, "llamacpp" for
+ *   the llama.cpp server, or "openai" (default) for any OpenAI-compatible
+ *   server; lib/localModelServers lists each server's models
  * - LOCAL_AI_MODEL: Default local model name
  * - LOCAL_AI_FAST_MODEL / LOCAL_AI_SMART_MODEL / LOCAL_AI_VISION_MODEL:
  *   Optional per-task local model overrides
@@ -18,11 +23,30 @@
  *   Operator-provided OpenAI-compatible endpoint
  * - *_AGENT_MODEL: Optional Archie-specific model override
  * - *_AGENT_API: "responses" or "chat_completions"
+ * - OPENAI_TIMEOUT_MS / GROK_TIMEOUT_MS / LOCAL_AI_TIMEOUT_MS / CUSTOM_AI_TIMEOUT_MS:
+ *   Per-provider request timeout
+ * - AI_PROVIDER_RETRIES: Retries per provider on 429, 5xx, timeouts, and
+ *   network errors (default 2)
+ * - AI_CIRCUIT_BREAKER_FAILURES / AI_CIRCUIT_BREAKER_COOLDOWN_SECONDS: Skip a
+ *   provider for the cooldown after this many requests in a row fail with a
+ *   429, a 5xx, a timeout, or a network error; then one request probes it
+ * - LOCAL_AI_STRUCTURED_OUTPUT / CUSTOM_AI_STRUCTURED_OUTPUT: "json_schema"
+ *   when the server accepts a JSON schema as response_format, or
+ *   "json_object" for JSON mode with the schema described in the prompt
+ * - AI_STRUCTURED_OUTPUT_REPAIRS: How many times a reply that fails its
+ *   schema is sent back with the errors to fix (default 2)
  */
+import { z } from 'zod';
+import { reportAIUsage } from './aiUsage';
+import { fakeChatCompletion } from './fakeAIProvider';
+import { discoverLocalModels, LOCAL_AI_SERVERS, LOCAL_MODEL_ROLES, ollamaChatCompletion } from './localModelServers';
 
 const normalizeBaseUrl = (value, fallback) => String(value || fallback).trim().replace(/\/+$/, '');
 const localModel = process.env.LOCAL_AI_MODEL?.trim() || 'qwen2.5:7b';
 const customModel = process.env.CUSTOM_AI_MODEL?.trim() || '';
+const timeoutSetting = (value, fallback) => Math.max(1_000, Number(value) || fallback);
+const structuredOutputSetting = (value, fallback) => (['json_schema', 'json_object'].includes(value?.trim()) ? value.trim() : fallback);
+const localServerSetting = (value) => (LOCAL_AI_SERVERS.includes(value?.trim().toLowerCase()) ? value.trim().toLowerCase() : 'openai');
 
 // API Configuration
 const API_CONFIG = {
@@ -31,6 +55,8 @@ const API_CONFIG = {
         apiKey: process.env.OPENAI_API_KEY,
         agentModel: process.env.OPENAI_AGENT_MODEL?.trim() || 'gpt-5.6-sol',
         agentApi: process.env.OPENAI_AGENT_API?.trim() || 'responses',
+        timeoutMs: timeoutSetting(process.env.OPENAI_TIMEOUT_MS, 60_000),
+        structuredOutput: 'json_schema',
         models: {
             fast: 'gpt-4o-mini',
             smart: 'gpt-4o',
@@ -42,6 +68,8 @@ const API_CONFIG = {
         apiKey: process.env.GROK_API_KEY,
         agentModel: process.env.GROK_AGENT_MODEL?.trim() || 'grok-4.5',
         agentApi: process.env.GROK_AGENT_API?.trim() || 'responses',
+        timeoutMs: timeoutSetting(process.env.GROK_TIMEOUT_MS, 60_000),
+        structuredOutput: 'json_schema',
         models: {
             fast: 'grok-4-fast-non-reasoning',
             smart: 'grok-4-0709',
@@ -53,8 +81,13 @@ const API_CONFIG = {
         // The OpenAI SDK requires a value. Ollama ignores it, while protected
         // OpenAI-compatible servers can receive a real key through the env var.
         apiKey: process.env.LOCAL_AI_API_KEY?.trim() || 'local',
+        server: localServerSetting(process.env.LOCAL_AI_SERVER),
         agentModel: process.env.LOCAL_AI_AGENT_MODEL?.trim() || process.env.LOCAL_AI_SMART_MODEL?.trim() || localModel,
         agentApi: process.env.LOCAL_AI_AGENT_API?.trim() || 'chat_completions',
+        // Local models may need to load into memory on their first request.
+        timeoutMs: timeoutSetting(process.env.LOCAL_AI_TIMEOUT_MS, 120_000),
+        // Ollama, llama.cpp, LM Studio, and vLLM all accept JSON schemas.
+        structuredOutput: structuredOutputSetting(process.env.LOCAL_AI_STRUCTURED_OUTPUT, 'json_schema'),
         models: {
             fast: process.env.LOCAL_AI_FAST_MODEL?.trim() || localModel,
             smart: process.env.LOCAL_AI_SMART_MODEL?.trim() || localModel,
@@ -66,40 +99,193 @@ const API_CONFIG = {
         apiKey: process.env.CUSTOM_AI_API_KEY?.trim(),
         agentModel: process.env.CUSTOM_AI_AGENT_MODEL?.trim() || customModel,
         agentApi: process.env.CUSTOM_AI_AGENT_API?.trim() || 'chat_completions',
+        timeoutMs: timeoutSetting(process.env.CUSTOM_AI_TIMEOUT_MS, 60_000),
+        structuredOutput: structuredOutputSetting(process.env.CUSTOM_AI_STRUCTURED_OUTPUT, 'json_object'),
         models: {
             fast: process.env.CUSTOM_AI_FAST_MODEL?.trim() || customModel,
             smart: process.env.CUSTOM_AI_SMART_MODEL?.trim() || customModel,
             vision: process.env.CUSTOM_AI_VISION_MODEL?.trim() || customModel,
         },
+    },
+    // Deterministic offline answers; nothing leaves the process.
+    fake: {
+        baseUrl: 'fake://local',
+        apiKey: 'fake',
+        agentModel: 'fake-archie',
+        agentApi: 'chat_completions',
+        timeoutMs: 60_000,
+        structuredOutput: 'json_schema',
+        models: {
+            fast: 'fake-fast',
+            smart: 'fake-smart',
+            vision: 'fake-vision',
+        },
     }
 };
 
+const RETRIES = Math.max(0, Math.trunc(Number(process.env.AI_PROVIDER_RETRIES ?? 2)) || 0);
+const RETRY_BASE_MS = 500;
+const RETRY_MAX_MS = 10_000;
+const BREAKER_FAILURES = Math.max(1, Number(process.env.AI_CIRCUIT_BREAKER_FAILURES) || 3);
+const BREAKER_COOLDOWN_MS = Math.max(1, Number(process.env.AI_CIRCUIT_BREAKER_COOLDOWN_SECONDS) || 60) * 1_000;
+const STRUCTURED_REPAIRS = Math.max(0, Math.trunc(Number(process.env.AI_STRUCTURED_OUTPUT_REPAIRS ?? 2)) || 0);
+
+export class StructuredOutputError extends Error {
+    constructor(message, { status = 502, code = 'INVALID_STRUCTURED_OUTPUT', details = '' } = {}) {
+        super(message);
+        this.name = 'StructuredOutputError';
+        this.status = status;
+        this.code = code;
+        this.details = details;
+    }
+}
+
 /**
- * Get the current AI provider configuration
+ * Get the provider names from AI_PROVIDER, in the order requests try them
+ * @returns {string[]} Provider names
  */
-export function getAIConfig() {
-    const provider = String(process.env.AI_PROVIDER || 'openai').trim().toLowerCase();
-    const config = API_CONFIG[provider];
-    
-    if (!config) {
-        throw new Error(`Invalid AI_PROVIDER: ${provider}. Must be "openai", "grok", "local", or "custom".`);
+export function getAIProviderChain() {
+    const names = String(process.env.AI_PROVIDER || 'openai').split(',').map((name) => name.trim().toLowerCase()).filter(Boolean);
+    const chain = [...new Set(names.length > 0 ? names : ['openai'])];
+    const invalid = chain.find((name) => !API_CONFIG[name]);
+    if (invalid) {
+        throw new Error(`Invalid AI_PROVIDER: ${invalid}. Must be "openai", "grok", "local", "custom", or "fake", or a comma-separated list of them.`);
     }
-    
+    return chain;
+}
+
+function providerConfig(provider) {
+    const config = API_CONFIG[provider];
     if (!config.apiKey) {
         throw new Error(`Missing API key for provider: ${provider}.`);
     }
     if (!config.baseUrl) {
         throw new Error(`Missing base URL for provider: ${provider}.`);
     }
-    
     return {
         provider,
         baseUrl: config.baseUrl,
         apiKey: config.apiKey,
-        models: config.models
+        models: config.models,
+        timeoutMs: config.timeoutMs,
+        structuredOutput: config.structuredOutput,
+        server: config.server || null,
     };
 }
 
+// Circuit breaker state per provider. It lives as long as the process, so the
+// web server and the NPC worker each keep their own.
+const circuits = new Map();
+
+function circuit(provider) {
+    if (!circuits.has(provider)) {
+        circuits.set(provider, { failures: 0, openUntil: 0, probing: false, lastError: null, lastFailureAt: 0 });
+    }
+    return circuits.get(provider);
+}
+
+// A circuit past its cooldown is half-open: it stays closed to everyone but
+// the single probe request that admitRequest lets through.
+const circuitIsOpen = (provider) => {
+    const state = circuit(provider);
+    return state.openUntil > Date.now() || state.probing;
+};
+
+function admitRequest(provider) {
+    const state = circuit(provider);
+    if (circuitIsOpen(provider)) return false;
+    if (state.openUntil) state.probing = true;
+    return true;
+}
+
+function recordSuccess(provider) {
+    Object.assign(circuit(provider), { failures: 0, openUntil: 0, probing: false });
+}
+
+// Only failures that say the provider is down or overloaded count; a rejected
+// request still got an answer. A probe that fails opens the circuit for
+// another cooldown.
+function recordFailure(provider, error) {
+    if (!isRetryable(error)) {
+        recordSuccess(provider);
+        return;
+    }
+    const state = circuit(provider);
+    state.probing = false;
+    state.failures += 1;
+    state.lastError = String(error?.message || error).slice(0, 300);
+    state.lastFailureAt = Date.now();
+    if (state.failures >= BREAKER_FAILURES) {
+        state.openUntil = Date.now() + BREAKER_COOLDOWN_MS;
+    }
+}
+
+function configuredProviders() {
+    const configs = [];
+    let firstError = null;
+    for (const provider of getAIProviderChain()) {
+        try {
+            configs.push(providerConfig(provider));
+        } catch (error) {
+            firstError = firstError || error;
+        }
+    }
+    if (configs.length === 0) throw firstError;
+    return configs;
+}
+
+/**
+ * Get the current AI provider configuration: the first configured provider in
+ * the chain whose circuit is closed, or the first configured one when every
+ * circuit is open
+ */
+export function getAIConfig() {
+    const configs = configuredProviders();
+    return configs.find((config) => !circuitIsOpen(config.provider)) || configs[0];
+}
+
+/**
+ * Report each provider in the chain for status screens. Keys are never
+ * included.
+ * @returns {Array<Object>} `{ provider, configured, active, state, failures,
+ *   lastError, lastFailureAt, retryAt }`; state is "healthy", "failing",
+ *   "open" (skipped until retryAt), or "unconfigured"
+ */
+export function getAIProviderHealth() {
+    let chain;
+    try {
+        chain = getAIProviderChain();
+    } catch {
+        return [];
+    }
+    let active = null;
+    try {
+        active = getAIConfig().provider;
+    } catch {
+        // Nothing in the chain is configured; each entry says why below.
+    }
+    return chain.map((provider) => {
+        let configError = null;
+        try {
+            providerConfig(provider);
+        } catch (error) {
+            configError = error.message;
+        }
+        const state = circuit(provider);
+        const open = circuitIsOpen(provider);
+        return {
+            provider,
+            configured: !configError,
+            active: provider === active,
+            state: configError ? 'unconfigured' : open ? 'open' : state.failures > 0 ? 'failing' : 'healthy',
+            failures: state.failures,
+            lastError: configError || state.lastError,
+            lastFailureAt: state.lastFailureAt ? new Date(state.lastFailureAt).toISOString() : null,
+            retryAt: state.openUntil > Date.now() ? new Date(state.openUntil).toISOString() : null,
+        };
+    });
+}
+
 /**
  * Return the provider configuration used by Archie. This stays server-side;
  * callers must never serialize apiKey into a browser response.
@@ -120,20 +306,50 @@ export function getAgentAIConfig() {
 }
 
 export function getAgentAIStatus() {
+    const providers = getAIProviderHealth();
+    const failed = providers.filter((entry) => entry.state === 'open' || entry.state === 'failing').map((entry) => entry.provider);
     try {
         const { provider, model, api } = getAgentAIConfig();
-        return { available: true, provider, model, api };
+        return { available: true, provider, model, api, providers, failed };
     } catch (error) {
         return {
             available: false,
-            provider: String(process.env.AI_PROVIDER || 'openai').trim().toLowerCase(),
+            provider: String(process.env.AI_PROVIDER || 'openai').split(',')[0].trim().toLowerCase(),
             model: null,
             api: null,
+            providers,
+            failed,
             error: error instanceof Error ? error.message : String(error),
         };
     }
 }
 
+/**
+ * List the local server's models and check the configured fast, smart, and
+ * vision models against them, as discoverLocalModels describes.
+ * @returns {Promise<Object>} Adds `inChain`, whether AI_PROVIDER uses local
+ */
+export async function getLocalModelStatus() {
+    let inChain = false;
+    try {
+        inChain = getAIProviderChain().includes('local');
+    } catch {
+        // An invalid AI_PROVIDER is reported by the provider health check.
+    }
+    return { ...(await discoverLocalModels(API_CONFIG.local)), inChain };
+}
+
+/**
+ * Switch the local fast, smart, and vision models for this process. The admin
+ * panel saves the same choice to .env.local for the next start.
+ * @param {Object} models - Model names by role; missing roles are unchanged
+ */
+export function setLocalModels(models) {
+    for (const role of LOCAL_MODEL_ROLES) {
+        if (models[role]) API_CONFIG.local.models[role] = models[role];
+    }
+}
+
 /**
  * Get model name for the current provider
  * @param {string} modelType - 'fast', 'smart', or 'vision'
@@ -152,17 +368,236 @@ export function getModel(modelType = 'fast') {
  * @param {number} options.maxTokens - Max tokens for response
  * @param {number} options.temperature - Temperature (0-1)
  * @param {Object} options.responseFormat - Response format (e.g., { type: 'json_object' })
- * @returns {Promise<Object>} The API response
+ * @param {Array} options.tools - Function tools the model may call
+ * @param {string|Object} options.toolChoice - Tool choice (e.g., 'auto')
+ * @param {string} options.task - Names the caller, such as 'suggest-room-name';
+ *   the fake provider answers by it
+ * @param {boolean} options.stream - Stream the reply as server-sent events
+ * @param {Function} options.onDelta - Called as `(delta, text)` for each piece
+ *   of streamed content, with the text so far
+ * @param {Function} options.onUsage - Called after each provider tried with
+ *   its token counts and latency, as `reportAIUsage` describes
+ * @param {Object} options.cache - A response cache such as suggestionCache
+ *   from lib/aiCache.js; unstreamed requests without tools are answered from
+ *   it when the same request was answered before
+ * @param {Function} options.cacheIf - Called with a fresh completion; it is
+ *   only cached when this returns true, so a reply the caller rejects is
+ *   asked for again next time
+ * @returns {Promise<Object>} The API response; streamed replies are assembled
+ *   into the same shape
  */
 export async function createChatCompletion({ 
     messages, 
     modelType = 'fast',
     maxTokens = 500, 
     temperature = 0.8,
-    responseFormat = null 
+    responseFormat = null,
+    tools = null,
+    toolChoice = null,
+    task = null,
+    stream = false,
+    onDelta = null,
+    onUsage = null,
+    cache = null,
+    cacheIf = null
 }) {
-    const config = getAIConfig();
-    const model = getModel(modelType);
+    const request = { messages, modelType, maxTokens, temperature, responseFormat, tools, toolChoice, task, stream };
+    const configs = configuredProviders();
+    // The key covers the whole provider chain, so a reply from a fallback
+    // provider is not served once the first one is back.
+    const cacheable = cache && !stream && !tools?.length;
+    const descriptor = cacheable ? {
+        task,
+        providers: configs.map((config) => [config.provider, config.models[modelType] || config.models.fast]),
+        messages,
+        maxTokens,
+        temperature,
+        responseFormat,
+        structuredOutput: configs.map((config) => config.structuredOutput),
+    } : null;
+    if (cacheable) {
+        const cached = await cache.get(descriptor);
+        if (cached) return cached;
+    }
+    let streamed = false;
+    const forwardDelta = onDelta ? (delta, text) => {
+        streamed = true;
+        onDelta(delta, text);
+    } : null;
+    const failures = [];
+    let lastError = null;
+
+    for (const config of configs) {
+        if (!admitRequest(config.provider)) {
+            const { openUntil } = circuit(config.provider);
+            failures.push(openUntil > Date.now()
+                ? `${config.provider} is paused after repeated failures until ${new Date(openUntil).toISOString()}.`
+                : `${config.provider} is being retried by another request.`);
+            continue;
+        }
+        const started = Date.now();
+        try {
+            const completion = await requestWithRetries(config, request, forwardDelta, () => streamed);
+            recordSuccess(config.provider);
+            await reportAIUsage(onUsage, completionUsage(config, request, completion, started));
+            if (cacheable && (!cacheIf || cacheIf(completion))) await cache.set(descriptor, completion);
+            return completion;
+        } catch (error) {
+            recordFailure(config.provider, error);
+            await reportAIUsage(onUsage, completionUsage(config, request, null, started));
+            // Streamed text has already reached the caller, so a stream that
+            // breaks partway is not restarted on the next provider.
+            if (streamed) throw error;
+            lastError = error;
+            failures.push(`${config.provider}: ${error.message}`);
+        }
+    }
+
+    if (configs.length === 1 && lastError) throw lastError;
+    throw new Error(`No AI provider could answer. ${failures.join(' ')}`);
+}
+
+function completionUsage(config, request, completion, started) {
+    return {
+        provider: config.provider,
+        model: config.models[request.modelType] || config.models.fast,
+        task: request.task || '',
+        promptTokens: completion?.usage?.prompt_tokens || 0,
+        completionTokens: completion?.usage?.completion_tokens || 0,
+        images: 0,
+        latencyMs: Date.now() - started,
+        succeeded: Boolean(completion),
+    };
+}
+
+/**
+ * Make a chat completion request whose reply must match a zod schema. The
+ * schema is sent as JSON-schema output where the provider supports it, or
+ * described to JSON mode otherwise. A reply that fails validation goes back to
+ * the model with the errors, up to AI_STRUCTURED_OUTPUT_REPAIRS times.
+ * @param {Object} options - createChatCompletion options, without
+ *   responseFormat or streaming
+ * @param {import('zod').ZodType} options.schema - What the reply must parse as
+ * @param {string} options.schemaName - Names the schema for the provider,
+ *   such as 'room_name'
+ * @returns {Promise<Object>} The parsed, validated reply
+ * @throws {StructuredOutputError} When every attempt failed validation
+ */
+export async function createStructuredCompletion({ schema, schemaName = 'response', messages, ...options }) {
+    const jsonSchema = z.toJSONSchema(schema);
+    delete jsonSchema.$schema;
+    const responseFormat = { type: 'json_schema', json_schema: { name: schemaName, schema: jsonSchema, strict: false } };
+    let attemptMessages = messages;
+    let issues = '';
+    const matchesSchema = (completion) => parseStructuredReply(schema, completionContent(completion)).success;
+
+    for (let attempt = 0; attempt <= STRUCTURED_REPAIRS; attempt += 1) {
+        const completion = await createChatCompletion({ ...options, messages: attemptMessages, responseFormat, stream: false, onDelta: null, cacheIf: matchesSchema });
+        const content = completionContent(completion);
+        const result = parseStructuredReply(schema, content);
+        if (result.success) return result.data;
+        issues = result.issues;
+        attemptMessages = [
+            ...messages,
+            { role: 'assistant', content },
+            { role: 'user', content: `That reply does not match the required format:\n${issues}\n\nReply again with only the corrected JSON object.` },
+        ];
+    }
+
+    throw new StructuredOutputError(
+        `The AI reply did not match the expected format after ${STRUCTURED_REPAIRS + 1} attempts.`,
+        { details: issues },
+    );
+}
+
+const completionContent = (completion) => completion?.choices?.[0]?.message?.content || '';
+
+function parseStructuredReply(schema, content) {
+    // Some local models wrap JSON in a Markdown fence even in JSON mode.
+    const text = content.trim().replace(/^```(?:json)?\s*([\s\S]*?)\s*```$/i, '$1');
+    let value;
+    try {
+        value = JSON.parse(text);
+    } catch (error) {
+        return { success: false, issues: `✖ The reply is not valid JSON: ${error.message}` };
+    }
+    const result = schema.safeParse(value);
+    return result.success ? result : { success: false, issues: z.prettifyError(result.error) };
+}
+
+/**
+ * Describes the schema to providers that only offer JSON mode, in the first
+ * system message so strict chat templates keep a single one.
+ */
+function withSchemaInstructions(messages, schema) {
+    const instructions = `Reply with a JSON object that matches this JSON schema:\n${JSON.stringify(schema)}`;
+    if (messages[0]?.role === 'system') {
+        return [{ ...messages[0], content: `${messages[0].content}\n\n${instructions}` }, ...messages.slice(1)];
+    }
+    return [{ role: 'system', content: instructions }, ...messages];
+}
+
+/**
+ * Turn an AI failure into a route response, like imageProviderErrorResponse.
+ * @param {Error} error - What createChatCompletion or
+ *   createStructuredCompletion threw
+ * @param {string} fallbackMessage - Shown for unexpected errors
+ * @returns {{status: number, body: Object}}
+ */
+export function aiErrorResponse(error, fallbackMessage) {
+    if (error instanceof StructuredOutputError) {
+        return {
+            status: error.status,
+            body: {
+                error: fallbackMessage,
+                code: error.code,
+                message: error.message,
+                details: error.details || undefined,
+            },
+        };
+    }
+
+    return {
+        status: 500,
+        body: {
+            error: fallbackMessage,
+            message: error instanceof Error ? error.message : String(error),
+        },
+    };
+}
+
+const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+function isRetryable(error) {
+    return Boolean(error?.retryable || error?.status === 429 || error?.status >= 500);
+}
+
+function retryDelay(error, attempt) {
+    const retryAfter = Number(error.retryAfter);
+    const wait = Number.isFinite(retryAfter) && retryAfter > 0
+        ? retryAfter * 1_000
+        : RETRY_BASE_MS * 2 ** attempt + Math.random() * RETRY_BASE_MS;
+    return Math.min(RETRY_MAX_MS, wait);
+}
+
+async function requestWithRetries(config, request, onDelta, hasStreamed) {
+    for (let attempt = 0; ; attempt += 1) {
+        try {
+            return await requestCompletion(config, request, onDelta);
+        } catch (error) {
+            if (attempt >= RETRIES || hasStreamed() || !isRetryable(error)) throw error;
+            await delay(retryDelay(error, attempt));
+        }
+    }
+}
+
+async function requestCompletion(config, request, onDelta) {
+    const { messages, modelType, maxTokens, temperature, responseFormat, tools, toolChoice, stream } = request;
+    const model = config.models[modelType] || config.models.fast;
+
+    if (config.provider === 'fake') {
+        return fakeChatCompletion({ ...request, model }, onDelta);
+    }
     
     const body = {
         model,
@@ -172,28 +607,162 @@ export async function createChatCompletion({
     };
     
     // Add response_format if provided (for JSON mode)
-    if (responseFormat) {
+    if (responseFormat?.type === 'json_schema' && config.structuredOutput !== 'json_schema') {
+        body.messages = withSchemaInstructions(messages, responseFormat.json_schema.schema);
+        body.response_format = { type: 'json_object' };
+    } else if (responseFormat) {
         body.response_format = responseFormat;
     }
-    
-    const response = await fetch(`${config.baseUrl}/chat/completions`, {
-        method: 'POST',
-        headers: {
-            'Authorization': `Bearer ${config.apiKey}`,
-            'Content-Type': 'application/json',
-        },
-        body: JSON.stringify(body)
-    });
-    
-    if (!response.ok) {
-        const errorText = await response.text();
-        const providerHint = config.provider === 'local'
-            ? ` Verify LOCAL_AI_BASE_URL (${config.baseUrl}) and that model "${model}" is installed.`
-            : '';
-        throw new Error(`AI API error (${response.status}): ${errorText}.${providerHint}`);
+
+    if (tools?.length) {
+        body.tools = tools;
+        if (toolChoice) body.tool_choice = toolChoice;
     }
-    
-    return await response.json();
+
+    if (stream) {
+        body.stream = true;
+        // Asks for a final chunk with token counts; servers without it ignore it.
+        body.stream_options = { include_usage: true };
+    }
+
+    // The timeout covers the whole request, including a streamed body.
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), config.timeoutMs);
+    try {
+        if (config.server === 'ollama') {
+            return await ollamaChatCompletion(config, {
+                model,
+                messages: body.messages,
+                maxTokens,
+                temperature,
+                responseFormat: body.response_format,
+                tools,
+                stream,
+            }, onDelta, controller.signal);
+        }
+
+        const response = await fetch(`${config.baseUrl}/chat/completions`, {
+            method: 'POST',
+            headers: {
+                'Authorization': `Bearer ${config.apiKey}`,
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify(body),
+            signal: controller.signal,
+        });
+        
+        if (!response.ok) {
+            const errorText = await response.text();
+            const providerHint = config.provider === 'local'
+                ? ` Verify LOCAL_AI_BASE_URL (${config.baseUrl}) and that model "${model}" is installed.`
+                : '';
+            const error = new Error(`AI API error (${response.status}): ${errorText}.${providerHint}`);
+            error.status = response.status;
+            error.retryAfter = response.headers.get('retry-after');
+            throw error;
+        }
+        
+        if (stream) {
+            return await readStreamedCompletion(response, onDelta);
+        }
+
+        return await response.json();
+    } catch (error) {
+        if (controller.signal.aborted) {
+            const timeout = new Error(`${config.provider} did not answer within ${config.timeoutMs} ms.`);
+            timeout.retryable = true;
+            throw timeout;
+        }
+        // fetch rejects with a TypeError when the server cannot be reached.
+        if (error instanceof TypeError && !error.status) error.retryable = true;
+        throw error;
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+/**
+ * Yields the `data:` payloads of a server-sent event stream, stopping at the
+ * OpenAI-style `[DONE]` marker.
+ */
+async function* readServerSentEvents(response) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let data = [];
+    try {
+        while (true) {
+            const { done, value } = await reader.read();
+            buffer += decoder.decode(value, { stream: !done });
+            const lines = buffer.split(/\r?\n/);
+            buffer = done ? '' : lines.pop();
+            for (const line of lines) {
+                if (line === '') {
+                    if (data.length > 0) {
+                        const payload = data.join('\n');
+                        data = [];
+                        if (payload === '[DONE]') return;
+                        yield payload;
+                    }
+                } else if (line.startsWith('data:')) {
+                    data.push(line.slice(5).replace(/^ /, ''));
+                }
+            }
+            if (done) {
+                if (data.length > 0 && data.join('\n') !== '[DONE]') yield data.join('\n');
+                return;
+            }
+        }
+    } finally {
+        reader.releaseLock();
+    }
+}
+
+/**
+ * Assembles a streamed chat completion into the shape of a regular one,
+ * joining content and tool call fragments as they arrive.
+ */
+async function readStreamedCompletion(response, onDelta) {
+    let content = '';
+    let finishReason = null;
+    let usage = null;
+    const toolCalls = [];
+    for await (const payload of readServerSentEvents(response)) {
+        let chunk;
+        try {
+            chunk = JSON.parse(payload);
+        } catch {
+            continue;
+        }
+        if (chunk?.error) {
+            throw new Error(`AI API error: ${chunk.error.message || JSON.stringify(chunk.error)}`);
+        }
+        if (chunk?.usage) usage = chunk.usage;
+        const choice = chunk?.choices?.[0];
+        if (!choice) continue;
+        const delta = choice.delta || {};
+        if (typeof delta.content === 'string' && delta.content) {
+            content += delta.content;
+            onDelta?.(delta.content, content);
+        }
+        for (const fragment of delta.tool_calls || []) {
+            const index = fragment.index ?? toolCalls.length;
+            const call = toolCalls[index] || (toolCalls[index] = { id: '', type: 'function', function: { name: '', arguments: '' } });
+            if (fragment.id) call.id = fragment.id;
+            if (fragment.function?.name) call.function.name += fragment.function.name;
+            if (fragment.function?.arguments) call.function.arguments += fragment.function.arguments;
+        }
+        if (choice.finish_reason) finishReason = choice.finish_reason;
+    }
+    const calls = toolCalls.filter(Boolean);
+    return {
+        choices: [{
+            index: 0,
+            message: { role: 'assistant', content, ...(calls.length > 0 ? { tool_calls: calls } : {}) },
+            finish_reason: finishReason,
+        }],
+        ...(usage ? { usage } : {}),
+    };
 }
 
 /**
@@ -222,14 +791,20 @@ export const aiProviderConfig = {
     getConfig: getAIConfig,
     getModel,
     createChatCompletion,
+    createStructuredCompletion,
     getAgentAIConfig,
     getAgentAIStatus,
+    getAIProviderHealth,
+    getLocalModelStatus,
 };
 
 const aiProvider = {
     getAIConfig,
+    getAIProviderChain,
+    getAIProviderHealth,
     getModel,
     createChatCompletion,
+    createStructuredCompletion,
     getOpenAIClientConfig,
     getModelForSDK,
     getAgentAIConfig,
@@ -0,0 +1,68 @@
+// Usage reporting for the AI text and image providers. createChatCompletion
+// and generateImage take an `onUsage` callback; the API routes pass
+// aiUsageRecorder(req), which records each call in the world's
+// `record_ai_usage` reducer so administrators can see spend and set budgets.
+// Budgets are shared, so the module only takes reports from the service
+// identity, never from a player's own token. The web server reports with the
+// NPC worker's token: ARKYV_NPC_WORKER_TOKEN, or the file the worker saves it
+// in.
+
+import { existsSync, readFileSync } from 'node:fs';
+import { join } from 'node:path';
+import { callSpacetimeReducerAs, requestIdentity, requestRoute } from './spacetimeHttp';
+
+let warnedWithoutToken = false;
+
+function serviceToken() {
+    if (process.env.ARKYV_NPC_WORKER_TOKEN) return process.env.ARKYV_NPC_WORKER_TOKEN.trim();
+    const tokenPath = process.env.ARKYV_NPC_WORKER_TOKEN_FILE || join(process.cwd(), '.npc-worker-token');
+    return existsSync(tokenPath) ? readFileSync(tokenPath, 'utf8').trim() || null : null;
+}
+
+/**
+ * Hands one provider call's usage to the caller's `onUsage`. Recording is
+ * best effort: a failure is logged and never fails the AI request.
+ * @param {Function|null} onUsage - The caller's callback, if any
+ * @param {Object} usage - `{provider, model, task, promptTokens,
+ *   completionTokens, images, latencyMs, succeeded}`
+ */
+export async function reportAIUsage(onUsage, usage) {
+    if (!onUsage) return;
+    try {
+        await onUsage(usage);
+    } catch (error) {
+        console.warn('Could not record AI usage:', error instanceof Error ? error.message : error);
+    }
+}
+
+/**
+ * Builds an `onUsage` callback that records usage against the caller's world
+ * identity and the route the request came in on.
+ * @param {Object} req - The API request
+ * @returns {Function}
+ */
+export function aiUsageRecorder(req) {
+    const route = requestRoute(req);
+    const identity = requestIdentity(req);
+    return async (usage) => {
+        const token = serviceToken();
+        if (!token) {
+            if (!warnedWithoutToken) console.warn('AI usage is not recorded: start and approve the NPC worker, or set ARKYV_NPC_WORKER_TOKEN.');
+            warnedWithoutToken = true;
+            return;
+        }
+        if (!identity) return;
+        await callSpacetimeReducerAs(token, 'record_ai_usage', [
+            identity,
+            route,
+            usage.task || '',
+            usage.provider || 'unknown',
+            usage.model || '',
+            Math.max(0, Math.round(usage.promptTokens || 0)),
+            Math.max(0, Math.round(usage.completionTokens || 0)),
+            Math.max(0, Math.round(usage.images || 0)),
+            Math.max(0, Math.round(usage.latencyMs || 0)),
+            Boolean(usage.succeeded),
+        ]);
+    };
+}
@@ -1,6 +1,8 @@
 import { Agent, OpenAIProvider, Runner, tool } from '@openai/agents';
 import { z } from 'zod';
 import { getAgentAIConfig } from '@/lib/aiProvider';
+import { reportAIUsage } from '@/lib/aiUsage';
+import { FakeArchieProvider } from '@/lib/fakeArchieModel';
 import {
   ARCHIE_CONTENT_TABLES,
   ARCHIE_ENGINE_TABLES,
@@ -495,7 +497,7 @@ function createTools(draft) {
   ];
 }
 
-export async function runArchieAgent({ prompt, world, history, emit, signal }) {
+export async function runArchieAgent({ prompt, world, history, emit, signal, onUsage = null }) {
   const trimmedPrompt = String(prompt || '').trim();
   if (!trimmedPrompt) throw new Error('Tell Archie what to build or change.');
   if (trimmedPrompt.length > 8_000) throw new Error('Archie prompts are limited to 8,000 characters.');
@@ -503,7 +505,7 @@ export async function runArchieAgent({ prompt, world, history, emit, signal }) {
   const worldTables = sanitizeWorld(world);
   const providerConfig = getAgentAIConfig();
   const draft = new ArchieDraft(worldTables, emit);
-  const provider = new OpenAIProvider({
+  const provider = providerConfig.provider === 'fake' ? new FakeArchieProvider() : new OpenAIProvider({
     apiKey: providerConfig.apiKey,
     baseURL: providerConfig.baseUrl,
     useResponses: providerConfig.api === 'responses',
@@ -547,17 +549,31 @@ export async function runArchieAgent({ prompt, world, history, emit, signal }) {
     model: providerConfig.model,
   });
 
+  const started = Date.now();
+  let result = null;
+  let succeeded = false;
   try {
-    const result = await runner.run(agent, input, {
+    result = await runner.run(agent, input, {
       maxTurns: 18,
       signal,
+      stream: true,
       toolNotFoundBehavior: 'return_error_to_model',
     });
+    // Stream the written report as it is generated. Text from turns that end
+    // in tool calls is streamed too; the sidebar starts over on each tool event.
+    for await (const event of result) {
+      if (event.type === 'raw_model_stream_event' && event.data.type === 'output_text_delta' && event.data.delta) {
+        emit({ type: 'report_delta', delta: event.data.delta });
+      }
+    }
+    await result.completed;
+    if (result.error) throw result.error;
     const operations = draft.buildOperations();
     const validation = draft.validate();
     const report = typeof result.finalOutput === 'string'
       ? result.finalOutput.trim()
       : stringify(result.finalOutput || 'Archie finished without a written report.');
+    succeeded = true;
     return {
       runId: `archie-${Date.now()}-${Math.random().toString(36).slice(2, 10)}`,
       report,
@@ -569,6 +585,18 @@ export async function runArchieAgent({ prompt, world, history, emit, signal }) {
       toolCalls: draft.toolCalls,
     };
   } finally {
+    // One entry covers the whole run, every model turn included.
+    const usage = result?.state?.usage;
+    await reportAIUsage(onUsage, {
+      provider: providerConfig.provider,
+      model: providerConfig.model,
+      task: 'archie',
+      promptTokens: usage?.inputTokens || 0,
+      completionTokens: usage?.outputTokens || 0,
+      images: 0,
+      latencyMs: Date.now() - started,
+      succeeded,
+    });
     await provider.close().catch(() => {});
   }
 }
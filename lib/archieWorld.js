@@ -235,6 +235,11 @@ export const ARCHIE_TABLE_GUIDES = {
     required: ['id'],
     notes: 'Usually update the existing world record.',
   },
+  art_styles: {
+    purpose: 'Art style profiles for generated images: one per region, and optional overrides for a room, NPC, or item.',
+    required: ['target_kind', 'target_id', 'style_json'],
+    notes: 'target_kind is region, room, npc, or item; the id is always "target_kind:target_id". style_json is an object with stylePrompt, negativePrompt, sampler, steps, cfgScale, seedMode (random, fixed, or per-record), and seed. Leave reference images to administrators.',
+  },
 };
 
 export function getArchiePrimaryKey(table) {
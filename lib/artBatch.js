@@ -0,0 +1,422 @@
+// Batch art generation for the admin studio. A job lists the rooms, NPCs, and
+// item definitions to illustrate; the browser works through it a few at a time
+// with the same routes and row updates as the per-record buttons, and keeps the
+// job in localStorage so a reload carries on where it stopped.
+
+import { getActiveWorldId } from './savedWorlds';
+
+const STORAGE_KEY = 'arkyv.art-batch.v1';
+
+// What each generation costs on RetroDiffusion, as shown on the editor buttons.
+export const IMAGE_CREDIT_COST = 2;
+export const MAX_ART_BATCH_CONCURRENCY = 4;
+// The provider routes allow 10 image requests a minute per identity.
+const RATE_LIMIT_WAIT_MS = 60_000;
+
+const normalizeRegionKey = (region) => String(region || 'unknown').trim().toLowerCase().replace(/\s+/g, '-');
+
+function parseTags(tags) {
+    if (Array.isArray(tags)) return tags;
+    try {
+        const parsed = JSON.parse(tags || '[]');
+        return Array.isArray(parsed) ? parsed : [];
+    } catch {
+        return String(tags || '').split(',').map((tag) => tag.trim()).filter(Boolean);
+    }
+}
+
+export const ART_BATCH_KINDS = {
+    room: {
+        label: 'Rooms',
+        table: 'rooms',
+        column: 'image_url',
+        route: 'generate-room-image',
+        resultKey: 'imageUrl',
+        permission: 'world.manage',
+        request: (row, regionDescription) => ({ roomId: row.id, roomName: row.name, roomDescription: row.description, regionDescription }),
+    },
+    npc: {
+        label: 'NPCs',
+        table: 'npcs',
+        column: 'portrait_url',
+        route: 'generate-npc-portrait',
+        resultKey: 'portraitUrl',
+        permission: 'world.manage',
+        request: (row, regionDescription) => ({ npcId: row.id, npcName: row.name, npcDescription: row.description, regionDescription }),
+    },
+    item: {
+        label: 'Items',
+        table: 'object_definitions',
+        column: 'image_url',
+        route: 'generate-item-image',
+        resultKey: 'imageUrl',
+        permission: 'systems.manage',
+        // Items take the art style of the region the batch is for.
+        request: (row, regionDescription, region) => ({ itemId: row.id, regionName: region || undefined, name: row.name, description: row.description, primitiveKind: row.primitive_kind, tags: parseTags(row.tags) }),
+    },
+};
+
+const storageKey = () => `${STORAGE_KEY}:${getActiveWorldId() || 'default'}`;
+
+/**
+ * The saved job for the active world. Items that were generating when the
+ * page closed go back to pending.
+ * @returns {Object|null}
+ */
+export function loadArtBatch() {
+    if (typeof window === 'undefined' || !window.localStorage) return null;
+    try {
+        const job = JSON.parse(window.localStorage.getItem(storageKey()) || 'null');
+        if (!job || !Array.isArray(job.items)) return null;
+        job.items.forEach((item) => { if (item.status === 'running') item.status = 'pending'; });
+        return job;
+    } catch {
+        return null;
+    }
+}
+
+export function saveArtBatch(job) {
+    if (typeof window === 'undefined' || !window.localStorage) return;
+    if (job) window.localStorage.setItem(storageKey(), JSON.stringify(job));
+    else window.localStorage.removeItem(storageKey());
+}
+
+/**
+ * Rooms, NPCs, and item definitions that could be illustrated. In a region,
+ * NPCs are those standing in its rooms and items are definitions placed in its
+ * rooms, directly or inside containers. Records without a description are
+ * left out because the prompt is built from it.
+ * @param {Object} spacetime - The SpacetimeDB client
+ * @param {Object} options
+ * @param {string} [options.region] - A region key, or blank for the whole world
+ * @param {Array<string>} options.kinds - Keys of ART_BATCH_KINDS
+ * @param {boolean} options.onlyMissing - Leave out records that already have art
+ * @returns {Promise<Object>} `{targets: [{kind, id, label, hasArt}], withoutDescription}`
+ */
+export async function findArtTargets(spacetime, { region = '', kinds, onlyMissing }) {
+    const [roomResult, npcResult, definitionResult, placementResult] = await Promise.all([
+        spacetime.from('rooms').select('id, name, description, region_name, image_url'),
+        kinds.includes('npc') ? spacetime.from('npcs').select('id, name, description, current_room, portrait_url') : { data: [] },
+        kinds.includes('item') ? spacetime.from('object_definitions').select('id, name, description, image_url') : { data: [] },
+        kinds.includes('item') && region ? spacetime.from('world_objects').select('id, definition_id, location_kind, location_id') : { data: [] },
+    ]);
+    const failed = [roomResult, npcResult, definitionResult, placementResult].find((result) => result.error);
+    if (failed) throw failed.error;
+
+    const regionRooms = (roomResult.data || []).filter((room) => !region || normalizeRegionKey(room.region_name) === region);
+    const roomIds = new Set(regionRooms.map((room) => room.id));
+    let definitions = definitionResult.data || [];
+    if (region) {
+        const placements = new Map((placementResult.data || []).map((object) => [object.id, object]));
+        const inRegion = (object, depth = 0) => {
+            if (!object || depth > 16) return false;
+            if (object.location_kind === 'room') return roomIds.has(object.location_id);
+            return object.location_kind === 'container' && inRegion(placements.get(object.location_id), depth + 1);
+        };
+        const placed = new Set([...placements.values()].filter((object) => inRegion(object)).map((object) => object.definition_id));
+        definitions = definitions.filter((definition) => placed.has(definition.id));
+    }
+
+    const candidates = {
+        room: regionRooms,
+        npc: (npcResult.data || []).filter((npc) => !region || roomIds.has(npc.current_room)),
+        item: definitions,
+    };
+    const targets = [];
+    let withoutDescription = 0;
+    for (const kind of kinds) {
+        for (const row of candidates[kind]) {
+            const hasArt = Boolean(row[ART_BATCH_KINDS[kind].column]);
+            if (onlyMissing && hasArt) continue;
+            if (!String(row.description || '').trim()) {
+                withoutDescription += 1;
+                continue;
+            }
+            targets.push({ kind, id: row.id, label: row.name || row.id, hasArt });
+        }
+    }
+    return { targets, withoutDescription };
+}
+
+/**
+ * A new job for the chosen targets.
+ * @param {Array<Object>} targets - From findArtTargets
+ * @param {Object} options - `{region, concurrency, includeRegion, onlyMissing}`
+ * @returns {Object}
+ */
+export function createArtBatch(targets, { region = '', concurrency = 2, includeRegion = true, onlyMissing = true } = {}) {
+    return {
+        id: `art-${Date.now()}`,
+        createdAt: new Date().toISOString(),
+        status: 'running',
+        reason: '',
+        region,
+        concurrency: Math.min(MAX_ART_BATCH_CONCURRENCY, Math.max(1, Number(concurrency) || 1)),
+        includeRegion,
+        onlyMissing,
+        credits: null,
+        items: targets.map((target) => ({ kind: target.kind, id: target.id, label: target.label, status: 'pending', error: '', attempts: 0 })),
+    };
+}
+
+async function readJson(response) {
+    return response.json().catch(() => ({}));
+}
+
+// A failed generation that should stop the whole job rather than one item.
+class ArtBatchPause extends Error {}
+
+const wait = (ms, shouldStop) => new Promise((resolve) => {
+    const started = Date.now();
+    const timer = setInterval(() => {
+        if (shouldStop() || Date.now() - started >= ms) {
+            clearInterval(timer);
+            resolve();
+        }
+    }, 500);
+});
+
+async function regionDescriptionFor(spacetime, kind, row, cache) {
+    let regionName = kind === 'room' ? row.region_name : null;
+    if (kind === 'npc' && row.current_room) {
+        const { data: room } = await spacetime.from('rooms').select('region_name').eq('id', row.current_room).maybeSingle();
+        regionName = room?.region_name || null;
+    }
+    if (!regionName) return null;
+    const key = normalizeRegionKey(regionName);
+    if (!cache.has(key)) {
+        const { data: region } = await spacetime.from('regions').select('description').eq('name', key).maybeSingle();
+        cache.set(key, region?.description || null);
+    }
+    return cache.get(key);
+}
+
+// Generates and saves one record's art. Returns 'done', 'skipped', or
+// 'rate-limited' when the request should be sent again later.
+async function illustrate(spacetime, job, item, regionCache) {
+    const kind = ART_BATCH_KINDS[item.kind];
+    const { data: row, error } = await spacetime.from(kind.table).select('*').eq('id', item.id).maybeSingle();
+    if (error) throw error;
+    if (!row) throw new Error('This record no longer exists.');
+    // Art added by hand since the job was queued is kept.
+    if (job.onlyMissing && row[kind.column]) return 'skipped';
+    if (!String(row.description || '').trim()) throw new Error('Add a description first.');
+
+    const regionDescription = job.includeRegion ? await regionDescriptionFor(spacetime, item.kind, row, regionCache) : null;
+    const response = await fetch(`/api/arkyv/${kind.route}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(kind.request(row, regionDescription, job.region)),
+    });
+    const data = await readJson(response);
+    if (!response.ok) {
+        if (data.error === 'INSUFFICIENT_CREDITS') throw new ArtBatchPause('The image provider is out of credits.');
+        const message = data.message || data.error || `Generation failed with status ${response.status}.`;
+        if (response.status === 429) {
+            // The per-minute limit clears by itself; a daily budget does not.
+            if (/budget/i.test(message)) throw new ArtBatchPause(message);
+            return 'rate-limited';
+        }
+        throw new Error(message);
+    }
+    if (data.creditsRemaining !== null && data.creditsRemaining !== undefined && Number.isFinite(Number(data.creditsRemaining))) {
+        job.credits = Number(data.creditsRemaining);
+    }
+    const { error: updateError } = await spacetime.from(kind.table).update({ [kind.column]: data[kind.resultKey] }).eq('id', item.id);
+    if (updateError) throw updateError;
+    return 'done';
+}
+
+/**
+ * Works through a job's pending items until they are finished, the job is
+ * paused, or shouldStop returns true. The job is updated in place and
+ * onChange is called after every change so it can be saved and shown.
+ * @param {Object} spacetime - The SpacetimeDB client
+ * @param {Object} job - From createArtBatch or loadArtBatch
+ * @param {Object} options
+ * @param {Function} options.onChange - Called with the job
+ * @param {Function} options.shouldStop - True to stop taking new items
+ * @returns {Promise<Object>} The job
+ */
+export async function runArtBatch(spacetime, job, { onChange, shouldStop }) {
+    const changed = () => onChange(job);
+    const pause = (reason) => {
+        job.status = 'paused';
+        job.reason = reason;
+        changed();
+    };
+    job.status = 'running';
+    job.reason = '';
+    changed();
+
+    const statusResponse = await fetch('/api/arkyv/get-credits').catch(() => null);
+    const status = statusResponse ? await readJson(statusResponse) : {};
+    if (!statusResponse?.ok) {
+        pause(status.message || status.error || 'The image provider is not available.');
+        return job;
+    }
+    job.credits = status.credits !== null && status.credits !== undefined && Number.isFinite(Number(status.credits)) ? Number(status.credits) : null;
+    changed();
+
+    const regionCache = new Map();
+    let inFlight = 0;
+    const worker = async () => {
+        while (job.status === 'running' && !shouldStop()) {
+            // Credits held by generations still in flight are not spent yet.
+            if (job.credits !== null && job.credits - inFlight * IMAGE_CREDIT_COST < IMAGE_CREDIT_COST) {
+                if (inFlight === 0) pause(`Not enough credits: ${job.credits} left, ${IMAGE_CREDIT_COST} needed per image.`);
+                return;
+            }
+            const item = job.items.find((entry) => entry.status === 'pending');
+            if (!item) return;
+            item.status = 'running';
+            item.attempts += 1;
+            inFlight += 1;
+            changed();
+            try {
+                const result = await illustrate(spacetime, job, item, regionCache);
+                if (result === 'rate-limited') {
+                    item.status = 'pending';
+                    item.attempts -= 1;
+                    job.reason = 'Waiting a minute for the provider rate limit.';
+                    changed();
+                    inFlight -= 1;
+                    await wait(RATE_LIMIT_WAIT_MS, shouldStop);
+                    job.reason = '';
+                    continue;
+                }
+                item.status = result;
+                item.error = '';
+            } catch (error) {
+                if (error instanceof ArtBatchPause) {
+                    item.status = 'pending';
+                    item.attempts -= 1;
+                    inFlight -= 1;
+                    pause(error.message);
+                    return;
+                }
+                item.status = 'failed';
+                item.error = error?.message || String(error);
+            }
+            inFlight -= 1;
+            changed();
+        }
+    };
+    await Promise.all(Array.from({ length: job.concurrency }, worker));
+
+    if (job.status === 'running' && !shouldStop() && !job.items.some((item) => item.status === 'pending')) {
+        job.status = 'done';
+        changed();
+    }
+    return job;
+}
+
+// One job runs at a time. It keeps going while the studio shows another tab,
+// and the editor subscribes to it again when it mounts.
+const controller = { job: undefined, queued: null, running: false, stopRequested: false, listeners: new Set() };
+
+// A cleared job's last in-flight items still report back; they are dropped.
+function publish(job) {
+    if (job && job !== controller.job) return;
+    saveArtBatch(job);
+    controller.listeners.forEach((listener) => listener(job));
+}
+
+/**
+ * The active world's job, from memory or localStorage.
+ * @returns {Object|null}
+ */
+export function currentArtBatch() {
+    if (controller.job === undefined) controller.job = loadArtBatch();
+    return controller.job;
+}
+
+export const isArtBatchRunning = () => controller.running;
+
+/**
+ * Calls listener with the job whenever it changes.
+ * @param {Function} listener
+ * @returns {Function} Unsubscribes
+ */
+export function watchArtBatch(listener) {
+    controller.listeners.add(listener);
+    return () => controller.listeners.delete(listener);
+}
+
+/**
+ * Starts or resumes a job. While the previous run is still finishing its
+ * in-flight items, the job starts as soon as that run ends.
+ * @param {Object} spacetime - The SpacetimeDB client
+ * @param {Object} job
+ * @returns {Promise<Object>} The job once the run ends
+ */
+export async function startArtBatch(spacetime, job) {
+    controller.job = job;
+    if (controller.running) {
+        controller.queued = job;
+        publish(job);
+        return job;
+    }
+    controller.running = true;
+    controller.stopRequested = false;
+    try {
+        await runArtBatch(spacetime, job, { onChange: publish, shouldStop: () => controller.stopRequested });
+    } catch (error) {
+        job.status = 'paused';
+        job.reason = error?.message || String(error);
+    } finally {
+        controller.running = false;
+        publish(job);
+    }
+    const queued = controller.queued;
+    controller.queued = null;
+    if (queued && queued === controller.job) return startArtBatch(spacetime, queued);
+    return job;
+}
+
+/** Stops taking new items; generations already sent still finish. */
+export function pauseArtBatch() {
+    const job = currentArtBatch();
+    if (!job) return;
+    controller.stopRequested = true;
+    if (job.status === 'running') {
+        job.status = 'paused';
+        job.reason = '';
+    }
+    publish(job);
+}
+
+/** Puts failed items back in the queue. */
+export function requeueFailedArt() {
+    const job = currentArtBatch();
+    if (!job) return null;
+    job.items.forEach((item) => {
+        if (item.status === 'failed') {
+            item.status = 'pending';
+            item.error = '';
+        }
+    });
+    publish(job);
+    return job;
+}
+
+export function clearArtBatch() {
+    controller.stopRequested = true;
+    controller.queued = null;
+    controller.job = null;
+    publish(null);
+}
+
+/**
+ * Counts of a job's items by status.
+ * @param {Object} job
+ * @returns {Object} `{total, pending, running, done, skipped, failed}`
+ */
+export function summarizeArtBatch(job) {
+    const counts = { total: 0, pending: 0, running: 0, done: 0, skipped: 0, failed: 0 };
+    for (const item of job?.items || []) {
+        counts.total += 1;
+        counts[item.status] += 1;
+    }
+    return counts;
+}
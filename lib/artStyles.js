@@ -0,0 +1,157 @@
+// Art style profiles for generated images. A region's profile keeps the rooms,
+// NPCs, and items generated for it in one palette and look: a style prompt and
+// negative prompt, sampler settings, a seed strategy, and an optional reference
+// image that the local Stable Diffusion backends use through img2img or
+// ControlNet. A room, NPC, or item may override single fields. Profiles are
+// stored in the `art_style` table as `kind:targetId` rows whose `style_json`
+// is read with the caller's token by the image routes, and edited in the
+// studio's Art styles tab.
+
+import { assetIdFromUrl } from './assetUrls';
+import { querySpacetimeRow, querySpacetimeRows } from './spacetimeHttp';
+
+export const ART_STYLE_KINDS = {
+    region: 'Region',
+    room: 'Room',
+    npc: 'NPC',
+    item: 'Item',
+};
+
+export const ART_STYLE_SEED_MODES = {
+    random: 'New seed every time',
+    fixed: 'Same seed for every image',
+    'per-record': 'Stable seed per record',
+};
+
+export const ART_STYLE_REFERENCE_MODES = {
+    img2img: 'Start from it (img2img)',
+    controlnet: 'Guide with ControlNet',
+};
+
+export const MAX_ART_STYLE_SEED = 2 ** 32 - 1;
+export const DEFAULT_REFERENCE_STRENGTH = 0.5;
+
+const text = (value, maxLength) => (typeof value === 'string' ? value.trim().slice(0, maxLength) : '');
+
+const numberIn = (value, minimum, maximum) => {
+    if (value === undefined || value === null || String(value).trim() === '') return null;
+    const parsed = Number(value);
+    return Number.isFinite(parsed) ? Math.min(maximum, Math.max(minimum, parsed)) : null;
+};
+
+// Optional columns arrive from the SQL endpoint as `{ some: value }` or
+// `{ none: [] }`.
+const optionalText = (value) => (typeof value === 'string' ? value : typeof value?.some === 'string' ? value.some : null);
+
+const sqlText = (value) => `'${String(value).replace(/'/g, "''")}'`;
+
+export const artStyleId = (kind, targetId) => `${kind}:${targetId}`;
+
+/**
+ * Cleans a stored or edited profile down to the settings it actually sets.
+ * Blank and invalid fields are dropped, so an override only replaces what it
+ * names. A reference image must be a stored asset.
+ * @param {Object|string} value - A profile, or its JSON text
+ * @returns {Object}
+ */
+export function normalizeArtStyle(value) {
+    let source = value;
+    if (typeof source === 'string') {
+        try {
+            source = JSON.parse(source);
+        } catch {
+            source = {};
+        }
+    }
+    if (!source || typeof source !== 'object' || Array.isArray(source)) return {};
+
+    const style = {
+        stylePrompt: text(source.stylePrompt, 600),
+        negativePrompt: text(source.negativePrompt, 600),
+        sampler: text(source.sampler, 80),
+        steps: numberIn(source.steps, 1, 150),
+        cfgScale: numberIn(source.cfgScale, 1, 30),
+        seedMode: Object.hasOwn(ART_STYLE_SEED_MODES, source.seedMode) ? source.seedMode : '',
+        seed: numberIn(source.seed, 0, MAX_ART_STYLE_SEED),
+        referenceImage: assetIdFromUrl(source.referenceImage) ? source.referenceImage : '',
+        referenceMode: Object.hasOwn(ART_STYLE_REFERENCE_MODES, source.referenceMode) ? source.referenceMode : '',
+        referenceStrength: numberIn(source.referenceStrength, 0, 1),
+        controlNetModule: text(source.controlNetModule, 80),
+        controlNetModel: text(source.controlNetModel, 160),
+    };
+    if (style.steps !== null) style.steps = Math.round(style.steps);
+    if (style.seed !== null) style.seed = Math.trunc(style.seed);
+    return Object.fromEntries(Object.entries(style).filter(([, setting]) => setting !== '' && setting !== null));
+}
+
+/**
+ * Layers profiles so later ones win field by field: the region's, then the
+ * record's own.
+ * @param {...(Object|string)} layers
+ * @returns {Object}
+ */
+export function mergeArtStyles(...layers) {
+    return Object.assign({}, ...layers.map(normalizeArtStyle));
+}
+
+// FNV-1a, so a record's seed is the same in every browser and on the server.
+function hashText(value) {
+    let hash = 0x811c9dc5;
+    for (const character of String(value)) {
+        hash ^= character.codePointAt(0);
+        hash = Math.imul(hash, 0x01000193) >>> 0;
+    }
+    return hash;
+}
+
+/**
+ * The seed a profile asks for. `fixed` uses the base seed for every image;
+ * `per-record` offsets it by the record, so each record keeps its own
+ * composition when it is regenerated.
+ * @param {Object} style - A merged profile
+ * @param {string} recordKey - Such as `room:harbor-gate`
+ * @returns {number|null} Null lets the backend choose a random seed
+ */
+export function artStyleSeed(style, recordKey) {
+    const base = style?.seed ?? 0;
+    if (style?.seedMode === 'fixed') return base;
+    if (style?.seedMode === 'per-record') return (base + hashText(recordKey)) % (MAX_ART_STYLE_SEED + 1);
+    return null;
+}
+
+// Rooms name their region; an NPC is in the region of the room it stands in.
+async function regionOf(req, kind, id) {
+    if (kind === 'room') {
+        return optionalText((await querySpacetimeRow(req, `SELECT region_name FROM room WHERE id = ${sqlText(id)}`))?.region_name);
+    }
+    if (kind === 'npc') {
+        const roomId = optionalText((await querySpacetimeRow(req, `SELECT current_room FROM npc WHERE id = ${sqlText(id)}`))?.current_room);
+        return roomId ? regionOf(req, 'room', roomId) : null;
+    }
+    return null;
+}
+
+/**
+ * The profile an image route applies to one record: its region's profile with
+ * the record's override on top. Items have no region of their own, so the
+ * caller names one. A failed lookup generates without a profile rather than
+ * failing the image.
+ * @param {Object} req - The API request, used for the caller's world token
+ * @param {Object} target - `{kind, id, region}`; `region` is optional for
+ *   rooms and NPCs
+ * @returns {Promise<Object>} `{style, seed, region}`
+ */
+export async function loadArtStyle(req, { kind, id, region = null }) {
+    const recordKey = artStyleId(kind, id || '');
+    try {
+        const regionName = text(region, 200) || (id ? await regionOf(req, kind, id) : null);
+        const ids = [regionName && artStyleId('region', regionName), id && recordKey].filter(Boolean);
+        const rows = ids.length ? await querySpacetimeRows(req, `SELECT * FROM art_style WHERE ${ids.map((styleId) => `id = ${sqlText(styleId)}`).join(' OR ')}`) : [];
+        const layer = (styleId) => (rows || []).find((row) => row.id === styleId)?.style_json;
+        const style = mergeArtStyles(regionName && layer(artStyleId('region', regionName)), id && layer(recordKey));
+        return { style, seed: artStyleSeed(style, recordKey), region: regionName };
+    } catch (error) {
+        console.warn(`Generating ${recordKey} without an art style:`, error.message);
+        return { style: {}, seed: null, region: null };
+    }
+}
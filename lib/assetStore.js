@@ -0,0 +1,167 @@
+// Content-addressed storage for room scenes, NPC portraits, and item art.
+// Each image is written once to local disk under the SHA-256 of its bytes and
+// served by /api/assets/<id> with long-lived cache headers, so world rows carry
+// a short path instead of the image itself and clients fetch only the images
+// they show. Identical images share one file. Files no row or snapshot points
+// at are removed by removeUnreferencedAssets.
+
+import { createHash } from 'node:crypto';
+import { mkdir, readdir, readFile, rename, rm, stat, utimes, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { ASSET_CONTENT_TYPES, assetIdFromUrl, assetUrl, isAssetId } from './assetUrls';
+import { ImageProviderError } from './imageProvider';
+
+const STORE_DIR = path.resolve(process.env.ASSET_STORE_DIR?.trim() || 'storage/assets');
+const GC_GRACE_MS = Math.max(0, Number(process.env.ASSET_GC_GRACE_HOURS ?? 24) || 0) * 3_600_000;
+const MAX_ASSET_BYTES = 4 * 1024 * 1024;
+
+// Two hex characters of fan-out keep any one directory small.
+const assetPath = (id) => path.join(STORE_DIR, id.slice(0, 2), id);
+
+// The type comes from the bytes, not from what the uploader claimed.
+function sniffExtension(data) {
+    if (data.length >= 8 && data.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) return 'png';
+    if (data.length >= 3 && data[0] === 0xff && data[1] === 0xd8 && data[2] === 0xff) return 'jpg';
+    if (data.length >= 6 && ['GIF87a', 'GIF89a'].includes(data.toString('latin1', 0, 6))) return 'gif';
+    if (data.length >= 12 && data.toString('latin1', 0, 4) === 'RIFF' && data.toString('latin1', 8, 12) === 'WEBP') return 'webp';
+    return null;
+}
+
+/**
+ * Stores image bytes and returns the asset that names them. Storing bytes
+ * that are already present refreshes the file's age instead of writing it
+ * again, which keeps a just-used image out of the next collection.
+ * @param {Buffer} data - PNG, JPEG, GIF, or WebP bytes
+ * @returns {Promise<Object>} `{id, url, bytes, created}`
+ */
+export async function storeAsset(data) {
+    const extension = sniffExtension(data);
+    if (!extension) {
+        throw new ImageProviderError('Only PNG, JPEG, GIF, and WebP images can be stored.', { status: 400, code: 'IMAGE_INVALID' });
+    }
+    if (data.length > MAX_ASSET_BYTES) {
+        throw new ImageProviderError(`Stored images are limited to ${MAX_ASSET_BYTES.toLocaleString()} bytes.`, { status: 413, code: 'IMAGE_TOO_LARGE' });
+    }
+    const id = `${createHash('sha256').update(data).digest('hex')}.${extension}`;
+    const file = assetPath(id);
+    const existing = await stat(file).catch(() => null);
+    if (existing) {
+        const now = new Date();
+        await utimes(file, now, now);
+        return { id, url: assetUrl(id), bytes: existing.size, created: false };
+    }
+    await mkdir(path.dirname(file), { recursive: true });
+    // Written beside the asset and renamed, so a reader never sees half a file.
+    const temporary = `${file}.${process.pid}.${Date.now()}.tmp`;
+    await writeFile(temporary, data);
+    await rename(temporary, file);
+    return { id, url: assetUrl(id), bytes: data.length, created: true };
+}
+
+/**
+ * Stores the image in a base64 data URL.
+ * @param {string} dataUrl
+ * @returns {Promise<Object>} `{id, url, bytes, created}`
+ */
+export async function storeDataUrlAsset(dataUrl) {
+    const match = String(dataUrl || '').trim().match(/^data:image\/[a-z0-9.+-]+;base64,(.+)$/i);
+    if (!match) {
+        throw new ImageProviderError('Expected a base64 image data URL.', { status: 400, code: 'IMAGE_INVALID' });
+    }
+    return storeAsset(Buffer.from(match[1], 'base64'));
+}
+
+/**
+ * Reads a stored asset.
+ * @param {string} id - `<sha256>.<extension>`
+ * @returns {Promise<Object|null>} `{data, contentType}`, or null when the id
+ *   is malformed or nothing is stored under it
+ */
+export async function readAsset(id) {
+    if (!isAssetId(id)) return null;
+    try {
+        const data = await readFile(assetPath(id));
+        return { data, contentType: ASSET_CONTENT_TYPES[id.split('.').pop()] };
+    } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+    }
+}
+
+/**
+ * Reads the asset an /api/assets URL points at as a data URL, for sending it
+ * to an image backend.
+ * @param {string} url - Such as an art style's reference image
+ * @returns {Promise<string|null>} Null for blanks and missing assets
+ */
+export async function readAssetDataUrl(url) {
+    const asset = await readAsset(assetIdFromUrl(url));
+    return asset ? `data:${asset.contentType};base64,${asset.data.toString('base64')}` : null;
+}
+
+/**
+ * Every stored asset with its size and when it was last stored.
+ * @returns {Promise<Array<Object>>} `[{id, bytes, storedAt}]`
+ */
+export async function listAssets() {
+    let shards;
+    try {
+        shards = await readdir(STORE_DIR);
+    } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+    }
+    const assets = [];
+    for (const shard of shards) {
+        const names = await readdir(path.join(STORE_DIR, shard)).catch(() => []);
+        for (const id of names.filter(isAssetId)) {
+            const info = await stat(assetPath(id)).catch(() => null);
+            if (info) assets.push({ id, bytes: info.size, storedAt: info.mtimeMs });
+        }
+    }
+    return assets;
+}
+
+/**
+ * Deletes assets that nothing references. Assets stored within the grace
+ * period (ASSET_GC_GRACE_HOURS, default 24) are kept, because an image can be
+ * generated or uploaded a while before the row that uses it is saved.
+ * @param {Set<string>} referenced - Asset ids still in use
+ * @param {Object} [options]
+ * @param {number} [options.graceMs]
+ * @returns {Promise<Object>} `{removed, freedBytes, kept}`
+ */
+export async function removeUnreferencedAssets(referenced, { graceMs = GC_GRACE_MS } = {}) {
+    const cutoff = Date.now() - graceMs;
+    let removed = 0;
+    let freedBytes = 0;
+    let kept = 0;
+    for (const asset of await listAssets()) {
+        if (referenced.has(asset.id) || asset.storedAt > cutoff) {
+            kept += 1;
+            continue;
+        }
+        await rm(assetPath(asset.id), { force: true });
+        removed += 1;
+        freedBytes += asset.bytes;
+    }
+    return { removed, freedBytes, kept };
+}
+
+/**
+ * What is on disk, and how much of it is unreferenced when the references
+ * are known.
+ * @param {Set<string>} [referenced]
+ * @returns {Promise<Object>}
+ */
+export async function getAssetStoreStats(referenced) {
+    const assets = await listAssets();
+    const unused = referenced ? assets.filter((asset) => !referenced.has(asset.id)) : [];
+    return {
+        assets: assets.length,
+        bytes: assets.reduce((sum, asset) => sum + asset.bytes, 0),
+        unreferenced: referenced ? unused.length : null,
+        unreferencedBytes: referenced ? unused.reduce((sum, asset) => sum + asset.bytes, 0) : null,
+        graceHours: GC_GRACE_MS / 3_600_000,
+    };
+}
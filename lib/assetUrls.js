@@ -0,0 +1,43 @@
+// Asset references shared by the browser and the server. A stored image is
+// named by the SHA-256 of its bytes plus an extension, and rows point at it
+// with the path that serves it, so `<img src>` works without a lookup.
+
+export const ASSET_URL_PREFIX = '/api/assets/';
+
+// Only raster formats: an SVG served from our origin could run script.
+export const ASSET_CONTENT_TYPES = {
+    png: 'image/png',
+    jpg: 'image/jpeg',
+    webp: 'image/webp',
+    gif: 'image/gif',
+};
+
+const ASSET_ID_PATTERN = /^[a-f0-9]{64}\.(?:png|jpg|webp|gif)$/;
+const ASSET_REFERENCE_PATTERN = /\/api\/assets\/([a-f0-9]{64}\.(?:png|jpg|webp|gif))/g;
+
+export const isAssetId = (id) => typeof id === 'string' && ASSET_ID_PATTERN.test(id);
+
+export const assetUrl = (id) => `${ASSET_URL_PREFIX}${id}`;
+
+/**
+ * The asset id a stored image URL points at.
+ * @param {string} url - A row's image or portrait URL
+ * @returns {string|null} Null for data URLs, external URLs, and blanks
+ */
+export function assetIdFromUrl(url) {
+    const value = String(url || '');
+    if (!value.startsWith(ASSET_URL_PREFIX)) return null;
+    const id = value.slice(ASSET_URL_PREFIX.length);
+    return isAssetId(id) ? id : null;
+}
+
+/**
+ * Every asset id mentioned anywhere in a value, such as a row, a world
+ * bundle, or a snapshot's JSON text.
+ * @param {*} value
+ * @returns {Set<string>}
+ */
+export function referencedAssetIds(value) {
+    const text = typeof value === 'string' ? value : JSON.stringify(value ?? null);
+    return new Set([...text.matchAll(ASSET_REFERENCE_PATTERN)].map((match) => match[1]));
+}
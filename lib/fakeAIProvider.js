@@ -0,0 +1,134 @@
+// Offline stand-in for a text provider, selected with AI_PROVIDER=fake. Each
+// caller names its `task` when it calls createChatCompletion, and the answer
+// is valid for that caller and the same for the same request, so the admin
+// panel, NPC conversations, and CI runs need no model server. The NPC worker
+// compiles this outside Next.js, so it has no path-alias imports.
+
+const ROOM_NAMES = ['Lantern Hall', 'Rusted Gate', 'Quiet Archive', 'Ember Stair', 'Tidewater Dock', 'Glass Garden'];
+const REGION_NAMES = ['Ashfall Reach', 'Saltglass Coast', 'Hollow Market', 'Northern Vigil'];
+const NPC_NAMES = [['Mara Quill', 'mara'], ['Tobin Ash', 'tobin'], ['Iris Vane', 'iris'], ['Dorn Kettle', 'dorn']];
+const PALETTES = [['#38bdf8', '#e0f2fe'], ['#f472b6', '#fce7f3'], ['#a78bfa', '#ede9fe'], ['#34d399', '#d1fae5'], ['#fb923c', '#ffedd5']];
+const NPC_LINES = [
+    'I hear you, traveler. Ask what you came to ask.',
+    'Hm. That is worth thinking about.',
+    'Not many people ask me that.',
+    'Stay a while, and mind the lanterns.',
+];
+
+// FNV-1a, so the same prompt always picks the same answer.
+function hash(text) {
+    let value = 0x811c9dc5;
+    for (let index = 0; index < text.length; index += 1) {
+        value ^= text.charCodeAt(index);
+        value = Math.imul(value, 0x01000193) >>> 0;
+    }
+    return value;
+}
+
+const pick = (list, seed) => list[seed % list.length];
+
+function messageText(message) {
+    if (typeof message?.content === 'string') return message.content;
+    if (Array.isArray(message?.content)) return message.content.map((part) => part?.text || '').join(' ');
+    return '';
+}
+
+const lastMessage = (messages, role) => messageText([...messages].reverse().find((message) => message.role === role));
+
+function accent(hex) {
+    const value = Number.parseInt(hex.slice(1), 16);
+    return `rgba(${(value >> 16) & 255}, ${(value >> 8) & 255}, ${value & 255}, 0.14)`;
+}
+
+// The numbered answers matchDialogueChoice lists; a message that contains an
+// answer's wording picks it.
+function matchChoice(messages) {
+    const player = lastMessage(messages, 'user').trim().toLowerCase();
+    const choices = [...lastMessage(messages, 'system').matchAll(/^(\d+)\. (.+)$/gm)];
+    const match = choices.find(([, , label]) => player && (player.includes(label.trim().toLowerCase()) || label.trim().toLowerCase().includes(player)));
+    return { choice: match ? Number(match[1]) : 0 };
+}
+
+// An NPC uses a tool when the player's message names it, so tests can trigger
+// each whitelisted action on purpose.
+function npcReply(messages, tools, seed) {
+    if (messages.some((message) => message.role === 'tool')) return { content: 'There. It is done.' };
+    const player = lastMessage(messages, 'user').toLowerCase();
+    const toolCalls = (tools || [])
+        .filter((entry) => player.includes(entry.function.name))
+        .map((entry, index) => ({
+            id: `fake-call-${seed.toString(16)}-${index}`,
+            type: 'function',
+            function: { name: entry.function.name, arguments: JSON.stringify(entry.function.parameters?.properties?.amount ? { amount: 1 } : {}) },
+        }));
+    return { content: pick(NPC_LINES, seed), toolCalls };
+}
+
+const ANSWERS = {
+    'generate-colors': (seed) => {
+        const [borderColor, fontColor] = pick(PALETTES, seed);
+        return { borderColor, fontColor, accent: accent(borderColor) };
+    },
+    'suggest-room-name': (seed) => ({ name: pick(ROOM_NAMES, seed) }),
+    'generate-room': (seed) => ({ name: pick(ROOM_NAMES, seed), description: 'A quiet space lit by a single lantern. Dust drifts through the light, and a worn path crosses the floor toward the far wall.' }),
+    'suggest-room-description': () => ({ description: 'Shelves of salvaged parts line the walls. A low hum comes from somewhere beneath the floor.' }),
+    'refine-room-description': () => ({ description: 'Shelves of salvaged parts line the walls, and a low hum rises from beneath the floor.' }),
+    'generate-region-name': (seed) => ({ name: pick(REGION_NAMES, seed) }),
+    'generate-region-description': () => ({ description: 'A district of narrow streets and hanging lanterns, where traders barter late into the night.' }),
+    'suggest-region-description': () => ({ description: 'A district of narrow streets and hanging lanterns, where traders barter late into the night.' }),
+    'suggest-npc-name': (seed) => {
+        const [name, alias] = pick(NPC_NAMES, seed);
+        return { name, alias };
+    },
+    'suggest-npc-description': () => ({ description: 'A wiry figure in a patched coat, eyes quick beneath a wide-brimmed hat.' }),
+    'suggest-npc-personality': () => ({ personality: 'You are a patient, dry-humoured local who knows every rumour in the district. You answer plainly and never hurry.' }),
+    'classify-npc-portrait': () => 'humanoid',
+    'npc-dialogue-match': (seed, { messages }) => matchChoice(messages),
+    'npc-memory-summary': () => ({
+        summary: 'We spoke for a while. They seemed curious and polite.',
+        key_facts: ['Has visited me before'],
+        sentiment: 5,
+    }),
+};
+
+/**
+ * Answers a chat completion request offline, in the same shape as an
+ * OpenAI-compatible provider.
+ * @param {Object} request - createChatCompletion options plus `model`
+ * @param {Function} [onDelta] - Receives the content word by word when streaming
+ * @returns {Promise<Object>} A chat completion
+ */
+export async function fakeChatCompletion({ task, messages, model, tools, responseFormat, stream }, onDelta) {
+    const seed = hash(`${task || ''}\n${lastMessage(messages, 'user')}`);
+    let content;
+    let toolCalls = [];
+    if (task === 'npc-reply') {
+        ({ content, toolCalls = [] } = npcReply(messages, tools, seed));
+    } else if (ANSWERS[task]) {
+        const answer = ANSWERS[task](seed, { messages });
+        content = typeof answer === 'string' ? answer : JSON.stringify(answer);
+    } else {
+        content = responseFormat ? '{}' : `Fake reply ${seed.toString(16)}.`;
+    }
+
+    if (stream && onDelta) {
+        let text = '';
+        for (const piece of content.match(/\S+\s*/g) || []) {
+            text += piece;
+            onDelta(piece, text);
+        }
+    }
+
+    const promptTokens = Math.ceil(messages.reduce((sum, message) => sum + messageText(message).length, 0) / 4);
+    const completionTokens = Math.ceil(content.length / 4);
+    return {
+        id: `fake-${seed.toString(16)}`,
+        model,
+        choices: [{
+            index: 0,
+            message: { role: 'assistant', content, ...(toolCalls.length > 0 ? { tool_calls: toolCalls } : {}) },
+            finish_reason: toolCalls.length > 0 ? 'tool_calls' : 'stop',
+        }],
+        usage: { prompt_tokens: promptTokens, completion_tokens: completionTokens, total_tokens: promptTokens + completionTokens },
+    };
+}
@@ -0,0 +1,117 @@
+import { readFileSync } from 'node:fs';
+import { Usage } from '@openai/agents';
+
+// Archie's model under AI_PROVIDER=fake. It plays a fixed script of tool calls,
+// one step per model turn, and then writes a short report, so an Archie run
+// exercises the real tools, validation, and patch flow without a model
+// server. FAKE_AI_ARCHIE_SCRIPT may point at a JSON array of steps to play
+// instead, each `{ "tools": [{ "name", "arguments" }] }` or `{ "text" }`.
+
+const DEFAULT_SCRIPT = [
+  {
+    tools: [
+      { name: 'find_rooms', arguments: { query: '', limit: 5 } },
+      { name: 'inspect_schema', arguments: { table: 'rooms' } },
+    ],
+  },
+  { tools: [{ name: 'validate_draft', arguments: {} }] },
+];
+
+const CALL_PREFIX = 'fake-archie-';
+
+function loadScript() {
+  const path = process.env.FAKE_AI_ARCHIE_SCRIPT?.trim();
+  if (!path) return DEFAULT_SCRIPT;
+  const script = JSON.parse(readFileSync(path, 'utf8'));
+  if (!Array.isArray(script)) throw new Error('FAKE_AI_ARCHIE_SCRIPT must contain a JSON array of steps.');
+  return script;
+}
+
+function inputText(item) {
+  if (typeof item?.content === 'string') return item.content;
+  if (Array.isArray(item?.content)) return item.content.map((part) => part?.text || '').join(' ');
+  return '';
+}
+
+// Steps already played are read back from the call ids in the run's input.
+function nextStep(input) {
+  if (!Array.isArray(input)) return 0;
+  let step = 0;
+  for (const item of input) {
+    if (item?.type !== 'function_call' || !String(item.callId).startsWith(CALL_PREFIX)) continue;
+    step = Math.max(step, Number(String(item.callId).slice(CALL_PREFIX.length).split('-')[0]) + 1);
+  }
+  return step;
+}
+
+function lastPrompt(input) {
+  if (typeof input === 'string') return input;
+  const item = [...input].reverse().find((entry) => entry?.role === 'user');
+  return inputText(item);
+}
+
+function respond(script, request) {
+  const index = nextStep(request.input);
+  const step = script[index];
+  if (step?.tools?.length) {
+    return {
+      text: '',
+      output: step.tools.map((call, position) => ({
+        type: 'function_call',
+        callId: `${CALL_PREFIX}${index}-${position}`,
+        name: call.name,
+        arguments: JSON.stringify(call.arguments || {}),
+        status: 'completed',
+      })),
+    };
+  }
+  const prompt = lastPrompt(request.input).replace(/\s+/g, ' ').trim().slice(0, 120);
+  const text = step?.text || `Fake provider run for "${prompt}". I looked through the world and validated the draft. No changes were staged.`;
+  return {
+    text,
+    output: [{
+      type: 'message',
+      role: 'assistant',
+      status: 'completed',
+      content: [{ type: 'output_text', text }],
+    }],
+  };
+}
+
+class FakeArchieModel {
+  constructor() {
+    this.script = loadScript();
+    this.responses = 0;
+  }
+
+  async getResponse(request) {
+    const { output } = respond(this.script, request);
+    this.responses += 1;
+    return { usage: new Usage(), output, responseId: `fake-archie-response-${this.responses}` };
+  }
+
+  async *getStreamedResponse(request) {
+    const { text, output } = respond(this.script, request);
+    this.responses += 1;
+    yield { type: 'response_started' };
+    for (const piece of text.match(/\S+\s*/g) || []) {
+      yield { type: 'output_text_delta', delta: piece };
+    }
+    yield {
+      type: 'response_done',
+      response: {
+        id: `fake-archie-response-${this.responses}`,
+        usage: { requests: 1, inputTokens: 0, outputTokens: 0, totalTokens: 0 },
+        output,
+      },
+    };
+  }
+}
+
+export class FakeArchieProvider {
+  getModel() {
+    return new FakeArchieModel();
+  }
+
+  async close() {}
+}
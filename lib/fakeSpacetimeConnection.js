@@ -0,0 +1,472 @@
+import { spacetimeSchema } from '@/lib/spacetimedbClient';
+
+// In-memory stand-in for the generated DbConnection. It keeps one copy of every
+// table for the "server", and each connection sees only the rows its active
+// subscriptions select, with the same insert/update/delete callbacks the SDK
+// fires. Rows use the module's snake_case column names.
+
+// Views have no primary key, so the SDK exposes no onUpdate for them.
+const VIEWS = new Set([
+  'admin_audit_log',
+  'admin_player_sanctions',
+  'admin_player_reports',
+  'admin_world_snapshots',
+  'npc_memories',
+  'admin_npc_workers',
+  'admin_prompt_template_versions',
+  'admin_ai_usage_events',
+  'admin_ai_usage_daily',
+  'my_private_messages',
+  'my_social_relationships',
+  'my_trade_sessions',
+  'my_trade_offers',
+]);
+
+const camelCase = (value) => value.replace(/_([a-z])/g, (_match, character) => character.toUpperCase());
+const columnValue = (row, column) => row[column] ?? row[camelCase(column)] ?? null;
+
+function comparable(value) {
+  if (value === null || value === undefined) return null;
+  if (typeof value?.toHexString === 'function') return value.toHexString();
+  return String(value);
+}
+
+// JSON columns are strings on the server; the client parses them back.
+function storedRow(row) {
+  return Object.fromEntries(Object.entries(row).map(([column, value]) => [
+    column,
+    value !== null && typeof value === 'object' && value.constructor === Object || Array.isArray(value) ? JSON.stringify(value) : value,
+  ]));
+}
+
+function fakeIdentity(hex) {
+  return {
+    toHexString: () => hex,
+    isEqual: (other) => other?.toHexString?.() === hex,
+  };
+}
+
+// Enough SQL for the subscriptions the client issues: SELECT * FROM table with
+// an optional WHERE of =, <>, and ordering comparisons joined by AND, OR, NOT,
+// and parentheses.
+function tokenizeSql(sql) {
+  const tokens = [];
+  const pattern = /\s*(?:('(?:[^']|'')*')|(-?\d+(?:\.\d+)?)|(<>|!=|<=|>=|=|<|>|\(|\)|\*)|([A-Za-z_][A-Za-z0-9_]*))/y;
+  let index = 0;
+  while (index < sql.length) {
+    if (/^\s*$/.test(sql.slice(index))) break;
+    pattern.lastIndex = index;
+    const match = pattern.exec(sql);
+    if (!match) throw new Error(`Unsupported SQL near "${sql.slice(index, index + 20)}"`);
+    index = pattern.lastIndex;
+    if (match[1] !== undefined) tokens.push({ type: 'literal', value: match[1].slice(1, -1).replace(/''/g, "'") });
+    else if (match[2] !== undefined) tokens.push({ type: 'literal', value: match[2] });
+    else if (match[3] !== undefined) tokens.push({ type: 'symbol', value: match[3] });
+    else tokens.push({ type: 'word', value: match[4] });
+  }
+  return tokens;
+}
+
+function parseSubscriptionQuery(sql) {
+  const tokens = tokenizeSql(sql);
+  let position = 0;
+  const peek = () => tokens[position];
+  const isKeyword = (word) => peek()?.type === 'word' && peek().value.toUpperCase() === word;
+  const expect = (word) => {
+    const token = tokens[position++];
+    if (!token || token.value.toUpperCase() !== word) throw new Error(`Expected ${word} in "${sql}"`);
+  };
+
+  const parseValue = () => {
+    const token = tokens[position++];
+    if (token?.type === 'literal') return token.value;
+    if (token?.type === 'word' && ['TRUE', 'FALSE'].includes(token.value.toUpperCase())) return token.value.toLowerCase();
+    if (token?.type === 'word' && token.value.toUpperCase() === 'NULL') return null;
+    throw new Error(`Expected a value in "${sql}"`);
+  };
+
+  const parseComparison = () => {
+    if (peek()?.value === '(') {
+      position += 1;
+      const inner = parseOr();
+      if (tokens[position++]?.value !== ')') throw new Error(`Unbalanced parentheses in "${sql}"`);
+      return inner;
+    }
+    if (isKeyword('NOT')) {
+      position += 1;
+      const inner = parseComparison();
+      return (row) => !inner(row);
+    }
+    const column = tokens[position++];
+    const operator = tokens[position++];
+    if (column?.type !== 'word' || operator?.type !== 'symbol') throw new Error(`Unsupported condition in "${sql}"`);
+    const expected = parseValue();
+    return (row) => {
+      const actual = comparable(columnValue(row, column.value));
+      if (expected === null) return operator.value === '=' ? actual === null : actual !== null;
+      if (actual === null) return false;
+      if (operator.value === '=') return actual === expected;
+      if (operator.value === '<>' || operator.value === '!=') return actual !== expected;
+      const numeric = Number(actual) - Number(expected);
+      const order = Number.isNaN(numeric) ? actual.localeCompare(expected) : numeric;
+      if (operator.value === '<') return order < 0;
+      if (operator.value === '<=') return order <= 0;
+      if (operator.value === '>') return order > 0;
+      return order >= 0;
+    };
+  };
+
+  const parseAnd = () => {
+    const terms = [parseComparison()];
+    while (isKeyword('AND')) {
+      position += 1;
+      terms.push(parseComparison());
+    }
+    return terms.length === 1 ? terms[0] : (row) => terms.every((term) => term(row));
+  };
+
+  function parseOr() {
+    const terms = [parseAnd()];
+    while (isKeyword('OR')) {
+      position += 1;
+      terms.push(parseAnd());
+    }
+    return terms.length === 1 ? terms[0] : (row) => terms.some((term) => term(row));
+  }
+
+  expect('SELECT');
+  if (tokens[position++]?.value !== '*') throw new Error(`Only SELECT * is supported: "${sql}"`);
+  expect('FROM');
+  const table = tokens[position++];
+  if (table?.type !== 'word') throw new Error(`Expected a table name in "${sql}"`);
+  let matches = () => true;
+  if (isKeyword('WHERE')) {
+    position += 1;
+    matches = parseOr();
+  }
+  if (position !== tokens.length) throw new Error(`Unexpected "${peek().value}" in "${sql}"`);
+  return { accessor: table.value, matches };
+}
+
+function applyPatchOperations(operations, tx) {
+  for (const operation of operations) {
+    const { action, table } = operation;
+    if (action === 'insert') for (const row of operation.records) tx.insert(table, row);
+    else if (action === 'update') for (const id of operation.ids) tx.update(table, { ...tx.find(table, id), ...operation.changes });
+    else if (action === 'delete') for (const id of operation.ids) tx.delete(table, id);
+    else if (action === 'configure') tx.upsert(table, operation.record);
+    else if (action === 'delete_engine') for (const id of operation.ids) tx.delete(table, id);
+    else throw new Error(`Unknown admin patch action ${action}`);
+  }
+}
+
+const defaultReducers = {
+  insertRows({ tableName, payloadJson }, tx) {
+    for (const row of JSON.parse(payloadJson)) tx.insert(tableName, row);
+  },
+  updateRows({ tableName, idsJson, payloadJson }, tx) {
+    const changes = JSON.parse(payloadJson);
+    for (const id of JSON.parse(idsJson)) tx.update(tableName, { ...tx.find(tableName, id), ...changes });
+  },
+  deleteRows({ tableName, idsJson }, tx) {
+    for (const id of JSON.parse(idsJson)) tx.delete(tableName, id);
+  },
+  configureEngineRecord({ tableName, payloadJson }, tx) {
+    tx.upsert(tableName, JSON.parse(payloadJson));
+  },
+  deleteEngineRecord({ tableName, recordId }, tx) {
+    tx.delete(tableName, recordId);
+  },
+  applyAdminPatch({ runId, operationsJson }, tx) {
+    // Replaying a run is a no-op, as on the server.
+    if (tx.appliedRuns.has(runId)) return;
+    applyPatchOperations(JSON.parse(operationsJson), tx);
+    tx.afterCommit(() => tx.appliedRuns.add(runId));
+  },
+  applyAdminBatch({ operationsJson }, tx) {
+    applyPatchOperations(JSON.parse(operationsJson), tx);
+  },
+  submitCommand({ commandId, raw, characterId, roomId, conversationHistory }, tx) {
+    tx.insert('commands', {
+      id: commandId,
+      raw,
+      character_id: characterId,
+      room_id: roomId,
+      conversation_history: conversationHistory,
+      created_at: tx.timestamp,
+    });
+  },
+};
+
+/**
+ * Creates an in-memory SpacetimeDB for tests. Pass the result's `DbConnection`
+ * to `connectSpacetime(token, { DbConnection })`.
+ *
+ * `tables` seeds rows by client table name (`{ rooms: [...] }`). `reducers`
+ * adds or replaces reducers by their generated camelCase name; each receives
+ * `(args, tx)` and runs as one transaction that rolls back if it throws. The
+ * defaults cover the generic row, engine-record, admin patch and batch, and
+ * command reducers the client calls.
+ *
+ * The returned object also exposes `rows(tableName)` to inspect server state,
+ * `transaction(work)` to change it as another client would, `calls` to see
+ * which reducers ran, `dropConnection(error)` to simulate an outage, and
+ * `failNextConnect(error)` to refuse the next connection attempt.
+ */
+export function createFakeSpacetime({ tables = {}, reducers = {}, identity = 'c0ffee' } = {}) {
+  const schema = new Map(spacetimeSchema().map((entry) => [entry.tableName, entry]));
+  const byAccessor = new Map([...schema.values()].map((entry) => [entry.accessor, entry]));
+  const server = new Map([...byAccessor.keys()].map((accessor) => [accessor, new Map()]));
+  const handlers = { ...defaultReducers, ...reducers };
+  const appliedRuns = new Set();
+  const connections = new Set();
+  const calls = [];
+  let pendingConnectError = null;
+  let connectionCount = 0;
+
+  const entryFor = (tableName) => {
+    const entry = schema.get(tableName) || byAccessor.get(tableName);
+    if (!entry) throw new Error(`Unknown table ${tableName}`);
+    return entry;
+  };
+  const keyOf = (entry, row) => String(columnValue(row, entry.primaryKey));
+
+  for (const [tableName, rows] of Object.entries(tables)) {
+    const entry = entryFor(tableName);
+    for (const row of rows) server.get(entry.accessor).set(keyOf(entry, row), { ...row });
+  }
+
+  // Work runs against copies of the tables it touches; nothing is visible to
+  // connections until it returns without throwing.
+  function transaction(work, event) {
+    const staged = new Map();
+    const committed = [];
+    const table = (tableName) => {
+      const { accessor } = entryFor(tableName);
+      if (!staged.has(accessor)) staged.set(accessor, new Map(server.get(accessor)));
+      return staged.get(accessor);
+    };
+    const tx = {
+      sender: event.value.callerIdentity ?? null,
+      timestamp: new Date().toISOString(),
+      appliedRuns,
+      afterCommit: (callback) => committed.push(callback),
+      rows: (tableName) => [...(staged.get(entryFor(tableName).accessor) || server.get(entryFor(tableName).accessor)).values()],
+      find: (tableName, key) => table(tableName).get(String(key)) || null,
+      insert(tableName, row) {
+        const key = keyOf(entryFor(tableName), row);
+        if (table(tableName).has(key)) throw new Error(`Duplicate ${tableName} row ${key}`);
+        table(tableName).set(key, storedRow(row));
+      },
+      update(tableName, row) {
+        const key = keyOf(entryFor(tableName), row);
+        if (!table(tableName).has(key)) throw new Error(`Missing ${tableName} row ${key}`);
+        table(tableName).set(key, storedRow(row));
+      },
+      upsert(tableName, row) {
+        table(tableName).set(keyOf(entryFor(tableName), row), storedRow(row));
+      },
+      delete(tableName, key) {
+        table(tableName).delete(String(key));
+      },
+    };
+    const result = work(tx);
+    for (const [accessor, rows] of staged) server.set(accessor, rows);
+    for (const callback of committed) callback();
+    for (const connected of connections) connected.resync(staged.keys(), event);
+    return result;
+  }
+
+  class FakeConnection {
+    constructor({ token, onConnect, onConnectError, onDisconnect }) {
+      this.token = token || `fake-token-${++connectionCount}`;
+      this.identity = fakeIdentity(identity);
+      this.onDisconnectCallback = onDisconnect;
+      this.isActive = false;
+      this.subscriptions = new Set();
+      this.cache = new Map([...byAccessor.keys()].map((accessor) => [accessor, new Map()]));
+      this.listeners = new Map();
+      this.db = Object.fromEntries([...byAccessor.keys()].map((accessor) => [accessor, this.tableHandle(accessor)]));
+      this.reducers = new Proxy({}, {
+        get: (_target, name) => (typeof name === 'string' && handlers[name] ? (args) => this.callReducer(name, args) : undefined),
+      });
+      queueMicrotask(() => {
+        if (pendingConnectError) {
+          const error = pendingConnectError;
+          pendingConnectError = null;
+          onConnectError?.({ event: { tag: 'Error', value: error } }, error);
+          return;
+        }
+        this.isActive = true;
+        connections.add(this);
+        onConnect?.(this, this.identity, this.token);
+      });
+    }
+
+    tableHandle(accessor) {
+      const on = (kind) => (callback) => this.listenersFor(accessor, kind).add(callback);
+      const off = (kind) => (callback) => this.listenersFor(accessor, kind).delete(callback);
+      const handle = {
+        iter: () => this.cache.get(accessor).values(),
+        count: () => BigInt(this.cache.get(accessor).size),
+        onInsert: on('insert'),
+        removeOnInsert: off('insert'),
+        onDelete: on('delete'),
+        removeOnDelete: off('delete'),
+      };
+      if (!VIEWS.has(accessor)) Object.assign(handle, { onUpdate: on('update'), removeOnUpdate: off('update') });
+      return handle;
+    }
+
+    listenersFor(accessor, kind) {
+      const key = `${accessor}:${kind}`;
+      if (!this.listeners.has(key)) this.listeners.set(key, new Set());
+      return this.listeners.get(key);
+    }
+
+    emit(accessor, kind, event, ...rows) {
+      const context = { event, db: this.db, reducers: this.reducers };
+      for (const callback of [...this.listenersFor(accessor, kind)]) callback(context, ...rows);
+    }
+
+    visible(accessor, row) {
+      for (const subscription of this.subscriptions) {
+        if (subscription.queries.some((query) => query.accessor === accessor && query.matches(row))) return true;
+      }
+      return false;
+    }
+
+    // Brings one table's cache in line with the server and the subscriptions,
+    // firing callbacks for every row that appears, changes, or leaves.
+    sync(accessor, event) {
+      const cache = this.cache.get(accessor);
+      const rows = server.get(accessor);
+      const keys = new Set([...cache.keys(), ...rows.keys()]);
+      for (const key of keys) {
+        const cached = cache.get(key);
+        const row = rows.get(key);
+        const shown = row && this.visible(accessor, row) ? row : null;
+        if (cached && shown) {
+          if (cached === shown) continue;
+          cache.set(key, shown);
+          if (this.db[accessor].onUpdate) this.emit(accessor, 'update', event, cached, shown);
+          else {
+            this.emit(accessor, 'delete', event, cached);
+            this.emit(accessor, 'insert', event, shown);
+          }
+        } else if (cached) {
+          cache.delete(key);
+          this.emit(accessor, 'delete', event, cached);
+        } else if (shown) {
+          cache.set(key, shown);
+          this.emit(accessor, 'insert', event, shown);
+        }
+      }
+    }
+
+    async callReducer(name, args) {
+      calls.push({ name, args });
+      await Promise.resolve();
+      if (!this.isActive) throw new Error('SpacetimeDB connection is closed.');
+      transaction((tx) => handlers[name](args, tx), { tag: 'Reducer', value: { reducer: name, args, callerIdentity: this.identity } });
+    }
+
+    subscriptionBuilder() {
+      const callbacks = {};
+      const builder = {
+        onApplied: (callback) => { callbacks.applied = callback; return builder; },
+        onError: (callback) => { callbacks.error = callback; return builder; },
+        subscribe: (queries) => this.subscribe([].concat(queries), callbacks),
+      };
+      return builder;
+    }
+
+    subscribe(sqlQueries, callbacks) {
+      const subscription = { queries: [], active: false, ended: false, unsubscribing: false };
+      const handle = {
+        isActive: () => subscription.active,
+        isEnded: () => subscription.ended,
+        unsubscribe: () => {
+          if (!subscription.active || subscription.unsubscribing) throw new Error('Subscription is not active.');
+          subscription.unsubscribing = true;
+          queueMicrotask(() => {
+            this.subscriptions.delete(subscription);
+            this.resync(subscription.queries.map((query) => query.accessor), { tag: 'UnsubscribeApplied' });
+            subscription.active = false;
+            subscription.ended = true;
+          });
+        },
+      };
+      queueMicrotask(() => {
+        if (!this.isActive) return;
+        try {
+          subscription.queries = sqlQueries.map(parseSubscriptionQuery);
+          for (const query of subscription.queries) {
+            if (!server.has(query.accessor)) throw new Error(`Unknown table ${query.accessor}`);
+          }
+        } catch (error) {
+          subscription.ended = true;
+          callbacks.error?.({ event: { tag: 'Error', value: error } }, error);
+          return;
+        }
+        this.subscriptions.add(subscription);
+        subscription.active = true;
+        this.resync(subscription.queries.map((query) => query.accessor), { tag: 'SubscribeApplied' });
+        callbacks.applied?.({ event: { tag: 'SubscribeApplied' }, db: this.db, reducers: this.reducers });
+      });
+      return handle;
+    }
+
+    resync(accessors, event) {
+      if (!this.isActive) return;
+      for (const accessor of new Set(accessors)) this.sync(accessor, event);
+    }
+
+    close(error) {
+      if (!this.isActive) return;
+      this.isActive = false;
+      connections.delete(this);
+      queueMicrotask(() => this.onDisconnectCallback?.({ event: { tag: 'Error', value: error } }, error));
+    }
+
+    disconnect() {
+      this.close(undefined);
+    }
+  }
+
+  class DbConnection {
+    static builder() {
+      const options = {};
+      return {
+        withUri(uri) { options.uri = uri; return this; },
+        withDatabaseName(name) { options.databaseName = name; return this; },
+        withConfirmedReads() { return this; },
+        withToken(token) { options.token = token; return this; },
+        onConnect(callback) { options.onConnect = callback; return this; },
+        onConnectError(callback) { options.onConnectError = callback; return this; },
+        onDisconnect(callback) { options.onDisconnect = callback; return this; },
+        build: () => new FakeConnection(options),
+      };
+    }
+  }
+
+  return {
+    DbConnection,
+    calls,
+    rows(tableName) {
+      return [...server.get(entryFor(tableName).accessor).values()].map((row) => ({ ...row }));
+    },
+    transaction(work) {
+      return transaction(work, { tag: 'UnknownTransaction', value: {} });
+    },
+    setReducer(name, reducer) {
+      handlers[name] = reducer;
+    },
+    failNextConnect(error = new Error('Connection refused')) {
+      pendingConnectError = error;
+    },
+    dropConnection(error = new Error('Connection lost')) {
+      for (const connected of [...connections]) connected.close(error);
+    },
+  };
+}
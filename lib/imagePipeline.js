@@ -0,0 +1,144 @@
+// Post-processing for room scenes, NPC portraits, and item art before they
+// are stored. The result is written to the asset store (lib/assetStore) and
+// fetched by every player who sees that room, portrait, or item, so each image
+// is resized to its kind's target, optionally reduced to a small palette for
+// pixel art, and re-encoded as WebP under a byte budget. Generated and uploaded
+// images both go through it.
+
+import sharp from 'sharp';
+import { ImageProviderError } from './imageProvider';
+
+const clean = (value) => String(value || '').trim();
+
+// Width and height are upper bounds: images keep their aspect ratio and are
+// never enlarged. Art style reference images are only sent to the image
+// backend, so they keep full colour and more detail.
+const KIND_DEFAULTS = {
+    room: { width: 768, height: 432, maxBytes: 80_000 },
+    portrait: { width: 256, height: 256, maxBytes: 40_000 },
+    item: { width: 128, height: 128, maxBytes: 16_000 },
+    reference: { width: 1024, height: 1024, maxBytes: 400_000, fullColor: true },
+};
+export const IMAGE_KINDS = Object.keys(KIND_DEFAULTS);
+
+const MAX_INPUT_PIXELS = 4096 * 4096;
+const LOSSY_QUALITIES = [82, 70, 58, 46, 34];
+const SHRINK_STEP = 0.8;
+const MIN_DIMENSION = 32;
+
+function sizeSetting(value, fallback) {
+    const match = clean(value).match(/^(\d+)\s*x\s*(\d+)$/i);
+    return match ? { width: Number(match[1]), height: Number(match[2]) } : fallback;
+}
+
+/**
+ * The pipeline settings for one kind of image, from IMAGE_<KIND>_SIZE (such
+ * as `768x432`) and IMAGE_<KIND>_MAX_BYTES.
+ * @param {string} kind - 'room', 'portrait', 'item', or 'reference'
+ * @returns {Object} `{enabled, width, height, maxBytes, paletteColors}`
+ */
+export function getImagePipelineConfig(kind) {
+    const defaults = KIND_DEFAULTS[kind];
+    if (!defaults) throw new ImageProviderError(`Unknown image kind: ${kind}.`, { status: 400, code: 'IMAGE_INVALID' });
+    const prefix = `IMAGE_${kind.toUpperCase()}`;
+    const { width, height } = sizeSetting(process.env[`${prefix}_SIZE`], defaults);
+    const colors = defaults.fullColor ? 0 : Math.trunc(Number(process.env.IMAGE_PALETTE_COLORS) || 0);
+    return {
+        enabled: clean(process.env.IMAGE_PIPELINE).toLowerCase() !== 'off',
+        width,
+        height,
+        maxBytes: Math.max(1_000, Number(process.env[`${prefix}_MAX_BYTES`]) || defaults.maxBytes),
+        // 0 keeps full colour with smooth scaling; 2-256 is pixel-art mode.
+        paletteColors: colors >= 2 ? Math.min(256, colors) : 0,
+    };
+}
+
+function decodeDataUrl(dataUrl) {
+    const match = clean(dataUrl).match(/^data:image\/[a-z0-9.+-]+;base64,(.+)$/i);
+    if (!match) {
+        throw new ImageProviderError('Expected a base64 image data URL.', { status: 400, code: 'IMAGE_INVALID' });
+    }
+    return Buffer.from(match[1], 'base64');
+}
+
+// Returns the highest-quality encoding at this size that fits the budget, or
+// null when none does.
+async function encodeWithinBudget(input, config, width, height) {
+    const resized = sharp(input, { limitInputPixels: MAX_INPUT_PIXELS })
+        .rotate()
+        .resize({
+            width,
+            height,
+            fit: 'inside',
+            withoutEnlargement: true,
+            kernel: config.paletteColors ? 'nearest' : 'lanczos3',
+        });
+
+    let base = resized;
+    if (config.paletteColors) {
+        // libvips quantizes while writing a palette PNG; lossless WebP keeps
+        // the reduced palette exactly.
+        const quantized = await resized.png({ palette: true, colors: config.paletteColors, dither: 0 }).toBuffer();
+        const lossless = await sharp(quantized).webp({ lossless: true, effort: 6 }).toBuffer({ resolveWithObject: true });
+        if (lossless.data.length <= config.maxBytes) return lossless;
+        base = sharp(quantized);
+    }
+    const source = await base.toBuffer();
+    for (const quality of LOSSY_QUALITIES) {
+        const encoded = await sharp(source).webp({ quality, effort: 4, smartSubsample: true }).toBuffer({ resolveWithObject: true });
+        if (encoded.data.length <= config.maxBytes) return encoded;
+    }
+    return null;
+}
+
+/**
+ * Resizes, optionally quantizes, and re-encodes an image as WebP within its
+ * kind's byte budget. A budget that the image cannot meet at the target size
+ * is met by shrinking it further.
+ * @param {string} dataUrl - A base64 PNG, JPEG, or WebP data URL
+ * @param {string} kind - 'room', 'portrait', 'item', or 'reference'
+ * @returns {Promise<Object>} `{dataUrl, width, height, bytes, originalBytes,
+ *   savedBytes}`; with IMAGE_PIPELINE=off the image comes back unchanged
+ */
+export async function processImage(dataUrl, kind) {
+    const config = getImagePipelineConfig(kind);
+    const input = decodeDataUrl(dataUrl);
+    let metadata;
+    try {
+        metadata = await sharp(input, { limitInputPixels: MAX_INPUT_PIXELS }).metadata();
+    } catch (error) {
+        throw new ImageProviderError('That file could not be decoded as an image.', {
+            status: 400,
+            code: 'IMAGE_INVALID',
+            details: error instanceof Error ? error.message : String(error),
+        });
+    }
+
+    if (!config.enabled) {
+        return { dataUrl, width: metadata.width, height: metadata.height, bytes: input.length, originalBytes: input.length, savedBytes: 0 };
+    }
+
+    // Start no larger than the image itself, so shrinking to meet the budget
+    // takes effect from the first step.
+    let width = Math.min(config.width, metadata.width || config.width);
+    let height = Math.min(config.height, metadata.height || config.height);
+    while (Math.min(width, height) >= MIN_DIMENSION) {
+        const encoded = await encodeWithinBudget(input, config, width, height);
+        if (encoded) {
+            return {
+                dataUrl: `data:image/webp;base64,${encoded.data.toString('base64')}`,
+                width: encoded.info.width,
+                height: encoded.info.height,
+                bytes: encoded.data.length,
+                originalBytes: input.length,
+                savedBytes: input.length - encoded.data.length,
+            };
+        }
+        width = Math.floor(width * SHRINK_STEP);
+        height = Math.floor(height * SHRINK_STEP);
+    }
+    throw new ImageProviderError(
+        `This ${kind} image cannot be stored within ${config.maxBytes.toLocaleString()} bytes. Raise IMAGE_${kind.toUpperCase()}_MAX_BYTES or use a simpler image.`,
+        { status: 413, code: 'IMAGE_TOO_LARGE' },
+    );
+}
@@ -1,7 +1,17 @@
+import { createHash } from 'node:crypto';
+import { readFile } from 'node:fs/promises';
+import path from 'node:path';
+import { reportAIUsage } from './aiUsage';
+import { DEFAULT_REFERENCE_STRENGTH } from './artStyles';
+
 const RETRO_DIFFUSION_BASE_URL = 'https://api.retrodiffusion.ai/v1/inferences';
 const DEFAULT_LOCAL_IMAGE_BASE_URL = 'http://127.0.0.1:7860';
+const DEFAULT_COMFYUI_BASE_URL = 'http://127.0.0.1:8188';
+const DEFAULT_COMFYUI_WORKFLOW = 'data/comfyui/pixel-art-workflow.json';
+const RETRO_DIFFUSION_STYLE = 'rd_fast__default';
 
 const clean = (value) => String(value || '').trim();
+const joinPrompt = (...parts) => parts.map(clean).filter(Boolean).join(', ');
 const trimBaseUrl = (value, fallback) => clean(value || fallback).replace(/\/+$/, '');
 
 const boundedNumber = (value, fallback, minimum, maximum) => {
@@ -57,8 +67,33 @@ export function getImageProviderConfig() {
         };
     }
 
+    if (provider === 'comfyui') {
+        return {
+            provider,
+            label: 'ComfyUI',
+            baseUrl: trimBaseUrl(process.env.COMFYUI_BASE_URL, DEFAULT_COMFYUI_BASE_URL),
+            workflowPath: path.resolve(clean(process.env.COMFYUI_WORKFLOW) || DEFAULT_COMFYUI_WORKFLOW),
+            // Nodes are found by their title in ComfyUI, or by node id.
+            nodes: {
+                prompt: clean(process.env.COMFYUI_PROMPT_NODE) || 'Arkyv Prompt',
+                size: clean(process.env.COMFYUI_SIZE_NODE) || 'Arkyv Size',
+                seed: clean(process.env.COMFYUI_SEED_NODE) || 'Arkyv Seed',
+                checkpoint: clean(process.env.COMFYUI_CHECKPOINT_NODE) || 'Arkyv Checkpoint',
+                output: clean(process.env.COMFYUI_OUTPUT_NODE) || 'Arkyv Output',
+                // Optional; art styles fill them in when the workflow has them.
+                negative: clean(process.env.COMFYUI_NEGATIVE_NODE) || 'Arkyv Negative',
+                sampler: clean(process.env.COMFYUI_SAMPLER_NODE) || 'Arkyv Sampler',
+                reference: clean(process.env.COMFYUI_REFERENCE_NODE) || 'Arkyv Reference',
+                controlNet: clean(process.env.COMFYUI_CONTROLNET_NODE) || 'Arkyv ControlNet',
+            },
+            checkpoint: clean(process.env.COMFYUI_CHECKPOINT),
+            timeoutMs: Math.round(boundedNumber(process.env.COMFYUI_TIMEOUT_MS, 300_000, 5_000, 3_600_000)),
+            pollMs: Math.round(boundedNumber(process.env.COMFYUI_POLL_MS, 1_000, 100, 10_000)),
+        };
+    }
+
     throw new ImageProviderError(
-        `Invalid IMAGE_PROVIDER: ${provider}. Must be "retrodiffusion" or "local".`,
+        `Invalid IMAGE_PROVIDER: ${provider}. Must be "retrodiffusion", "local", or "comfyui".`,
         { code: 'IMAGE_PROVIDER_NOT_CONFIGURED' },
     );
 }
@@ -85,7 +120,8 @@ const dataUrl = (base64Image) => {
     return image.startsWith('data:image/') ? image : `data:image/png;base64,${image}`;
 };
 
-async function generateWithRetroDiffusion(config, { prompt, width, height }) {
+// RetroDiffusion takes only the style prompt; it has its own fixed style.
+async function generateWithRetroDiffusion(config, { prompt, width, height, style = {} }) {
     const response = await fetch(config.baseUrl, {
         method: 'POST',
         headers: {
@@ -95,9 +131,9 @@ async function generateWithRetroDiffusion(config, { prompt, width, height }) {
         body: JSON.stringify({
             width,
             height,
-            prompt,
+            prompt: joinPrompt(style.stylePrompt, prompt),
             num_images: 1,
-            prompt_style: 'rd_fast__default',
+            prompt_style: RETRO_DIFFUSION_STYLE,
         }),
     });
 
@@ -132,28 +168,71 @@ async function generateWithRetroDiffusion(config, { prompt, width, height }) {
     };
 }
 
-async function generateWithLocalStableDiffusion(config, { prompt, width, height }) {
+const referenceStrength = (style) => style.referenceStrength ?? DEFAULT_REFERENCE_STRENGTH;
+
+// How much img2img may change the reference: a strong reference keeps more of it.
+const img2imgDenoise = (style) => Math.min(1, Math.max(0.05, 1 - referenceStrength(style)));
+
+// The seed the WebUI used is in the JSON text of `info`.
+function localSeed(payload) {
+    try {
+        const seed = JSON.parse(payload.info || '{}').seed;
+        return Number.isInteger(seed) ? seed : null;
+    } catch {
+        return null;
+    }
+}
+
+async function generateWithLocalStableDiffusion(config, { prompt, width, height, seed, style = {}, referenceImage = null }) {
     const body = {
-        prompt: `${config.promptPrefix}, ${prompt}`,
-        negative_prompt: config.negativePrompt,
+        prompt: joinPrompt(config.promptPrefix, style.stylePrompt, prompt),
+        negative_prompt: joinPrompt(config.negativePrompt, style.negativePrompt),
         width,
         height,
-        steps: config.steps,
-        cfg_scale: config.cfgScale,
+        steps: style.steps ?? config.steps,
+        cfg_scale: style.cfgScale ?? config.cfgScale,
+        seed: Number.isInteger(seed) ? seed : -1,
         batch_size: 1,
         n_iter: 1,
         save_images: false,
     };
 
-    if (config.sampler) body.sampler_name = config.sampler;
+    const sampler = style.sampler || config.sampler;
+    if (sampler) body.sampler_name = sampler;
     if (config.model) {
         body.override_settings = { sd_model_checkpoint: config.model };
         body.override_settings_restore_afterwards = true;
     }
 
+    // img2img starts from the reference; ControlNet guides txt2img with it.
+    let route = 'txt2img';
+    if (referenceImage && style.referenceMode === 'controlnet') {
+        if (!style.controlNetModel) {
+            throw new ImageProviderError(
+                'This art style guides images with ControlNet but names no ControlNet model.',
+                { status: 400, code: 'ART_STYLE_INVALID' },
+            );
+        }
+        body.alwayson_scripts = {
+            controlnet: {
+                args: [{
+                    enabled: true,
+                    image: referenceImage,
+                    module: style.controlNetModule || 'none',
+                    model: style.controlNetModel,
+                    weight: referenceStrength(style),
+                }],
+            },
+        };
+    } else if (referenceImage) {
+        route = 'img2img';
+        body.init_images = [referenceImage];
+        body.denoising_strength = img2imgDenoise(style);
+    }
+
     let response;
     try {
-        response = await fetch(`${config.baseUrl}/sdapi/v1/txt2img`, {
+        response = await fetch(`${config.baseUrl}/sdapi/v1/${route}`, {
             method: 'POST',
             headers: localHeaders(config),
             body: JSON.stringify(body),
@@ -188,15 +267,298 @@ async function generateWithLocalStableDiffusion(config, { prompt, width, height
         provider: config.provider,
         providerLabel: config.label,
         creditsRemaining: null,
+        seed: localSeed(payload),
+    };
+}
+
+const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+async function comfyFetch(config, route, init = {}) {
+    try {
+        return await fetch(`${config.baseUrl}${route}`, {
+            ...init,
+            // Uploads send FormData, which sets its own multipart type.
+            headers: typeof init.body === 'string' ? { 'Content-Type': 'application/json' } : {},
+        });
+    } catch (error) {
+        throw new ImageProviderError(
+            `Could not reach ComfyUI at ${config.baseUrl}. Start ComfyUI or check COMFYUI_BASE_URL.`,
+            {
+                status: 503,
+                code: 'LOCAL_IMAGE_UNAVAILABLE',
+                details: error instanceof Error ? error.message : String(error),
+            },
+        );
+    }
+}
+
+async function comfyJson(config, route, init) {
+    const response = await comfyFetch(config, route, init);
+    if (!response.ok) {
+        throw new ImageProviderError(
+            `ComfyUI ${route} failed (${response.status}).`,
+            { status: 502, code: 'IMAGE_PROVIDER_ERROR', details: await responseDetails(response) },
+        );
+    }
+    return response.json();
+}
+
+/**
+ * Reads the workflow in ComfyUI's API format ("Export (API)" in the ComfyUI
+ * menu). It is read on every request so artists can swap it without a restart.
+ */
+async function loadComfyWorkflow(config) {
+    let workflow;
+    try {
+        workflow = JSON.parse(await readFile(config.workflowPath, 'utf8'));
+    } catch (error) {
+        throw new ImageProviderError(
+            `Could not read the ComfyUI workflow at ${config.workflowPath}. Export it with "Export (API)" and set COMFYUI_WORKFLOW.`,
+            { code: 'IMAGE_PROVIDER_NOT_CONFIGURED', details: error instanceof Error ? error.message : String(error) },
+        );
+    }
+    if (!workflow || typeof workflow !== 'object' || Array.isArray(workflow) || Array.isArray(workflow.nodes)) {
+        throw new ImageProviderError(
+            `${config.workflowPath} is not in ComfyUI's API format. Export it with "Export (API)" instead of "Save".`,
+            { code: 'IMAGE_PROVIDER_NOT_CONFIGURED' },
+        );
+    }
+    return workflow;
+}
+
+const findComfyNode = (workflow, name) => {
+    if (workflow[name]?.inputs) return workflow[name];
+    const wanted = name.toLowerCase();
+    return Object.values(workflow).find((node) => clean(node?._meta?.title).toLowerCase() === wanted) || null;
+};
+
+// The first of these inputs the node has is the one that is set.
+const firstInput = (node, names) => names.find((name) => Object.hasOwn(node.inputs, name)) || names[0];
+
+/**
+ * Copies the workflow with the prompt, size, seed, and optional checkpoint
+ * written into their named nodes, and the art style written into the
+ * negative, sampler, reference, and ControlNet nodes the workflow has.
+ */
+function injectComfyWorkflow(workflow, nodes, { prompt, width, height, seed, checkpoint, style = {}, reference = null }) {
+    const graph = structuredClone(workflow);
+    const missing = ['prompt', 'size', 'seed'].filter((role) => !findComfyNode(graph, nodes[role]));
+    if (missing.length > 0) {
+        throw new ImageProviderError(
+            `The ComfyUI workflow has no node titled ${missing.map((role) => `"${nodes[role]}"`).join(', ')}. Rename the nodes in ComfyUI or set COMFYUI_${missing[0].toUpperCase()}_NODE.`,
+            { code: 'IMAGE_PROVIDER_NOT_CONFIGURED' },
+        );
+    }
+    const promptNode = findComfyNode(graph, nodes.prompt);
+    promptNode.inputs[firstInput(promptNode, ['text', 'prompt', 'positive'])] = prompt;
+    const sizeNode = findComfyNode(graph, nodes.size);
+    sizeNode.inputs.width = width;
+    sizeNode.inputs.height = height;
+    const seedNode = findComfyNode(graph, nodes.seed);
+    seedNode.inputs[firstInput(seedNode, ['seed', 'noise_seed'])] = seed;
+    const checkpointNode = checkpoint ? findComfyNode(graph, nodes.checkpoint) : null;
+    if (checkpointNode) checkpointNode.inputs[firstInput(checkpointNode, ['ckpt_name', 'unet_name'])] = checkpoint;
+
+    const negativeNode = style.negativePrompt ? findComfyNode(graph, nodes.negative) : null;
+    if (negativeNode) {
+        const input = firstInput(negativeNode, ['text', 'prompt', 'negative']);
+        negativeNode.inputs[input] = joinPrompt(negativeNode.inputs[input], style.negativePrompt);
+    }
+    // A KSampler usually is the seed node too.
+    const samplerNode = findComfyNode(graph, nodes.sampler) || (Object.hasOwn(seedNode.inputs, 'steps') ? seedNode : null);
+    if (samplerNode) {
+        if (style.steps) samplerNode.inputs.steps = style.steps;
+        if (style.cfgScale) samplerNode.inputs.cfg = style.cfgScale;
+        if (style.sampler) samplerNode.inputs.sampler_name = style.sampler;
+        if (reference && style.referenceMode !== 'controlnet') samplerNode.inputs.denoise = img2imgDenoise(style);
+    }
+    if (reference) {
+        const referenceNode = findComfyNode(graph, nodes.reference);
+        if (!referenceNode) {
+            throw new ImageProviderError(
+                `This art style has a reference image, but the ComfyUI workflow has no Load Image node titled "${nodes.reference}". Add one or set COMFYUI_REFERENCE_NODE.`,
+                { code: 'IMAGE_PROVIDER_NOT_CONFIGURED' },
+            );
+        }
+        referenceNode.inputs.image = reference;
+        const controlNetNode = style.referenceMode === 'controlnet' ? findComfyNode(graph, nodes.controlNet) : null;
+        if (controlNetNode) controlNetNode.inputs.strength = referenceStrength(style);
+    }
+    return graph;
+}
+
+// Puts the reference image in ComfyUI's input folder, where Load Image reads
+// it. The file is named by its hash, so concurrent generations with different
+// references cannot overwrite each other's.
+async function uploadComfyReference(config, referenceImage) {
+    const match = clean(referenceImage).match(/^data:(image\/[a-z0-9.+-]+);base64,(.+)$/i);
+    if (!match) throw new ImageProviderError('The art style reference image is not a base64 image.', { status: 400, code: 'IMAGE_INVALID' });
+    const data = Buffer.from(match[2], 'base64');
+    const name = `arkyv-${createHash('sha256').update(data).digest('hex').slice(0, 24)}.${match[1].split('/')[1].replace('jpeg', 'jpg')}`;
+    const form = new FormData();
+    form.append('image', new Blob([data], { type: match[1] }), name);
+    form.append('subfolder', 'arkyv');
+    form.append('overwrite', 'true');
+    const uploaded = await comfyJson(config, '/upload/image', { method: 'POST', body: form });
+    return uploaded.subfolder ? `${uploaded.subfolder}/${uploaded.name}` : uploaded.name;
+}
+
+function comfyExecutionError(entry) {
+    const [, failure] = (entry.status?.messages || []).find(([type]) => type === 'execution_error') || [];
+    return new ImageProviderError(
+        failure
+            ? `ComfyUI failed in ${failure.node_type || `node ${failure.node_id}`}: ${failure.exception_message || 'unknown error'}`
+            : 'ComfyUI could not run the workflow.',
+        { status: 502, code: 'IMAGE_PROVIDER_ERROR', details: JSON.stringify(entry.status?.messages || []) },
+    );
+}
+
+// Queue entries are `[number, prompt_id, prompt, extra_data, outputs]`.
+const queueHas = (items, promptId) => (items || []).some((item) => item[1] === promptId);
+
+/**
+ * Waits for a queued prompt by polling /history, and /queue while it has no
+ * history, so a prompt that was cancelled in ComfyUI fails instead of
+ * waiting out the timeout.
+ */
+async function waitForComfyPrompt(config, promptId, started) {
+    while (Date.now() - started < config.timeoutMs) {
+        await delay(config.pollMs);
+        const entry = (await comfyJson(config, `/history/${promptId}`))[promptId];
+        if (entry?.status?.status_str === 'error') throw comfyExecutionError(entry);
+        if (entry?.status?.completed || (entry && !entry.status)) return entry;
+        if (entry) continue;
+
+        const queue = await comfyJson(config, '/queue');
+        if (queueHas(queue.queue_running, promptId) || queueHas(queue.queue_pending, promptId)) continue;
+        // It may have finished between the two requests.
+        const finished = (await comfyJson(config, `/history/${promptId}`))[promptId];
+        if (finished?.status?.status_str === 'error') throw comfyExecutionError(finished);
+        if (finished) return finished;
+        throw new ImageProviderError('ComfyUI dropped the prompt before it finished. It may have been cancelled in ComfyUI.', { status: 502 });
+    }
+
+    // Best effort: stop spending GPU time on an answer nobody will receive.
+    const queue = await comfyJson(config, '/queue').catch(() => null);
+    if (queueHas(queue?.queue_running, promptId)) {
+        await comfyFetch(config, '/interrupt', { method: 'POST', body: '{}' }).catch(() => null);
+    } else {
+        await comfyFetch(config, '/queue', { method: 'POST', body: JSON.stringify({ delete: [promptId] }) }).catch(() => null);
+    }
+    throw new ImageProviderError(
+        `ComfyUI did not finish within ${Math.round(config.timeoutMs / 1000)} seconds.`,
+        { status: 504, code: 'IMAGE_TIMEOUT' },
+    );
+}
+
+function comfyOutputImage(config, workflow, entry) {
+    const outputs = entry.outputs || {};
+    const namedNode = findComfyNode(workflow, config.nodes.output);
+    const namedId = namedNode && Object.keys(workflow).find((id) => workflow[id] === namedNode);
+    if (namedId && outputs[namedId]?.images?.length) return outputs[namedId].images[0];
+    // Otherwise prefer a saved image over a preview.
+    const images = Object.values(outputs).flatMap((output) => output.images || []);
+    return images.find((image) => image.type === 'output') || images[0] || null;
+}
+
+async function generateWithComfyUI(config, { prompt, width, height, seed, style = {}, referenceImage = null }) {
+    const workflow = await loadComfyWorkflow(config);
+    const usedSeed = Number.isInteger(seed) ? seed : Math.floor(Math.random() * 2 ** 32);
+    const reference = referenceImage ? await uploadComfyReference(config, referenceImage) : null;
+    const graph = injectComfyWorkflow(workflow, config.nodes, {
+        prompt: joinPrompt(style.stylePrompt, prompt),
+        width,
+        height,
+        seed: usedSeed,
+        checkpoint: config.checkpoint,
+        style,
+        reference,
+    });
+    const started = Date.now();
+
+    const response = await comfyFetch(config, '/prompt', {
+        method: 'POST',
+        body: JSON.stringify({ prompt: graph, client_id: `arkyv-${crypto.randomUUID()}` }),
+    });
+    if (!response.ok) {
+        // A workflow ComfyUI rejects, such as a checkpoint it does not have,
+        // comes back as 400 with `node_errors`.
+        const details = await responseDetails(response);
+        let reason = '';
+        try {
+            const payload = JSON.parse(details);
+            reason = [payload.error?.message, ...Object.values(payload.node_errors || {}).flatMap((node) => (node.errors || []).map((error) => `${node.class_type}: ${error.details || error.message}`))].filter(Boolean).join('; ');
+        } catch {
+            // Not JSON; the raw text is in details.
+        }
+        throw new ImageProviderError(
+            `ComfyUI rejected the workflow (${response.status})${reason ? `: ${reason}` : '.'}`,
+            { status: 502, code: 'IMAGE_PROVIDER_ERROR', details },
+        );
+    }
+    const { prompt_id: promptId } = await response.json();
+
+    const entry = await waitForComfyPrompt(config, promptId, started);
+    const image = comfyOutputImage(config, workflow, entry);
+    if (!image) {
+        throw new ImageProviderError(`ComfyUI finished without an image. Add a Save Image or Preview Image node titled "${config.nodes.output}".`);
+    }
+
+    const query = new URLSearchParams({ filename: image.filename, subfolder: image.subfolder || '', type: image.type || 'output' });
+    const view = await comfyFetch(config, `/view?${query}`);
+    if (!view.ok) {
+        throw new ImageProviderError(
+            `Could not download the ComfyUI image (${view.status}).`,
+            { status: 502, code: 'IMAGE_PROVIDER_ERROR', details: await responseDetails(view) },
+        );
+    }
+    const contentType = view.headers.get('content-type')?.split(';')[0] || 'image/png';
+    const base64 = Buffer.from(await view.arrayBuffer()).toString('base64');
+
+    return {
+        imageUrl: `data:${contentType.startsWith('image/') ? contentType : 'image/png'};base64,${base64}`,
+        provider: config.provider,
+        providerLabel: config.label,
+        creditsRemaining: null,
+        seed: usedSeed,
     };
 }
 
-export async function generateImage(options) {
+/**
+ * Generate one image with the configured provider.
+ * @param {Object} options - `{prompt, width, height}`, and optionally `seed`,
+ *   an art `style` from lib/artStyles.js, and the style's `referenceImage` as
+ *   a data URL. RetroDiffusion uses only the style prompt.
+ * @param {Function} options.onUsage - Called once the provider answers, as
+ *   `reportAIUsage` in lib/aiUsage.js describes
+ * @returns {Promise<Object>} `{imageUrl, provider, providerLabel,
+ *   creditsRemaining}`, and `seed` when the backend reports it
+ */
+export async function generateImage({ onUsage = null, ...options }) {
     const config = getImageProviderConfig();
-    if (config.provider === 'local') {
-        return generateWithLocalStableDiffusion(config, options);
+    const started = Date.now();
+    const usage = (succeeded) => ({
+        provider: config.provider,
+        model: config.provider === 'local' ? config.model || 'default'
+            : config.provider === 'comfyui' ? config.checkpoint || path.basename(config.workflowPath)
+                : RETRO_DIFFUSION_STYLE,
+        task: 'generate-image',
+        promptTokens: 0,
+        completionTokens: 0,
+        images: succeeded ? 1 : 0,
+        latencyMs: Date.now() - started,
+        succeeded,
+    });
+    try {
+        const generated = config.provider === 'local' ? await generateWithLocalStableDiffusion(config, options)
+            : config.provider === 'comfyui' ? await generateWithComfyUI(config, options)
+                : await generateWithRetroDiffusion(config, options);
+        await reportAIUsage(onUsage, usage(true));
+        return generated;
+    } catch (error) {
+        await reportAIUsage(onUsage, usage(false));
+        throw error;
     }
-    return generateWithRetroDiffusion(config, options);
 }
 
 export async function getImageProviderStatus() {
@@ -222,6 +584,20 @@ export async function getImageProviderStatus() {
         };
     }
 
+    if (config.provider === 'comfyui') {
+        const stats = await comfyJson(config, '/system_stats');
+        const workflow = await loadComfyWorkflow(config);
+        injectComfyWorkflow(workflow, config.nodes, { prompt: '', width: 64, height: 64, seed: 0 });
+        return {
+            provider: config.provider,
+            providerLabel: config.label,
+            available: true,
+            credits: null,
+            model: config.checkpoint || path.basename(config.workflowPath),
+            version: stats.system?.comfyui_version || null,
+        };
+    }
+
     let response;
     try {
         response = await fetch(`${config.baseUrl}/sdapi/v1/samplers`, {
@@ -0,0 +1,278 @@
+// Adapters for local text servers behind AI_PROVIDER=local. LOCAL_AI_SERVER
+// names the server: "ollama" talks to Ollama's native /api endpoints,
+// "llamacpp" to the llama.cpp server, and "openai" to any other server with
+// OpenAI-compatible /v1 endpoints. Each adapter lists the models the server
+// has, with their context length where it reports one, so a missing model is
+// caught before a request instead of failing with a bare 404.
+//
+// scripts/local-tools.mjs keeps a copy of the discovery calls for
+// `npm run setup:check`, which runs without the Next.js build.
+
+export const LOCAL_AI_SERVERS = ['ollama', 'llamacpp', 'openai'];
+export const LOCAL_MODEL_ROLES = ['fast', 'smart', 'vision'];
+
+const DISCOVERY_TIMEOUT_MS = 5_000;
+
+/** The server root without the OpenAI-compatible `/v1` suffix. */
+export const nativeBaseUrl = (baseUrl) => String(baseUrl || '').replace(/\/+$/, '').replace(/\/v1$/i, '');
+
+// Ollama treats a name without a tag as `:latest`.
+const ollamaName = (name) => (String(name).includes(':') ? String(name) : `${name}:latest`);
+
+function authHeaders(config) {
+    return config.apiKey && config.apiKey !== 'local' ? { Authorization: `Bearer ${config.apiKey}` } : {};
+}
+
+async function fetchJson(url, { timeoutMs = DISCOVERY_TIMEOUT_MS, ...init } = {}) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+    try {
+        const response = await fetch(url, { ...init, signal: controller.signal });
+        if (!response.ok) {
+            const error = new Error(`${url} answered ${response.status}: ${(await response.text()).slice(0, 300)}`);
+            error.status = response.status;
+            throw error;
+        }
+        return await response.json();
+    } catch (error) {
+        if (controller.signal.aborted) throw new Error(`${url} did not answer within ${timeoutMs} ms.`);
+        throw error;
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+// `model_info` keys are prefixed with the architecture, such as
+// `qwen2.context_length`.
+function ollamaContextLength(details) {
+    const entry = Object.entries(details?.model_info || {}).find(([key]) => key.endsWith('.context_length'));
+    return entry ? Number(entry[1]) || null : null;
+}
+
+async function listOllamaModels(config) {
+    const root = nativeBaseUrl(config.baseUrl);
+    const headers = authHeaders(config);
+    const { models = [] } = await fetchJson(`${root}/api/tags`, { headers });
+    return Promise.all(models.map(async (model) => {
+        const details = await fetchJson(`${root}/api/show`, {
+            method: 'POST',
+            headers: { ...headers, 'Content-Type': 'application/json' },
+            body: JSON.stringify({ model: model.name }),
+        }).catch(() => null);
+        return {
+            name: model.name,
+            contextLength: ollamaContextLength(details),
+            size: model.size || null,
+            family: model.details?.family || null,
+            parameterSize: model.details?.parameter_size || null,
+            quantization: model.details?.quantization_level || null,
+            capabilities: details?.capabilities || [],
+        };
+    }));
+}
+
+// The llama.cpp server runs one model, or several in router mode. `/props`
+// reports the context it was started with, which can be below the model's
+// trained length.
+async function listLlamaCppModels(config) {
+    const root = nativeBaseUrl(config.baseUrl);
+    const headers = authHeaders(config);
+    const [{ data = [] }, props] = await Promise.all([
+        fetchJson(`${root}/v1/models`, { headers }),
+        fetchJson(`${root}/props`, { headers }).catch(() => null),
+    ]);
+    const runtimeContext = Number(props?.default_generation_settings?.n_ctx) || null;
+    return data.map((model) => ({
+        name: model.id,
+        contextLength: runtimeContext || Number(model.meta?.n_ctx_train) || null,
+        size: model.meta?.size || null,
+        family: null,
+        parameterSize: model.meta?.n_params ? `${(model.meta.n_params / 1e9).toFixed(1)}B` : null,
+        quantization: null,
+        capabilities: props?.modalities?.vision ? ['completion', 'vision'] : ['completion'],
+    }));
+}
+
+async function listOpenAICompatibleModels(config) {
+    const { data = [] } = await fetchJson(`${String(config.baseUrl).replace(/\/+$/, '')}/models`, { headers: authHeaders(config) });
+    return data.map((model) => ({
+        name: model.id,
+        contextLength: Number(model.context_length || model.max_model_len) || null,
+        size: null,
+        family: null,
+        parameterSize: null,
+        quantization: null,
+        capabilities: [],
+    }));
+}
+
+/**
+ * Finds a configured model among the server's models. llama.cpp answers with
+ * whichever model it loaded, so a single loaded model matches any name.
+ */
+function findModel(server, models, name) {
+    if (server === 'ollama') return models.find((model) => ollamaName(model.name) === ollamaName(name)) || null;
+    const exact = models.find((model) => model.name === name || model.name.split(/[\\/]/).pop() === name);
+    if (exact || server !== 'llamacpp') return exact || null;
+    return models.length === 1 ? models[0] : null;
+}
+
+/**
+ * Lists the local server's models and checks the configured ones.
+ * @param {Object} config - `{server, baseUrl, apiKey, models}` for the local
+ *   provider
+ * @returns {Promise<Object>} `{server, baseUrl, reachable, error, models,
+ *   configured}`; `configured` has `{role, model, installed, contextLength,
+ *   servedBy}` for fast, smart, and vision
+ */
+export async function discoverLocalModels(config) {
+    const server = LOCAL_AI_SERVERS.includes(config.server) ? config.server : 'openai';
+    let models = [];
+    let error = null;
+    try {
+        models = server === 'ollama' ? await listOllamaModels(config)
+            : server === 'llamacpp' ? await listLlamaCppModels(config)
+                : await listOpenAICompatibleModels(config);
+        models.sort((left, right) => left.name.localeCompare(right.name));
+    } catch (caught) {
+        error = caught instanceof Error ? caught.message : String(caught);
+    }
+    const configured = LOCAL_MODEL_ROLES.map((role) => {
+        const model = config.models?.[role] || '';
+        const match = error ? null : findModel(server, models, model);
+        return {
+            role,
+            model,
+            installed: Boolean(match),
+            contextLength: match?.contextLength || null,
+            servedBy: match && match.name !== model && ollamaName(match.name) !== ollamaName(model) ? match.name : null,
+        };
+    });
+    return { server, baseUrl: config.baseUrl, reachable: !error, error, models, configured };
+}
+
+function missingModelError(model) {
+    const error = new Error(`Ollama has no model "${model}". Pull it with \`ollama pull ${model}\`, or choose an installed model under AI models in the admin panel.`);
+    error.status = 404;
+    return error;
+}
+
+// Ollama wants text content with base64 images beside it, and tool call
+// arguments as objects.
+function ollamaMessages(messages) {
+    return messages.map((message) => ({
+        role: message.role,
+        ...(Array.isArray(message.content) ? {
+            content: message.content.filter((part) => part.type === 'text').map((part) => part.text).join('\n'),
+            images: message.content
+                .filter((part) => part.type === 'image_url')
+                .map((part) => String(part.image_url?.url || part.image_url).replace(/^data:[^,]*,/, '')),
+        } : { content: message.content || '' }),
+        ...(message.tool_calls ? {
+            tool_calls: message.tool_calls.map((call) => ({
+                function: { name: call.function.name, arguments: JSON.parse(call.function.arguments || '{}') },
+            })),
+        } : {}),
+    }));
+}
+
+function ollamaFormat(responseFormat) {
+    if (responseFormat?.type === 'json_schema') return responseFormat.json_schema.schema;
+    if (responseFormat?.type === 'json_object') return 'json';
+    return undefined;
+}
+
+const toolCallsOf = (message, offset = 0) => (message?.tool_calls || []).map((call, index) => ({
+    id: `call_${offset + index}`,
+    type: 'function',
+    function: { name: call.function?.name || '', arguments: JSON.stringify(call.function?.arguments || {}) },
+}));
+
+/**
+ * Sends a chat request to Ollama's native /api/chat and returns it in the
+ * OpenAI chat completion shape, streamed or not.
+ * @param {Object} config - The local provider config
+ * @param {Object} request - `{model, messages, maxTokens, temperature,
+ *   responseFormat, tools, stream}`
+ * @param {Function|null} onDelta - Called as `(delta, text)` while streaming
+ * @param {AbortSignal} signal - Cancels the request
+ * @returns {Promise<Object>}
+ */
+export async function ollamaChatCompletion(config, request, onDelta, signal) {
+    const { model, messages, maxTokens, temperature, responseFormat, tools, stream } = request;
+    const body = {
+        model,
+        messages: ollamaMessages(messages),
+        stream: Boolean(stream),
+        options: { temperature, num_predict: maxTokens },
+    };
+    const format = ollamaFormat(responseFormat);
+    if (format) body.format = format;
+    if (tools?.length) body.tools = tools;
+
+    const response = await fetch(`${nativeBaseUrl(config.baseUrl)}/api/chat`, {
+        method: 'POST',
+        headers: { ...authHeaders(config), 'Content-Type': 'application/json' },
+        body: JSON.stringify(body),
+        signal,
+    });
+    if (!response.ok) {
+        const errorText = await response.text();
+        if (response.status === 404 && /not found/i.test(errorText)) throw missingModelError(model);
+        const error = new Error(`Ollama error (${response.status}): ${errorText}`);
+        error.status = response.status;
+        throw error;
+    }
+
+    if (!stream) return openAIShape(await response.json());
+
+    // Streamed replies are newline-delimited JSON objects; the last has
+    // `done: true` and the token counts.
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let content = '';
+    let last = null;
+    const toolCalls = [];
+    const read = (line) => {
+        if (!line.trim()) return;
+        const chunk = JSON.parse(line);
+        if (chunk.error) throw new Error(`Ollama error: ${chunk.error}`);
+        const delta = chunk.message?.content || '';
+        if (delta) {
+            content += delta;
+            onDelta?.(delta, content);
+        }
+        toolCalls.push(...toolCallsOf(chunk.message, toolCalls.length));
+        if (chunk.done) last = chunk;
+    };
+    try {
+        while (true) {
+            const { done, value } = await reader.read();
+            buffer += decoder.decode(value, { stream: !done });
+            const lines = buffer.split('\n');
+            buffer = done ? '' : lines.pop();
+            lines.forEach(read);
+            if (done) break;
+        }
+    } finally {
+        reader.releaseLock();
+    }
+    return openAIShape({ ...last, message: { content, tool_calls: null } }, toolCalls);
+}
+
+function openAIShape(reply, streamedToolCalls = null) {
+    const toolCalls = streamedToolCalls || toolCallsOf(reply?.message);
+    return {
+        choices: [{
+            index: 0,
+            message: { role: 'assistant', content: reply?.message?.content || '', ...(toolCalls.length > 0 ? { tool_calls: toolCalls } : {}) },
+            finish_reason: toolCalls.length > 0 ? 'tool_calls' : reply?.done_reason === 'length' ? 'length' : 'stop',
+        }],
+        usage: {
+            prompt_tokens: reply?.prompt_eval_count || 0,
+            completion_tokens: reply?.eval_count || 0,
+            total_tokens: (reply?.prompt_eval_count || 0) + (reply?.eval_count || 0),
+        },
+    };
+}
@@ -0,0 +1,117 @@
+// Game actions an AI NPC may take while it talks, offered to the model as
+// function tools. Administrators whitelist them per NPC in `npc_ai_actions`;
+// the module validates every call again before it changes anything, so the
+// tools here only describe what is allowed. Works on snake_case rows by client
+// table name, like lib/npcContext.
+
+export const NPC_TOOL_CALLS_PER_REPLY = 3;
+
+const REFERENCE_TABLES = {
+    start_quest: 'quest_definitions',
+    reputation: 'faction_definitions',
+    give_item: 'object_definitions',
+    learn_recipe: 'crafting_recipes',
+    learn_profession: 'profession_definitions',
+};
+
+const VERBS = {
+    start_quest: 'offer_quest',
+    gold: 'give_gold',
+    reputation: 'change_reputation',
+    give_item: 'give_item',
+    learn_recipe: 'teach_recipe',
+    learn_profession: 'teach_profession',
+};
+
+const slug = (text) => String(text || '').toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+
+function describe(action, referenceName) {
+    const target = referenceName || action.action_reference_id;
+    switch (action.action_kind) {
+        case 'start_quest': return `Offer the player the quest "${target}".`;
+        case 'gold': return `Give the player up to ${action.max_value} gold.`;
+        case 'reputation': return `Raise or lower the player's reputation with ${target} by up to ${action.max_value}.`;
+        case 'give_item': return `Give the player up to ${action.max_value} × ${target}.`;
+        case 'learn_recipe': return `Teach the player the ${target} recipe.`;
+        case 'learn_profession': return `Teach the player the ${target} profession.`;
+        default: return null;
+    }
+}
+
+function amountParameters(action) {
+    if (action.action_kind === 'gold' || action.action_kind === 'give_item') {
+        return { type: 'object', properties: { amount: { type: 'integer', minimum: 1, maximum: action.max_value } }, required: ['amount'] };
+    }
+    if (action.action_kind === 'reputation') {
+        return {
+            type: 'object',
+            properties: { amount: { type: 'integer', minimum: -action.max_value, maximum: action.max_value, description: 'Positive to raise, negative to lower' } },
+            required: ['amount'],
+        };
+    }
+    return { type: 'object', properties: {} };
+}
+
+/**
+ * Lists the tools an NPC may call in its reply to one actor. Actions whose
+ * per-actor uses are spent are left out.
+ * @param {Function} rows - `(tableName) => rows`, by client table name
+ * @param {Object} options
+ * @param {string} options.npcId - The NPC replying
+ * @param {string} options.actorId - The character or profile speaking
+ * @returns {Array<{actionId: string, tool: Object}>} Tools in chat completion format
+ */
+export function npcActionTools(rows, { npcId, actorId }) {
+    const uses = new Map(rows('actor_ai_action_uses').filter((row) => row.actor_id === actorId).map((row) => [row.action_id, row.uses]));
+    const names = new Set();
+    const entries = [];
+    for (const action of rows('npc_ai_actions').filter((row) => row.npc_id === npcId)) {
+        if (action.uses_per_actor > 0 && (uses.get(action.id) || 0) >= action.uses_per_actor) continue;
+        const referenceTable = REFERENCE_TABLES[action.action_kind];
+        const reference = referenceTable ? rows(referenceTable).find((row) => row.id === action.action_reference_id) : null;
+        if (referenceTable && !reference) continue;
+        const description = describe(action, reference?.name || reference?.title);
+        if (!description) continue;
+        const base = [VERBS[action.action_kind], slug(reference?.name || reference?.title || action.action_reference_id)].filter(Boolean).join('_').slice(0, 60);
+        let name = base;
+        for (let suffix = 2; names.has(name); suffix += 1) name = `${base}_${suffix}`;
+        names.add(name);
+        entries.push({
+            actionId: action.id,
+            tool: {
+                type: 'function',
+                function: {
+                    name,
+                    description: `${description}${action.instructions ? ` ${action.instructions}` : ''}`,
+                    parameters: amountParameters(action),
+                },
+            },
+        });
+    }
+    return entries;
+}
+
+/**
+ * Maps the model's tool calls back to `{ action_id, value }` requests for
+ * `complete_npc_command`. Unknown tools and unreadable arguments are dropped.
+ * @param {Array} entries - From npcActionTools
+ * @param {Array} toolCalls - `message.tool_calls` from the completion
+ * @returns {Array<{action_id: string, value: number}>}
+ */
+export function npcToolCallActions(entries, toolCalls) {
+    const byName = new Map(entries.map((entry) => [entry.tool.function.name, entry.actionId]));
+    const actions = [];
+    for (const call of Array.isArray(toolCalls) ? toolCalls : []) {
+        const actionId = byName.get(call?.function?.name);
+        if (!actionId) continue;
+        let args = {};
+        try {
+            args = JSON.parse(call.function.arguments || '{}') || {};
+        } catch {
+            continue;
+        }
+        actions.push({ action_id: actionId, value: Math.trunc(Number(args.amount) || 0) });
+        if (actions.length >= NPC_TOOL_CALLS_PER_REPLY) break;
+    }
+    return actions;
+}
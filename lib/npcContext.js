@@ -0,0 +1,159 @@
+// World brief for AI NPC replies. Works on snake_case rows by client table
+// name, so the dialogue worker and any other caller with world access can
+// share it; see buildNpcWorldBrief.
+
+export const DEFAULT_NPC_CONTEXT_TOKENS = 600;
+
+// Close enough to provider tokenizers for budgeting English prose.
+export const estimateTokens = (text) => Math.ceil(String(text || '').length / 4);
+
+const clip = (text, length) => {
+    const value = String(text || '').replace(/\s+/g, ' ').trim();
+    return value.length > length ? `${value.slice(0, length - 1).trimEnd()}…` : value;
+};
+
+const DAY_PHASES = [
+    [0.2, 'night'],
+    [0.3, 'dawn'],
+    [0.5, 'morning'],
+    [0.7, 'afternoon'],
+    [0.8, 'evening'],
+    [1, 'night'],
+];
+
+/**
+ * Names the in-world time of day. A day lasts the world simulation config's
+ * `day_length_minutes` (60 by default), counted from the Unix epoch.
+ */
+export function timeOfDay(simulationConfig, now = Date.now()) {
+    const dayLength = Math.max(1, Number(simulationConfig?.day_length_minutes) || 60) * 60_000;
+    const fraction = (now % dayLength) / dayLength;
+    return DAY_PHASES.find(([end]) => fraction < end)[1];
+}
+
+function standing(reputation, faction) {
+    if (reputation <= faction.hostile_threshold) return 'hostile';
+    if (reputation >= faction.friendly_threshold) return 'friendly';
+    return 'neutral';
+}
+
+function locationSection(rows, room) {
+    if (!room) return null;
+    const region = rows('regions').find((row) => row.name === (room.region_name || room.region));
+    const regionName = region?.display_name || room.region_name || room.region;
+    const lines = [`${room.name}${regionName ? `, in ${regionName}` : ''}. ${clip(room.description, 320)}`];
+    if (region?.description) lines.push(`Region: ${clip(region.description, 200)}`);
+    return { title: 'Location', lines };
+}
+
+function presentSection(rows, npc, roomId, actorId) {
+    const characters = rows('characters')
+        .filter((row) => row.current_room === roomId && row.id !== actorId)
+        .map((row) => `${row.name} (traveler)`);
+    const npcs = rows('npcs')
+        .filter((row) => row.current_room === roomId && row.id !== npc.id)
+        .map((row) => `${row.name}${row.description ? ` — ${clip(row.description, 60)}` : ''}`);
+    const lines = [...characters, ...npcs];
+    return lines.length > 0 ? { title: 'Also present', lines } : null;
+}
+
+function questSection(rows, npc, actorId) {
+    const objectives = rows('quest_objectives');
+    const definitions = new Map(rows('quest_definitions').map((row) => [row.id, row]));
+    const progress = rows('actor_quest_progress').filter((row) => row.actor_id === actorId);
+    const lines = [];
+    for (const quest of rows('actor_quests').filter((row) => row.actor_id === actorId && row.status === 'active')) {
+        const definition = definitions.get(quest.quest_id);
+        if (!definition) continue;
+        const questObjectives = objectives.filter((row) => row.quest_id === definition.id).sort((a, b) => a.sort_order - b.sort_order);
+        const role = definition.quest_giver_npc_id === npc.id ? 'you gave this quest'
+            : definition.turn_in_npc_id === npc.id ? 'it is turned in to you'
+                : questObjectives.some((row) => row.target_id === npc.id) ? 'it involves you'
+                    : null;
+        if (!role) continue;
+        const steps = questObjectives.map((objective) => {
+            const done = progress.find((row) => row.objective_id === objective.id)?.progress || 0;
+            return `${objective.description} ${Math.min(done, objective.required_count)}/${objective.required_count}`;
+        });
+        lines.push(`"${definition.title}" (${role}): ${clip(steps.join('; ') || definition.description, 220)}`);
+    }
+    return lines.length > 0 ? { title: "The player's quests", lines } : null;
+}
+
+function reputationSection(rows, npc, actorId) {
+    if (!npc.faction) return null;
+    const faction = rows('faction_definitions').find((row) => row.id === npc.faction);
+    if (!faction) return null;
+    const reputation = rows('actor_faction_reputations').find((row) => row.actor_id === actorId && row.faction_id === faction.id)?.reputation
+        ?? faction.starting_reputation;
+    return { title: 'Standing', lines: [`You belong to ${faction.name}. The player is ${standing(reputation, faction)} with it (${reputation}).`] };
+}
+
+function vendorSection(rows, npc) {
+    const vendors = rows('vendor_definitions').filter((row) => row.npc_id === npc.id);
+    if (vendors.length === 0) return null;
+    const items = new Map(rows('object_definitions').map((row) => [row.id, row]));
+    const currencies = new Map(rows('currency_definitions').map((row) => [row.id, row]));
+    const lines = [];
+    for (const vendor of vendors) {
+        const currency = currencies.get(vendor.currency_id)?.name || 'gold';
+        for (const stock of rows('vendor_stocks').filter((row) => row.vendor_id === vendor.id)) {
+            const item = items.get(stock.definition_id);
+            if (!item || stock.stock === 0) continue;
+            lines.push(`${item.name} — ${stock.price} ${currency}${stock.stock > 0 ? ` (${stock.stock} left)` : ''}`);
+        }
+    }
+    return lines.length > 0 ? { title: 'You sell', lines } : null;
+}
+
+/**
+ * Assembles the facts an NPC should know before replying: where it is, the
+ * time of day, who else is present, the speaker's quests involving it, the
+ * speaker's standing with its faction, and its wares.
+ *
+ * Sections are added in that order until `tokenBudget` is spent; a section
+ * that no longer fits keeps as many of its lines as it can.
+ *
+ * @param {Function} rows - `(tableName) => rows`, by client table name
+ * @param {Object} options
+ * @param {string} options.npcId - The NPC replying
+ * @param {string} options.actorId - The character or profile speaking
+ * @param {string} options.roomId - Where the conversation happens
+ * @param {number} [options.tokenBudget] - Approximate token ceiling
+ * @param {number} [options.now] - Clock for the time of day
+ * @returns {string} The brief, or an empty string when the NPC is unknown
+ */
+export function buildNpcWorldBrief(rows, { npcId, actorId, roomId, tokenBudget = DEFAULT_NPC_CONTEXT_TOKENS, now = Date.now() }) {
+    const npc = rows('npcs').find((row) => row.id === npcId);
+    if (!npc) return '';
+    const room = rows('rooms').find((row) => row.id === roomId);
+    const speaker = rows('characters').find((row) => row.id === actorId)
+        || rows('profiles').find((row) => row.id === actorId);
+    const simulation = rows('world_simulation_configs').find((row) => row.id === 'world') || rows('world_simulation_configs')[0];
+
+    const sections = [
+        locationSection(rows, room),
+        { title: 'Time of day', lines: [timeOfDay(simulation, now)] },
+        speaker ? { title: 'Speaking with', lines: [speaker.name || speaker.handle || 'a traveler'] } : null,
+        presentSection(rows, npc, roomId, actorId),
+        questSection(rows, npc, actorId),
+        reputationSection(rows, npc, actorId),
+        vendorSection(rows, npc),
+    ].filter(Boolean);
+
+    const output = [];
+    let remaining = tokenBudget;
+    for (const { title, lines } of sections) {
+        const heading = `${title}:`;
+        if (estimateTokens(heading) + estimateTokens(lines[0]) + 2 > remaining) continue;
+        output.push(heading);
+        remaining -= estimateTokens(heading) + 1;
+        for (const line of lines) {
+            const cost = estimateTokens(line) + 1;
+            if (cost > remaining) break;
+            output.push(`- ${line}`);
+            remaining -= cost;
+        }
+    }
+    return output.join('\n');
+}
@@ -0,0 +1,106 @@
+// Used by the headless NPC worker, which is compiled outside Next.js, so
+// sibling imports stay relative.
+import { createChatCompletion } from './aiProvider';
+import { npcMemoryBrief } from './npcMemory';
+
+export const NPC_FALLBACK_RESPONSE = '*seems distracted and does not respond clearly*';
+
+/**
+ * Builds the chat messages for one NPC reply.
+ * @param {Object} options
+ * @param {string} options.npcName - Display name of the NPC
+ * @param {string} [options.npcDescription] - Authored description
+ * @param {string} [options.personality] - Authored personality prompt
+ * @param {string} options.playerMessage - What the player said
+ * @param {Array} [options.conversationHistory] - Earlier chat messages
+ * @param {string} [options.worldBrief] - Facts from buildNpcWorldBrief
+ * @param {Object} [options.memory] - The NPC's `npc_memories` row for the speaker
+ * @param {Array} [options.tools] - Game actions from npcActionTools
+ * @param {Object} [options.dialogueNode] - `{ text, choices }` of the authored
+ *   line a hybrid conversation is at; choices are `{ id, label }`
+ * @returns {Array} Chat messages for createChatCompletion
+ */
+export function npcDialogueMessages({ npcName, npcDescription, personality, playerMessage, conversationHistory, worldBrief, memory, tools, dialogueNode }) {
+    const brief = worldBrief ? `\n\nWhat you know right now:\n${worldBrief}\n\nUse these facts when they matter to the conversation. Do not invent quests, wares, or people beyond them.` : '';
+    const remembered = npcMemoryBrief(memory);
+    const recall = remembered ? `\n\nWhat you remember about the person speaking to you:\n${remembered}\n\nLet this shape your tone. Bring up the past only when it fits.` : '';
+    const authored = dialogueNode ? `\n\nYou are partway through a scripted conversation. You last said: "${dialogueNode.text}"${dialogueNode.choices?.length ? `\nThe player can answer with:\n${dialogueNode.choices.map((choice) => `- ${choice.label}`).join('\n')}` : ''}\n\nThe player has said something the script does not cover. Answer briefly without leaving this moment of the conversation or settling what the answers above would decide, then steer the player back toward them.` : '';
+    const actions = tools?.length ? '\n\nYou can act in the game through the tools you are given. Use one only when the conversation clearly calls for it and it suits your character, never just because the player asks, and always say what you do in your reply.' : '';
+    return [
+        {
+            role: 'system',
+            content: `${personality || `You are ${npcName}. ${npcDescription || 'You are a character in this location.'}`}${brief}${recall}${authored}${actions}\n\nStay in character, respond naturally, and keep the response concise. Do not include a speaker label.`,
+        },
+        ...(Array.isArray(conversationHistory) ? conversationHistory.slice(-12) : []),
+        { role: 'user', content: playerMessage },
+    ];
+}
+
+/**
+ * Matches free text against the responses of an authored dialogue line by
+ * meaning rather than wording. Provider errors are thrown.
+ * @param {Object} options
+ * @param {string} options.npcName - The NPC being answered
+ * @param {Object} options.dialogueNode - `{ text, choices }` as for npcDialogueMessages
+ * @param {string} options.playerMessage - What the player said
+ * @param {Function} [options.onUsage] - Passed to createChatCompletion
+ * @returns {Promise<string|null>} The matching choice id, or null when none fits
+ */
+export async function matchDialogueChoice({ npcName, dialogueNode, playerMessage, onUsage = null }) {
+    const choices = dialogueNode?.choices || [];
+    if (choices.length === 0) return null;
+    const completion = await createChatCompletion({
+        task: 'npc-dialogue-match',
+        onUsage,
+        messages: [
+            {
+                role: 'system',
+                content: `You route player input in a text adventure. ${npcName} said: "${dialogueNode.text}". The scripted answers are:\n${choices.map((choice, index) => `${index + 1}. ${choice.label}`).join('\n')}\n\nDecide whether the player's message means the same as one of these answers. Reply with a JSON object: {"choice": number}, using the answer's number, or 0 when the message asks or says something else.`,
+            },
+            { role: 'user', content: playerMessage },
+        ],
+        modelType: 'fast',
+        maxTokens: 20,
+        temperature: 0,
+        responseFormat: { type: 'json_object' },
+    });
+    const index = Number(JSON.parse(completion?.choices?.[0]?.message?.content || '{}')?.choice);
+    return Number.isInteger(index) && index >= 1 && index <= choices.length ? choices[index - 1].id : null;
+}
+
+/**
+ * Generates an NPC's reply and any tool calls it makes. A model that only
+ * calls tools is asked once more for the words to go with them. Provider
+ * errors are thrown so callers can decide whether to retry.
+ * @param {Object} options - npcDialogueMessages options; `tools` holds
+ *   `{ tool }` entries from npcActionTools
+ * @param {Function} [options.onDelta] - Streams the reply; called as
+ *   `(delta, text)` while it is generated
+ * @param {Function} [options.onUsage] - Passed to createChatCompletion
+ * @returns {Promise<{response: string, toolCalls: Array}>}
+ */
+export async function generateNpcTurn(options) {
+    const tools = (options.tools || []).map((entry) => entry.tool);
+    const messages = npcDialogueMessages(options);
+    const streaming = { stream: Boolean(options.onDelta), onDelta: options.onDelta || null, onUsage: options.onUsage || null };
+    const completion = await createChatCompletion({ task: 'npc-reply', messages, modelType: 'fast', maxTokens: 500, temperature: 0.8, tools, toolChoice: 'auto', ...streaming });
+    const message = completion?.choices?.[0]?.message;
+    const toolCalls = Array.isArray(message?.tool_calls) ? message.tool_calls : [];
+    let response = message?.content?.trim();
+    if (!response && toolCalls.length > 0) {
+        const followUp = await createChatCompletion({
+            task: 'npc-reply',
+            messages: [
+                ...messages,
+                { role: 'assistant', content: null, tool_calls: toolCalls },
+                ...toolCalls.map((call) => ({ role: 'tool', tool_call_id: call.id, content: 'Accepted. The game applies it after your reply.' })),
+            ],
+            modelType: 'fast',
+            maxTokens: 500,
+            temperature: 0.8,
+            ...streaming,
+        });
+        response = followUp?.choices?.[0]?.message?.content?.trim();
+    }
+    return { response: response || '*nods without speaking*', toolCalls };
+}
@@ -0,0 +1,108 @@
+// Long-term NPC memory: what an AI NPC recalls about one actor between visits.
+// Rows come from the `npc_memories` view. The dialogue worker summarizes
+// finished conversations into them, and administrators can correct them in
+// the NPC editor.
+import { createChatCompletion } from './aiProvider';
+
+export const NPC_MEMORY_FACT_LIMIT = 12;
+const SUMMARY_LENGTH = 1200;
+const FACT_LENGTH = 200;
+
+/** Matches the module's `npc_memory` primary key. */
+export const npcMemoryId = (npcId, actorId) => `${npcId}:${actorId}`;
+
+function parseList(value) {
+    if (Array.isArray(value)) return value;
+    try {
+        const parsed = JSON.parse(value || '[]');
+        return Array.isArray(parsed) ? parsed : [];
+    } catch {
+        return [];
+    }
+}
+
+/** Key facts as a clean string array, from the stored JSON or an array. */
+export function parseKeyFacts(value) {
+    return parseList(value)
+        .map((fact) => String(fact ?? '').trim().slice(0, FACT_LENGTH))
+        .filter(Boolean)
+        .slice(0, NPC_MEMORY_FACT_LIMIT);
+}
+
+/** Unsummarized `{ role, content }` lines, from the stored JSON or an array. */
+export function parseRecentExchanges(value) {
+    return parseList(value).filter((entry) => entry && typeof entry.content === 'string' && ['user', 'assistant'].includes(entry.role));
+}
+
+const clampSentiment = (value) => Math.max(-100, Math.min(100, Math.round(Number(value) || 0)));
+
+/** Names a -100..100 sentiment the way the NPC prompt describes it. */
+export function sentimentLabel(sentiment) {
+    const value = clampSentiment(sentiment);
+    if (value <= -60) return 'hostile';
+    if (value <= -20) return 'wary';
+    if (value < 20) return 'neutral';
+    if (value < 60) return 'warm';
+    return 'devoted';
+}
+
+/**
+ * Describes a memory row for the NPC's system prompt.
+ * @returns {string} The description, or an empty string for a first meeting
+ */
+export function npcMemoryBrief(memory) {
+    if (!memory) return '';
+    const facts = parseKeyFacts(memory.key_facts);
+    const summary = String(memory.summary || '').trim();
+    if (!summary && facts.length === 0 && !memory.conversations) return '';
+    const lines = [];
+    if (memory.conversations) lines.push(`You have spoken with them ${memory.conversations} time${memory.conversations === 1 ? '' : 's'} before.`);
+    lines.push(`You feel ${sentimentLabel(memory.sentiment)} toward them (${clampSentiment(memory.sentiment)} on a scale of -100 to 100).`);
+    if (summary) lines.push(`Summary: ${summary}`);
+    if (facts.length > 0) lines.push('Key facts:', ...facts.map((fact) => `- ${fact}`));
+    return lines.join('\n');
+}
+
+/**
+ * Folds a finished conversation into the NPC's memory of the speaker. Provider
+ * errors and unreadable replies are thrown so the caller can try again later.
+ * @param {Object} options
+ * @param {string} options.npcName - The NPC remembering
+ * @param {string} [options.personality] - Authored personality prompt
+ * @param {string} [options.speakerName] - Who the NPC spoke with
+ * @param {Object} [options.memory] - Current memory row
+ * @param {Array} options.exchanges - `{ role, content }` lines to fold in
+ * @param {Function} [options.onUsage] - Passed to createChatCompletion
+ * @returns {Promise<{summary: string, keyFacts: string[], sentiment: number}>}
+ */
+export async function summarizeNpcConversation({ npcName, personality, speakerName, memory, exchanges, onUsage = null }) {
+    const speaker = speakerName || 'the traveler';
+    const transcript = exchanges
+        .map((entry) => `${entry.role === 'user' ? speaker : npcName}: ${entry.content}`)
+        .join('\n');
+    const completion = await createChatCompletion({
+        task: 'npc-memory-summary',
+        onUsage,
+        messages: [
+            {
+                role: 'system',
+                content: `You keep the long-term memory of ${npcName}, a character in a text adventure.${personality ? ` Their personality: ${personality}` : ''}\n\nUpdate what ${npcName} remembers about ${speaker} after the conversation below. Reply with a JSON object: {"summary": string, "key_facts": string[], "sentiment": number}. The summary is a few sentences in ${npcName}'s point of view covering everything worth remembering so far. Key facts are short, durable details such as names, promises, debts, and favours, at most ${NPC_MEMORY_FACT_LIMIT}. Sentiment is how ${npcName} now feels about ${speaker}, from -100 (hatred) to 100 (devotion); move it gradually.`,
+            },
+            {
+                role: 'user',
+                content: `Current memory:\n${npcMemoryBrief(memory) || 'None. This was their first conversation.'}\n\nConversation:\n${transcript}`,
+            },
+        ],
+        modelType: 'fast',
+        maxTokens: 600,
+        temperature: 0.3,
+        responseFormat: { type: 'json_object' },
+    });
+    const result = JSON.parse(completion?.choices?.[0]?.message?.content || '');
+    if (typeof result?.summary !== 'string') throw new Error('The memory summary was missing from the reply.');
+    return {
+        summary: result.summary.trim().slice(0, SUMMARY_LENGTH),
+        keyFacts: parseKeyFacts(result.key_facts),
+        sentiment: clampSentiment(result.sentiment ?? memory?.sentiment),
+    };
+}
@@ -0,0 +1,925 @@
+// Prompt templates for the admin suggestion routes under pages/api/arkyv/.
+// Each template is a system and a user message written with variables:
+// `{{name}}` inserts a value, `{{#name}}...{{/name}}` keeps its text only when
+// the value is set, and `{{^name}}...{{/name}}` only when it is empty. The
+// values come from the route's request body through the template's subject,
+// so the admin panel can preview a template against a sample or a real record
+// without calling the route. A world may override any template; the override
+// is stored in the `prompt_template` table and read with the caller's token.
+
+import { querySpacetimeRow } from './spacetimeHttp';
+
+const PLACEHOLDER_ROOM_DESCRIPTION = 'A newly created space waiting to be described.';
+
+const text = (value) => (typeof value === 'string' ? value.trim() : '');
+const excerpt = (value, length) => text(value).substring(0, length);
+
+function parseJson(value) {
+    try {
+        return typeof value === 'string' ? JSON.parse(value) : value || {};
+    } catch {
+        return {};
+    }
+}
+
+const regionLabel = (region) => region?.display_name || region?.name || '';
+const findRegion = (regions, key) => (regions || []).find((region) => String(region.name).toLowerCase() === String(key || '').toLowerCase());
+
+// What each kind of template knows about. `values` turns a route's request
+// body into template values; `fromRecord` builds such a body from a stored
+// row so previews use real content.
+export const PROMPT_SUBJECTS = {
+    room: {
+        label: 'Rooms',
+        variables: {
+            roomName: 'Name of the room being written',
+            roomDescription: 'The room\'s current description, empty for a new room',
+            existingDescription: 'The description to refine',
+            regionName: 'Region the room belongs to',
+            regionDescription: 'Full region description',
+            regionExcerpt: 'First 300 characters of the region description',
+            parentRoomName: 'Room the new room connects from',
+            parentRoomDescription: 'Description of that room',
+            direction: 'Direction from the parent room',
+            regionRooms: 'Numbered list of nearby rooms with descriptions',
+            nearbyRooms: 'Numbered list of nearby room names',
+        },
+        values: (body) => {
+            const roomDescription = text(body.roomDescription);
+            return {
+                roomName: text(body.roomName),
+                roomDescription: roomDescription === PLACEHOLDER_ROOM_DESCRIPTION ? '' : roomDescription,
+                existingDescription: text(body.existingDescription),
+                regionName: text(body.regionName),
+                regionDescription: text(body.regionDescription),
+                regionExcerpt: excerpt(body.regionDescription, 300),
+                parentRoomName: text(body.parentRoom?.name) || 'Unknown',
+                parentRoomDescription: text(body.parentRoom?.description),
+                direction: text(body.direction),
+                regionRooms: (body.regionRooms || []).map((room, index) => `${index + 1}. ${room.name}: ${room.description}`).join('\n'),
+                nearbyRooms: (body.nearbyRooms || []).map((room, index) => `${index + 1}. ${room.name}`).join('\n'),
+            };
+        },
+        sample: {
+            roomName: 'The Spiced Mug',
+            roomDescription: 'Lanterns sway above a crowded bar. Traders in desert rags trade rumours over bowls of spiced meat while a hooded singer hums in the corner.',
+            existingDescription: 'A tavern where traders meet to swap rumours over spiced meat.',
+            regionName: 'Hollow Market',
+            regionDescription: 'Narrow streets wind between stalls stacked with salvaged parts. Hawkers shout over the hiss of steam vents, and lanterns hang from every awning.',
+            parentRoom: { name: 'Market Gate', description: 'Rusted gates open onto a crush of carts and shouting hawkers.' },
+            direction: 'north',
+            regionRooms: [
+                { name: 'Market Gate', description: 'Rusted gates open onto a crush of carts and shouting hawkers.' },
+                { name: 'Tinker Row', description: 'Workbenches spill sparks into the street as tinkers solder salvaged circuits.' },
+            ],
+            nearbyRooms: [{ name: 'Market Gate' }, { name: 'Tinker Row' }],
+        },
+        fromRecord: (room, { rooms, regions }) => {
+            const region = findRegion(regions, room.region_name || room.region);
+            const neighbours = (rooms || []).filter((other) => other.id !== room.id && (other.region_name || other.region) === (room.region_name || room.region)).slice(0, 5);
+            return {
+                roomName: room.name,
+                roomDescription: room.description || '',
+                existingDescription: room.description || '',
+                regionName: regionLabel(region) || room.region_name || room.region || '',
+                regionDescription: region?.description || '',
+                parentRoom: neighbours[0] ? { name: neighbours[0].name, description: neighbours[0].description } : PROMPT_SUBJECTS.room.sample.parentRoom,
+                direction: 'north',
+                regionRooms: neighbours.map(({ name, description }) => ({ name, description })),
+                nearbyRooms: neighbours.map(({ name }) => ({ name })),
+            };
+        },
+    },
+    region: {
+        label: 'Regions',
+        variables: {
+            regionName: 'Name of the region being written',
+            regionDescription: 'The region\'s description',
+            existingDescription: 'The description to enhance',
+            baseColor: 'Hex colour chosen in the colour picker',
+            existingRegionNames: 'Comma-separated names of the other regions',
+            existingRegions: 'Up to five other regions with their descriptions',
+        },
+        values: (body) => ({
+            regionName: text(body.regionName),
+            regionDescription: text(body.regionDescription),
+            existingDescription: text(body.existingDescription),
+            baseColor: text(body.baseColor),
+            existingRegionNames: (body.existingRegions || []).map((region) => regionLabel(region)).join(', '),
+            existingRegions: (body.existingRegions || [])
+                .filter((region) => text(region.description))
+                .slice(0, 5)
+                .map((region) => `${regionLabel(region)}: ${region.description}`)
+                .join('\n\n'),
+        }),
+        sample: {
+            regionName: 'Hollow Market',
+            regionDescription: 'Narrow streets wind between stalls stacked with salvaged parts. Hawkers shout over the hiss of steam vents, and lanterns hang from every awning.',
+            existingDescription: 'A bazaar of salvaged parts and steam vents.',
+            baseColor: '#fb923c',
+            existingRegions: [
+                { name: 'neon-spine', display_name: 'Neon Spine', description: 'A ridge of towers wrapped in flickering signs, where couriers race along cable bridges.' },
+                { name: 'saltglass-coast', display_name: 'Saltglass Coast', description: 'Glittering dunes meet a still grey sea, and glassblowers work kilns dug into the sand.' },
+            ],
+        },
+        fromRecord: (region, { regions }) => {
+            const scheme = parseJson(region.color_scheme);
+            return {
+                regionName: regionLabel(region),
+                regionDescription: region.description || '',
+                existingDescription: region.description || '',
+                baseColor: scheme.borderColor || PROMPT_SUBJECTS.region.sample.baseColor,
+                existingRegions: (regions || []).filter((other) => other.name !== region.name),
+            };
+        },
+    },
+    npc: {
+        label: 'NPCs',
+        variables: {
+            npcName: 'The NPC\'s name, or "Unknown"',
+            characterName: 'The NPC\'s name, or "this character"',
+            npcAlias: 'The NPC\'s alias',
+            npcDescription: 'Physical description',
+            npcDescriptionExcerpt: 'First 500 characters of the physical description',
+            existingDescription: 'The physical description to refine',
+            existingPersonality: 'The personality prompt to refine',
+            roomName: 'Room the NPC stands in, or "Unknown"',
+            roomDescription: 'That room\'s description',
+            roomExcerpt: 'First 400 characters of the room description',
+            regionName: 'Region of that room, or "Unknown"',
+            regionExcerpt: 'First 300 characters of the region description',
+        },
+        values: (body) => ({
+            npcName: text(body.npcName) || 'Unknown',
+            characterName: text(body.npcName) || 'this character',
+            npcAlias: text(body.npcAlias),
+            npcDescription: text(body.npcDescription),
+            npcDescriptionExcerpt: excerpt(body.npcDescription, 500),
+            existingDescription: text(body.existingDescription),
+            existingPersonality: text(body.existingPersonality),
+            roomName: text(body.roomName) || 'Unknown',
+            roomDescription: text(body.roomDescription),
+            roomExcerpt: excerpt(body.roomDescription, 400),
+            regionName: text(body.regionName) || 'Unknown',
+            regionExcerpt: excerpt(body.regionDescription, 300),
+        }),
+        sample: {
+            npcName: 'Mara Quill',
+            npcAlias: 'mara',
+            npcDescription: 'Short and wiry, with ink-stained fingers and a patched leather apron.',
+            existingDescription: 'A small woman with ink on her hands.',
+            existingPersonality: 'You are Mara Quill, a scribe who sells maps. You are curt but honest.',
+            roomName: 'The Spiced Mug',
+            roomDescription: 'Lanterns sway above a crowded bar. Traders in desert rags trade rumours over bowls of spiced meat.',
+            regionName: 'Hollow Market',
+            regionDescription: 'Narrow streets wind between stalls stacked with salvaged parts.',
+        },
+        fromRecord: (npc, { rooms, regions }) => {
+            const room = (rooms || []).find((entry) => entry.id === npc.current_room);
+            const region = findRegion(regions, room?.region_name || room?.region);
+            return {
+                npcName: npc.name,
+                npcAlias: npc.alias || '',
+                npcDescription: npc.description || '',
+                existingDescription: npc.description || '',
+                existingPersonality: parseJson(npc.dialogue_tree).personality || '',
+                roomName: room?.name || '',
+                roomDescription: room?.description || '',
+                regionName: regionLabel(region) || room?.region_name || '',
+                regionDescription: region?.description || '',
+            };
+        },
+    },
+};
+
+const ROOM_IMMERSION_RULES = `**CRITICAL IMMERSION RULES:**
+- NEVER mention the region name in the description (no "The Flock", "Arkyv", etc.)
+- NEVER use phrases like "In this [x]", "This [x]", "Located in", "[Region]'s [x]"
+- NO authorial observations like "testament to", "under the watchful eyes", "known for"
+- Write in IMMEDIATE present tense - what the player SEES and EXPERIENCES right now
+- Focus on PURE SENSORY details: sights, sounds, smells, textures, atmosphere
+- Show, don't tell - NO commentary, just raw experience
+- Avoid abstract conclusions or summaries - stay concrete and immediate`;
+
+const REGION_WRITER = 'You are an expert game writer specializing in atmospheric world-building. You create vivid, immersive single-paragraph descriptions that bring locations to life';
+
+// Built-in templates, keyed by id. `route` is the API route that uses the
+// template; a route that picks between wordings has one template per wording.
+export const PROMPT_TEMPLATES = {
+    'generate-colors': {
+        label: 'Region colours from theme',
+        subject: 'region',
+        route: 'generate-colors',
+        description: 'Suggests a colour scheme from the region\'s name and description.',
+        system: 'You are a color theory expert specializing in cyberpunk aesthetics. You analyze themes and atmospheres to suggest appropriate color schemes. You always return valid JSON.',
+        user: `{{#regionName}}Region Name: {{regionName}}
+{{/regionName}}{{#regionDescription}}Region Description: {{regionDescription}}
+{{/regionDescription}}
+Based on this region's theme, character, and atmosphere, suggest an appropriate color scheme.
+
+Return a JSON object with:
+- borderColor: a vibrant hex color that matches the region's mood and theme
+- fontColor: a light complementary hex color suitable for text (high contrast)
+- accent: an rgba version of the border color with 0.14 opacity for backgrounds
+
+Consider the region's atmosphere and pick colors that evoke the right feeling. Use cyberpunk/neon aesthetics (blues, pinks, purples, oranges, greens, cyans, etc.).`,
+    },
+    'generate-colors-complementary': {
+        label: 'Region colours from a base colour',
+        subject: 'region',
+        route: 'generate-colors',
+        description: 'Builds a readable scheme around the colour picked by the admin.',
+        system: 'You are a color theory expert specializing in cyberpunk aesthetics and UI design. You always return valid JSON.',
+        user: `Given this base color: {{baseColor}}
+
+Generate complementary colors for a cyberpunk game region color scheme.
+
+Return a JSON object with:
+- borderColor: keep this as {{baseColor}} or a slightly adjusted vibrant version
+- fontColor: a light complementary color with high contrast against dark backgrounds (hex format)
+- accent: an rgba version of the borderColor with 0.14 opacity for subtle backgrounds
+
+Make sure the fontColor provides excellent readability on dark slate backgrounds (#1e293b).`,
+    },
+    'generate-room': {
+        label: 'New room',
+        subject: 'room',
+        route: 'generate-room',
+        description: 'Writes the name and description of a room added next to another.',
+        system: 'You are an expert MUD level designer specializing in creating concise, atmospheric room descriptions. Write brief, evocative descriptions (50 words). Return only valid JSON.',
+        user: `**CONTEXT:**
+
+Region Atmosphere:
+{{#regionDescription}}{{regionDescription}}{{/regionDescription}}{{^regionDescription}}A mysterious region awaits exploration.{{/regionDescription}}
+
+Connected From:
+"{{parentRoomName}}" - {{parentRoomDescription}}
+
+New Room Direction: {{direction}} of "{{parentRoomName}}"
+
+Other Nearby Rooms:
+{{regionRooms}}
+
+**YOUR TASK:**
+Create a NEW room (name + description) that:
+1. Draws atmosphere DIRECTLY from the region description
+2. Logically connects {{direction}} from "{{parentRoomName}}"
+3. Is DIFFERENT from parent & nearby rooms (no repeated elements)
+4. Offers something distinct while fitting the region
+5. NAME: 2-4 words, under 30 chars, concrete and specific
+6. DESCRIPTION: Exactly 50 words, 2-3 sentences max
+
+${ROOM_IMMERSION_RULES}
+
+**WRITING STYLE:**
+❌ BAD: "In this vibrant enclave of The Flock, patrons gather..."
+❌ BAD: "A testament to creativity under watchful eyes..."
+✅ GOOD: "Neon lights pulse across faces. Laughter mingles with deep bass..."
+✅ GOOD: "Shadows dance along walls. Digital chimes echo overhead..."
+
+**CORE PRINCIPLE:** Describe WHAT IS (concrete), not what it represents (abstract).
+
+**QUALITY CHECKS:**
+- ✓ Room NAME uses concrete nouns (Avatar Market, not Euphoric Chamber)
+- ✓ Description shows ACTIVITY and LIFE, not just static setting
+- ✓ Sensory details are SPECIFIC (what sounds, smells, sights)
+- ✓ Exactly 50 words (count them!)
+- ✓ Zero region name mentions
+- ✓ Zero authorial commentary
+- ✓ Completely different from parent room
+
+Return ONLY valid JSON: {"name": "Room Name", "description": "50-word description"}`,
+    },
+    'suggest-room-name': {
+        label: 'Room name from its description',
+        subject: 'room',
+        route: 'suggest-room-name',
+        description: 'Names a room that already has a description. Two worked examples are sent before this message.',
+        system: 'You are a master worldbuilder and creative writer specializing in evocative location names. Your names should sound like they belong in an epic fantasy, cyberpunk, or sci-fi story - something that has lore, history, and character. Think like a poet or storyteller, not a labeler. Use metaphor, atmosphere, and imagination. Create names that adventurers would remember and locals would use. Be bold and creative. Return valid JSON only.',
+        user: `Generate a CREATIVE and EVOCATIVE room name based on the description below. The name should be lore-rich and atmospheric, something that sounds like it has history and character.
+
+**ROOM DESCRIPTION:**
+{{roomDescription}}
+
+**NAMING PHILOSOPHY:**
+
+1. FIRST, identify the PRIMARY TYPE of space:
+   - Is it a tavern, inn, forge, chamber, shop, hall, etc.?
+   - This should be the CORE of your name
+   - Example: If it's described as "a tavern", the name should clearly be a tavern name
+
+2. Then, add ATMOSPHERIC and EVOCATIVE elements:
+   - What's the unique atmosphere or setting?
+   - What metaphor or imagery captures the mood?
+   - What would locals or adventurers call it?
+   - Use poetic, evocative language
+
+3. Be IMAGINATIVE with your word choices:
+   - Create names that sound like they belong in a story
+   - Think about nicknames, local lore, or romantic titles
+   - Combine unexpected but thematic words
+
+4. Length: 2-5 words, under 40 characters
+
+**EXCELLENT EXAMPLES:**
+
+Description: "A bustling TAVERN... merchants... desert rags... spiced meats... void creatures whisper..."
+TYPE: Tavern/Inn
+✓ "Tavern of Whispering Sands" (includes "tavern")
+✓ "The Spiced Mug" (tavern nickname)
+✓ "The Drifting Cup" (tavern nickname with "cup")
+✓ "The Sandglass Inn" (includes "inn")
+✗ "The Mirage Bazaar" - NO! This sounds like a market, not a tavern!
+
+Description: "A CHAMBER with colorful hookahs... sweet smoke... dim lighting..."
+TYPE: Chamber/Lounge
+✓ "The Velvet Vapor"
+✓ "Chamber of Seven Smokes" (includes "chamber")
+✓ "Silk Haze Lounge" (includes "lounge")
+
+Description: "A FORGE burns... weapons line walls... sparks fly..."
+TYPE: Forge/Smithy
+✓ "The Anvil's Echo" (anvil = forge tool)
+✓ "Forge of Fallen Stars" (includes "forge")
+✓ "Crimson Smithy" (includes "smithy")
+
+**CRITICAL RULE:**
+The name MUST match the TYPE of space described. A tavern needs a tavern-appropriate name (with words like Tavern, Inn, Mug, Cup, etc. or clear tavern context).
+
+**AVOID:**
+✗ Names that don't match the space type (calling a tavern a "bazaar")
+✗ Plain descriptive names: "Bazaar Tavern", "Hookah Room"
+✗ Generic combinations without atmosphere
+✗ Names longer than 5 words
+
+Create a name that feels like it belongs in an epic fantasy or cyberpunk story. Make it memorable and atmospheric.
+
+Return JSON:
+{
+  "name": "Room Name"
+}`,
+    },
+    'suggest-room-name-context': {
+        label: 'Room name from its surroundings',
+        subject: 'room',
+        route: 'suggest-room-name',
+        description: 'Names a room that has no description yet, from its region and neighbours.',
+        system: 'You are a creative room naming assistant. Generate evocative, atmospheric names that fit the region aesthetic and context. Be creative and use the region style to inspire the name. Return valid JSON only.',
+        user: `Generate a creative room name for this location:
+
+Region: {{regionName}}
+{{#regionExcerpt}}Atmosphere: {{regionExcerpt}}{{/regionExcerpt}}
+Connected from: {{parentRoomName}} ({{direction}})
+{{#nearbyRooms}}
+
+Nearby rooms for reference:
+{{nearbyRooms}}{{/nearbyRooms}}
+
+Create a 2-4 word evocative name (under 30 characters).
+
+Return as JSON:
+{
+  "name": "Room Name"
+}`,
+    },
+    'suggest-room-description': {
+        label: 'Room description',
+        subject: 'room',
+        route: 'suggest-room-description',
+        description: 'Describes a named room from its region and neighbours.',
+        system: 'You are an expert MUD level designer specializing in creating concise, atmospheric room descriptions (50 words). Return only valid JSON.',
+        user: `**CONTEXT:**
+
+Region Atmosphere:
+{{#regionDescription}}{{regionDescription}}{{/regionDescription}}{{^regionDescription}}A mysterious region awaits exploration.{{/regionDescription}}
+
+Connected From:
+"{{parentRoomName}}" - {{parentRoomDescription}}
+
+This Room:
+Name: "{{roomName}}"
+Location: {{direction}} of "{{parentRoomName}}"
+
+Other Nearby Rooms:
+{{regionRooms}}
+
+**YOUR TASK:**
+Write a 50-word description for "{{roomName}}" that:
+1. Draws atmosphere DIRECTLY from region description
+2. Logically connects {{direction}} from "{{parentRoomName}}"
+3. Is DIFFERENT from parent & nearby rooms (no repeated elements)
+4. Shows concrete activities/features, not abstract vibes
+5. Exactly 50 words, 2-4 sentences max
+
+${ROOM_IMMERSION_RULES}
+
+**WRITING STYLE:**
+❌ BAD: "In this vibrant enclave of The Flock, patrons gather..."
+❌ BAD: "A testament to creativity..."
+✅ GOOD: "Neon lights pulse across faces. Laughter mingles with deep bass..."
+✅ GOOD: "Traders haggle over holographic screens. Credits exchange hands..."
+
+**CORE PRINCIPLE:** Describe WHAT IS (concrete), not what it represents (abstract).
+
+**QUALITY CHECKS:**
+- ✓ Shows ACTIVITY and LIFE (what's happening now)
+- ✓ Sensory details are SPECIFIC (actual sounds, smells, sights)
+- ✓ Exactly 50 words (count them!)
+- ✓ Zero region name mentions
+- ✓ Zero authorial commentary ("testament to", "known for", etc.)
+- ✓ Completely different from parent room
+
+Return ONLY valid JSON: {"description": "50-word description"}`,
+    },
+    'refine-room-description': {
+        label: 'Room description refinement',
+        subject: 'room',
+        route: 'refine-room-description',
+        description: 'Tightens an existing room description without changing what the room is for.',
+        system: 'You are an expert MUD level designer who PRESERVES the core function and activities of rooms while adding vivid sensory details. You write concrete 50-word descriptions. You NEVER replace concrete activities with abstract atmosphere. You ALWAYS maintain the room\'s original purpose. Return only valid JSON.',
+        user: `**REFINE THIS MUD ROOM DESCRIPTION:**
+
+Room Name: "{{roomName}}"
+
+Current Description:
+"{{existingDescription}}"
+
+{{#regionExcerpt}}Region Atmosphere:
+{{regionExcerpt}}...{{/regionExcerpt}}
+
+Context: This room is {{direction}} of "{{parentRoomName}}"
+
+**YOUR TASK:**
+Refine to exactly 50 words by:
+- PRESERVING all concrete activities, functions, objects from original
+  (if it says "traders", "creation terminals", "avatars" - keep those exact elements)
+- ADDING vivid sensory details (what you SEE, HEAR, SMELL specifically)
+- IMPROVING sentence flow and rhythm
+- Making abstract concepts concrete (if any exist)
+
+**CRITICAL - DO NOT:**
+- Replace concrete activities with abstract atmosphere
+- Add philosophical observations or commentary
+- Change the room's core function or purpose
+- Use flowery poetic language instead of specific details
+
+${ROOM_IMMERSION_RULES}
+
+**EXAMPLES - CONCRETE vs ABSTRACT:**
+
+Original: "a place where users primarily trade, purchase or create custom avatars"
+
+❌ BAD REFINE:
+"In this kaleidoscope of creation, avatars morph and materialize, a testament to bold imaginations and boundless expression..."
+(Replaced function with abstract poetry)
+
+✅ GOOD REFINE:
+"Traders haggle over custom avatars on holographic screens. Creation terminals line walls where users craft digital forms. Credits exchange as buyers preview animated demonstrations."
+(Kept function, added specific sensory HOW)
+
+**REFINEMENT CHECKLIST:**
+- ✓ All original activities/functions preserved (trading, creating, etc.)
+- ✓ Sensory details are SPECIFIC (holographic screens, not "displays")
+- ✓ Shows HOW activities happen (haggling, crafting, previewing)
+- ✓ Exactly 50 words (count them!)
+- ✓ Zero region name mentions
+- ✓ Zero authorial observations
+- ✓ Zero abstract replacements
+
+Return ONLY valid JSON: {"description": "refined 50-word description"}`,
+    },
+    'generate-region-name': {
+        label: 'Region name',
+        subject: 'region',
+        route: 'generate-region-name',
+        description: 'Names a new region in the style of the existing ones.',
+        system: 'You are a creative game writer specializing in evocative, concrete location names. You use specific nouns and avoid generic or abstract names. You always return valid JSON.',
+        user: `**Existing Region Names:**
+{{existingRegionNames}}
+
+**Task:** Generate a NEW, UNIQUE region name that matches the style and aesthetic of the existing regions.
+
+**Requirements:**
+- 2-4 words maximum (under 50 characters)
+- Match the tone and naming style of existing regions
+- Must be COMPLETELY DIFFERENT from all existing regions
+- Evocative, memorable, and atmospheric
+- Use concrete nouns (places, things, phenomena) not abstract concepts
+- Avoid generic names (Downtown, City Center, Main Street, etc.)
+
+**Style Examples:**
+✅ GOOD: "Neon Spine", "Baltic Squirrel", "Night Cafe", "Vaults of Zephyr"
+❌ BAD: "Happy District", "Main Plaza", "Tech Zone", "Digital Area"
+
+Return ONLY valid JSON: {"name": "Region Name"}`,
+    },
+    'generate-region-name-first': {
+        label: 'First region name',
+        subject: 'region',
+        route: 'generate-region-name',
+        description: 'Names the first region of a world, when there is no style to follow.',
+        system: 'You are a creative game writer specializing in evocative, concrete location names. You use specific nouns and avoid generic or abstract names. You always return valid JSON.',
+        user: `**Task:** Generate a unique, evocative region name.
+
+**Requirements:**
+- 2-4 words maximum (under 50 characters)
+- Evocative, memorable, and atmospheric
+- Use concrete nouns (places, things, phenomena) not abstract concepts
+- Avoid generic names (Downtown, City Center, Main Street, etc.)
+
+**Style Examples:**
+✅ GOOD: "Neon Spine", "Baltic Squirrel", "Crimson Hollow", "Vaults of Zephyr"
+❌ BAD: "Happy District", "Main Plaza", "Tech Zone", "Digital Area"
+
+Return ONLY valid JSON: {"name": "Region Name"}`,
+    },
+    'enhance-region-description': {
+        label: 'Region description enhancement',
+        subject: 'region',
+        route: 'generate-region-description',
+        description: 'Expands the admin\'s draft description while keeping its themes.',
+        system: `${REGION_WRITER}. You always return valid JSON.`,
+        user: `{{#regionName}}Region Name: {{regionName}}
+{{/regionName}}**Current Description:** {{existingDescription}}
+
+**Task:** Enhance and expand this description while preserving its core identity.
+
+**Requirements:**
+- SINGLE PARAGRAPH ONLY (no line breaks or paragraph breaks)
+- Target length: 400-500 words
+- Maintain ALL core themes and key elements from existing description
+- Add vivid sensory details: sights, sounds, smells, textures, atmosphere
+- Enhance mood and character without changing the essence
+- Make every sentence count - no filler or redundancy
+
+**Style Guidelines:**
+- Use concrete, specific details over vague atmosphere
+- Show activities and movement, not just static description
+- Layer sensory experiences (what you see, hear, feel simultaneously)
+- Vary sentence rhythm (mix short punchy sentences with longer flowing ones)
+
+Return ONLY valid JSON: {"description": "enhanced description as single paragraph"}`,
+    },
+    'generate-region-description': {
+        label: 'Region description from its name',
+        subject: 'region',
+        route: 'generate-region-description',
+        description: 'Describes a region that has a name but no description.',
+        system: `${REGION_WRITER}. You always return valid JSON.`,
+        user: `**Region Name:** {{regionName}}
+
+**Task:** Create a vivid, immersive description that brings this region to life.
+
+**Requirements:**
+- SINGLE PARAGRAPH ONLY (no line breaks or paragraph breaks)
+- Target length: 400-500 words
+- Rich sensory details: sights, sounds, smells, textures, lighting, atmosphere
+- Capture unique character, mood, and identity
+- Show the region through concrete details and activities
+
+**Key Questions to Answer:**
+- What defines this place visually and atmospherically?
+- Who comes here and what do they do?
+- What's the dominant mood/vibe/energy?
+- What makes it different from everywhere else?
+
+**Style Guidelines:**
+- Use specific, concrete details over vague descriptions
+- Show movement and life (people doing things, not just existing)
+- Layer multiple sensory experiences together
+- Create vivid mental images with precise language
+- Avoid clichés and generic fantasy/sci-fi tropes
+
+Return ONLY valid JSON: {"description": "description as single paragraph"}`,
+    },
+    'generate-region-description-blank': {
+        label: 'Region description from nothing',
+        subject: 'region',
+        route: 'generate-region-description',
+        description: 'Invents a region when neither a name nor a description is set.',
+        system: `${REGION_WRITER}. You always return valid JSON.`,
+        user: `**Task:** Create a vivid, atmospheric description for a completely new region.
+
+**Requirements:**
+- SINGLE PARAGRAPH ONLY (no line breaks or paragraph breaks)
+- Target length: 400-500 words
+- Rich sensory details throughout
+- Unique character and strong identity
+- Concrete, specific details
+
+**What to Include:**
+- Clear visual atmosphere and setting
+- Who inhabits/visits this place
+- What activities and interactions occur
+- Distinctive mood and energy
+- Sensory layers (sights, sounds, smells, textures)
+
+**Style Guidelines:**
+- Be specific and concrete, not vague
+- Show life and movement
+- Avoid generic tropes
+- Make it memorable and distinctive
+
+Return ONLY valid JSON: {"description": "description as single paragraph"}`,
+    },
+    'suggest-region-description': {
+        label: 'Region description in the world\'s style',
+        subject: 'region',
+        route: 'suggest-region-description',
+        description: 'Describes a new region, matching the style of up to five existing descriptions.',
+        system: `${REGION_WRITER} while maintaining consistency with existing content. You always return valid JSON.`,
+        user: `**New Region Name:** {{regionName}}
+
+**Existing Region Descriptions (for style reference):**
+{{existingRegions}}
+
+**Task:** Write a NEW description for "{{regionName}}" that matches the style, tone, and quality of the examples.
+
+**Requirements:**
+- SINGLE PARAGRAPH ONLY (no line breaks or paragraph breaks)
+- Target length: 400-500 words (match example lengths)
+- Match writing style, tone, and quality of examples
+- Must be completely UNIQUE - different theme and content
+- Rich sensory details: sights, sounds, smells, textures, atmosphere
+- Concrete specifics, not vague generalities
+
+**Key Priorities:**
+1. Study the examples' STYLE (how they write, not what they describe)
+2. Make "{{regionName}}" feel distinctly different from all examples
+3. Show life and activity, not just static scenery
+4. Layer multiple sensory experiences
+5. Create strong, unique identity
+
+Return ONLY valid JSON: {"description": "description as single paragraph"}`,
+    },
+    'suggest-region-description-first': {
+        label: 'First region description',
+        subject: 'region',
+        route: 'suggest-region-description',
+        description: 'Describes a new region when no other region has a description to follow.',
+        system: `${REGION_WRITER} while maintaining consistency with existing content. You always return valid JSON.`,
+        user: `**New Region Name:** {{regionName}}
+
+**Task:** Write an atmospheric description that brings this region to life.
+
+**Requirements:**
+- SINGLE PARAGRAPH ONLY (no line breaks or paragraph breaks)
+- Target length: 400-500 words
+- Rich sensory details throughout
+- Unique character and strong identity
+- Show activities and life, not just setting
+- Concrete, specific imagery
+
+**Key Questions:**
+- What makes this region visually distinctive?
+- Who comes here and why?
+- What's the dominant atmosphere/mood?
+- What activities and interactions occur?
+- What sensory experiences define it?
+
+Return ONLY valid JSON: {"description": "description as single paragraph"}`,
+    },
+    'suggest-npc-name': {
+        label: 'NPC name and alias',
+        subject: 'npc',
+        route: 'suggest-npc-name',
+        description: 'Names an NPC for the room it stands in.',
+        system: 'You are a creative writer specializing in character names. You create memorable NPC names that fit the setting and context. The alias must always be one word taken directly from the full name. You always return valid JSON with both a full name and an alias.',
+        user: `Generate a compelling NPC name and alias for a character in this setting.
+
+**ROOM CONTEXT:**
+Room Name: {{roomName}}
+Room Description: {{#roomDescription}}{{roomDescription}}{{/roomDescription}}{{^roomDescription}}No description available{{/roomDescription}}
+
+**REGION CONTEXT:**
+Region: {{regionName}}
+{{#regionExcerpt}}Region Description: {{regionExcerpt}}{{/regionExcerpt}}
+
+{{#npcDescriptionExcerpt}}**NPC DESCRIPTION:**
+{{npcDescriptionExcerpt}}
+{{/npcDescriptionExcerpt}}**INSTRUCTIONS:**
+1. The NPC name should feel appropriate for someone who would be found in this specific room
+2. Consider the room's purpose, atmosphere, and the type of people who would frequent it
+{{#npcDescriptionExcerpt}}3. IMPORTANT: Take into account the NPC description above - the name should reflect their described characteristics, role, or personality{{/npcDescriptionExcerpt}}{{^npcDescriptionExcerpt}}3. The name should fit the aesthetic of the world{{/npcDescriptionExcerpt}}
+4. Generate a full name (2-3 words)
+5. The alias MUST be ONE WORD from the full name - pick the most memorable or distinctive word
+6. The alias should be what people would naturally call them
+
+**EXAMPLES:**
+- Name: "Reggie Riptide", Alias: "riptide" (or "reggie")
+- Name: "Sarah Cross", Alias: "cross" (or "sarah")
+- Name: "Marcus the Bold", Alias: "marcus" (or "bold")
+- Name: "Iron Jack", Alias: "iron" (or "jack")
+
+Return as JSON:
+{
+  "name": "Full NPC Name",
+  "alias": "wordFromName"
+}`,
+    },
+    'suggest-npc-description': {
+        label: 'NPC appearance',
+        subject: 'npc',
+        route: 'suggest-npc-description',
+        description: 'Writes a one-sentence physical description for a new NPC.',
+        system: 'You are a creative writer specializing in physical character descriptions. You write ONE SENTENCE ONLY describing what a character looks like - their appearance, clothing, and build. You NEVER describe personality, behavior, or actions. You focus purely on visual details. You always return valid JSON.',
+        user: `Generate a physical description for this NPC.
+
+**NPC DETAILS:**
+Name: {{npcName}}
+{{#npcAlias}}Alias: {{npcAlias}}{{/npcAlias}}
+
+**LOCATION CONTEXT:**
+Room: {{roomName}}
+{{#roomExcerpt}}Room Description: {{roomExcerpt}}{{/roomExcerpt}}
+Region: {{regionName}}
+{{#regionExcerpt}}Region Atmosphere: {{regionExcerpt}}{{/regionExcerpt}}
+
+**INSTRUCTIONS:**
+1. ONE SENTENCE ONLY - no exceptions
+2. PHYSICAL DESCRIPTION ONLY - appearance, clothing, build, visual details
+3. NO personality, no behavior, no actions, no demeanor, no attitudes
+4. Focus on what you can SEE: height, build, hair, eyes, clothing, scars, tattoos, accessories
+5. Make them feel like they belong in this specific location through their appearance
+6. Write in present tense, third person
+7. Match the tone
+8. Don't repeat the name or alias
+
+**GOOD EXAMPLES (one sentence each):**
+- "Tall and wiry with sharp eyes and weathered hands, dressed in a worn leather coat with numerous pockets."
+- "Built like a mountain with broad shoulders and thick arms, wearing simple but well-maintained clothing."
+- "Draped in flowing fabrics that catch the light, their eyes bright and alert beneath dark hair."
+- "Short and compact with calloused fingers and a steady gaze, dressed practically for their work."
+
+Return as JSON:
+{
+  "description": "One sentence physical description"
+}`,
+    },
+    'refine-npc-description': {
+        label: 'NPC appearance refinement',
+        subject: 'npc',
+        route: 'suggest-npc-description',
+        description: 'Improves the physical description an admin already wrote.',
+        system: 'You are a creative writer specializing in physical character descriptions. You write ONE SENTENCE ONLY describing what a character looks like - their appearance, clothing, and build. You NEVER describe personality, behavior, or actions. You focus purely on visual details. You always return valid JSON.',
+        user: `Refine this physical description while maintaining its core details.
+
+**EXISTING DESCRIPTION (improve this):**
+{{existingDescription}}
+
+**NPC CONTEXT:**
+Name: {{npcName}}
+{{#npcAlias}}Alias: {{npcAlias}}{{/npcAlias}}
+
+**LOCATION CONTEXT:**
+Room: {{roomName}}
+{{#roomExcerpt}}Room Description: {{roomExcerpt}}{{/roomExcerpt}}
+Region: {{regionName}}
+{{#regionExcerpt}}Region Atmosphere: {{regionExcerpt}}{{/regionExcerpt}}
+
+**INSTRUCTIONS:**
+1. ONE SENTENCE ONLY - no exceptions
+2. PHYSICAL DESCRIPTION ONLY - appearance, clothing, build
+3. NO personality, no behavior, no actions, no demeanor
+4. Keep the core physical details from the existing description
+5. Make it more vivid and atmospheric
+6. Write in present tense, third person
+7. Match the tone
+8. Don't repeat the name or alias
+
+Return as JSON:
+{
+  "description": "One sentence physical description"
+}`,
+    },
+    'suggest-npc-personality': {
+        label: 'NPC personality',
+        subject: 'npc',
+        route: 'suggest-npc-personality',
+        description: 'Writes the system prompt an NPC speaks from.',
+        system: 'You are a creative writer specializing in NPC personality prompts for dialogue systems. You create detailed system prompts that define how an NPC should speak and behave in conversations. Your prompts start with "You are [Name]..." and provide clear guidance for consistent character portrayal. For new suggestions, you write 150-200 words. For refinements, you maintain the approximate length of the input. You always return valid JSON.',
+        user: `Generate a personality system prompt for this NPC that will guide their dialogue.
+
+**NPC DETAILS:**
+Name: {{npcName}}
+Alias: {{npcAlias}}
+Physical Description: {{npcDescription}}
+
+**LOCATION CONTEXT:**
+Room: {{roomName}}
+{{#roomExcerpt}}Room Description: {{roomExcerpt}}{{/roomExcerpt}}
+Region: {{regionName}}
+{{#regionExcerpt}}Region Atmosphere: {{regionExcerpt}}{{/regionExcerpt}}
+
+**INSTRUCTIONS:**
+1. This is a system prompt that will guide the NPC's conversation behavior with players
+2. Start with "You are {{characterName}}..."
+3. Define their personality traits, values, and motivations
+4. Describe their speaking style (formal/casual, verbose/terse, etc.)
+5. Include mannerisms, catchphrases, or quirks
+6. Explain their role in this location and how they interact with visitors
+7. Make them feel like they belong in this specific setting
+8. Keep it practical and focused for dialogue generation
+9. TARGET LENGTH: 150-200 words (approximately 2-3 paragraphs)
+
+**GOOD EXAMPLE (approx 150 words):**
+"You are Marcus, a grizzled information broker who's seen it all. You speak in short, clipped sentences and rarely waste words. Your tone is world-weary but not unkind - you've learned that information flows better when people trust you. You have a habit of pausing mid-sentence to assess whether someone is being truthful. You operate out of this dimly lit corner because you value discretion above all else. When greeting newcomers, you're cautious but professional. You never volunteer information for free, but you're fair in your dealings."
+
+Return as JSON:
+{
+  "personality": "Personality system prompt starting with 'You are...' (150-200 words)"
+}`,
+    },
+    'refine-npc-personality': {
+        label: 'NPC personality refinement',
+        subject: 'npc',
+        route: 'suggest-npc-personality',
+        description: 'Improves a personality prompt while keeping its traits and length.',
+        system: 'You are a creative writer specializing in NPC personality prompts for dialogue systems. You create detailed system prompts that define how an NPC should speak and behave in conversations. Your prompts start with "You are [Name]..." and provide clear guidance for consistent character portrayal. For new suggestions, you write 150-200 words. For refinements, you maintain the approximate length of the input. You always return valid JSON.',
+        user: `Refine this NPC personality prompt while maintaining its core character and approximate length.
+
+**EXISTING PERSONALITY PROMPT (improve this):**
+{{existingPersonality}}
+
+**NPC DETAILS:**
+Name: {{npcName}}
+Alias: {{npcAlias}}
+Physical Description: {{npcDescription}}
+
+**LOCATION CONTEXT:**
+Room: {{roomName}}
+{{#roomExcerpt}}Room Description: {{roomExcerpt}}{{/roomExcerpt}}
+Region: {{regionName}}
+{{#regionExcerpt}}Region Atmosphere: {{regionExcerpt}}{{/regionExcerpt}}
+
+**INSTRUCTIONS:**
+1. This is a system prompt that will guide the NPC's conversation behavior
+2. Start with "You are [Name]..."
+3. KEEP THE SAME APPROXIMATE LENGTH as the input - don't significantly expand or shrink it
+4. Keep ALL core personality traits and details from the existing prompt
+5. Improve clarity, flow, and specificity without removing user-provided details
+6. Enhance the speaking style and behavioral descriptions
+7. Keep it focused and practical for dialogue generation
+
+Return as JSON:
+{
+  "personality": "Refined personality system prompt"
+}`,
+    },
+    'classify-npc-portrait': {
+        label: 'Portrait subject check',
+        subject: 'npc',
+        route: 'generate-npc-portrait',
+        description: 'Decides whether a portrait should be framed as a face or as a whole object.',
+        system: 'You are a classifier. Analyze the description and determine if this entity is humanoid (has a face, head, human-like form) or non-humanoid (object, machine, abstract entity, animal, etc.). Respond with ONLY one word: "humanoid" or "non-humanoid".',
+        user: '{{npcDescription}}',
+    },
+};
+
+/**
+ * Fills a template string with values.
+ * @param {string} template - Text with `{{name}}`, `{{#name}}`, and `{{^name}}` markers
+ * @param {Object} values - Variable values; missing ones count as empty
+ * @returns {string} The rendered text
+ */
+export function renderPromptTemplate(template, values = {}) {
+    const filled = (name) => Boolean(text(String(values[name] ?? '')));
+    return String(template || '')
+        .replace(/\{\{([#^])\s*(\w+)\s*\}\}([\s\S]*?)\{\{\/\s*\2\s*\}\}/g, (match, kind, name, body) => ((kind === '#') === filled(name) ? body : ''))
+        .replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) => String(values[name] ?? ''));
+}
+
+/**
+ * Renders a template's messages for one request.
+ * @param {Object} template - A registry entry, or one returned by loadPromptTemplate
+ * @param {Object} body - The route's request body
+ * @returns {Array<{role: string, content: string}>} System (when set) and user messages
+ */
+export function renderPromptMessages(template, body = {}) {
+    const values = PROMPT_SUBJECTS[template.subject]?.values(body || {}) || {};
+    const system = renderPromptTemplate(template.system, values).trim();
+    return [
+        ...(system ? [{ role: 'system', content: system }] : []),
+        { role: 'user', content: renderPromptTemplate(template.user, values).trim() },
+    ];
+}
+
+/**
+ * Returns a template as this world uses it: the saved override when there is
+ * one, otherwise the built-in default. A failed lookup falls back to the
+ * default so suggestions keep working.
+ * @param {Object} req - The API request, used for the caller's world token
+ * @param {string} id - Template id from PROMPT_TEMPLATES
+ * @returns {Promise<Object>} The template with `id` and `overridden`
+ */
+export async function loadPromptTemplate(req, id) {
+    const template = PROMPT_TEMPLATES[id];
+    if (!template) throw new Error(`Unknown prompt template: ${id}`);
+    try {
+        const override = await querySpacetimeRow(req, `SELECT * FROM prompt_template WHERE id = '${id}'`);
+        if (override) return { ...template, id, system: override.system, user: override.user, overridden: true };
+    } catch (error) {
+        console.warn(`Using the default "${id}" prompt:`, error.message);
+    }
+    return { ...template, id, overridden: false };
+}
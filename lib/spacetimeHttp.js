@@ -0,0 +1,142 @@
+// Server-side calls to the SpacetimeDB HTTP API made as the visitor, with the
+// world token the browser stores in a cookie, or with the server's service
+// token. The API routes use these to read world settings and report back to
+// the module.
+
+const TOKEN_COOKIE = 'arkyv_spacetime_token';
+
+const databaseUrl = () => {
+    const uri = (process.env.NEXT_PUBLIC_SPACETIMEDB_URI || 'http://127.0.0.1:3000').replace(/\/+$/, '');
+    const database = encodeURIComponent(process.env.NEXT_PUBLIC_SPACETIMEDB_DB_NAME || 'arkyv-engine');
+    return `${uri}/v1/database/${database}`;
+};
+
+/**
+ * Reads the caller's world token from a pages-router or edge request.
+ * @param {Object} req - The API request
+ * @returns {string|null}
+ */
+export function requestToken(req) {
+    const cookie = typeof req?.cookies?.get === 'function' ? req.cookies.get(TOKEN_COOKIE)?.value : req?.cookies?.[TOKEN_COOKIE];
+    return cookie ? decodeURIComponent(cookie) : null;
+}
+
+/**
+ * The last path segment of an /api/arkyv request, which is how the middleware
+ * and the module name a route.
+ * @param {Object} req - The API request
+ * @returns {string}
+ */
+export function requestRoute(req) {
+    return new URL(req?.url || '/', 'http://localhost').pathname.split('/').pop() || 'provider';
+}
+
+// The SQL endpoint answers with one result set per statement; column names
+// are `{ some: name }` options in the schema.
+function resultRows(results) {
+    const [result] = Array.isArray(results) ? results : [];
+    const columns = (result?.schema?.elements || []).map((element) => element.name?.some ?? element.name);
+    return (result?.rows || []).map((row) => Object.fromEntries(columns.map((column, index) => [column, row[index]])));
+}
+
+/**
+ * Runs a SQL query as the caller and returns every row as an object.
+ * @param {Object} req - The API request, used for the caller's world token
+ * @param {string} sql - One SELECT statement
+ * @returns {Promise<Array<Object>|null>} Null when there is no token
+ */
+export async function querySpacetimeRows(req, sql) {
+    const token = requestToken(req);
+    if (!token) return null;
+    const response = await fetch(`${databaseUrl()}/sql`, {
+        method: 'POST',
+        headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'text/plain' },
+        body: sql,
+    });
+    if (!response.ok) throw new Error(`SpacetimeDB query failed with status ${response.status}.`);
+    return resultRows(await response.json());
+}
+
+/**
+ * Runs a SQL query as the caller and returns the first row as an object.
+ * @param {Object} req - The API request, used for the caller's world token
+ * @param {string} sql - One SELECT statement
+ * @returns {Promise<Object|null>} Null when there is no token or no row
+ */
+export async function querySpacetimeRow(req, sql) {
+    const rows = await querySpacetimeRows(req, sql);
+    return rows?.[0] || null;
+}
+
+/**
+ * The hex identity in the caller's world token. The middleware has already
+ * validated the token with SpacetimeDB, so its claims are only read here.
+ * @param {Object} req - The API request
+ * @returns {string|null}
+ */
+export function requestIdentity(req) {
+    const payload = requestToken(req)?.split('.')[1];
+    if (!payload) return null;
+    try {
+        const claims = JSON.parse(atob(payload.replace(/-/g, '+').replace(/_/g, '/')));
+        return typeof claims.hex_identity === 'string' ? claims.hex_identity : null;
+    } catch {
+        return null;
+    }
+}
+
+const sqlText = (value) => `'${String(value).replace(/'/g, "''")}'`;
+
+/**
+ * Whether the caller's admin role grants a permission, read the way the
+ * module's require_permission reads it: an admin profile without a role
+ * assignment holds every permission.
+ * @param {Object} req - The API request, used for the caller's world token
+ * @param {string} permission - Permission key, such as 'world.manage'
+ * @returns {Promise<boolean>}
+ */
+export async function callerHasPermission(req, permission) {
+    const identity = requestIdentity(req);
+    if (!identity || !/^[0-9a-f]+$/i.test(identity)) return false;
+    const profile = await querySpacetimeRow(req, `SELECT id, is_admin FROM profile WHERE owner = 0x${identity}`);
+    if (!profile) return false;
+    const assignment = await querySpacetimeRow(req, `SELECT role_id FROM admin_role_assignment WHERE profile_id = ${sqlText(profile.id)}`);
+    if (!assignment) return profile.is_admin === true;
+    const role = await querySpacetimeRow(req, `SELECT permissions FROM admin_role_definition WHERE id = ${sqlText(assignment.role_id)}`);
+    let permissions = [];
+    try {
+        permissions = JSON.parse(role?.permissions || '[]');
+    } catch {
+        return false;
+    }
+    return Array.isArray(permissions) && permissions.some((value) => value === '*' || value === permission);
+}
+
+/**
+ * Calls a reducer with a given token, such as the server's service token.
+ * @param {string|null} token - A SpacetimeDB token
+ * @param {string} reducer - Reducer name, such as 'record_ai_usage'
+ * @param {Array} args - Reducer arguments in declaration order
+ * @returns {Promise<boolean>} False when there is no token
+ */
+export async function callSpacetimeReducerAs(token, reducer, args) {
+    if (!token) return false;
+    const response = await fetch(`${databaseUrl()}/call/${reducer}`, {
+        method: 'POST',
+        headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+        body: JSON.stringify(args),
+    });
+    if (!response.ok) throw new Error(`${reducer} failed (${response.status}): ${await response.text()}`);
+    return true;
+}
+
+/**
+ * Calls a reducer as the caller.
+ * @param {Object} req - The API request, used for the caller's world token
+ * @param {string} reducer - Reducer name, such as 'update_rows'
+ * @param {Array} args - Reducer arguments in declaration order
+ * @returns {Promise<boolean>} False when the request carried no token
+ */
+export function callSpacetimeReducer(req, reducer, args) {
+    return callSpacetimeReducerAs(requestToken(req), reducer, args);
+}
@@ -10,6 +10,7 @@ const TABLES = {
   commands: 'command',
   room_messages: 'room_message',
   region_chats: 'region_chat',
+  npc_reply_drafts: 'npc_reply_draft',
   stat_definitions: 'stat_definition',
   object_definitions: 'object_definition',
   world_objects: 'world_object',
@@ -73,6 +74,8 @@ const TABLES = {
   actor_learned_recipes: 'actor_learned_recipe',
   dialogue_nodes: 'dialogue_node',
   dialogue_choices: 'dialogue_choice',
+  npc_ai_actions: 'npc_ai_action',
+  actor_ai_action_uses: 'actor_ai_action_use',
   actor_dialogue_states: 'actor_dialogue_state',
   exit_rules: 'exit_rule',
   world_triggers: 'world_trigger',
@@ -83,10 +86,114 @@ const TABLES = {
   admin_player_sanctions: 'admin_player_sanctions',
   admin_player_reports: 'admin_player_reports',
   admin_world_snapshots: 'admin_world_snapshots',
+  npc_memories: 'npc_memories',
+  npc_workers: 'admin_npc_workers',
+  prompt_templates: 'prompt_template',
+  prompt_template_versions: 'admin_prompt_template_versions',
+  art_styles: 'art_style',
+  ai_budgets: 'ai_budget',
+  ai_usage_events: 'admin_ai_usage_events',
+  ai_usage_daily: 'admin_ai_usage_daily',
 };
-const SUBSCRIBED_TABLES = Object.values(TABLES).filter((tableName) => tableName !== 'command');
+// Tables whose rows belong to a place. Player connections subscribe to these
+// only for the current and neighbouring regions; definitions and actor state
+// stay fully subscribed. See subscriptionScopeQueries.
+const REGION_SCOPED_TABLES = new Set(['npc', 'world_object', 'room_message', 'region_chat', 'npc_reply_draft']);
+const SUBSCRIBED_TABLES = Object.values(TABLES).filter((tableName) => tableName !== 'command' && !REGION_SCOPED_TABLES.has(tableName));
+// Carried items are actor state, so only objects lying in rooms are scoped.
+const UNSCOPED_QUERIES = ["SELECT * FROM world_object WHERE location_kind <> 'room'"];
 
-const PRIMARY_KEYS = { regions: 'name', quest_rules: 'quest_id', admin_role_assignments: 'profile_id', ability_unlock_rules: 'ability_id', actor_talent_pools: 'actor_id', object_rules: 'definition_id', vendor_restock_rules: 'vendor_stock_id', recipe_rules: 'recipe_id', exit_rules: 'exit_id' };
+const PRIMARY_KEYS = { regions: 'name', quest_rules: 'quest_id', admin_role_assignments: 'profile_id', ability_unlock_rules: 'ability_id', actor_talent_pools: 'actor_id', object_rules: 'definition_id', vendor_restock_rules: 'vendor_stock_id', recipe_rules: 'recipe_id', exit_rules: 'exit_id', npc_workers: 'identity' };
+
+// Foreign keys the terminal, HUD, and admin panel filter on. Primary keys are
+// always indexed; these are indexed on first use and kept current afterwards.
+const INDEXED_FIELDS = {
+  characters: ['current_room', 'owner'],
+  profiles: ['owner'],
+  npcs: ['current_room'],
+  rooms: ['region', 'region_name'],
+  exits: ['from_room', 'to_room'],
+  room_messages: ['room_id'],
+  region_chats: ['region', 'region_name'],
+  npc_reply_drafts: ['room_id'],
+  world_objects: ['location_id', 'definition_id'],
+  actor_stats: ['actor_id'],
+  actor_progressions: ['actor_id'],
+  actor_abilities: ['actor_id'],
+  actor_status_effects: ['actor_id'],
+  actor_cooldowns: ['actor_id'],
+  scheduled_casts: ['actor_id'],
+  actor_faction_reputations: ['actor_id'],
+  actor_crimes: ['actor_id'],
+  actor_quests: ['actor_id'],
+  actor_quest_progress: ['actor_id'],
+  actor_quest_choices: ['actor_id'],
+  actor_wallets: ['actor_id'],
+  actor_character_options: ['actor_id'],
+  actor_currencies: ['actor_id'],
+  actor_life_states: ['actor_id'],
+  actor_death_records: ['actor_id'],
+  actor_professions: ['actor_id'],
+  actor_learned_recipes: ['actor_id'],
+  actor_dialogue_states: ['actor_id'],
+  actor_trigger_states: ['actor_id'],
+  loot_table_entries: ['npc_id'],
+  quest_objectives: ['quest_id'],
+  quest_item_rewards: ['quest_id'],
+  quest_choices: ['quest_id'],
+  character_option_grants: ['option_id'],
+  ability_effect_definitions: ['ability_id'],
+  vendor_definitions: ['npc_id'],
+  vendor_stocks: ['vendor_id'],
+  crafting_ingredients: ['recipe_id'],
+  dialogue_nodes: ['npc_id'],
+  dialogue_choices: ['node_id'],
+  npc_ai_actions: ['npc_id'],
+  npc_memories: ['npc_id'],
+  prompt_template_versions: ['template_id'],
+  party_members: ['party_id'],
+  guild_members: ['guild_id'],
+  admin_role_assignments: ['role_id'],
+};
+
+// Related rows embedded into query results, mirroring the joins the Supabase
+// client used to provide. A nested relation embeds the related row's own
+// enrichment, so characters carry their room and that room's region.
+const RELATIONS = {
+  rooms: [{ as: 'regions', field: 'region_name', tables: ['regions'] }],
+  exits: [{ as: 'rooms', field: 'to_room', tables: ['rooms'] }],
+  characters: [{ as: 'rooms', field: 'current_room', tables: ['rooms'], nested: true }],
+  world_objects: [{ as: 'object_definitions', field: 'definition_id', tables: ['object_definitions'] }],
+  actor_stats: [{ as: 'stat_definitions', field: 'stat_definition_id', tables: ['stat_definitions'] }],
+  loot_table_entries: [
+    { as: 'object_definitions', field: 'definition_id', tables: ['object_definitions'] },
+    { as: 'npcs', field: 'npc_id', tables: ['npcs'] },
+  ],
+  actor_abilities: [{ as: 'ability_definitions', field: 'ability_id', tables: ['ability_definitions'] }],
+  actor_progressions: [{ as: 'actors', field: 'actor_id', tables: ['characters', 'npcs'] }],
+  actor_faction_reputations: [{ as: 'faction_definitions', field: 'faction_id', tables: ['faction_definitions'] }],
+  quest_definitions: [
+    { as: 'quest_giver', field: 'quest_giver_npc_id', tables: ['npcs'] },
+    { as: 'turn_in_npc', field: 'turn_in_npc_id', tables: ['npcs'] },
+    { as: 'required_faction', field: 'required_faction_id', tables: ['faction_definitions'] },
+    { as: 'reputation_faction', field: 'reputation_faction_id', tables: ['faction_definitions'] },
+  ],
+  quest_objectives: [{ as: 'quest_definitions', field: 'quest_id', tables: ['quest_definitions'] }],
+  quest_item_rewards: [
+    { as: 'quest_definitions', field: 'quest_id', tables: ['quest_definitions'] },
+    { as: 'object_definitions', field: 'definition_id', tables: ['object_definitions'] },
+  ],
+  actor_quests: [{ as: 'quest_definitions', field: 'quest_id', tables: ['quest_definitions'] }],
+};
+const DEPENDENT_RELATIONS = new Map();
+for (const [tableName, relations] of Object.entries(RELATIONS)) {
+  for (const relation of relations) {
+    for (const related of relation.tables) {
+      if (!DEPENDENT_RELATIONS.has(related)) DEPENDENT_RELATIONS.set(related, []);
+      DEPENDENT_RELATIONS.get(related).push([tableName, relation]);
+    }
+  }
+}
 const JSON_FIELDS = new Set([
   'color_scheme',
   'dialogue_tree',
@@ -102,15 +209,43 @@ const JSON_FIELDS = new Set([
   'actions_json',
   'details',
   'content_json',
+  'key_facts',
+  'recent_exchanges',
+  'style_json',
 ]);
 const SPACETIME_URI = (process.env.NEXT_PUBLIC_SPACETIMEDB_URI || 'http://127.0.0.1:3000').replace(/\/+$/, '');
 const DATABASE_NAME = process.env.NEXT_PUBLIC_SPACETIMEDB_DB_NAME || 'arkyv-engine';
+const RECONNECT_BASE_DELAY_MS = 500;
+const RECONNECT_MAX_DELAY_MS = 30000;
+const COMMAND_QUEUE_LIMIT = 25;
 
+// The generated class, unless a test connects through the in-memory stand-in.
+let ConnectionClass = DbConnection;
 let connection = null;
 let identity = null;
 let connectionToken = null;
 let readyPromise = Promise.resolve();
 let activeConnectionId = 0;
+let rowStores = new Map();
+// Players start scoped to nothing until the terminal focuses a room; the admin
+// panel switches to the whole world.
+let subscriptionScope = { mode: 'region', roomId: null };
+let scopeHandle = null;
+let scopeQueries = [];
+let retiredScopeHandles = new Set();
+let scopeRefreshScheduled = false;
+// A dropped connection is retried until it returns or the player disconnects.
+// Reads wait on the outage promise; commands wait in the bounded queue.
+let connectionState = { state: 'disconnected', attempt: 0, delay: null, queued: 0, error: null };
+const connectionStateListeners = new Set();
+let reconnectTimer = null;
+let reconnectAttempt = 0;
+let lostConnectionToken = null;
+let outage = null;
+let commandQueue = [];
+let replayingCommands = false;
+// Live queries survive reconnects; they re-read the new connection's stores.
+const tableListeners = new Map();
 
 function toSnakeCase(value) {
   return value.replace(/[A-Z]/g, (character) => `_${character.toLowerCase()}`);
@@ -150,124 +285,429 @@ function tableHandle(tableName) {
   return accessor ? connection.db[accessor] : null;
 }
 
-function plainRows(tableName) {
+function primaryKeyOf(tableName) {
+  return PRIMARY_KEYS[tableName] || 'id';
+}
+
+// Filters compare values as strings, so index keys do too.
+const indexKey = (value) => String(value);
+
+function addToIndex(index, value, key) {
+  const bucketKey = indexKey(value);
+  let bucket = index.get(bucketKey);
+  if (!bucket) {
+    bucket = new Set();
+    index.set(bucketKey, bucket);
+  }
+  bucket.add(key);
+}
+
+function removeFromIndex(index, value, key) {
+  const bucketKey = indexKey(value);
+  const bucket = index.get(bucketKey);
+  if (!bucket) return;
+  bucket.delete(key);
+  if (bucket.size === 0) index.delete(bucketKey);
+}
+
+// A table is normalized once, on first read, and then kept current by the
+// connection's row callbacks. Field indexes and enriched rows are built lazily
+// the same way, so tables nobody queries cost nothing.
+function rowStore(tableName) {
+  const existing = rowStores.get(tableName);
+  if (existing) return existing;
   const handle = tableHandle(tableName);
-  if (!handle) return [];
-  return [...handle.iter()].map((row) => normalizeRow(tableName, row));
+  if (!handle) return null;
+  const primaryKey = primaryKeyOf(tableName);
+  const store = {
+    rows: new Map(),
+    indexes: new Map(),
+    enriched: new Map(),
+    keyed: typeof handle.onUpdate === 'function',
+  };
+  for (const row of handle.iter()) {
+    const normalized = normalizeRow(tableName, row);
+    store.rows.set(indexKey(normalized[primaryKey]), normalized);
+  }
+  rowStores.set(tableName, store);
+  return store;
 }
 
-function enrichRows(tableName, rows) {
-  if (tableName === 'rooms') {
-    const regions = new Map(plainRows('regions').map((region) => [region.name, region]));
-    return rows.map((room) => ({ ...room, regions: regions.get(room.region_name) || null }));
-  }
-  if (tableName === 'exits') {
-    const rooms = new Map(plainRows('rooms').map((room) => [room.id, room]));
-    return rows.map((exit) => ({ ...exit, rooms: rooms.get(exit.to_room) || null }));
-  }
-  if (tableName === 'characters') {
-    const regions = new Map(plainRows('regions').map((region) => [region.name, region]));
-    const rooms = new Map(plainRows('rooms').map((room) => [room.id, { ...room, regions: regions.get(room.region_name) || null }]));
-    return rows.map((character) => ({ ...character, rooms: rooms.get(character.current_room) || null }));
-  }
-  if (tableName === 'world_objects') {
-    const definitions = new Map(plainRows('object_definitions').map((definition) => [definition.id, definition]));
-    return rows.map((object) => ({ ...object, object_definitions: definitions.get(object.definition_id) || null }));
-  }
-  if (tableName === 'actor_stats') {
-    const definitions = new Map(plainRows('stat_definitions').map((definition) => [definition.id, definition]));
-    return rows.map((stat) => ({ ...stat, stat_definitions: definitions.get(stat.stat_definition_id) || null }));
-  }
-  if (tableName === 'loot_table_entries') {
-    const definitions = new Map(plainRows('object_definitions').map((definition) => [definition.id, definition]));
-    const npcs = new Map(plainRows('npcs').map((npc) => [npc.id, npc]));
-    return rows.map((entry) => ({ ...entry, object_definitions: definitions.get(entry.definition_id) || null, npcs: npcs.get(entry.npc_id) || null }));
-  }
-  if (tableName === 'actor_abilities') {
-    const abilities = new Map(plainRows('ability_definitions').map((ability) => [ability.id, ability]));
-    return rows.map((grant) => ({ ...grant, ability_definitions: abilities.get(grant.ability_id) || null }));
-  }
-  if (tableName === 'actor_progressions') {
-    const characters = new Map(plainRows('characters').map((actor) => [actor.id, actor]));
-    const npcs = new Map(plainRows('npcs').map((actor) => [actor.id, actor]));
-    return rows.map((progression) => ({ ...progression, actors: characters.get(progression.actor_id) || npcs.get(progression.actor_id) || null }));
-  }
-  if (tableName === 'actor_faction_reputations') {
-    const factions = new Map(plainRows('faction_definitions').map((faction) => [faction.id, faction]));
-    return rows.map((standing) => ({ ...standing, faction_definitions: factions.get(standing.faction_id) || null }));
-  }
-  if (tableName === 'quest_definitions') {
-    const npcs = new Map(plainRows('npcs').map((npc) => [npc.id, npc]));
-    const factions = new Map(plainRows('faction_definitions').map((faction) => [faction.id, faction]));
-    return rows.map((quest) => ({
-      ...quest,
-      quest_giver: npcs.get(quest.quest_giver_npc_id) || null,
-      turn_in_npc: npcs.get(quest.turn_in_npc_id) || null,
-      required_faction: factions.get(quest.required_faction_id) || null,
-      reputation_faction: factions.get(quest.reputation_faction_id) || null,
-    }));
-  }
-  if (tableName === 'quest_objectives') {
-    const quests = new Map(plainRows('quest_definitions').map((quest) => [quest.id, quest]));
-    return rows.map((objective) => ({ ...objective, quest_definitions: quests.get(objective.quest_id) || null }));
-  }
-  if (tableName === 'quest_item_rewards') {
-    const quests = new Map(plainRows('quest_definitions').map((quest) => [quest.id, quest]));
-    const definitions = new Map(plainRows('object_definitions').map((definition) => [definition.id, definition]));
-    return rows.map((reward) => ({ ...reward, quest_definitions: quests.get(reward.quest_id) || null, object_definitions: definitions.get(reward.definition_id) || null }));
-  }
-  if (tableName === 'actor_quests') {
-    const quests = new Map(plainRows('quest_definitions').map((quest) => [quest.id, quest]));
-    return rows.map((row) => ({ ...row, quest_definitions: quests.get(row.quest_id) || null }));
+function fieldIndex(tableName, field) {
+  const store = rowStore(tableName);
+  if (!store) return null;
+  let index = store.indexes.get(field);
+  if (!index) {
+    index = new Map();
+    for (const [key, row] of store.rows) addToIndex(index, row[field], key);
+    store.indexes.set(field, index);
   }
-  return rows;
+  return index;
+}
+
+function isIndexedField(tableName, field) {
+  return field === primaryKeyOf(tableName) || Boolean(INDEXED_FIELDS[tableName]?.includes(field));
+}
+
+function lookupKeys(tableName, field, values) {
+  const store = rowStore(tableName);
+  if (!store) return new Set();
+  const keys = new Set();
+  if (field === primaryKeyOf(tableName)) {
+    for (const value of values) {
+      if (store.rows.has(indexKey(value))) keys.add(indexKey(value));
+    }
+    return keys;
+  }
+  const index = fieldIndex(tableName, field);
+  for (const value of values) {
+    for (const key of index.get(indexKey(value)) || []) keys.add(key);
+  }
+  return keys;
+}
+
+function rowsWhere(tableName, field, value) {
+  const store = rowStore(tableName);
+  if (!store) return [];
+  return [...lookupKeys(tableName, field, [value])].map((key) => store.rows.get(key));
+}
+
+function invalidateDependents(tableName, key, nestedOnly = false) {
+  for (const [dependent, relation] of DEPENDENT_RELATIONS.get(tableName) || []) {
+    if (nestedOnly && !relation.nested) continue;
+    const store = rowStores.get(dependent);
+    if (!store || store.enriched.size === 0) continue;
+    for (const dependentKey of fieldIndex(dependent, relation.field).get(key) || []) {
+      store.enriched.delete(dependentKey);
+      invalidateDependents(dependent, dependentKey, true);
+    }
+  }
+}
+
+function applyRowChange(tableName, previous, next) {
+  const store = rowStores.get(tableName);
+  // Unread tables are normalized from the SDK cache on first access instead.
+  if (!store) return;
+  const primaryKey = primaryKeyOf(tableName);
+  const normalized = next ? normalizeRow(tableName, next) : null;
+  const removed = previous && !next ? normalizeRow(tableName, previous) : null;
+  const key = indexKey((normalized || removed)[primaryKey]);
+  const existing = store.rows.get(key);
+  // Views without a primary key report updates as a delete plus an insert in
+  // no particular order; only drop the row that was actually removed.
+  if (removed && existing && !store.keyed && JSON.stringify(existing) !== JSON.stringify(removed)) return;
+  if (existing) {
+    for (const [field, index] of store.indexes) removeFromIndex(index, existing[field], key);
+    store.rows.delete(key);
+  }
+  if (normalized) {
+    store.rows.set(key, normalized);
+    for (const [field, index] of store.indexes) addToIndex(index, normalized[field], key);
+  }
+  store.enriched.delete(key);
+  invalidateDependents(tableName, key);
+  for (const listener of tableListeners.get(tableName) || []) listener.schedule();
+}
+
+function trackTableChanges(connected) {
+  for (const [tableName, accessor] of Object.entries(TABLES)) {
+    const handle = connected.db[accessor];
+    if (!handle) continue;
+    const current = () => connected === connection;
+    const changed = (previous, next) => {
+      if (!current()) return;
+      applyRowChange(tableName, previous, next);
+      if (tableName === 'rooms' || tableName === 'exits') scheduleScopeRefresh();
+    };
+    handle.onInsert((_context, row) => changed(null, row));
+    handle.onDelete?.((_context, row) => changed(row, null));
+    handle.onUpdate?.((_context, oldRow, newRow) => changed(oldRow, newRow));
+  }
+}
+
+const sqlString = (value) => `'${String(value).replace(/'/g, "''")}'`;
+// Only region_chat carries a region column; the other scoped tables name their
+// rooms one by one, in queries of at most this many rooms so a large region
+// becomes several short queries instead of one ever-growing OR.
+const SCOPE_QUERY_ROOM_LIMIT = 50;
+const anyOf = (column, values) => values.map((value) => `${column} = ${sqlString(value)}`).join(' OR ');
+
+// A region neighbours another when any exit crosses between them, in either
+// direction. Rooms and exits are always fully subscribed, so this never waits
+// on the scoped tables it decides.
+function scopedRegions(roomId) {
+  const rooms = rowStore('rooms');
+  const room = roomId == null ? null : rooms?.rows.get(indexKey(roomId));
+  if (!room) return [];
+  const regions = new Set([room.region]);
+  for (const { id } of rowsWhere('rooms', 'region', room.region)) {
+    for (const exit of [...rowsWhere('exits', 'from_room', id), ...rowsWhere('exits', 'to_room', id)]) {
+      for (const neighbour of [exit.from_room, exit.to_room]) {
+        const region = neighbour == null ? null : rooms.rows.get(indexKey(neighbour))?.region;
+        if (region) regions.add(region);
+      }
+    }
+  }
+  return [...regions].sort();
+}
+
+function subscriptionScopeQueries(scope) {
+  if (scope.mode === 'world') {
+    return [
+      'SELECT * FROM npc',
+      "SELECT * FROM world_object WHERE location_kind = 'room'",
+      'SELECT * FROM room_message',
+      'SELECT * FROM region_chat',
+      'SELECT * FROM npc_reply_draft',
+    ];
+  }
+  const regions = scopedRegions(scope.roomId);
+  const roomIds = regions.flatMap((region) => rowsWhere('rooms', 'region', region).map((room) => room.id)).sort();
+  if (roomIds.length === 0) return [];
+  const queries = [`SELECT * FROM region_chat WHERE ${anyOf('region', regions)}`];
+  for (let start = 0; start < roomIds.length; start += SCOPE_QUERY_ROOM_LIMIT) {
+    const batch = roomIds.slice(start, start + SCOPE_QUERY_ROOM_LIMIT);
+    queries.push(
+      `SELECT * FROM npc WHERE ${anyOf('current_room', batch)}`,
+      `SELECT * FROM world_object WHERE location_kind = 'room' AND (${anyOf('location_id', batch)})`,
+      `SELECT * FROM room_message WHERE ${anyOf('room_id', batch)}`,
+      `SELECT * FROM npc_reply_draft WHERE ${anyOf('room_id', batch)}`,
+    );
+  }
+  return queries;
+}
+
+// The new scope is subscribed before the old one is dropped, so rows shared
+// by both regions stay in the cache instead of flickering out and back in.
+function subscribeScope(connected, connectionId) {
+  const queries = subscriptionScopeQueries(subscriptionScope);
+  if (queries.join('\n') === scopeQueries.join('\n')) return Promise.resolve();
+  scopeQueries = queries;
+  if (scopeHandle) retiredScopeHandles.add(scopeHandle);
+  scopeHandle = null;
+  const retire = () => {
+    for (const handle of retiredScopeHandles) {
+      if (!handle.isActive()) continue;
+      handle.unsubscribe();
+      retiredScopeHandles.delete(handle);
+    }
+  };
+  if (queries.length === 0) {
+    retire();
+    return Promise.resolve();
+  }
+  return new Promise((resolve, reject) => {
+    const handle = connected.subscriptionBuilder()
+      .onApplied(() => {
+        if (connectionId !== activeConnectionId) return;
+        if (handle === scopeHandle) retire();
+        else {
+          handle.unsubscribe();
+          retiredScopeHandles.delete(handle);
+        }
+        resolve();
+      })
+      .onError((_context, error) => {
+        if (handle === scopeHandle) scopeQueries = [];
+        reject(error);
+      })
+      .subscribe(queries);
+    scopeHandle = handle;
+  });
+}
+
+function scheduleScopeRefresh() {
+  if (subscriptionScope.mode !== 'region' || scopeRefreshScheduled) return;
+  scopeRefreshScheduled = true;
+  queueMicrotask(() => {
+    scopeRefreshScheduled = false;
+    setSubscriptionScope(subscriptionScope);
+  });
+}
+
+function relatedRow({ tables, nested }, value) {
+  if (value == null) return null;
+  for (const table of tables) {
+    const related = rowStore(table)?.rows.get(indexKey(value));
+    if (related) return nested ? enrichRow(table, related) : related;
+  }
+  return null;
+}
+
+function enrichRow(tableName, row) {
+  const relations = RELATIONS[tableName];
+  if (!relations) return row;
+  const store = rowStore(tableName);
+  const key = indexKey(row[primaryKeyOf(tableName)]);
+  const cached = store.enriched.get(key);
+  if (cached) return cached;
+  const enriched = { ...row };
+  for (const relation of relations) enriched[relation.as] = relatedRow(relation, row[relation.field]);
+  store.enriched.set(key, enriched);
+  return enriched;
 }
 
+function enrichRows(tableName, rows) {
+  return RELATIONS[tableName] ? rows.map((row) => enrichRow(tableName, row)) : rows;
+}
+
+// Splits on commas outside parentheses and double-quoted values.
 function splitTopLevel(input) {
   const result = [];
   let depth = 0;
+  let quoted = false;
   let start = 0;
   for (let index = 0; index < input.length; index += 1) {
-    if (input[index] === '(') depth += 1;
-    else if (input[index] === ')') depth -= 1;
-    else if (input[index] === ',' && depth === 0) {
+    const character = input[index];
+    if (character === '\\' && quoted) index += 1;
+    else if (character === '"') quoted = !quoted;
+    else if (quoted) continue;
+    else if (character === '(') depth += 1;
+    else if (character === ')') depth -= 1;
+    else if (character === ',' && depth === 0) {
       result.push(input.slice(start, index));
       start = index + 1;
     }
   }
   result.push(input.slice(start));
-  return result.filter(Boolean);
-}
-
-function compareCondition(row, condition) {
-  const firstDot = condition.indexOf('.');
-  const secondDot = condition.indexOf('.', firstDot + 1);
-  if (firstDot === -1 || secondDot === -1) return false;
-  const field = condition.slice(0, firstDot);
-  const operator = condition.slice(firstDot + 1, secondDot);
-  const rawValue = condition.slice(secondDot + 1);
-  const value = rawValue === 'null' ? null : rawValue;
-  const actual = row[field];
-  if (operator === 'eq') return String(actual) === String(value);
-  if (operator === 'neq') return String(actual) !== String(value);
-  if (operator === 'is') return value === null ? actual == null : String(actual) === String(value);
-  if (operator === 'ilike') {
-    const needle = String(value).replaceAll('%', '').toLowerCase();
-    return String(actual || '').toLowerCase().includes(needle);
-  }
-  return false;
-}
-
-function matchesOr(row, expression) {
-  return splitTopLevel(expression).some((part) => {
-    const trimmed = part.trim();
-    if (trimmed.startsWith('and(') && trimmed.endsWith(')')) {
-      return splitTopLevel(trimmed.slice(4, -1)).every((condition) => compareCondition(row, condition));
-    }
-    return compareCondition(row, trimmed);
+  return result.map((part) => part.trim()).filter(Boolean);
+}
+
+function unquote(value) {
+  const text = String(value).trim();
+  if (text.length < 2 || !text.startsWith('"') || !text.endsWith('"')) return text;
+  return text.slice(1, -1).replace(/\\(.)/g, '$1');
+}
+
+// `in` accepts an array from the builder or `(a,b,"c,d")` from a filter string.
+function parseList(value) {
+  if (Array.isArray(value)) return value;
+  const text = String(value).trim();
+  const inner = text.startsWith('(') && text.endsWith(')') ? text.slice(1, -1) : text;
+  return splitTopLevel(inner).map(unquote);
+}
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// LIKE semantics: `%` (or PostgREST's URL-safe `*`) matches any run, `_` one
+// character, and a backslash escapes the next character.
+function likePattern(pattern, flags) {
+  const text = String(pattern);
+  let source = '';
+  for (let index = 0; index < text.length; index += 1) {
+    const character = text[index];
+    if (character === '\\' && index + 1 < text.length) source += escapeRegExp(text[++index]);
+    else if (character === '%' || character === '*') source += '.*';
+    else if (character === '_') source += '.';
+    else source += escapeRegExp(character);
+  }
+  return new RegExp(`^${source}$`, flags);
+}
+
+// Filter strings carry every value as text, so numbers compare numerically
+// whenever both sides parse as one and as text otherwise.
+function compareOrdered(actual, expected) {
+  const left = Number(actual);
+  const right = Number(expected);
+  if (actual !== '' && expected !== '' && Number.isFinite(left) && Number.isFinite(right)) return left - right;
+  const leftText = String(actual);
+  const rightText = String(expected);
+  if (leftText === rightText) return 0;
+  return leftText < rightText ? -1 : 1;
+}
+
+function operatorPredicate(field, operator, value) {
+  switch (operator) {
+    case 'eq': return (row) => String(row[field]) === String(value);
+    case 'neq': return (row) => String(row[field]) !== String(value);
+    case 'gt': return (row) => row[field] != null && compareOrdered(row[field], value) > 0;
+    case 'gte': return (row) => row[field] != null && compareOrdered(row[field], value) >= 0;
+    case 'lt': return (row) => row[field] != null && compareOrdered(row[field], value) < 0;
+    case 'lte': return (row) => row[field] != null && compareOrdered(row[field], value) <= 0;
+    case 'in': {
+      const values = new Set(parseList(value).map(String));
+      return (row) => values.has(String(row[field]));
+    }
+    case 'like':
+    case 'ilike': {
+      const pattern = likePattern(value, operator === 'ilike' ? 'is' : 's');
+      return (row) => row[field] != null && pattern.test(String(row[field]));
+    }
+    case 'is': {
+      if (value === null || value === 'null') return (row) => row[field] == null;
+      if (value === true || value === 'true') return (row) => row[field] === true;
+      if (value === false || value === 'false') return (row) => row[field] === false;
+      return (row) => String(row[field]) === String(value);
+    }
+    default:
+      throw new Error(`Unsupported filter operator: ${operator}`);
+  }
+}
+
+// One term of an or()/and() string: `field.op.value`, `field.not.op.value`,
+// or a nested `and(...)`, `or(...)`, `not.and(...)`, `not.or(...)` group.
+function parseCondition(term) {
+  const group = term.match(/^(not\.)?(and|or)\(([\s\S]*)\)$/);
+  if (group) {
+    const predicate = parseLogical(group[3], group[2]);
+    return group[1] ? (row) => !predicate(row) : predicate;
+  }
+  const firstDot = term.indexOf('.');
+  let rest = term.slice(firstDot + 1);
+  const negated = rest.startsWith('not.');
+  if (negated) rest = rest.slice(4);
+  const secondDot = rest.indexOf('.');
+  if (firstDot <= 0 || secondDot <= 0) throw new Error(`Malformed filter: ${term}`);
+  const field = term.slice(0, firstDot);
+  const operator = rest.slice(0, secondDot);
+  const rawValue = rest.slice(secondDot + 1);
+  const predicate = operatorPredicate(field, operator, operator === 'in' ? rawValue : unquote(rawValue));
+  return negated ? (row) => !predicate(row) : predicate;
+}
+
+function parseLogical(expression, combinator) {
+  const predicates = splitTopLevel(expression).map(parseCondition);
+  if (combinator === 'and') return (row) => predicates.every((predicate) => predicate(row));
+  return (row) => predicates.some((predicate) => predicate(row));
+}
+
+// Parses a PostgREST select list such as `id, label:name, rooms!fk(name)`.
+// Embedded resources name the relation key the row is enriched under; `null`
+// means every column.
+function parseColumns(columns) {
+  const text = String(columns ?? '*').trim();
+  if (!text || text === '*') return null;
+  return splitTopLevel(text).map((token) => {
+    const embed = token.match(/^(?:([\w-]+):)?([\w-]+)(?:![\w-]+)?\(([\s\S]*)\)$/);
+    if (embed) return { key: embed[1] || embed[2], source: embed[2], embedded: true, columns: parseColumns(embed[3]) };
+    const column = token.match(/^(?:([\w-]+):)?([\w-]+|\*)(?:::\w+)?$/);
+    if (!column) throw new Error(`Unsupported select column: ${token}`);
+    return { key: column[1] || column[2], source: column[2], embedded: false, columns: null };
   });
 }
 
+// Parsed JSON columns and embedded related rows are cached objects shared by
+// every query, so results copy them all the way down.
+function cloneValue(value) {
+  if (Array.isArray(value)) return value.map(cloneValue);
+  if (value === null || typeof value !== 'object') return value;
+  const prototype = Object.getPrototypeOf(value);
+  if (prototype !== Object.prototype && prototype !== null) return value;
+  return Object.fromEntries(Object.entries(value).map(([key, nested]) => [key, cloneValue(nested)]));
+}
+
+function projectRow(row, columns) {
+  if (row == null) return null;
+  if (!columns) return cloneValue(row);
+  const projected = {};
+  for (const { key, source, embedded, columns: nested } of columns) {
+    if (source === '*') Object.assign(projected, cloneValue(row));
+    else if (embedded) projected[key] = projectRow(row[source], nested);
+    else if (source in row) projected[key] = cloneValue(row[source]);
+  }
+  return projected;
+}
+
 function prepareRows(tableName, payload) {
   const rows = (Array.isArray(payload) ? payload : [payload]).map((row) => ({ ...row }));
   const now = new Date().toISOString();
@@ -283,7 +723,19 @@ function serializableRows(rows) {
   return rows.map((row) => Object.fromEntries(Object.entries(row).filter(([key]) => !['owner', 'rooms', 'regions', 'object_definitions', 'stat_definitions', 'ability_definitions', 'actors', 'npcs', 'faction_definitions', 'quest_definitions', 'quest_giver', 'turn_in_npc', 'required_faction', 'reputation_faction'].includes(key))));
 }
 
+function setConnectionState(state, details = {}) {
+  connectionState = { state, attempt: 0, delay: null, error: null, ...details, queued: commandQueue.length };
+  for (const listener of connectionStateListeners) {
+    try {
+      listener(connectionState);
+    } catch (error) {
+      console.error('Connection state listener failed:', error);
+    }
+  }
+}
+
 async function callReducer(name, args) {
+  if (connectionState.state === 'reconnecting') throw new Error('Connection to SpacetimeDB lost. Reconnecting…');
   await readyPromise;
   if (!connection) throw new Error('Not connected to SpacetimeDB. Select or create a saved world first.');
   const reducer = connection.reducers[name];
@@ -291,81 +743,231 @@ async function callReducer(name, args) {
   await reducer(args);
 }
 
-async function completeAiCommand(row) {
-  if (!row.raw?.trim().toLowerCase().startsWith('talk ')) return;
-  const roomId = row.room_id;
-  const [alias, ...messageParts] = row.raw.trim().slice(5).split(/\s+/);
-  const npc = plainRows('npcs').find((candidate) => candidate.current_room === roomId && [candidate.id, candidate.alias, candidate.name].some((value) => value?.toLowerCase() === alias?.toLowerCase()));
-  if (!npc) return;
-  if (plainRows('dialogue_nodes').some((node) => node.npc_id === npc.id && node.entry_node)) return;
+async function submitCommandRow(row) {
+  await callReducer('submitCommand', {
+    commandId: row.id,
+    raw: row.raw,
+    characterId: row.character_id || null,
+    roomId: row.room_id || null,
+    conversationHistory: row.conversation_history ? JSON.stringify(row.conversation_history) : null,
+  });
+}
+
+// Commands typed while offline, or while earlier ones are still replaying,
+// queue up so they reach the server in the order the player sent them.
+function shouldQueueCommands() {
+  return connectionState.state === 'reconnecting' || commandQueue.length > 0;
+}
+
+function enqueueCommands(rows) {
+  if (commandQueue.length + rows.length > COMMAND_QUEUE_LIMIT) {
+    throw new Error(`Offline command queue is full (${COMMAND_QUEUE_LIMIT} commands). Wait for the connection to return.`);
+  }
+  commandQueue.push(...rows);
+  setConnectionState(connectionState.state, connectionState);
+}
 
-  let response = '*seems distracted and does not respond clearly*';
+async function replayCommandQueue() {
+  if (replayingCommands) return;
+  replayingCommands = true;
   try {
-    const apiResponse = await fetch('/api/arkyv/npc-response', {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        npcName: npc.name,
-        npcDescription: npc.description,
-        personality: npc.dialogue_tree?.personality,
-        playerMessage: messageParts.join(' ') || 'hello',
-        conversationHistory: row.conversation_history || [],
-      }),
+    while (commandQueue.length > 0 && connectionState.state === 'connected') {
+      const row = commandQueue[0];
+      try {
+        await submitCommandRow(row);
+      } catch (error) {
+        // Dropped again mid-replay: keep the command for the next connection.
+        if (connectionState.state !== 'connected') break;
+        console.error(`Queued command "${row.raw}" failed:`, error);
+      }
+      commandQueue.shift();
+      setConnectionState(connectionState.state, connectionState);
+    }
+  } finally {
+    replayingCommands = false;
+  }
+}
+
+// Tables whose changes can alter a query's enriched rows: the table itself,
+// every related table, and the relations of nested rows.
+function liveTables(tableName, tables = new Set()) {
+  tables.add(tableName);
+  for (const relation of RELATIONS[tableName] || []) {
+    for (const related of relation.tables) {
+      if (tables.has(related)) continue;
+      if (relation.nested) liveTables(related, tables);
+      else tables.add(related);
+    }
+  }
+  return tables;
+}
+
+class LiveQuery {
+  constructor(query, callback) {
+    this.query = query;
+    this.callback = callback;
+    this.tables = [...liveTables(query.tableName)];
+    this.primaryKey = primaryKeyOf(query.tableName);
+    this.rows = new Map();
+    this.active = true;
+    this.scheduled = false;
+  }
+
+  start() {
+    if (!this.active) return;
+    for (const table of this.tables) {
+      if (!tableListeners.has(table)) tableListeners.set(table, new Set());
+      tableListeners.get(table).add(this);
+    }
+    this.flush(true);
+  }
+
+  // Row callbacks arrive one at a time, but a transaction dispatches all of
+  // them synchronously, so a microtask delivers one diff per transaction.
+  schedule() {
+    if (!this.active || this.scheduled) return;
+    this.scheduled = true;
+    queueMicrotask(() => {
+      this.scheduled = false;
+      this.flush(false);
     });
-    const data = await apiResponse.json();
-    if (apiResponse.ok && data.response) response = data.response;
-  } catch (error) {
-    console.error('NPC response generation failed:', error);
   }
-  await callReducer('completeNpcCommand', { commandId: row.id, response });
+
+  flush(initial) {
+    if (!this.active) return;
+    // Materialize related tables up front so their changes are observed even
+    // before any matching row references them.
+    for (const table of this.tables) rowStore(table);
+    const data = this.query.applyFilters(this.query.candidateRows());
+    const next = new Map(data.map((row) => [indexKey(row[this.primaryKey]), row]));
+    const inserted = [];
+    const updated = [];
+    const deleted = [];
+    // Stored and enriched rows are replaced whenever they change, so identity
+    // is enough to tell an update from an untouched row.
+    for (const [key, row] of next) {
+      const previous = this.rows.get(key);
+      if (!previous) inserted.push(row);
+      else if (previous !== row) updated.push(row);
+    }
+    for (const [key, row] of this.rows) {
+      if (!next.has(key)) deleted.push(row);
+    }
+    this.rows = next;
+    if (!initial && inserted.length === 0 && updated.length === 0 && deleted.length === 0) return;
+    const copy = (row) => projectRow(row, this.query.columns);
+    try {
+      this.callback({
+        data: data.map(copy),
+        inserted: inserted.map(copy),
+        updated: updated.map(copy),
+        deleted: deleted.map(copy),
+      });
+    } catch (error) {
+      console.error(`Live ${this.query.tableName} query callback failed:`, error);
+    }
+  }
+
+  stop() {
+    this.active = false;
+    for (const table of this.tables) tableListeners.get(table)?.delete(this);
+  }
 }
 
 class SpacetimeQuery {
-  constructor(tableName) {
+  constructor(tableName, batch = null) {
     this.tableName = tableName;
+    this.batch = batch;
     this.filters = [];
-    this.orExpression = null;
     this.ordering = null;
+    this.offset = 0;
     this.maxRows = null;
+    this.columns = null;
+    this.countMode = null;
+    this.head = false;
+    this.error = null;
     this.mode = 'many';
     this.mutation = null;
     this.payload = null;
     this.returning = false;
     this.filterFields = new Set();
+    this.lookups = [];
+  }
+
+  select(columns = '*', options = {}) {
+    this.returning = true;
+    this.countMode = options.count || null;
+    this.head = Boolean(options.head);
+    try {
+      this.columns = parseColumns(columns);
+    } catch (error) {
+      this.error = error;
+    }
+    return this;
   }
 
-  select() { this.returning = true; return this; }
   insert(payload) { this.mutation = 'insert'; this.payload = payload; return this; }
   update(payload) { this.mutation = 'update'; this.payload = payload; return this; }
   delete() { this.mutation = 'delete'; return this; }
-  eq(field, value) { this.filterFields.add(field); this.filters.push((row) => String(row[field]) === String(value)); return this; }
+  eq(field, value) { this.filterFields.add(field); this.lookups.push({ field, values: [value] }); this.filters.push((row) => String(row[field]) === String(value)); return this; }
   neq(field, value) { this.filterFields.add(field); this.filters.push((row) => String(row[field]) !== String(value)); return this; }
   is(field, value) { this.filterFields.add(field); this.filters.push((row) => value === null ? row[field] == null : row[field] === value); return this; }
-  in(field, values) { this.filterFields.add(field); this.filters.push((row) => values.map(String).includes(String(row[field]))); return this; }
-  gt(field, value) { this.filters.push((row) => row[field] > value); return this; }
-  gte(field, value) { this.filters.push((row) => row[field] >= value); return this; }
-  lt(field, value) { this.filters.push((row) => row[field] < value); return this; }
-  lte(field, value) { this.filters.push((row) => row[field] <= value); return this; }
-  ilike(field, pattern) { const needle = String(pattern).replaceAll('%', '').toLowerCase(); this.filters.push((row) => String(row[field] || '').toLowerCase().includes(needle)); return this; }
-  not(field, operator, value) { this.filters.push((row) => operator === 'is' ? row[field] !== value : String(row[field]) !== String(value)); return this; }
+  in(field, values) { this.filterFields.add(field); this.lookups.push({ field, values }); this.filters.push((row) => values.map(String).includes(String(row[field]))); return this; }
+  gt(field, value) { return this.filter(field, 'gt', value); }
+  gte(field, value) { return this.filter(field, 'gte', value); }
+  lt(field, value) { return this.filter(field, 'lt', value); }
+  lte(field, value) { return this.filter(field, 'lte', value); }
+  like(field, pattern) { return this.filter(field, 'like', pattern); }
+  ilike(field, pattern) { return this.filter(field, 'ilike', pattern); }
+  not(field, operator, value) { return this.addFilter(() => { const predicate = operatorPredicate(field, operator, value); return (row) => !predicate(row); }); }
+  filter(field, operator, value) { return this.addFilter(() => operatorPredicate(field, operator, value)); }
   match(values) { Object.entries(values).forEach(([field, value]) => this.eq(field, value)); return this; }
-  or(expression) { this.orExpression = expression; return this; }
+  or(expression) { return this.addFilter(() => parseLogical(expression, 'or')); }
   order(field, options = {}) { this.ordering = { field, ascending: options.ascending !== false }; return this; }
   limit(value) { this.maxRows = value; return this; }
+  range(from, to) { this.offset = from; this.maxRows = to - from + 1; return this; }
   single() { this.mode = 'single'; return this; }
   maybeSingle() { this.mode = 'maybeSingle'; return this; }
 
-  applyFilters(rows) {
-    let result = rows;
+  // Malformed filters surface as the query's error, like a PostgREST 400.
+  addFilter(build) {
+    try {
+      this.filters.push(build());
+    } catch (error) {
+      this.error = error;
+    }
+    return this;
+  }
+
+  ownerScoped() {
+    return ['characters', 'profiles', 'commands'].includes(this.tableName) && !this.filterFields.has('current_room');
+  }
+
+  // Narrows the scan to rows reachable through indexed eq/in lookups. Every
+  // filter still runs afterwards, so the index only decides what is visited.
+  candidateRows() {
+    const store = rowStore(this.tableName);
+    if (!store) return [];
     const owner = identity?.toHexString?.();
-    if (owner && this.tableName === 'characters' && !this.filterFields.has('current_room')) {
-      result = result.filter((row) => row.owner === owner);
+    const lookups = owner && this.ownerScoped() ? [...this.lookups, { field: 'owner', values: [owner] }] : this.lookups;
+    let keys = null;
+    for (const { field, values } of lookups) {
+      if (!isIndexedField(this.tableName, field)) continue;
+      const found = lookupKeys(this.tableName, field, values);
+      keys = keys ? new Set([...keys].filter((key) => found.has(key))) : found;
+      if (keys.size === 0) break;
     }
-    if (owner && ['profiles', 'commands'].includes(this.tableName) && !this.filterFields.has('current_room')) {
+    const rows = keys ? [...keys].map((key) => store.rows.get(key)) : [...store.rows.values()];
+    return enrichRows(this.tableName, rows);
+  }
+
+  filterRows(rows) {
+    let result = rows;
+    const owner = identity?.toHexString?.();
+    if (owner && this.ownerScoped()) {
       result = result.filter((row) => row.owner === owner);
     }
     result = result.filter((row) => this.filters.every((filter) => filter(row)));
-    if (this.orExpression) result = result.filter((row) => matchesOr(row, this.orExpression));
     if (this.ordering) {
       const { field, ascending } = this.ordering;
       result.sort((left, right) => {
@@ -373,40 +975,65 @@ class SpacetimeQuery {
         return ascending ? comparison : -comparison;
       });
     }
-    if (this.maxRows !== null) result = result.slice(0, this.maxRows);
     return result;
   }
 
-  shape(data) {
+  paginate(rows) {
+    return this.maxRows === null ? rows.slice(this.offset) : rows.slice(this.offset, this.offset + this.maxRows);
+  }
+
+  applyFilters(rows) {
+    return this.paginate(this.filterRows(rows));
+  }
+
+  project(rows) {
+    return rows.map((row) => projectRow(row, this.columns));
+  }
+
+  // `count` is the number of matching rows before range()/limit() apply.
+  shape(rows, count = rows.length) {
+    const result = this.countMode ? { count } : {};
+    const data = this.project(rows);
+    if (this.head) return { ...result, data: null, error: null };
     if (this.mode === 'single') {
       if (data.length !== 1) return { data: null, error: new Error(`Expected one ${this.tableName} row, found ${data.length}.`) };
-      return { data: data[0], error: null };
+      return { ...result, data: data[0], error: null };
     }
     if (this.mode === 'maybeSingle') {
       if (data.length > 1) return { data: null, error: new Error(`Expected at most one ${this.tableName} row, found ${data.length}.`) };
-      return { data: data[0] || null, error: null };
+      return { ...result, data: data[0] || null, error: null };
     }
-    return { data, error: null };
+    return { ...result, data, error: null };
   }
 
   async execute() {
     try {
+      if (this.error) throw this.error;
+      if (this.mutation === 'insert' && this.tableName === 'commands' && shouldQueueCommands()) {
+        const rows = prepareRows(this.tableName, this.payload);
+        enqueueCommands(rows);
+        return this.shape(rows);
+      }
       await readyPromise;
-      const visibleRows = enrichRows(this.tableName, plainRows(this.tableName));
-      const matched = this.applyFilters(visibleRows);
+      // Cached rows are shared between queries; hand callers their own copies.
+      const filtered = this.filterRows(this.candidateRows());
+      const matched = this.paginate(filtered).map((row) => ({ ...row }));
 
       if (this.mutation === 'insert') {
         const rows = prepareRows(this.tableName, this.payload);
-        if (this.tableName === 'commands') {
-          for (const row of rows) {
-            await callReducer('submitCommand', {
-              commandId: row.id,
-              raw: row.raw,
-              characterId: row.character_id || null,
-              roomId: row.room_id || null,
-              conversationHistory: row.conversation_history ? JSON.stringify(row.conversation_history) : null,
-            });
-            await completeAiCommand(row);
+        if (this.batch) {
+          this.batch.record(this, { action: 'insert', table: this.tableName, records: serializableRows(rows) });
+        } else if (this.tableName === 'commands') {
+          for (const [index, row] of rows.entries()) {
+            try {
+              await submitCommandRow(row);
+            } catch (error) {
+              // The socket dropped under this command; the server rejects the
+              // duplicate id if it did arrive, so replaying it is safe.
+              if (connectionState.state !== 'reconnecting') throw error;
+              enqueueCommands(rows.slice(index));
+              break;
+            }
           }
         } else {
           await callReducer('insertRows', { tableName: this.tableName, payloadJson: JSON.stringify(serializableRows(rows)) });
@@ -415,20 +1042,22 @@ class SpacetimeQuery {
       }
 
       if (this.mutation === 'update') {
-        const primaryKey = PRIMARY_KEYS[this.tableName] || 'id';
+        const primaryKey = primaryKeyOf(this.tableName);
         const ids = matched.map((row) => String(row[primaryKey]));
-        await callReducer('updateRows', { tableName: this.tableName, idsJson: JSON.stringify(ids), payloadJson: JSON.stringify(this.payload) });
+        if (this.batch) this.batch.record(this, { action: 'update', table: this.tableName, ids, changes: this.payload });
+        else await callReducer('updateRows', { tableName: this.tableName, idsJson: JSON.stringify(ids), payloadJson: JSON.stringify(this.payload) });
         return this.shape(matched.map((row) => ({ ...row, ...this.payload })));
       }
 
       if (this.mutation === 'delete') {
-        const primaryKey = PRIMARY_KEYS[this.tableName] || 'id';
+        const primaryKey = primaryKeyOf(this.tableName);
         const ids = matched.map((row) => String(row[primaryKey]));
-        await callReducer('deleteRows', { tableName: this.tableName, idsJson: JSON.stringify(ids) });
-        return { data: this.returning ? matched : null, error: null };
+        if (this.batch) this.batch.record(this, { action: 'delete', table: this.tableName, ids });
+        else await callReducer('deleteRows', { tableName: this.tableName, idsJson: JSON.stringify(ids) });
+        return { data: this.returning ? this.project(matched) : null, error: null };
       }
 
-      return this.shape(matched);
+      return this.shape(matched, filtered.length);
     } catch (error) {
       const normalized = error instanceof Error ? error : new Error(String(error));
       if (normalized.message.includes('23505')) normalized.code = '23505';
@@ -436,12 +1065,109 @@ class SpacetimeQuery {
     }
   }
 
-  then(resolve, reject) { return this.execute().then(resolve, reject); }
+  then(resolve, reject) { return (this.batch ? this.batch.run(this) : this.execute()).then(resolve, reject); }
+
+  /**
+   * Deliver this query's result set now and again whenever a matching row or
+   * an embedded related row changes. The callback receives the full ordered
+   * result as `data` plus the `inserted`, `updated`, and `deleted` rows since
+   * the previous delivery; the first delivery reports every row as inserted.
+   * Rows are projected to the query's select() columns.
+   */
+  subscribe(callback, onError = console.error) {
+    if (this.mutation) throw new Error('Only read queries can be subscribed to.');
+    if (this.error) {
+      onError(this.error);
+      return { unsubscribe() {} };
+    }
+    const live = new LiveQuery(this, callback);
+    readyPromise.then(() => live.start()).catch(onError);
+    return { unsubscribe: () => live.stop() };
+  }
+}
+
+// Collects the mutations made through `tx.from(...)` inside a batch callback
+// and compiles them, in the order they were written, into one applyAdminBatch
+// operations list. Queries run against the cache as it was before the batch,
+// so a batch cannot read its own pending writes; inserted rows get their ids up
+// front for that reason.
+class SpacetimeBatch {
+  constructor() {
+    this.steps = [];
+    this.results = new Map();
+    this.recorded = new Map();
+    this.closed = false;
+  }
+
+  from(tableName) {
+    this.ensureOpen();
+    if (tableName === 'commands') throw new Error('Commands cannot be batched.');
+    const query = new SpacetimeQuery(tableName, this);
+    this.steps.push(query);
+    return query;
+  }
+
+  configureEngineRecord(tableName, payload) {
+    this.ensureOpen();
+    this.steps.push({ action: 'configure', table: tableName, record: payload });
+    return Promise.resolve({ data: true, error: null });
+  }
+
+  deleteEngineRecord(tableName, recordId) {
+    this.ensureOpen();
+    this.steps.push({ action: 'delete_engine', table: tableName, ids: [recordId] });
+    return Promise.resolve({ data: true, error: null });
+  }
+
+  ensureOpen() {
+    if (this.closed) throw new Error('This batch has already been applied.');
+  }
+
+  record(query, operation) {
+    this.ensureOpen();
+    // The reducer rejects empty operations; a filter that matched nothing is a no-op.
+    if ((operation.records || operation.ids)?.length === 0) return;
+    this.recorded.set(query, operation);
+  }
+
+  // Each query executes once however often it is awaited, so callers may
+  // await it for its rows or leave it for compile() to run.
+  run(query) {
+    if (!this.results.has(query)) this.results.set(query, query.execute());
+    return this.results.get(query);
+  }
+
+  async compile() {
+    const operations = [];
+    for (const step of this.steps) {
+      if (!(step instanceof SpacetimeQuery)) {
+        operations.push(step);
+        continue;
+      }
+      const { error } = await this.run(step);
+      if (error) throw error;
+      if (this.recorded.has(step)) operations.push(this.recorded.get(step));
+    }
+    this.closed = true;
+    return operations;
+  }
 }
 
 class SpacetimeClient {
   from(tableName) { return new SpacetimeQuery(tableName); }
 
+  connectionState() { return connectionState; }
+
+  /**
+   * Calls `listener` with `{ state, attempt, delay, queued, error }` whenever
+   * the connection moves between `connecting`, `connected`, `reconnecting`,
+   * and `disconnected`, or the offline command queue grows or drains.
+   */
+  onConnectionStateChange(listener) {
+    connectionStateListeners.add(listener);
+    return { unsubscribe: () => connectionStateListeners.delete(listener) };
+  }
+
   onInsert(tableName, callback, predicate = () => true, onError = console.error) {
     let cancelled = false;
     let handle = null;
@@ -459,7 +1185,9 @@ class SpacetimeClient {
       if (cancelled) return;
       handle = tableHandle(tableName);
       if (!handle) throw new Error(`Unknown SpacetimeDB table: ${tableName}`);
-      handler = (_context, row) => {
+      handler = (context, row) => {
+        // Rows arriving because the subscription scope widened already existed.
+        if (context.event?.tag === 'SubscribeApplied') return;
         const normalized = normalizeRow(tableName, row);
         if (predicate(normalized)) callback({ eventType: 'INSERT', new: normalized, old: null });
       };
@@ -529,6 +1257,30 @@ class SpacetimeClient {
     catch (error) { return { data: null, error }; }
   }
 
+  /**
+   * Runs `work(tx)` and applies every insert, update, and delete it makes
+   * through `tx.from(...)` (plus `tx.configureEngineRecord` and
+   * `tx.deleteEngineRecord`) in one apply_admin_batch call, so the batch
+   * succeeds or fails as a whole. Resolves to `{ data, error }` where `data`
+   * is whatever `work` returned.
+   */
+  async batch(work, summary = '') {
+    try {
+      const tx = new SpacetimeBatch();
+      const data = await work(tx);
+      const operations = await tx.compile();
+      if (operations.length > 0) {
+        await callReducer('applyAdminBatch', {
+          operationsJson: JSON.stringify(operations),
+          summary,
+        });
+      }
+      return { data: data ?? null, error: null };
+    } catch (error) {
+      return { data: null, error };
+    }
+  }
+
   async applyAdminPatch(runId, operations, summary = '') {
     try {
       await callReducer('applyAdminPatch', {
@@ -547,6 +1299,47 @@ class SpacetimeClient {
     catch (error) { return { data: null, error }; }
   }
 
+  async updateNpcMemory(memoryId, { summary = '', key_facts = [], sentiment = 0 }) {
+    try { await callReducer('updateNpcMemory', { memoryId, summary, keyFactsJson: JSON.stringify(key_facts), sentiment: Math.round(Number(sentiment) || 0) }); return { data: true, error: null }; }
+    catch (error) { return { data: null, error }; }
+  }
+
+  async forgetNpcMemory(memoryId) {
+    try { await callReducer('forgetNpcMemory', { memoryId }); return { data: true, error: null }; }
+    catch (error) { return { data: null, error }; }
+  }
+
+  async approveNpcWorker(identityHex, label = '') {
+    try { await callReducer('approveNpcWorker', { identityHex, label }); return { data: true, error: null }; }
+    catch (error) { return { data: null, error }; }
+  }
+
+  async revokeNpcWorker(identityHex) {
+    try { await callReducer('revokeNpcWorker', { identityHex }); return { data: true, error: null }; }
+    catch (error) { return { data: null, error }; }
+  }
+
+  async savePromptTemplate(templateId, { system, user }) {
+    try { await callReducer('savePromptTemplate', { templateId, system: system || '', user: user || '' }); return { data: true, error: null }; }
+    catch (error) { return { data: null, error }; }
+  }
+
+  async resetPromptTemplate(templateId) {
+    try { await callReducer('resetPromptTemplate', { templateId }); return { data: true, error: null }; }
+    catch (error) { return { data: null, error }; }
+  }
+
+  async saveAiBudget({ scope, target, daily_requests, daily_tokens, daily_images }) {
+    const limit = (value) => Math.max(0, Math.round(Number(value) || 0));
+    try { await callReducer('saveAiBudget', { scope, target, dailyRequests: limit(daily_requests), dailyTokens: BigInt(limit(daily_tokens)), dailyImages: limit(daily_images) }); return { data: true, error: null }; }
+    catch (error) { return { data: null, error }; }
+  }
+
+  async deleteAiBudget(budgetId) {
+    try { await callReducer('deleteAiBudget', { budgetId }); return { data: true, error: null }; }
+    catch (error) { return { data: null, error }; }
+  }
+
   async resolvePlayerReport(reportId, status) {
     try { await callReducer('resolvePlayerReport', { reportId, status }); return { data: true, error: null }; }
     catch (error) { return { data: null, error }; }
@@ -571,21 +1364,73 @@ export default getSpacetimeClient;
 export function getSpacetimeConnection() { return connection; }
 export function getSpacetimeToken() { return connectionToken; }
 
+// Client table names with their generated accessors and primary keys, so
+// lib/fakeSpacetimeConnection.js can stand in for the module.
+export function spacetimeSchema() {
+  return Object.entries(TABLES).map(([tableName, accessor]) => ({ tableName, accessor, primaryKey: primaryKeyOf(tableName) }));
+}
+
+function resetScopeSubscription() {
+  scopeHandle = null;
+  scopeQueries = [];
+  retiredScopeHandles = new Set();
+}
+
+/**
+ * Chooses which place-bound rows this connection downloads. `{ mode: 'world' }`
+ * subscribes everything, as the admin panel needs; `{ mode: 'region', roomId }`
+ * subscribes NPCs, room objects, messages, reply drafts, and region chat for the room's
+ * region and its neighbours. Moving within a region is free; crossing into
+ * another region swaps the subscription. Queries issued afterwards wait for
+ * the new scope to arrive.
+ */
+export function setSubscriptionScope(scope) {
+  subscriptionScope = scope?.mode === 'world'
+    ? { mode: 'world' }
+    : { mode: 'region', roomId: scope?.roomId ?? null };
+  if (!connection) return readyPromise;
+  const connected = connection;
+  const connectionId = activeConnectionId;
+  readyPromise = readyPromise.then((ready) => {
+    if (connectionId !== activeConnectionId) return ready;
+    return subscribeScope(connected, connectionId).then(() => ready, (error) => {
+      console.error('Failed to move the subscription scope:', error);
+      return ready;
+    });
+  });
+  return readyPromise;
+}
+
+function cancelReconnect() {
+  if (reconnectTimer) clearTimeout(reconnectTimer);
+  reconnectTimer = null;
+  reconnectAttempt = 0;
+}
+
 export function disconnectSpacetime() {
   activeConnectionId += 1;
+  cancelReconnect();
   if (connection) connection.disconnect();
   connection = null;
+  rowStores = new Map();
+  resetScopeSubscription();
   identity = null;
   connectionToken = null;
   readyPromise = Promise.resolve();
+  // Anything still waiting on the lost connection settles into "not connected".
+  outage?.resolve();
+  outage = null;
+  commandQueue = [];
+  if (connectionState.state !== 'disconnected') setConnectionState('disconnected');
   if (typeof document !== 'undefined') document.cookie = 'arkyv_spacetime_token=; Path=/; Max-Age=0; SameSite=Strict';
 }
 
-export function connectSpacetime(token) {
-  disconnectSpacetime();
-  const connectionId = ++activeConnectionId;
-  readyPromise = new Promise((resolve, reject) => {
-    let builder = DbConnection.builder()
+// Resolves once the connection is subscribed. A connection that drops before
+// that rejects; one that drops afterwards hands over to the reconnect loop.
+function openConnection(token, connectionId) {
+  return new Promise((resolve, reject) => {
+    let ready = false;
+    let builder = ConnectionClass.builder()
       .withUri(SPACETIME_URI)
       .withDatabaseName(DATABASE_NAME)
       .withConfirmedReads(false)
@@ -594,15 +1439,25 @@ export function connectSpacetime(token) {
         connection = connected;
         identity = connectedIdentity;
         connectionToken = issuedToken;
+        rowStores = new Map();
+        resetScopeSubscription();
+        trackTableChanges(connected);
         if (typeof document !== 'undefined' && issuedToken) {
           const secure = window.location.protocol === 'https:' ? '; Secure' : '';
           document.cookie = `arkyv_spacetime_token=${encodeURIComponent(issuedToken)}; Path=/; SameSite=Strict${secure}`;
         }
-        const queries = SUBSCRIBED_TABLES.map((table) => `SELECT * FROM ${table}`);
+        const queries = [...SUBSCRIBED_TABLES.map((table) => `SELECT * FROM ${table}`), ...UNSCOPED_QUERIES];
         connected.subscriptionBuilder()
           .onApplied(() => {
             if (connectionId !== activeConnectionId) return;
-            resolve({ connection, identity, token: connectionToken });
+            subscribeScope(connected, connectionId).then(() => {
+              if (connectionId !== activeConnectionId) return;
+              ready = true;
+              for (const listeners of tableListeners.values()) {
+                for (const listener of listeners) listener.schedule();
+              }
+              resolve({ connection, identity, token: connectionToken });
+            }, reject);
           })
           .onError((_context, error) => reject(error))
           .subscribe(queries);
@@ -611,14 +1466,87 @@ export function connectSpacetime(token) {
         if (connectionId !== activeConnectionId) return;
         reject(error);
       })
-      .onDisconnect(() => {
+      .onDisconnect((_context, error) => {
         if (connectionId !== activeConnectionId) return;
+        const lastToken = connectionToken || token;
         connection = null;
         identity = null;
         connectionToken = null;
+        rowStores = new Map();
+        resetScopeSubscription();
+        if (ready) handleConnectionLost(lastToken, error);
+        else reject(error || new Error('SpacetimeDB closed the connection before it was ready.'));
       });
     if (token) builder = builder.withToken(token);
     connection = builder.build();
   });
+}
+
+function handleConnectionLost(token, error) {
+  if (!outage) {
+    let resolveOutage;
+    const promise = new Promise((resolve) => { resolveOutage = resolve; });
+    outage = { promise, resolve: resolveOutage };
+    readyPromise = promise;
+  }
+  scheduleReconnect(token, error);
+}
+
+// Exponential backoff with jitter: each wait is between half and all of the
+// doubled delay, so a server restart doesn't get every client back at once.
+function scheduleReconnect(token, error = null) {
+  reconnectAttempt += 1;
+  const ceiling = Math.min(RECONNECT_MAX_DELAY_MS, RECONNECT_BASE_DELAY_MS * 2 ** (reconnectAttempt - 1));
+  const delay = Math.round(ceiling / 2 + Math.random() * (ceiling / 2));
+  setConnectionState('reconnecting', { attempt: reconnectAttempt, delay, error });
+  lostConnectionToken = token;
+  reconnectTimer = setTimeout(() => reconnect(token), delay);
+}
+
+function reconnect(token) {
+  reconnectTimer = null;
+  const connectionId = ++activeConnectionId;
+  openConnection(token, connectionId).then((ready) => {
+    if (connectionId !== activeConnectionId) return;
+    reconnectAttempt = 0;
+    const waiting = outage;
+    outage = null;
+    readyPromise = Promise.resolve(ready);
+    setConnectionState('connected');
+    waiting?.resolve(ready);
+    replayCommandQueue();
+  }, (error) => {
+    if (connectionId !== activeConnectionId) return;
+    connection?.disconnect();
+    connection = null;
+    scheduleReconnect(token, error);
+  });
+}
+
+if (typeof window !== 'undefined') {
+  // Skip the rest of the backoff as soon as the browser is back online.
+  window.addEventListener('online', () => {
+    if (connectionState.state !== 'reconnecting' || !reconnectTimer) return;
+    clearTimeout(reconnectTimer);
+    reconnect(lostConnectionToken);
+  });
+}
+
+/**
+ * Opens the saved world's connection. Tests pass `{ DbConnection }` from
+ * createFakeSpacetime to run against in-memory tables; reconnects reuse it.
+ */
+export function connectSpacetime(token, options = {}) {
+  disconnectSpacetime();
+  ConnectionClass = options.DbConnection || DbConnection;
+  const connectionId = ++activeConnectionId;
+  setConnectionState('connecting');
+  readyPromise = openConnection(token, connectionId).then((ready) => {
+    if (connectionId === activeConnectionId) setConnectionState('connected');
+    return ready;
+  }, (error) => {
+    if (connectionId === activeConnectionId) setConnectionState('disconnected', { error });
+    throw error;
+  });
   return readyPromise;
 }
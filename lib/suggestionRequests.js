@@ -0,0 +1,20 @@
+// Requests from the admin editor to the AI suggestion routes. The server caches
+// suggestions by their inputs, so asking again with unchanged inputs would
+// return the same answer. Repeating the previous request to a route is taken
+// as "give me another" and sent with `fresh: true`, which skips the cache.
+
+const lastBodies = new Map();
+
+/**
+ * fetch() for a suggestion route, with a JSON string body.
+ * @param {string} url - Route URL, such as '/api/arkyv/suggest-room-name'
+ * @param {RequestInit} init - fetch options
+ * @returns {Promise<Response>}
+ */
+export function fetchSuggestion(url, init = {}) {
+    const body = typeof init.body === 'string' ? init.body : '';
+    const again = lastBodies.get(url) === body;
+    lastBodies.set(url, body);
+    if (!again || !body) return fetch(url, init);
+    return fetch(url, { ...init, body: JSON.stringify({ ...JSON.parse(body), fresh: true }) });
+}
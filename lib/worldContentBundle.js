@@ -7,6 +7,7 @@ export const ENGINE_SYSTEM_TABLES = [
   'recipe_rules',
   'dialogue_nodes',
   'dialogue_choices',
+  'npc_ai_actions',
   'exit_rules',
   'world_triggers',
   'world_simulation_configs',
@@ -46,6 +47,8 @@ export const WORLD_CONTENT_TABLES = [
   'world_lifecycle_configs',
   'admin_role_definitions',
   ...ENGINE_SYSTEM_TABLES,
+  // Styles name a region, room, NPC, or item, so they follow all of them.
+  'art_styles',
 ];
 
 export const WORLD_CONTENT_PRIMARY_KEYS = {
@@ -3,12 +3,15 @@ import Head from 'next/head';
 import dynamic from 'next/dynamic';
 import { Position } from '@xyflow/react';
 import { useRouter } from 'next/router';
-import getSpacetimeClient from '@/lib/spacetimedbClient';
+import getSpacetimeClient, { setSubscriptionScope } from '@/lib/spacetimedbClient';
+import { fetchSuggestion } from '@/lib/suggestionRequests';
 import { useAuth } from '@/contexts/AuthContext';
 import Tooltip from '@/components/ui/Tooltip';
 import HamburgerIcon from '@/components/HamburgerIcon';
 import RpgSystemsEditor from '@/components/admin/RpgSystemsEditor';
 import NpcDialogueEditor from '@/components/admin/NpcDialogueEditor';
+import NpcAiActionsEditor from '@/components/admin/NpcAiActionsEditor';
+import NpcMemoryEditor from '@/components/admin/NpcMemoryEditor';
 import ArchieAgentSidebar from '@/components/admin/ArchieAgentSidebar';
 import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
 import { faCircleInfo, faGamepad } from '@fortawesome/free-solid-svg-icons';
@@ -162,6 +165,12 @@ function readImageDimensions(dataUrl) {
     });
 }
 
+function storedImageSummary({ imageBytes, savedBytes }) {
+    if (!imageBytes) return '';
+    const kilobytes = (bytes) => `${Math.max(1, Math.round(bytes / 1024)).toLocaleString()} KB`;
+    return savedBytes > 0 ? ` ${kilobytes(imageBytes)} stored, ${kilobytes(savedBytes)} saved.` : ` ${kilobytes(imageBytes)} stored.`;
+}
+
 function normalizeDirectionKey(input = '') {
     if (!input) {
         return '';
@@ -657,6 +666,11 @@ export default function ArkyvAdminPanel() {
     const [isDeletingNpc, setIsDeletingNpc] = useState(false);
     const [deleteNpcError, setDeleteNpcError] = useState('');
 
+    // The map editor works across every region, not just where a player stands.
+    useEffect(() => {
+        setSubscriptionScope({ mode: 'world' });
+    }, []);
+
     useEffect(() => {
         if (savedWorldLoading) return;
         if (!savedWorldSession?.user?.id) {
@@ -1456,7 +1470,9 @@ export default function ArkyvAdminPanel() {
                 });
             }
             
-            const { error } = await spacetime.from('exits').insert(exitsPayload);
+            const { error } = await spacetime.batch((tx) => {
+                tx.from('exits').insert(exitsPayload);
+            }, 'Map editor: create exit');
             if (error) throw error;
             
             // Fetch the updated room data with exits
@@ -1622,21 +1638,17 @@ export default function ArkyvAdminPanel() {
             setIsDeleting(true);
             setDeleteError('');
 
-            // First delete all exits connected to this room
-            const { error: exitsError } = await spacetime
-                .from('exits')
-                .delete()
-                .or(`from_room.eq.${editRoom.id},to_room.eq.${editRoom.id}`);
-            
-            if (exitsError) throw exitsError;
-
-            // Then delete the room itself
-            const { error: roomError } = await spacetime
-                .from('rooms')
-                .delete()
-                .eq('id', editRoom.id);
+            // Delete every exit connected to this room, then the room itself
+            const { error } = await spacetime.batch((tx) => {
+                tx.from('exits')
+                    .delete()
+                    .or(`from_room.eq.${editRoom.id},to_room.eq.${editRoom.id}`);
+                tx.from('rooms')
+                    .delete()
+                    .eq('id', editRoom.id);
+            }, `Map editor: delete room ${editRoom.name}`);
             
-            if (roomError) throw roomError;
+            if (error) throw error;
 
             // Close all dialogs and refresh
             setIsDeleteDialogOpen(false);
@@ -1719,7 +1731,9 @@ export default function ArkyvAdminPanel() {
                 });
             }
             
-            const { error } = await spacetime.from('exits').insert(exitsPayload);
+            const { error } = await spacetime.batch((tx) => {
+                tx.from('exits').insert(exitsPayload);
+            }, 'Map editor: link rooms');
             if (error) throw error;
             
             // Refresh the graph
@@ -1861,34 +1875,31 @@ export default function ArkyvAdminPanel() {
                 height: newRoomHeight
             };
             
-            const { data: newRoom, error: roomError} = await spacetime
-                .from('rooms')
-                .insert([newRoomPayload])
-                .select()
-                .single();
+            // Create the room and its bidirectional exits together
+            const { data: newRoom, error: roomError } = await spacetime.batch(async (tx) => {
+                const { data: room, error } = await tx
+                    .from('rooms')
+                    .insert([newRoomPayload])
+                    .select()
+                    .single();
+                if (error) throw error;
+                tx.from('exits').insert([
+                    {
+                        from_room: parentRoomId,
+                        to_room: room.id,
+                        verb: direction
+                    },
+                    {
+                        from_room: room.id,
+                        to_room: parentRoomId,
+                        verb: reverseDir
+                    }
+                ]);
+                return room;
+            }, 'Map editor: create connected room');
             
             if (roomError) throw roomError;
             
-            // Create bidirectional exits
-            const exitsPayload = [
-                {
-                    from_room: parentRoomId,
-                    to_room: newRoom.id,
-                    verb: direction
-                },
-                {
-                    from_room: newRoom.id,
-                    to_room: parentRoomId,
-                    verb: reverseDir
-                }
-            ];
-            
-            const { error: exitsError } = await spacetime
-                .from('exits')
-                .insert(exitsPayload);
-            
-            if (exitsError) throw exitsError;
-            
             // Fetch the newly created exits with target room data
             const { data: newExitsData } = await spacetime
                 .from('exits')
@@ -2154,7 +2165,7 @@ export default function ArkyvAdminPanel() {
             console.log('Calling AI room generation with region:', regionData?.display_name || region);
             console.log('Region description length:', regionData?.description?.length || 0);
             
-            const aiResponse = await fetch('/api/arkyv/generate-room', {
+            const aiResponse = await fetchSuggestion('/api/arkyv/generate-room', {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
                 body: JSON.stringify({
@@ -2190,34 +2201,31 @@ export default function ArkyvAdminPanel() {
                 height: newRoomHeight
             };
             
-            const { data: newRoom, error: roomError } = await spacetime
-                .from('rooms')
-                .insert([newRoomPayload])
-                .select()
-                .single();
+            // Create the room and its bidirectional exits together
+            const { data: newRoom, error: roomError } = await spacetime.batch(async (tx) => {
+                const { data: room, error } = await tx
+                    .from('rooms')
+                    .insert([newRoomPayload])
+                    .select()
+                    .single();
+                if (error) throw error;
+                tx.from('exits').insert([
+                    {
+                        from_room: parentRoomId,
+                        to_room: room.id,
+                        verb: direction
+                    },
+                    {
+                        from_room: room.id,
+                        to_room: parentRoomId,
+                        verb: reverseDir
+                    }
+                ]);
+                return room;
+            }, 'Map editor: create connected room');
             
             if (roomError) throw roomError;
             
-            // Create bidirectional exits
-            const exitsPayload = [
-                {
-                    from_room: parentRoomId,
-                    to_room: newRoom.id,
-                    verb: direction
-                },
-                {
-                    from_room: newRoom.id,
-                    to_room: parentRoomId,
-                    verb: reverseDir
-                }
-            ];
-            
-            const { error: exitsError } = await spacetime
-                .from('exits')
-                .insert(exitsPayload);
-            
-            if (exitsError) throw exitsError;
-            
             // Fetch the newly created exits with target room data
             const { data: newExitsData } = await spacetime
                 .from('exits')
@@ -2314,7 +2322,7 @@ export default function ArkyvAdminPanel() {
                 .eq('region_name', region)
                 .limit(10);
             
-            const response = await fetch('/api/arkyv/suggest-room-name', {
+            const response = await fetchSuggestion('/api/arkyv/suggest-room-name', {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
                 body: JSON.stringify({
@@ -2389,7 +2397,7 @@ export default function ArkyvAdminPanel() {
                 .eq('region_name', region)
                 .limit(20);
             
-            const response = await fetch('/api/arkyv/suggest-room-description', {
+            const response = await fetchSuggestion('/api/arkyv/suggest-room-description', {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
                 body: JSON.stringify({
@@ -2456,7 +2464,7 @@ export default function ArkyvAdminPanel() {
                 .eq('name', region)
                 .single();
             
-            const response = await fetch('/api/arkyv/refine-room-description', {
+            const response = await fetchSuggestion('/api/arkyv/refine-room-description', {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
                 body: JSON.stringify({
@@ -2526,7 +2534,7 @@ export default function ArkyvAdminPanel() {
                 direction = parentExit.verb;
             }
             
-            const response = await fetch('/api/arkyv/suggest-room-name', {
+            const response = await fetchSuggestion('/api/arkyv/suggest-room-name', {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
                 body: JSON.stringify({
@@ -2596,7 +2604,7 @@ export default function ArkyvAdminPanel() {
                 direction = parentExit.verb;
             }
             
-            const response = await fetch('/api/arkyv/suggest-room-description', {
+            const response = await fetchSuggestion('/api/arkyv/suggest-room-description', {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
                 body: JSON.stringify({
@@ -2658,7 +2666,7 @@ export default function ArkyvAdminPanel() {
                 direction = parentExit.verb;
             }
             
-            const response = await fetch('/api/arkyv/refine-room-description', {
+            const response = await fetchSuggestion('/api/arkyv/refine-room-description', {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
                 body: JSON.stringify({
@@ -2758,7 +2766,7 @@ export default function ArkyvAdminPanel() {
                 : data.creditsRemaining !== null && data.creditsRemaining !== undefined && Number.isFinite(Number(data.creditsRemaining))
                     ? ` Credits remaining: ${data.creditsRemaining}.`
                     : '';
-            setRoomImageSuccesses(prev => ({ ...prev, [roomId]: `Image generated successfully!${providerResult}` }));
+            setRoomImageSuccesses(prev => ({ ...prev, [roomId]: `Image generated successfully!${providerResult}${storedImageSummary(data)}` }));
             
         } catch (err) {
             console.error('Failed to generate room image:', err);
@@ -2810,17 +2818,26 @@ export default function ArkyvAdminPanel() {
                 throw new Error('Room images must be no larger than 4096×4096 pixels.');
             }
 
+            // The server resizes and re-encodes it before it is stored.
+            const response = await fetch('/api/arkyv/process-image', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ kind: 'room', dataUrl }),
+            });
+            const processed = await response.json();
+            if (!response.ok) throw new Error(processed.message || processed.error || 'Failed to process image');
+
             const { error: imageUpdateError } = await spacetime
                 .from('rooms')
-                .update({ image_url: dataUrl })
+                .update({ image_url: processed.imageUrl })
                 .eq('id', roomId);
             if (imageUpdateError) throw imageUpdateError;
 
-            setActiveRoom(prev => prev?.id === roomId ? { ...prev, image_url: dataUrl } : prev);
+            setActiveRoom(prev => prev?.id === roomId ? { ...prev, image_url: processed.imageUrl } : prev);
             setReloadCounter(prev => prev + 1);
             setRoomImageSuccesses(prev => ({
                 ...prev,
-                [roomId]: `Uploaded ${dimensions.width}×${dimensions.height} room image.`,
+                [roomId]: `Uploaded ${dimensions.width}×${dimensions.height} room image, stored at ${processed.width}×${processed.height}.${storedImageSummary(processed)}`,
             }));
         } catch (err) {
             console.error('Failed to upload room image:', err);
@@ -2946,7 +2963,7 @@ export default function ArkyvAdminPanel() {
                 : data.creditsRemaining !== null && data.creditsRemaining !== undefined && Number.isFinite(Number(data.creditsRemaining))
                     ? ` Credits remaining: ${data.creditsRemaining}.`
                     : '';
-            setNpcPortraitSuccesses(prev => ({ ...prev, [npcId]: `Portrait generated successfully!${providerResult}` }));
+            setNpcPortraitSuccesses(prev => ({ ...prev, [npcId]: `Portrait generated successfully!${providerResult}${storedImageSummary(data)}` }));
             
         } catch (err) {
             console.error('Failed to generate NPC portrait:', err);
@@ -3042,7 +3059,7 @@ export default function ArkyvAdminPanel() {
         try {
             setIsGeneratingColors(mode);
             
-            const response = await fetch('/api/arkyv/generate-colors', {
+            const response = await fetchSuggestion('/api/arkyv/generate-colors', {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
                 body: JSON.stringify({
@@ -3084,7 +3101,7 @@ export default function ArkyvAdminPanel() {
             
             if (regionsError) throw regionsError;
             
-            const response = await fetch('/api/arkyv/generate-region-name', {
+            const response = await fetchSuggestion('/api/arkyv/generate-region-name', {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
                 body: JSON.stringify({
@@ -3113,7 +3130,7 @@ export default function ArkyvAdminPanel() {
         try {
             setIsGeneratingDescription(mode);
             
-            const response = await fetch('/api/arkyv/generate-region-description', {
+            const response = await fetchSuggestion('/api/arkyv/generate-region-description', {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
                 body: JSON.stringify({
@@ -3151,7 +3168,7 @@ export default function ArkyvAdminPanel() {
             
             if (regionsError) throw regionsError;
             
-            const response = await fetch('/api/arkyv/suggest-region-description', {
+            const response = await fetchSuggestion('/api/arkyv/suggest-region-description', {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
                 body: JSON.stringify({
@@ -3288,7 +3305,7 @@ export default function ArkyvAdminPanel() {
         try {
             setIsGeneratingColors(mode);
             
-            const response = await fetch('/api/arkyv/generate-colors', {
+            const response = await fetchSuggestion('/api/arkyv/generate-colors', {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
                 body: JSON.stringify({
@@ -3324,7 +3341,7 @@ export default function ArkyvAdminPanel() {
         try {
             setIsGeneratingDescription(mode);
             
-            const response = await fetch('/api/arkyv/generate-region-description', {
+            const response = await fetchSuggestion('/api/arkyv/generate-region-description', {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
                 body: JSON.stringify({
@@ -3363,7 +3380,7 @@ export default function ArkyvAdminPanel() {
             
             if (regionsError) throw regionsError;
             
-            const response = await fetch('/api/arkyv/suggest-region-description', {
+            const response = await fetchSuggestion('/api/arkyv/suggest-region-description', {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
                 body: JSON.stringify({
@@ -3664,7 +3681,7 @@ export default function ArkyvAdminPanel() {
             const regionKey = roomData?.region_name || 'Unknown';
             const regionData = regionsData.find(r => normalizeRegionKey(r.name) === normalizeRegionKey(regionKey));
 
-            const response = await fetch('/api/arkyv/suggest-npc-name', {
+            const response = await fetchSuggestion('/api/arkyv/suggest-npc-name', {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
                 body: JSON.stringify({
@@ -3701,7 +3718,7 @@ export default function ArkyvAdminPanel() {
             const regionKey = roomData?.region_name || 'Unknown';
             const regionData = regionsData.find(r => normalizeRegionKey(r.name) === normalizeRegionKey(regionKey));
 
-            const response = await fetch('/api/arkyv/suggest-npc-description', {
+            const response = await fetchSuggestion('/api/arkyv/suggest-npc-description', {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
                 body: JSON.stringify({
@@ -3736,7 +3753,7 @@ export default function ArkyvAdminPanel() {
             const regionKey = roomData?.region_name || 'Unknown';
             const regionData = regionsData.find(r => normalizeRegionKey(r.name) === normalizeRegionKey(regionKey));
 
-            const response = await fetch('/api/arkyv/suggest-npc-description', {
+            const response = await fetchSuggestion('/api/arkyv/suggest-npc-description', {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
                 body: JSON.stringify({
@@ -3771,7 +3788,7 @@ export default function ArkyvAdminPanel() {
             const regionKey = roomData?.region_name || 'Unknown';
             const regionData = regionsData.find(r => normalizeRegionKey(r.name) === normalizeRegionKey(regionKey));
 
-            const response = await fetch('/api/arkyv/suggest-npc-personality', {
+            const response = await fetchSuggestion('/api/arkyv/suggest-npc-personality', {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
                 body: JSON.stringify({
@@ -3807,7 +3824,7 @@ export default function ArkyvAdminPanel() {
             const regionKey = roomData?.region_name || 'Unknown';
             const regionData = regionsData.find(r => normalizeRegionKey(r.name) === normalizeRegionKey(regionKey));
 
-            const response = await fetch('/api/arkyv/suggest-npc-personality', {
+            const response = await fetchSuggestion('/api/arkyv/suggest-npc-personality', {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
                 body: JSON.stringify({
@@ -3845,7 +3862,7 @@ export default function ArkyvAdminPanel() {
             const regionKey = roomData?.region_name || 'Unknown';
             const regionData = regionsData.find(r => normalizeRegionKey(r.name) === normalizeRegionKey(regionKey));
 
-            const response = await fetch('/api/arkyv/suggest-npc-name', {
+            const response = await fetchSuggestion('/api/arkyv/suggest-npc-name', {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
                 body: JSON.stringify({
@@ -3880,7 +3897,7 @@ export default function ArkyvAdminPanel() {
             const regionKey = roomData?.region_name || 'Unknown';
             const regionData = regionsData.find(r => normalizeRegionKey(r.name) === normalizeRegionKey(regionKey));
 
-            const response = await fetch('/api/arkyv/suggest-npc-description', {
+            const response = await fetchSuggestion('/api/arkyv/suggest-npc-description', {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
                 body: JSON.stringify({
@@ -3916,7 +3933,7 @@ export default function ArkyvAdminPanel() {
             const regionKey = roomData?.region_name || 'Unknown';
             const regionData = regionsData.find(r => normalizeRegionKey(r.name) === normalizeRegionKey(regionKey));
 
-            const response = await fetch('/api/arkyv/suggest-npc-description', {
+            const response = await fetchSuggestion('/api/arkyv/suggest-npc-description', {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
                 body: JSON.stringify({
@@ -3952,7 +3969,7 @@ export default function ArkyvAdminPanel() {
             const regionKey = roomData?.region_name || 'Unknown';
             const regionData = regionsData.find(r => normalizeRegionKey(r.name) === normalizeRegionKey(regionKey));
 
-            const response = await fetch('/api/arkyv/suggest-npc-personality', {
+            const response = await fetchSuggestion('/api/arkyv/suggest-npc-personality', {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
                 body: JSON.stringify({
@@ -3993,7 +4010,7 @@ export default function ArkyvAdminPanel() {
             const regionKey = roomData?.region_name || 'Unknown';
             const regionData = regionsData.find(r => normalizeRegionKey(r.name) === normalizeRegionKey(regionKey));
 
-            const response = await fetch('/api/arkyv/suggest-npc-personality', {
+            const response = await fetchSuggestion('/api/arkyv/suggest-npc-personality', {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
                 body: JSON.stringify({
@@ -5399,7 +5416,7 @@ export default function ArkyvAdminPanel() {
                                                 onClick={async () => {
                                                     try {
                                                         setIsGeneratingRegionName(true);
-                                                        const response = await fetch('/api/arkyv/generate-region-name', {
+                                                        const response = await fetchSuggestion('/api/arkyv/generate-region-name', {
                                                             method: 'POST',
                                                             headers: { 'Content-Type': 'application/json' },
                                                             body: JSON.stringify({
@@ -5893,7 +5910,7 @@ export default function ArkyvAdminPanel() {
                                                 </>
                                             ) : (
                                                 <>
-                                                    🎨 {activeRoom?.image_url ? 'Regenerate Image' : 'Generate Image'} {imageProviderInfo?.provider === 'local' ? '(Local)' : rdCredits !== null ? `(2 Credits / ${rdCredits} Left)` : imageProviderInfo?.provider === 'retrodiffusion' ? '(2 Credits)' : ''}
+                                                    🎨 {activeRoom?.image_url ? 'Regenerate Image' : 'Generate Image'} {imageProviderInfo?.provider === 'local' ? '(Local)' : imageProviderInfo?.provider === 'comfyui' ? '(ComfyUI)' : rdCredits !== null ? `(2 Credits / ${rdCredits} Left)` : imageProviderInfo?.provider === 'retrodiffusion' ? '(2 Credits)' : ''}
                                                 </>
                                             )}
                                         </button>
@@ -6403,7 +6420,7 @@ export default function ArkyvAdminPanel() {
                                                 </>
                                             ) : (
                                                 <>
-                                                    🎨 {activeNpc?.portrait_url ? 'Regenerate Portrait' : 'Generate Portrait'} {imageProviderInfo?.provider === 'local' ? '(Local)' : rdCredits !== null ? `(2 Credits / ${rdCredits} Left)` : imageProviderInfo?.provider === 'retrodiffusion' ? '(2 Credits)' : ''}
+                                                    🎨 {activeNpc?.portrait_url ? 'Regenerate Portrait' : 'Generate Portrait'} {imageProviderInfo?.provider === 'local' ? '(Local)' : imageProviderInfo?.provider === 'comfyui' ? '(ComfyUI)' : rdCredits !== null ? `(2 Credits / ${rdCredits} Left)` : imageProviderInfo?.provider === 'retrodiffusion' ? '(2 Credits)' : ''}
                                                 </>
                                             )}
                                         </button>
@@ -6621,8 +6638,13 @@ export default function ArkyvAdminPanel() {
                                     npcId={editNpc.id}
                                     npcName={editNpc.name}
                                     npcAlias={editNpc.alias}
+                                    dialogueMode={editNpc.dialogue_tree?.dialogue_mode}
+                                    onDialogueModeChange={(mode) => updateNpcField('dialogue_tree', { ...(editNpc.dialogue_tree ?? {}), dialogue_mode: mode })}
                                 />
 
+                                <NpcAiActionsEditor npcId={editNpc.id} npcName={editNpc.name} />
+                                <NpcMemoryEditor npcId={editNpc.id} npcName={editNpc.name} />
+
                                 <label className="flex flex-col gap-2 text-xs uppercase tracking-[0.25em] text-slate-400 md:col-span-2">
                                     <span className="flex items-center justify-between">
                                         <span className="flex items-center gap-2">
@@ -7444,7 +7466,7 @@ export default function ArkyvAdminPanel() {
                                                 # CUSTOM_AI_MODEL=provider-model-name<br />
                                                 # CUSTOM_AI_API_KEY=<br />
                                                 <br />
-                                                # Image provider: retrodiffusion or local<br />
+                                                # Image provider: retrodiffusion, local, or comfyui<br />
                                                 IMAGE_PROVIDER=local<br />
                                                 LOCAL_IMAGE_BASE_URL=http://127.0.0.1:7860<br />
                                                 # LOCAL_IMAGE_MODEL=checkpoint-name.safetensors<br />
@@ -7472,6 +7494,9 @@ export default function ArkyvAdminPanel() {
                                         <div>
                                             <p><strong className="text-purple-300">Local Images:</strong> Set <code className="text-xs bg-slate-900 px-1.5 py-0.5 rounded">IMAGE_PROVIDER=local</code> and start Stable Diffusion WebUI or Forge with <code className="text-xs bg-slate-900 px-1.5 py-0.5 rounded">--api</code>. The optional model setting selects a checkpoint for each request.</p>
                                         </div>
+                                        <div>
+                                            <p><strong className="text-purple-300">ComfyUI:</strong> Set <code className="text-xs bg-slate-900 px-1.5 py-0.5 rounded">IMAGE_PROVIDER=comfyui</code> and point <code className="text-xs bg-slate-900 px-1.5 py-0.5 rounded">COMFYUI_WORKFLOW</code> at a workflow exported with Export (API). Title its nodes Arkyv Prompt, Arkyv Size, and Arkyv Seed so each request can fill them in.</p>
+                                        </div>
                                         <div>
                                             <p><strong className="text-purple-300">RetroDiffusion API Key:</strong> Set <code className="text-xs bg-slate-900 px-1.5 py-0.5 rounded">IMAGE_PROVIDER=retrodiffusion</code> and provide a key from <a href="https://retrodiffusion.ai" target="_blank" rel="noopener noreferrer" className="text-cyan-400 hover:text-cyan-300 underline">retrodiffusion.ai</a> when using the hosted image provider.</p>
                                         </div>
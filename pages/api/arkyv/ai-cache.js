@@ -0,0 +1,22 @@
+import { clearAICache, getAICacheStats } from '@/lib/aiCache';
+import { callerHasPermission } from '@/lib/spacetimeHttp';
+
+export default async function handler(req, res) {
+    if (req.method !== 'GET' && req.method !== 'DELETE') {
+        return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    try {
+        if (!(await callerHasPermission(req, 'world.manage'))) {
+            return res.status(403).json({ error: 'Your admin role does not grant `world.manage`.' });
+        }
+        if (req.method === 'DELETE') {
+            const removed = await clearAICache();
+            return res.status(200).json({ removed, ...(await getAICacheStats()) });
+        }
+        return res.status(200).json(await getAICacheStats());
+    } catch (error) {
+        console.error('Error reading the AI response cache:', error);
+        return res.status(500).json({ error: 'Unable to read the AI response cache.', message: error.message });
+    }
+}
@@ -1,4 +1,5 @@
 import { getAgentAIStatus } from '@/lib/aiProvider';
+import { aiUsageRecorder } from '@/lib/aiUsage';
 import { runArchieAgent } from '@/lib/archieAgent';
 
 export const config = {
@@ -67,6 +68,7 @@ export default async function handler(req, res) {
       history: req.body?.history,
       emit,
       signal: controller.signal,
+      onUsage: aiUsageRecorder(req),
     });
     emit({ type: 'final', ...result });
   } catch (error) {
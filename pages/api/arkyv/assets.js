@@ -0,0 +1,125 @@
+import { getAssetStoreStats, removeUnreferencedAssets, storeDataUrlAsset } from '@/lib/assetStore';
+import { isAssetId, referencedAssetIds } from '@/lib/assetUrls';
+import { imageProviderErrorResponse } from '@/lib/imageProvider';
+import { callSpacetimeReducer, callerHasPermission, querySpacetimeRows } from '@/lib/spacetimeHttp';
+
+// World imports send their images in batches of a few megabytes.
+export const config = {
+    api: {
+        bodyParser: {
+            sizeLimit: '8mb',
+        },
+    },
+};
+
+// The columns that hold images, by SQL table and by the table name the
+// update_rows reducer expects.
+const IMAGE_COLUMNS = [
+    { table: 'room', rowsTable: 'rooms', column: 'image_url' },
+    { table: 'npc', rowsTable: 'npcs', column: 'portrait_url' },
+    { table: 'object_definition', rowsTable: 'object_definitions', column: 'image_url' },
+];
+
+// Optional columns arrive as `{ some: value }` or `{ none: [] }`.
+const optionalText = (value) => (typeof value === 'string' ? value : typeof value?.some === 'string' ? value.some : null);
+
+// Everything that may point at an asset: the image columns, art style
+// reference images, and the world snapshots, which can be restored later. Any
+// failed query aborts, so assets are never collected from a partial picture.
+// The snapshot view is empty for callers without `world.manage`, so they are
+// refused rather than read as having no snapshots. Also counts the images
+// still stored inline.
+async function collectReferences(req) {
+    if (!(await callerHasPermission(req, 'world.manage'))) throw new Error('Managing image assets requires `world.manage`.');
+    const referenced = new Set();
+    let inlineImages = 0;
+    const queries = [
+        ...IMAGE_COLUMNS.map(({ table, column }) => ({ sql: `SELECT ${column} FROM ${table}`, column })),
+        { sql: 'SELECT style_json FROM art_style' },
+        { sql: 'SELECT content_json FROM admin_world_snapshots' },
+    ];
+    for (const { sql, column } of queries) {
+        const rows = await querySpacetimeRows(req, sql);
+        if (!rows) throw new Error('A saved-world identity is required.');
+        for (const id of referencedAssetIds(rows)) referenced.add(id);
+        if (column) inlineImages += rows.filter((row) => optionalText(row[column])?.startsWith('data:')).length;
+    }
+    return { referenced, inlineImages };
+}
+
+async function storeStatus(req) {
+    const { referenced, inlineImages } = await collectReferences(req);
+    return { ...(await getAssetStoreStats(referenced)), inlineImages };
+}
+
+// Moves inline data URLs into the store and points their rows at the asset.
+// A row whose image cannot be stored keeps its data URL and is reported.
+async function migrateInlineImages(req) {
+    const result = { migrated: 0, inlineBytes: 0, failed: [] };
+    for (const { table, rowsTable, column } of IMAGE_COLUMNS) {
+        const rows = await querySpacetimeRows(req, `SELECT id, ${column} FROM ${table}`);
+        if (!rows) throw new Error('A saved-world identity is required.');
+        for (const row of rows) {
+            const value = optionalText(row[column]);
+            if (!value?.startsWith('data:')) continue;
+            try {
+                const asset = await storeDataUrlAsset(value);
+                await callSpacetimeReducer(req, 'update_rows', [rowsTable, JSON.stringify([row.id]), JSON.stringify({ [column]: asset.url })]);
+                result.migrated += 1;
+                result.inlineBytes += value.length;
+            } catch (error) {
+                result.failed.push({ table: rowsTable, id: row.id, error: error.message });
+            }
+        }
+    }
+    return result;
+}
+
+// Stores images carried by a world bundle. The bundle names each image by
+// its asset id, and the bytes must hash to that id.
+async function storeBundleAssets(assets) {
+    const stored = [];
+    for (const [id, dataUrl] of Object.entries(assets)) {
+        if (!isAssetId(id)) return { error: `"${id}" is not an asset id.` };
+        const asset = await storeDataUrlAsset(dataUrl);
+        if (asset.id !== id) return { error: `The image for ${id} does not match its id.` };
+        stored.push(asset);
+    }
+    return { stored: stored.length, created: stored.filter((asset) => asset.created).length };
+}
+
+export default async function handler(req, res) {
+    if (!['GET', 'POST', 'DELETE'].includes(req.method)) {
+        return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    try {
+        if (!(await callerHasPermission(req, 'world.manage'))) {
+            return res.status(403).json({ error: 'Your admin role does not grant `world.manage`.' });
+        }
+        if (req.method === 'GET') {
+            return res.status(200).json(await storeStatus(req));
+        }
+        if (req.method === 'DELETE') {
+            const { referenced } = await collectReferences(req);
+            const removed = await removeUnreferencedAssets(referenced);
+            return res.status(200).json({ ...removed, ...(await storeStatus(req)) });
+        }
+        if (req.body?.action === 'migrate') {
+            const migration = await migrateInlineImages(req);
+            return res.status(200).json({ ...migration, ...(await storeStatus(req)) });
+        }
+
+        const assets = req.body?.assets;
+        if (!assets || typeof assets !== 'object' || Array.isArray(assets)) {
+            return res.status(400).json({ error: 'Send `assets` as an object of asset ids to image data URLs, or `action: "migrate"`.' });
+        }
+        const result = await storeBundleAssets(assets);
+        if (result.error) return res.status(400).json(result);
+        return res.status(200).json(result);
+    } catch (error) {
+        console.error('Error managing image assets:', error);
+        const response = imageProviderErrorResponse(error, 'Unable to manage image assets.');
+        return res.status(response.status).json(response.body);
+    }
+}
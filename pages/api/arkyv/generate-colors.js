@@ -1,10 +1,8 @@
-import OpenAI from 'openai';
-import { getOpenAIClientConfig, getModelForSDK } from '@/lib/aiProvider';
-
-// IMPORTANT! Set the runtime to edge for smaller bundle size
-export const runtime = 'edge';
-
-const openai = new OpenAI(getOpenAIClientConfig());
+import { z } from 'zod';
+import { aiErrorResponse, createStructuredCompletion } from '@/lib/aiProvider';
+import { loadPromptTemplate, renderPromptMessages } from '@/lib/promptTemplates';
+import { suggestionCache } from '@/lib/aiCache';
+import { aiUsageRecorder } from '@/lib/aiUsage';
 
 // Cyberpunk color palette
 const cyberpunkColors = [
@@ -22,6 +20,16 @@ const cyberpunkColors = [
     '#34d399', // emerald
 ];
 
+const hexColor = z.string().regex(/^#[0-9a-fA-F]{6}$/, 'Use a six-digit hex colour such as #38bdf8');
+
+const colorSchemeSchema = z.object({
+    borderColor: hexColor.describe('Vibrant border colour'),
+    fontColor: hexColor.describe('Light text colour with high contrast on dark slate'),
+    accent: z.string()
+        .regex(/^rgba\(\s*\d{1,3}\s*,\s*\d{1,3}\s*,\s*\d{1,3}\s*,\s*(0|1|0?\.\d+)\s*\)$/, 'Use rgba(r, g, b, 0.14)')
+        .describe('The border colour as rgba with 0.14 opacity'),
+});
+
 function generateRandomCyberpunkColor() {
     return cyberpunkColors[Math.floor(Math.random() * cyberpunkColors.length)];
 }
@@ -50,16 +58,14 @@ function lightenColor(hex, percent = 40) {
     return rgbToHex(r, g, b);
 }
 
-export default async function handler(req) {
+export default async function handler(req, res) {
     if (req.method !== 'POST') {
-        return new Response(JSON.stringify({ error: 'Method not allowed' }), {
-            status: 405,
-            headers: { 'Content-Type': 'application/json' }
-        });
+        return res.status(405).json({ error: 'Method not allowed' });
     }
 
     try {
-        const { mode, baseColor, regionName, regionDescription } = await req.json();
+        const body = req.body || {};
+        const { mode } = body;
 
         if (mode === 'random') {
             // Generate truly random cyberpunk colors
@@ -68,105 +74,49 @@ export default async function handler(req) {
             const rgb = hexToRgb(borderColor);
             const accent = rgb ? `rgba(${rgb.r}, ${rgb.g}, ${rgb.b}, 0.14)` : 'rgba(56, 189, 248, 0.14)';
             
-            return new Response(JSON.stringify({
+            return res.status(200).json({
                 borderColor,
                 fontColor,
                 accent
-            }), {
-                status: 200,
-                headers: { 'Content-Type': 'application/json' }
             });
         } else if (mode === 'suggest') {
             // AI suggest mode - analyze region to suggest colors
-            const nameContext = regionName ? `Region Name: ${regionName}\n` : '';
-            const descContext = regionDescription ? `Region Description: ${regionDescription}\n` : '';
-            
-            const prompt = `${nameContext}${descContext}
-Based on this region's theme, character, and atmosphere, suggest an appropriate color scheme.
-
-Return a JSON object with:
-- borderColor: a vibrant hex color that matches the region's mood and theme
-- fontColor: a light complementary hex color suitable for text (high contrast)
-- accent: an rgba version of the border color with 0.14 opacity for backgrounds
-
-Consider the region's atmosphere and pick colors that evoke the right feeling. Use cyberpunk/neon aesthetics (blues, pinks, purples, oranges, greens, cyans, etc.).`;
-
-            const completion = await openai.chat.completions.create({
-                model: getModelForSDK('fast'),
-                messages: [
-                    {
-                        role: 'system',
-                        content: 'You are a color theory expert specializing in cyberpunk aesthetics. You analyze themes and atmospheres to suggest appropriate color schemes. You always return valid JSON.'
-                    },
-                    {
-                        role: 'user',
-                        content: prompt
-                    }
-                ],
+            const prompt = await loadPromptTemplate(req, 'generate-colors');
+            const result = await createStructuredCompletion({
+                task: 'generate-colors',
+                onUsage: aiUsageRecorder(req),
+                cache: suggestionCache(req),
+                schema: colorSchemeSchema,
+                schemaName: 'color_scheme',
+                modelType: 'fast',
+                messages: renderPromptMessages(prompt, body),
                 temperature: 0.7,
-                max_tokens: 300,
-                response_format: { type: 'json_object' }
+                maxTokens: 300
             });
 
-            const result = JSON.parse(completion.choices[0].message.content);
-
-            return new Response(JSON.stringify({
-                borderColor: result.borderColor || '#38bdf8',
-                fontColor: result.fontColor || '#e0f2fe',
-                accent: result.accent || 'rgba(56, 189, 248, 0.14)'
-            }), {
-                status: 200,
-                headers: { 'Content-Type': 'application/json' }
-            });
+            return res.status(200).json(result);
         } else {
             // complementary mode - use AI for color theory
-            const prompt = `Given this base color: ${baseColor}
-            
-            Generate complementary colors for a cyberpunk game region color scheme.
-            
-            Return a JSON object with:
-            - borderColor: keep this as ${baseColor} or a slightly adjusted vibrant version
-            - fontColor: a light complementary color with high contrast against dark backgrounds (hex format)
-            - accent: an rgba version of the borderColor with 0.14 opacity for subtle backgrounds
-            
-            Make sure the fontColor provides excellent readability on dark slate backgrounds (#1e293b).`;
-
-            const completion = await openai.chat.completions.create({
-                model: getModelForSDK('fast'),
-                messages: [
-                    {
-                        role: 'system',
-                        content: 'You are a color theory expert specializing in cyberpunk aesthetics and UI design. You always return valid JSON.'
-                    },
-                    {
-                        role: 'user',
-                        content: prompt
-                    }
-                ],
+            const prompt = await loadPromptTemplate(req, 'generate-colors-complementary');
+            const result = await createStructuredCompletion({
+                task: 'generate-colors',
+                onUsage: aiUsageRecorder(req),
+                cache: suggestionCache(req),
+                schema: colorSchemeSchema,
+                schemaName: 'color_scheme',
+                modelType: 'fast',
+                messages: renderPromptMessages(prompt, body),
                 temperature: 0.9,
-                max_tokens: 300,
-                response_format: { type: 'json_object' }
+                maxTokens: 300
             });
 
-            const result = JSON.parse(completion.choices[0].message.content);
-
-            // Validate and return
-            return new Response(JSON.stringify({
-                borderColor: result.borderColor || '#38bdf8',
-                fontColor: result.fontColor || '#e0f2fe',
-                accent: result.accent || 'rgba(56, 189, 248, 0.14)'
-            }), {
-                status: 200,
-                headers: { 'Content-Type': 'application/json' }
-            });
+            return res.status(200).json(result);
         }
 
     } catch (error) {
         console.error('Color generation error:', error);
-        return new Response(JSON.stringify({ error: 'Failed to generate colors' }), {
-            status: 500,
-            headers: { 'Content-Type': 'application/json' }
-        });
+        const response = aiErrorResponse(error, 'Failed to generate colors');
+        return res.status(response.status).json(response.body);
     }
 }
 
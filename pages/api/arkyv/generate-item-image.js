@@ -1,4 +1,8 @@
 import { generateImage, imageProviderErrorResponse } from '@/lib/imageProvider';
+import { aiUsageRecorder } from '@/lib/aiUsage';
+import { processImage } from '@/lib/imagePipeline';
+import { readAssetDataUrl, storeDataUrlAsset } from '@/lib/assetStore';
+import { loadArtStyle } from '@/lib/artStyles';
 
 const ITEM_IMAGE_SIZE = 128;
 
@@ -9,6 +13,10 @@ export default async function handler(req, res) {
         return res.status(405).json({ error: 'Method not allowed' });
     }
 
+    // Item definitions have no region; the editor names the one the item is
+    // generated for, such as the batch's region.
+    const itemId = clean(req.body?.itemId, 120);
+    const regionName = clean(req.body?.regionName, 120);
     const name = clean(req.body?.name, 80);
     const description = clean(req.body?.description, 800);
     const primitiveKind = clean(req.body?.primitiveKind, 40) || 'item';
@@ -28,17 +36,27 @@ export default async function handler(req, res) {
     ].filter(Boolean).join(' ');
 
     try {
+        const { style, seed } = await loadArtStyle(req, { kind: 'item', id: itemId, region: regionName });
         const generated = await generateImage({
+            onUsage: aiUsageRecorder(req),
             prompt,
             width: ITEM_IMAGE_SIZE,
             height: ITEM_IMAGE_SIZE,
+            seed,
+            style,
+            referenceImage: await readAssetDataUrl(style.referenceImage),
         });
+        const image = await processImage(generated.imageUrl, 'item');
+        const asset = await storeDataUrlAsset(image.dataUrl);
 
         return res.status(200).json({
             success: true,
-            imageUrl: generated.imageUrl,
-            width: ITEM_IMAGE_SIZE,
-            height: ITEM_IMAGE_SIZE,
+            imageUrl: asset.url,
+            width: image.width,
+            height: image.height,
+            imageBytes: image.bytes,
+            savedBytes: image.savedBytes,
+            seed: generated.seed ?? seed,
             provider: generated.provider,
             providerLabel: generated.providerLabel,
             creditsRemaining: generated.creditsRemaining,
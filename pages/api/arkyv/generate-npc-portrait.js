@@ -1,20 +1,19 @@
 import { createChatCompletion } from '@/lib/aiProvider';
 import { generateImage, imageProviderErrorResponse } from '@/lib/imageProvider';
+import { loadPromptTemplate, renderPromptMessages } from '@/lib/promptTemplates';
+import { aiUsageRecorder } from '@/lib/aiUsage';
+import { processImage } from '@/lib/imagePipeline';
+import { readAssetDataUrl, storeDataUrlAsset } from '@/lib/assetStore';
+import { loadArtStyle } from '@/lib/artStyles';
 
 // Helper function to classify entity type using AI
-async function classifyEntityType(description) {
+async function classifyEntityType(req, description) {
     try {
+        const prompt = await loadPromptTemplate(req, 'classify-npc-portrait');
         const aiData = await createChatCompletion({
-            messages: [
-                {
-                    role: 'system',
-                    content: 'You are a classifier. Analyze the description and determine if this entity is humanoid (has a face, head, human-like form) or non-humanoid (object, machine, abstract entity, animal, etc.). Respond with ONLY one word: "humanoid" or "non-humanoid".'
-                },
-                {
-                    role: 'user',
-                    content: description
-                }
-            ],
+            task: 'classify-npc-portrait',
+            onUsage: aiUsageRecorder(req),
+            messages: renderPromptMessages(prompt, { npcDescription: description }),
             modelType: 'fast',
             maxTokens: 10,
             temperature: 0
@@ -46,7 +45,7 @@ export default async function handler(req, res) {
         console.log('Generating portrait for NPC:', npcName);
         
         // First, classify the entity type using AI
-        const entityType = await classifyEntityType(npcDescription);
+        const entityType = await classifyEntityType(req, npcDescription);
         console.log('Entity classified as:', entityType);
         
         // Build an enhanced prompt based on entity type
@@ -72,15 +71,25 @@ export default async function handler(req, res) {
         
         console.log('Portrait prompt:', portraitPrompt);
         
+        const { style, seed } = await loadArtStyle(req, { kind: 'npc', id: npcId });
         const generated = await generateImage({
+            onUsage: aiUsageRecorder(req),
             prompt: portraitPrompt,
             width: 256,
             height: 256,
+            seed,
+            style,
+            referenceImage: await readAssetDataUrl(style.referenceImage),
         });
+        const image = await processImage(generated.imageUrl, 'portrait');
+        const asset = await storeDataUrlAsset(image.dataUrl);
 
         return res.status(200).json({ 
             success: true,
-            portraitUrl: generated.imageUrl,
+            portraitUrl: asset.url,
+            imageBytes: image.bytes,
+            savedBytes: image.savedBytes,
+            seed: generated.seed ?? seed,
             provider: generated.provider,
             providerLabel: generated.providerLabel,
             creditsRemaining: generated.creditsRemaining,
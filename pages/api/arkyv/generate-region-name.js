@@ -1,7 +1,12 @@
-import OpenAI from 'openai';
-import { getOpenAIClientConfig, getModelForSDK } from '@/lib/aiProvider';
+import { z } from 'zod';
+import { aiErrorResponse, createStructuredCompletion } from '@/lib/aiProvider';
+import { loadPromptTemplate, renderPromptMessages } from '@/lib/promptTemplates';
+import { suggestionCache } from '@/lib/aiCache';
+import { aiUsageRecorder } from '@/lib/aiUsage';
 
-const openai = new OpenAI(getOpenAIClientConfig());
+const regionNameSchema = z.object({
+    name: z.string().trim().min(1),
+});
 
 export default async function handler(req, res) {
     if (req.method !== 'POST') {
@@ -11,64 +16,28 @@ export default async function handler(req, res) {
     try {
         const { existingRegions } = req.body;
 
-        const prompt = existingRegions && existingRegions.length > 0
-            ? `**Existing Region Names:**
-${existingRegions.map(r => r.display_name || r.name).join(', ')}
+        const prompt = await loadPromptTemplate(req, existingRegions && existingRegions.length > 0 ? 'generate-region-name' : 'generate-region-name-first');
 
-**Task:** Generate a NEW, UNIQUE region name that matches the style and aesthetic of the existing regions.
-
-**Requirements:**
-- 2-4 words maximum (under 50 characters)
-- Match the tone and naming style of existing regions
-- Must be COMPLETELY DIFFERENT from all existing regions
-- Evocative, memorable, and atmospheric
-- Use concrete nouns (places, things, phenomena) not abstract concepts
-- Avoid generic names (Downtown, City Center, Main Street, etc.)
-
-**Style Examples:**
-✅ GOOD: "Neon Spine", "Baltic Squirrel", "Night Cafe", "Vaults of Zephyr"
-❌ BAD: "Happy District", "Main Plaza", "Tech Zone", "Digital Area"
-
-Return ONLY valid JSON: {"name": "Region Name"}`
-            : `**Task:** Generate a unique, evocative region name.
-
-**Requirements:**
-- 2-4 words maximum (under 50 characters)
-- Evocative, memorable, and atmospheric
-- Use concrete nouns (places, things, phenomena) not abstract concepts
-- Avoid generic names (Downtown, City Center, Main Street, etc.)
-
-**Style Examples:**
-✅ GOOD: "Neon Spine", "Baltic Squirrel", "Crimson Hollow", "Vaults of Zephyr"
-❌ BAD: "Happy District", "Main Plaza", "Tech Zone", "Digital Area"
-
-Return ONLY valid JSON: {"name": "Region Name"}`;
-
-        const completion = await openai.chat.completions.create({
-            model: getModelForSDK('fast'),
-            messages: [
-                {
-                    role: 'system',
-                    content: 'You are a creative game writer specializing in evocative, concrete location names. You use specific nouns and avoid generic or abstract names. You always return valid JSON.'
-                },
-                {
-                    role: 'user',
-                    content: prompt
-                }
-            ],
+        const result = await createStructuredCompletion({
+            task: 'generate-region-name',
+            onUsage: aiUsageRecorder(req),
+            cache: suggestionCache(req),
+            schema: regionNameSchema,
+            schemaName: 'region_name',
+            modelType: 'fast',
+            messages: renderPromptMessages(prompt, req.body),
             temperature: 0.9,
-            max_tokens: 100,
-            response_format: { type: 'json_object' }
+            maxTokens: 100
         });
 
-        const result = JSON.parse(completion.choices[0].message.content);
-        const name = result.name?.substring(0, 100) || 'New Region';
+        const name = result.name.substring(0, 100);
 
         return res.status(200).json({ name });
 
     } catch (error) {
         console.error('Region name generation error:', error);
-        return res.status(500).json({ error: 'Failed to generate region name' });
+        const response = aiErrorResponse(error, 'Failed to generate region name');
+        return res.status(response.status).json(response.body);
     }
 }
 
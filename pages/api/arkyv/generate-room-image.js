@@ -1,4 +1,8 @@
 import { generateImage, imageProviderErrorResponse } from '@/lib/imageProvider';
+import { aiUsageRecorder } from '@/lib/aiUsage';
+import { processImage } from '@/lib/imagePipeline';
+import { readAssetDataUrl, storeDataUrlAsset } from '@/lib/assetStore';
+import { loadArtStyle } from '@/lib/artStyles';
 
 export default async function handler(req, res) {
     if (req.method !== 'POST') {
@@ -21,17 +25,29 @@ export default async function handler(req, res) {
             console.log('Including region description in prompt');
         }
         
+        // The region's art style, with this room's override on top.
+        const { style, seed } = await loadArtStyle(req, { kind: 'room', id: roomId });
+
         // Keep the existing compact 16:9 output used by the room UI and
         // replicated database, regardless of the configured provider.
         const generated = await generateImage({
+            onUsage: aiUsageRecorder(req),
             prompt: fullPrompt,
             width: 384,
             height: 216,
+            seed,
+            style,
+            referenceImage: await readAssetDataUrl(style.referenceImage),
         });
+        const image = await processImage(generated.imageUrl, 'room');
+        const asset = await storeDataUrlAsset(image.dataUrl);
 
         return res.status(200).json({ 
             success: true,
-            imageUrl: generated.imageUrl,
+            imageUrl: asset.url,
+            imageBytes: image.bytes,
+            savedBytes: image.savedBytes,
+            seed: generated.seed ?? seed,
             provider: generated.provider,
             providerLabel: generated.providerLabel,
             creditsRemaining: generated.creditsRemaining,
@@ -0,0 +1,61 @@
+import { existsSync, readFileSync, writeFileSync } from 'node:fs';
+import path from 'node:path';
+import { getLocalModelStatus, setLocalModels } from '@/lib/aiProvider';
+import { LOCAL_MODEL_ROLES } from '@/lib/localModelServers';
+
+const ENV_KEYS = { fast: 'LOCAL_AI_FAST_MODEL', smart: 'LOCAL_AI_SMART_MODEL', vision: 'LOCAL_AI_VISION_MODEL' };
+
+// Rewrites the keys in place, like `npm run setup:local`. Hosted deployments
+// without a .env.local keep the choice until the server restarts.
+function saveToEnvFile(updates) {
+    const envPath = path.join(process.cwd(), '.env.local');
+    if (!existsSync(envPath)) return false;
+    const pending = new Map(Object.entries(updates));
+    const lines = readFileSync(envPath, 'utf8').split(/\r?\n/).map((line) => {
+        const key = line.match(/^([A-Z_][A-Z0-9_]*)=/i)?.[1];
+        if (!key || !pending.has(key)) return line;
+        const value = pending.get(key);
+        pending.delete(key);
+        return `${key}=${value}`;
+    });
+    if (pending.size > 0) {
+        if (lines.at(-1) !== '') lines.push('');
+        lines.push('# Chosen under AI models in the admin panel');
+        for (const [key, value] of pending) lines.push(`${key}=${value}`);
+    }
+    writeFileSync(envPath, `${lines.join('\n').replace(/\n+$/, '')}\n`, 'utf8');
+    return true;
+}
+
+export default async function handler(req, res) {
+    if (req.method !== 'GET' && req.method !== 'POST') {
+        return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    try {
+        const status = await getLocalModelStatus();
+        if (req.method === 'GET') return res.status(200).json(status);
+
+        if (!status.reachable) {
+            return res.status(503).json({ error: 'The local model server is not reachable.', message: status.error });
+        }
+        const installed = new Set(status.models.map((model) => model.name));
+        const choices = Object.fromEntries(LOCAL_MODEL_ROLES
+            .filter((role) => typeof req.body?.[role] === 'string' && req.body[role].trim())
+            .map((role) => [role, req.body[role].trim()]));
+        const unknown = Object.values(choices).find((model) => !installed.has(model));
+        if (unknown) {
+            return res.status(400).json({ error: `The local server has no model named "${unknown}".` });
+        }
+        if (Object.keys(choices).length === 0) {
+            return res.status(400).json({ error: 'Choose a fast, smart, or vision model.' });
+        }
+
+        setLocalModels(choices);
+        const saved = saveToEnvFile(Object.fromEntries(Object.entries(choices).map(([role, model]) => [ENV_KEYS[role], model])));
+        return res.status(200).json({ ...(await getLocalModelStatus()), saved });
+    } catch (error) {
+        console.error('Error listing local models:', error);
+        return res.status(500).json({ error: 'Unable to list local models.', message: error.message });
+    }
+}
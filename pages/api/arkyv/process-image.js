@@ -0,0 +1,40 @@
+import { imageProviderErrorResponse } from '@/lib/imageProvider';
+import { IMAGE_KINDS, processImage } from '@/lib/imagePipeline';
+import { storeDataUrlAsset } from '@/lib/assetStore';
+
+// Uploads are capped at 1.5 MB in the editor, which is about 2 MB as base64.
+export const config = {
+    api: {
+        bodyParser: {
+            sizeLimit: '3mb',
+        },
+    },
+};
+
+export default async function handler(req, res) {
+    if (req.method !== 'POST') {
+        return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    const { kind, dataUrl } = req.body || {};
+    if (!IMAGE_KINDS.includes(kind) || typeof dataUrl !== 'string') {
+        return res.status(400).json({ error: `An image data URL and a kind (${IMAGE_KINDS.join(', ')}) are required.` });
+    }
+
+    try {
+        const image = await processImage(dataUrl, kind);
+        const asset = await storeDataUrlAsset(image.dataUrl);
+        return res.status(200).json({
+            imageUrl: asset.url,
+            width: image.width,
+            height: image.height,
+            imageBytes: image.bytes,
+            originalBytes: image.originalBytes,
+            savedBytes: image.savedBytes,
+        });
+    } catch (error) {
+        console.error('Error processing an uploaded image:', error);
+        const response = imageProviderErrorResponse(error, 'Unable to process the image.');
+        return res.status(response.status).json(response.body);
+    }
+}
@@ -1,7 +1,12 @@
-import OpenAI from 'openai';
-import { getOpenAIClientConfig, getModelForSDK } from '@/lib/aiProvider';
+import { z } from 'zod';
+import { aiErrorResponse, createStructuredCompletion } from '@/lib/aiProvider';
+import { loadPromptTemplate, renderPromptMessages } from '@/lib/promptTemplates';
+import { suggestionCache } from '@/lib/aiCache';
+import { aiUsageRecorder } from '@/lib/aiUsage';
 
-const openai = new OpenAI(getOpenAIClientConfig());
+const npcDescriptionSchema = z.object({
+    description: z.string().trim().min(1).describe('One sentence about how the character looks'),
+});
 
 export default async function handler(req, res) {
     if (req.method !== 'POST') {
@@ -9,107 +14,32 @@ export default async function handler(req, res) {
     }
 
     try {
-        const { 
-            npcName, 
-            npcAlias,
-            existingDescription, 
-            roomName, 
-            roomDescription, 
-            regionName, 
-            regionDescription 
-        } = req.body;
+        const { existingDescription } = req.body;
 
         // Check if we're refining existing text or generating from scratch
         const isRefining = existingDescription && existingDescription.trim().length > 0;
-
-        const prompt = isRefining
-            ? `Refine this physical description while maintaining its core details.
-
-**EXISTING DESCRIPTION (improve this):**
-${existingDescription}
-
-**NPC CONTEXT:**
-Name: ${npcName || 'Unknown'}
-${npcAlias ? `Alias: ${npcAlias}` : ''}
-
-**LOCATION CONTEXT:**
-Room: ${roomName || 'Unknown'}
-${roomDescription ? `Room Description: ${roomDescription.substring(0, 400)}` : ''}
-Region: ${regionName || 'Unknown'}
-${regionDescription ? `Region Atmosphere: ${regionDescription.substring(0, 300)}` : ''}
-
-**INSTRUCTIONS:**
-1. ONE SENTENCE ONLY - no exceptions
-2. PHYSICAL DESCRIPTION ONLY - appearance, clothing, build
-3. NO personality, no behavior, no actions, no demeanor
-4. Keep the core physical details from the existing description
-5. Make it more vivid and atmospheric
-6. Write in present tense, third person
-7. Match the tone
-8. Don't repeat the name or alias
-
-Return as JSON:
-{
-  "description": "One sentence physical description"
-}`
-            : `Generate a physical description for this NPC.
-
-**NPC DETAILS:**
-Name: ${npcName || 'Unknown'}
-${npcAlias ? `Alias: ${npcAlias}` : ''}
-
-**LOCATION CONTEXT:**
-Room: ${roomName || 'Unknown'}
-${roomDescription ? `Room Description: ${roomDescription.substring(0, 400)}` : ''}
-Region: ${regionName || 'Unknown'}
-${regionDescription ? `Region Atmosphere: ${regionDescription.substring(0, 300)}` : ''}
-
-**INSTRUCTIONS:**
-1. ONE SENTENCE ONLY - no exceptions
-2. PHYSICAL DESCRIPTION ONLY - appearance, clothing, build, visual details
-3. NO personality, no behavior, no actions, no demeanor, no attitudes
-4. Focus on what you can SEE: height, build, hair, eyes, clothing, scars, tattoos, accessories
-5. Make them feel like they belong in this specific location through their appearance
-6. Write in present tense, third person
-7. Match the tone
-8. Don't repeat the name or alias
-
-**GOOD EXAMPLES (one sentence each):**
-- "Tall and wiry with sharp eyes and weathered hands, dressed in a worn leather coat with numerous pockets."
-- "Built like a mountain with broad shoulders and thick arms, wearing simple but well-maintained clothing."
-- "Draped in flowing fabrics that catch the light, their eyes bright and alert beneath dark hair."
-- "Short and compact with calloused fingers and a steady gaze, dressed practically for their work."
-
-Return as JSON:
-{
-  "description": "One sentence physical description"
-}`;
-
-        const completion = await openai.chat.completions.create({
-            model: getModelForSDK('fast'),
-            messages: [
-                {
-                    role: 'system',
-                    content: 'You are a creative writer specializing in physical character descriptions. You write ONE SENTENCE ONLY describing what a character looks like - their appearance, clothing, and build. You NEVER describe personality, behavior, or actions. You focus purely on visual details. You always return valid JSON.'
-                },
-                {
-                    role: 'user',
-                    content: prompt
-                }
-            ],
+        const prompt = await loadPromptTemplate(req, isRefining ? 'refine-npc-description' : 'suggest-npc-description');
+
+        const result = await createStructuredCompletion({
+            task: 'suggest-npc-description',
+            onUsage: aiUsageRecorder(req),
+            cache: suggestionCache(req),
+            schema: npcDescriptionSchema,
+            schemaName: 'npc_description',
+            modelType: 'fast',
+            messages: renderPromptMessages(prompt, req.body),
             temperature: 0.8,
-            max_tokens: 300,
-            response_format: { type: 'json_object' }
+            maxTokens: 300
         });
 
-        const result = JSON.parse(completion.choices[0].message.content);
-        const description = result.description?.substring(0, 500) || 'A mysterious figure.';
+        const description = result.description.substring(0, 500);
 
         return res.status(200).json({ description });
 
     } catch (error) {
         console.error('NPC description generation error:', error);
-        return res.status(500).json({ error: 'Failed to generate NPC description' });
+        const response = aiErrorResponse(error, 'Failed to generate NPC description');
+        return res.status(response.status).json(response.body);
     }
 }
 
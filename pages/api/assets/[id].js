@@ -0,0 +1,30 @@
+import { readAsset } from '@/lib/assetStore';
+
+// An asset id is the hash of its bytes, so a response never changes and
+// browsers and proxies may keep it for as long as they like.
+const IMMUTABLE = 'public, max-age=31536000, immutable';
+
+export default async function handler(req, res) {
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+        return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    const id = String(req.query.id || '');
+    const etag = `"${id.split('.')[0]}"`;
+    try {
+        const asset = await readAsset(id);
+        if (!asset) return res.status(404).json({ error: 'Asset not found' });
+
+        res.setHeader('Cache-Control', IMMUTABLE);
+        res.setHeader('ETag', etag);
+        res.setHeader('X-Content-Type-Options', 'nosniff');
+        if (req.headers['if-none-match'] === etag) return res.status(304).end();
+
+        res.setHeader('Content-Type', asset.contentType);
+        res.setHeader('Content-Length', asset.data.length);
+        return req.method === 'HEAD' ? res.status(200).end() : res.status(200).send(asset.data);
+    } catch (error) {
+        console.error('Error reading an image asset:', error);
+        return res.status(500).json({ error: 'Unable to read the asset.' });
+    }
+}
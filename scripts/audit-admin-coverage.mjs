@@ -51,6 +51,7 @@ const advancedTables = [
   'recipe_rules',
   'dialogue_nodes',
   'dialogue_choices',
+  'npc_ai_actions',
   'exit_rules',
   'world_triggers',
   'world_simulation_configs',
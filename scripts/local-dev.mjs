@@ -17,7 +17,9 @@ import {
 const args = new Set(process.argv.slice(2));
 const dryRun = args.has('--dry-run');
 const skipDeploy = args.has('--skip-deploy');
+const skipNpcWorker = args.has('--no-npc-worker');
 const nextExecutable = join(projectRoot, 'node_modules', 'next', 'dist', 'bin', 'next');
+const typescriptExecutable = join(projectRoot, 'node_modules', 'typescript', 'bin', 'tsc');
 const spacetimeExecutable = resolveSpacetimeExecutable();
 
 if (!dryRun) ensureLocalEnv();
@@ -54,6 +56,7 @@ console.log(`SpacetimeDB: ${spacetimeVersion.output}`);
 console.log(`Module: ${displayPath(spacetimeModulePath)}`);
 console.log(`Web app: http://localhost:3005`);
 if (skipDeploy) console.log('Module publish: skipped by --skip-deploy');
+if (skipNpcWorker) console.log('NPC dialogue worker: skipped by --no-npc-worker');
 
 if (dryRun) {
     console.log('\nDry run complete; no processes were started and no module was published.');
@@ -213,6 +216,40 @@ if (imageProvider === 'local') {
     } else {
         console.log(`[images] Local Stable Diffusion API ready.`);
     }
+} else if (imageProvider === 'comfyui') {
+    const baseUrl = String(env.COMFYUI_BASE_URL || 'http://127.0.0.1:8188').replace(/\/+$/, '');
+    if (!(await probeUrl(`${baseUrl}/system_stats`, 1500))) {
+        console.warn(`[images] ComfyUI is not reachable at ${baseUrl}. Image generation will be unavailable.`);
+    } else {
+        console.log(`[images] ComfyUI ready.`);
+    }
+}
+
+// AI NPC replies come from a headless worker with its own service identity,
+// so they keep arriving when the player who typed `talk` closes the tab.
+if (!skipNpcWorker) {
+    console.log('\n[npc] Compiling the NPC dialogue worker...');
+    const compiled = spawnSync(process.execPath, [typescriptExecutable, '-p', 'tsconfig.worker.json'], {
+        cwd: projectRoot,
+        env,
+        stdio: 'inherit',
+        windowsHide: true,
+    });
+    if (compiled.error || compiled.status !== 0) {
+        console.warn('[npc] The NPC dialogue worker did not compile. AI NPCs will not answer until `npm run worker:npc` runs.');
+    } else {
+        const workerChild = spawn(process.execPath, [join(projectRoot, '.worker-build', 'scripts', 'npc-worker.js')], {
+            cwd: projectRoot,
+            env,
+            stdio: 'inherit',
+            windowsHide: true,
+        });
+        children.add(workerChild);
+        workerChild.once('exit', (code) => {
+            children.delete(workerChild);
+            if (!shuttingDown) console.warn(`\n[npc] The NPC dialogue worker exited (${code ?? 'unknown'}). Restart it with npm run worker:npc.`);
+        });
+    }
 }
 
 console.log('\n[web] Starting Next.js. Press Ctrl+C once to stop everything started by this command.\n');
@@ -1,9 +1,15 @@
 import { existsSync } from 'node:fs';
+import { resolve } from 'node:path';
+import { createInterface } from 'node:readline/promises';
 import {
     ensureLocalEnv,
     envLocalPath,
+    findLocalModel,
+    listLocalModels,
+    localModelSettings,
     localRuntimeEnvironment,
     probeUrl,
+    projectRoot,
     resolveOllamaExecutable,
     resolveSpacetimeExecutable,
     runForOutput,
@@ -15,16 +21,27 @@ const checkOnly = args.includes('--check');
 const valueFor = (name) => args.find((argument) => argument.startsWith(`--${name}=`))?.split('=').slice(1).join('=');
 const textProvider = valueFor('text');
 const imageProvider = valueFor('image');
+const localServer = valueFor('server');
+const modelRoles = ['fast', 'smart', 'vision'];
 
-const validTextProviders = new Set(['openai', 'grok', 'local', 'custom']);
-const validImageProviders = new Set(['retrodiffusion', 'local']);
+const validTextProviders = new Set(['openai', 'grok', 'local', 'custom', 'fake']);
+const validImageProviders = new Set(['retrodiffusion', 'local', 'comfyui']);
+const localServers = {
+    ollama: { label: 'Ollama', baseUrl: 'http://127.0.0.1:11434/v1' },
+    llamacpp: { label: 'llama.cpp server', baseUrl: 'http://127.0.0.1:8080/v1' },
+    openai: { label: 'OpenAI-compatible server', baseUrl: null },
+};
 
 if (textProvider && !validTextProviders.has(textProvider)) {
-    console.error('Invalid --text value. Use openai, grok, local, or custom.');
+    console.error('Invalid --text value. Use openai, grok, local, custom, or fake.');
     process.exit(1);
 }
 if (imageProvider && !validImageProviders.has(imageProvider)) {
-    console.error('Invalid --image value. Use retrodiffusion or local.');
+    console.error('Invalid --image value. Use retrodiffusion, local, or comfyui.');
+    process.exit(1);
+}
+if (localServer && !localServers[localServer]) {
+    console.error('Invalid --server value. Use ollama, llamacpp, or openai.');
     process.exit(1);
 }
 
@@ -38,13 +55,22 @@ if (!checkOnly) {
     };
     if (textProvider) updates.AI_PROVIDER = textProvider;
     if (textProvider === 'local') {
-        updates.LOCAL_AI_BASE_URL = 'http://127.0.0.1:11434/v1';
+        const server = localServer || 'ollama';
+        updates.LOCAL_AI_SERVER = server;
+        if (localServers[server].baseUrl) updates.LOCAL_AI_BASE_URL = localServers[server].baseUrl;
         updates.LOCAL_AI_MODEL = 'qwen2.5:7b';
     }
+    for (const role of modelRoles) {
+        const model = valueFor(`${role}-model`);
+        if (model) updates[`LOCAL_AI_${role.toUpperCase()}_MODEL`] = model;
+    }
     if (imageProvider) updates.IMAGE_PROVIDER = imageProvider;
     if (imageProvider === 'local') {
         updates.LOCAL_IMAGE_BASE_URL = 'http://127.0.0.1:7860';
     }
+    if (imageProvider === 'comfyui') {
+        updates.COMFYUI_BASE_URL = 'http://127.0.0.1:8188';
+    }
     updateLocalEnv(updates);
 }
 
@@ -87,22 +113,43 @@ addCheck(
     true,
 );
 
+// Filled in when the local text server answers, for the model list and picker.
+let localModels = null;
 if ((env.AI_PROVIDER || 'openai').toLowerCase() === 'local') {
-    const baseUrl = String(env.LOCAL_AI_BASE_URL || 'http://127.0.0.1:11434/v1').replace(/\/+$/, '');
-    const headers = env.LOCAL_AI_API_KEY
-        ? { Authorization: `Bearer ${env.LOCAL_AI_API_KEY}` }
-        : {};
-    const reachable = await probeUrl(`${baseUrl}/models`, 1500, { headers });
-    const ollama = runForOutput(resolveOllamaExecutable(), ['--version']);
-    addCheck(
-        'Local text model',
-        reachable,
-        reachable
-            ? `${env.LOCAL_AI_MODEL || 'qwen2.5:7b'} at ${baseUrl}`
-            : ollama.ok
-                ? `Ollama installed but not running; dev:all will start it. Pull ${env.LOCAL_AI_MODEL || 'qwen2.5:7b'} first`
-                : `not running at ${baseUrl}; install Ollama and pull ${env.LOCAL_AI_MODEL || 'qwen2.5:7b'}`,
-    );
+    const settings = localModelSettings(env);
+    const models = await listLocalModels(settings);
+    const wanted = env.LOCAL_AI_MODEL || 'qwen2.5:7b';
+    if (!models) {
+        const ollama = runForOutput(resolveOllamaExecutable(), ['--version']);
+        addCheck(
+            'Local text server',
+            false,
+            settings.server === 'llamacpp'
+                ? `not running at ${settings.baseUrl}; start llama-server with a model`
+                : settings.server === 'openai'
+                    ? `not running at ${settings.baseUrl}`
+                    : ollama.ok
+                        ? `Ollama installed but not running; dev:all will start it. Pull ${wanted} first`
+                        : `not running at ${settings.baseUrl}; install Ollama and pull ${wanted}`,
+        );
+    } else {
+        localModels = { settings, models };
+        addCheck('Local text server', true, `${localServers[settings.server].label} at ${settings.baseUrl}, ${models.length} model(s)`);
+        for (const role of modelRoles) {
+            const name = settings.models[role];
+            const match = findLocalModel(settings.server, models, name);
+            const context = match?.contextLength ? `${match.contextLength.toLocaleString()} context` : 'context unknown';
+            addCheck(
+                `Local ${role} model`,
+                Boolean(match),
+                !match
+                    ? `${name} is not installed${settings.server === 'ollama' ? `; run: ollama pull ${name}` : ''}`
+                    : match.name === name || settings.server === 'ollama'
+                        ? `${name} (${context})`
+                        : `${name} is answered by the loaded model ${match.name} (${context})`,
+            );
+        }
+    }
 } else if ((env.AI_PROVIDER || 'openai').toLowerCase() === 'custom') {
     const baseUrl = String(env.CUSTOM_AI_BASE_URL || '').replace(/\/+$/, '');
     const headers = env.CUSTOM_AI_API_KEY
@@ -119,6 +166,8 @@ if ((env.AI_PROVIDER || 'openai').toLowerCase() === 'local') {
                 ? `${env.CUSTOM_AI_MODEL} at ${baseUrl}`
                 : `configured but not reachable at ${baseUrl}`,
     );
+} else if ((env.AI_PROVIDER || 'openai').toLowerCase() === 'fake') {
+    addCheck('Text provider', true, 'fake provider: deterministic offline answers, no model server');
 } else {
     const provider = (env.AI_PROVIDER || 'openai').toLowerCase();
     const keyName = provider === 'grok' ? 'GROK_API_KEY' : 'OPENAI_API_KEY';
@@ -136,6 +185,20 @@ if ((env.IMAGE_PROVIDER || 'retrodiffusion').toLowerCase() === 'local') {
         reachable,
         reachable ? `WebUI/Forge API at ${baseUrl}` : `optional; start WebUI/Forge with --api at ${baseUrl}`,
     );
+} else if ((env.IMAGE_PROVIDER || 'retrodiffusion').toLowerCase() === 'comfyui') {
+    const baseUrl = String(env.COMFYUI_BASE_URL || 'http://127.0.0.1:8188').replace(/\/+$/, '');
+    const workflow = env.COMFYUI_WORKFLOW || 'data/comfyui/pixel-art-workflow.json';
+    const reachable = await probeUrl(`${baseUrl}/system_stats`, 1500);
+    const hasWorkflow = existsSync(resolve(projectRoot, workflow));
+    addCheck(
+        'ComfyUI',
+        reachable && hasWorkflow,
+        !hasWorkflow
+            ? `workflow ${workflow} not found; export one with Export (API) and set COMFYUI_WORKFLOW`
+            : reachable
+                ? `${workflow} at ${baseUrl}`
+                : `optional; start ComfyUI at ${baseUrl}`,
+    );
 } else {
     addCheck(
         'Image provider',
@@ -149,6 +212,37 @@ for (const check of checks) {
     console.log(`${check.state ? '[ok]' : check.required ? '[missing]' : '[optional]'} ${check.label}: ${check.detail}`);
 }
 
+// Offered when a configured model is missing or with --pick-models, and only
+// in a terminal so scripted runs never wait for input.
+if (localModels && process.stdin.isTTY && process.stdout.isTTY && existsSync(envLocalPath)) {
+    const { settings, models } = localModels;
+    const missing = modelRoles.some((role) => !findLocalModel(settings.server, models, settings.models[role]));
+    if (models.length > 0 && (missing || args.includes('--pick-models'))) {
+        console.log('\nInstalled local models:');
+        models.forEach((model, index) => {
+            const context = model.contextLength ? `${model.contextLength.toLocaleString()} context` : 'context unknown';
+            console.log(`  ${index + 1}. ${model.name} (${context})`);
+        });
+        const prompt = createInterface({ input: process.stdin, output: process.stdout });
+        const updates = {};
+        try {
+            for (const role of modelRoles) {
+                const current = settings.models[role];
+                const answer = (await prompt.question(`${role} model [1-${models.length}, Enter keeps ${current}]: `)).trim();
+                const choice = models[Number(answer) - 1];
+                if (answer && !choice) console.log(`  No model ${answer}; keeping ${current}.`);
+                if (choice && choice.name !== current) updates[`LOCAL_AI_${role.toUpperCase()}_MODEL`] = choice.name;
+            }
+        } finally {
+            prompt.close();
+        }
+        if (Object.keys(updates).length > 0) {
+            updateLocalEnv(updates);
+            console.log(`Saved ${Object.keys(updates).join(', ')} to .env.local.`);
+        }
+    }
+}
+
 const missingRequired = checks.filter((check) => check.required && !check.state);
 if (missingRequired.length > 0) {
     console.error('\nComplete the missing prerequisite(s), then rerun npm run setup:check.');
@@ -123,6 +123,69 @@ export async function probeUrl(url, timeoutMs = 1500, { headers = {}, acceptAnyS
     }
 }
 
+// The same discovery calls as lib/localModelServers.js, which these scripts
+// cannot import because they run outside the Next.js build.
+const LOCAL_MODEL_ROLES = ['fast', 'smart', 'vision'];
+const ollamaName = (name) => (String(name).includes(':') ? String(name) : `${name}:latest`);
+
+async function fetchJson(url, timeoutMs, init = {}) {
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), timeoutMs);
+    try {
+        const response = await fetch(url, { ...init, signal: controller.signal });
+        return response.ok ? await response.json() : null;
+    } catch {
+        return null;
+    } finally {
+        clearTimeout(timeout);
+    }
+}
+
+export function localModelSettings(env) {
+    const server = ['ollama', 'llamacpp', 'openai'].includes(String(env.LOCAL_AI_SERVER || '').toLowerCase())
+        ? env.LOCAL_AI_SERVER.toLowerCase()
+        : 'openai';
+    const baseUrl = String(env.LOCAL_AI_BASE_URL || 'http://127.0.0.1:11434/v1').replace(/\/+$/, '');
+    const fallback = env.LOCAL_AI_MODEL || 'qwen2.5:7b';
+    const models = Object.fromEntries(LOCAL_MODEL_ROLES.map((role) => [role, env[`LOCAL_AI_${role.toUpperCase()}_MODEL`] || fallback]));
+    const headers = env.LOCAL_AI_API_KEY ? { Authorization: `Bearer ${env.LOCAL_AI_API_KEY}` } : {};
+    return { server, baseUrl, root: baseUrl.replace(/\/v1$/i, ''), models, headers };
+}
+
+/**
+ * Lists the local text server's models as `{name, contextLength}`, or returns
+ * null when the server does not answer.
+ */
+export async function listLocalModels({ server, baseUrl, root, headers }, timeoutMs = 3000) {
+    if (server === 'ollama') {
+        const tags = await fetchJson(`${root}/api/tags`, timeoutMs, { headers });
+        if (!tags) return null;
+        return Promise.all((tags.models || []).map(async (model) => {
+            const details = await fetchJson(`${root}/api/show`, timeoutMs, {
+                method: 'POST',
+                headers: { ...headers, 'Content-Type': 'application/json' },
+                body: JSON.stringify({ model: model.name }),
+            });
+            const context = Object.entries(details?.model_info || {}).find(([key]) => key.endsWith('.context_length'));
+            return { name: model.name, contextLength: context ? Number(context[1]) : null };
+        }));
+    }
+    const listing = await fetchJson(`${server === 'llamacpp' ? `${root}/v1` : baseUrl}/models`, timeoutMs, { headers });
+    if (!listing) return null;
+    const props = server === 'llamacpp' ? await fetchJson(`${root}/props`, timeoutMs, { headers }) : null;
+    return (listing.data || []).map((model) => ({
+        name: model.id,
+        contextLength: Number(props?.default_generation_settings?.n_ctx || model.meta?.n_ctx_train) || null,
+    }));
+}
+
+export function findLocalModel(server, models, name) {
+    if (server === 'ollama') return models.find((model) => ollamaName(model.name) === ollamaName(name)) || null;
+    const exact = models.find((model) => model.name === name || model.name.split(/[\\/]/).pop() === name);
+    if (exact || server !== 'llamacpp') return exact || null;
+    return models.length === 1 ? models[0] : null;
+}
+
 export function localRuntimeEnvironment() {
     return {
         ...parseEnvFile(envExamplePath),
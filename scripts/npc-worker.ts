@@ -0,0 +1,388 @@
+import { existsSync, readFileSync, writeFileSync } from 'node:fs';
+import { join } from 'node:path';
+import { DbConnection } from '../generated';
+import { buildNpcWorldBrief, DEFAULT_NPC_CONTEXT_TOKENS } from '../lib/npcContext';
+import { npcActionTools, npcToolCallActions } from '../lib/npcActions';
+import { generateNpcTurn, matchDialogueChoice, NPC_FALLBACK_RESPONSE } from '../lib/npcDialogue';
+import { npcMemoryId, parseRecentExchanges, summarizeNpcConversation } from '../lib/npcMemory';
+
+// Answers AI NPC conversations for every player. It connects with its own
+// service identity, reads queued `talk` replies from `pending_npc_replies`,
+// generates each one with the configured text provider, and commits it with
+// `complete_npc_command`, along with any whitelisted game actions the NPC
+// chose to take. While a reply is generated it streams the text so far to the
+// room through `stream_npc_reply`. In a hybrid conversation it first checks
+// whether the player's words match one of the authored responses and runs that
+// instead. Once a conversation goes quiet it folds the lines into the NPC's
+// memory of that player with `record_npc_memory`. Started by `npm run dev:all`;
+// run it alongside any other deployment with `npm run worker:npc`.
+
+const uri = (process.env.NEXT_PUBLIC_SPACETIMEDB_URI || 'http://127.0.0.1:3000').replace(/\/+$/, '');
+const databaseName = process.env.NEXT_PUBLIC_SPACETIMEDB_DB_NAME || 'arkyv-engine';
+const tokenPath = process.env.ARKYV_NPC_WORKER_TOKEN_FILE || join(process.cwd(), '.npc-worker-token');
+const label = process.env.ARKYV_NPC_WORKER_LABEL || 'NPC dialogue worker';
+const concurrency = Math.max(1, Number(process.env.ARKYV_NPC_WORKER_CONCURRENCY) || 2);
+const maxAttempts = Math.max(1, Number(process.env.ARKYV_NPC_WORKER_ATTEMPTS) || 3);
+const contextTokens = Number(process.env.ARKYV_NPC_CONTEXT_TOKENS) || DEFAULT_NPC_CONTEXT_TOKENS;
+const memoryIdleMs = Math.max(10, Number(process.env.ARKYV_NPC_MEMORY_IDLE_SECONDS) || 120) * 1_000;
+// How often streamed text is published; 0 turns streaming off.
+const streamIntervalMs = Math.max(0, Number(process.env.ARKYV_NPC_STREAM_INTERVAL_MS ?? 250) || 0);
+const retryBaseMs = 1_000;
+const replySweepMs = 5_000;
+const reconnectMaxMs = 30_000;
+
+// Client table names the world brief, NPC memory, and NPC actions read, with
+// their generated accessors.
+const WORLD_TABLES: Record<string, string> = {
+    rooms: 'room',
+    regions: 'region',
+    characters: 'character',
+    profiles: 'profile',
+    npcs: 'npc',
+    quest_definitions: 'quest_definition',
+    quest_objectives: 'quest_objective',
+    actor_quests: 'actor_quest',
+    actor_quest_progress: 'actor_quest_progress',
+    faction_definitions: 'faction_definition',
+    actor_faction_reputations: 'actor_faction_reputation',
+    vendor_definitions: 'vendor_definition',
+    vendor_stocks: 'vendor_stock',
+    object_definitions: 'object_definition',
+    currency_definitions: 'currency_definition',
+    world_simulation_configs: 'world_simulation_config',
+    npc_memories: 'npc_memories',
+    npc_ai_actions: 'npc_ai_action',
+    actor_ai_action_uses: 'actor_ai_action_use',
+    crafting_recipes: 'crafting_recipe',
+    profession_definitions: 'profession_definition',
+    dialogue_nodes: 'dialogue_node',
+    dialogue_choices: 'dialogue_choice',
+};
+
+const delay = (milliseconds: number) => new Promise((resolve) => setTimeout(resolve, milliseconds));
+const log = (message: string) => console.log(`[npc-worker] ${message}`);
+
+let connection: any = null;
+let listening = false;
+let stopping = false;
+const queued: any[] = [];
+const inFlight = new Set<string>();
+// Replies the server accepted, until their jobs leave pending_npc_replies.
+const committed = new Set<string>();
+// Replies whose commit failed, kept so the retry commits the same text rather
+// than generating another, with when that retry is due.
+const uncommitted = new Map<string, { result: any; failures: number; retryAt: number }>();
+const summarizing = new Set<string>();
+const summaryRetryAt = new Map<string, number>();
+let memoryTimer: NodeJS.Timeout | null = null;
+let replyTimer: NodeJS.Timeout | null = null;
+
+function savedToken() {
+    if (process.env.ARKYV_NPC_WORKER_TOKEN) return process.env.ARKYV_NPC_WORKER_TOKEN;
+    return existsSync(tokenPath) ? readFileSync(tokenPath, 'utf8').trim() || undefined : undefined;
+}
+
+function saveToken(token: string) {
+    if (process.env.ARKYV_NPC_WORKER_TOKEN || savedToken() === token) return;
+    writeFileSync(tokenPath, `${token}\n`, { mode: 0o600 });
+    log(`Saved the worker identity token to ${tokenPath}.`);
+}
+
+function parseJson(value: string | undefined | null) {
+    if (!value) return null;
+    try {
+        return JSON.parse(value);
+    } catch {
+        return null;
+    }
+}
+
+function plainValue(value: any) {
+    if (value === undefined || value === null) return null;
+    if (typeof value === 'bigint') return Number(value);
+    if (typeof value?.toHexString === 'function') return value.toHexString();
+    if (typeof value?.toDate === 'function') return value.toDate().toISOString();
+    return value;
+}
+
+// Snapshot of the subscribed world as the snake_case rows lib/npcContext reads.
+function worldRows() {
+    const cache = new Map<string, any[]>();
+    return (tableName: string) => {
+        if (!cache.has(tableName)) {
+            const handle = connection?.db[WORLD_TABLES[tableName]];
+            cache.set(tableName, handle ? [...handle.iter()].map((row: any) => Object.fromEntries(
+                Object.entries(row).map(([key, value]) => [key.replace(/[A-Z]/g, (letter) => `_${letter.toLowerCase()}`), plainValue(value)]),
+            )) : []);
+        }
+        return cache.get(tableName) || [];
+    };
+}
+
+// The authored line a hybrid conversation is at, with its responses in order.
+function dialogueNode(rows: (tableName: string) => any[], nodeId: string | undefined) {
+    const node = nodeId ? rows('dialogue_nodes').find((row: any) => row.id === nodeId) : null;
+    if (!node) return undefined;
+    const choices = rows('dialogue_choices')
+        .filter((row: any) => row.node_id === node.id)
+        .sort((left: any, right: any) => left.sort_order - right.sort_order)
+        .map((row: any) => ({ id: row.id, label: row.label }));
+    return { text: node.text, choices };
+}
+
+// Publishes a reply's text as it streams, at most once per interval. Cancel
+// before committing so a late draft does not trail the finished reply.
+function replyDraft(commandId: string) {
+    let text = '';
+    let sent = '';
+    let timer: ReturnType<typeof setTimeout> | null = null;
+    const publish = () => {
+        timer = null;
+        if (!connection || text === sent) return;
+        sent = text;
+        connection.reducers.streamNpcReply({ commandId, body: text }).catch((error: any) => {
+            log(`Could not stream the reply for ${commandId}: ${error?.message || error}`);
+        });
+    };
+    return {
+        onDelta: streamIntervalMs > 0 ? (_delta: string, next: string) => {
+            text = next;
+            if (!timer) timer = setTimeout(publish, streamIntervalMs);
+        } : undefined,
+        cancel: () => {
+            if (timer) clearTimeout(timer);
+            timer = null;
+        },
+    };
+}
+
+// Charges the worker's provider calls to the player the NPC is answering, under
+// the `npc-worker` route, like the web routes' calls. `talk` checks the same
+// budgets before it queues a reply.
+function usageRecorder(actorId: string) {
+    return (usage: any) => {
+        if (!connection) return undefined;
+        return connection.reducers.recordAiUsage({
+            actorId,
+            route: 'npc-worker',
+            task: usage.task || '',
+            provider: usage.provider || 'unknown',
+            model: usage.model || '',
+            promptTokens: BigInt(Math.max(0, Math.round(usage.promptTokens || 0))),
+            completionTokens: BigInt(Math.max(0, Math.round(usage.completionTokens || 0))),
+            images: 0,
+            latencyMs: Math.max(0, Math.round(usage.latencyMs || 0)),
+            succeeded: Boolean(usage.succeeded),
+        });
+    };
+}
+
+async function reply(job: any, draft: ReturnType<typeof replyDraft>) {
+    const rows = worldRows();
+    const npc = rows('npcs').find((row: any) => row.id === job.npcId);
+    if (!npc) return { response: NPC_FALLBACK_RESPONSE, actions: [], dialogueChoiceId: null };
+    const tools = npcActionTools(rows, { npcId: npc.id, actorId: job.actorId });
+    const options = {
+        npcName: npc.name,
+        npcDescription: npc.description,
+        personality: parseJson(npc.dialogue_tree)?.personality,
+        playerMessage: job.playerMessage,
+        conversationHistory: parseJson(job.conversationHistory) || [],
+        worldBrief: buildNpcWorldBrief(rows, { npcId: npc.id, actorId: job.actorId, roomId: job.roomId, tokenBudget: contextTokens }),
+        memory: rows('npc_memories').find((row: any) => row.id === npcMemoryId(npc.id, job.actorId)),
+        tools,
+        dialogueNode: dialogueNode(rows, job.dialogueNodeId),
+        onUsage: usageRecorder(job.actorId),
+    };
+    for (let attempt = 1; ; attempt += 1) {
+        try {
+            const dialogueChoiceId = options.dialogueNode ? await matchDialogueChoice({ npcName: npc.name, dialogueNode: options.dialogueNode, playerMessage: job.playerMessage, onUsage: options.onUsage }) : null;
+            if (dialogueChoiceId) return { response: '', actions: [], dialogueChoiceId };
+            const { response, toolCalls } = await generateNpcTurn({ ...options, onDelta: draft.onDelta });
+            return { response, actions: npcToolCallActions(tools, toolCalls), dialogueChoiceId: null };
+        } catch (error: any) {
+            if (attempt >= maxAttempts) {
+                log(`Giving up on ${npc.name}'s reply to ${job.commandId} after ${attempt} attempts: ${error?.message || error}`);
+                return { response: NPC_FALLBACK_RESPONSE, actions: [], dialogueChoiceId: null };
+            }
+            const wait = retryBaseMs * 4 ** (attempt - 1);
+            log(`Reply for ${job.commandId} failed (attempt ${attempt}/${maxAttempts}); retrying in ${wait} ms: ${error?.message || error}`);
+            await delay(wait);
+        }
+    }
+}
+
+async function answer(job: any) {
+    const previous = uncommitted.get(job.commandId);
+    let result = previous?.result;
+    if (!result) {
+        const draft = replyDraft(job.commandId);
+        result = await reply(job, draft).finally(draft.cancel);
+    }
+    // A dropped connection leaves the job queued on the server; keep the reply
+    // for the next connection to commit.
+    if (!connection) {
+        uncommitted.set(job.commandId, { result, failures: previous?.failures || 0, retryAt: 0 });
+        return;
+    }
+    const { response, actions, dialogueChoiceId } = result;
+    try {
+        await connection.reducers.completeNpcCommand({ commandId: job.commandId, response, actionsJson: JSON.stringify(actions), dialogueChoiceId });
+        uncommitted.delete(job.commandId);
+        committed.add(job.commandId);
+    } catch (error: any) {
+        const failures = (previous?.failures || 0) + 1;
+        const wait = Math.min(reconnectMaxMs, retryBaseMs * 2 ** (failures - 1));
+        uncommitted.set(job.commandId, { result, failures, retryAt: Date.now() + wait });
+        log(`Could not commit the reply for ${job.commandId}; retrying in ${wait} ms: ${error?.message || error}`);
+    }
+}
+
+function drain() {
+    while (inFlight.size < concurrency && queued.length > 0) {
+        const job = queued.shift();
+        inFlight.add(job.commandId);
+        answer(job).finally(() => {
+            inFlight.delete(job.commandId);
+            drain();
+        });
+    }
+}
+
+function enqueue(job: any) {
+    if (inFlight.has(job.commandId) || queued.some((row) => row.commandId === job.commandId)) return;
+    queued.push(job);
+    drain();
+}
+
+// Picks up jobs the insert callback never saw, such as those queued before
+// this worker was approved, and retries failed commits once their wait ends.
+function sweepReplies() {
+    if (!connection || !listening) return;
+    const jobs = [...connection.db.pending_npc_replies.iter()];
+    const pending = new Set(jobs.map((job: any) => job.commandId));
+    for (const commandId of committed) if (!pending.has(commandId)) committed.delete(commandId);
+    for (const commandId of uncommitted.keys()) if (!pending.has(commandId)) uncommitted.delete(commandId);
+    const now = Date.now();
+    for (const job of jobs) {
+        if (committed.has(job.commandId) || (uncommitted.get(job.commandId)?.retryAt || 0) > now) continue;
+        enqueue(job);
+    }
+}
+
+async function summarize(memory: any, rows: (tableName: string) => any[]) {
+    const exchanges = parseRecentExchanges(memory.recent_exchanges);
+    const npc = rows('npcs').find((row: any) => row.id === memory.npc_id);
+    const speaker = rows('characters').find((row: any) => row.id === memory.actor_id)
+        || rows('profiles').find((row: any) => row.id === memory.actor_id);
+    try {
+        const result = await summarizeNpcConversation({
+            npcName: npc?.name || 'The NPC',
+            personality: parseJson(npc?.dialogue_tree)?.personality,
+            speakerName: speaker?.name || speaker?.handle,
+            memory,
+            exchanges,
+            onUsage: usageRecorder(memory.actor_id),
+        });
+        if (!connection) return;
+        await connection.reducers.recordNpcMemory({
+            memoryId: memory.id,
+            summary: result.summary,
+            keyFactsJson: JSON.stringify(result.keyFacts),
+            sentiment: result.sentiment,
+            summarizedExchanges: exchanges.length,
+        });
+        summaryRetryAt.delete(memory.id);
+    } catch (error: any) {
+        summaryRetryAt.set(memory.id, Date.now() + memoryIdleMs);
+        log(`Could not update the memory ${memory.id}; retrying later: ${error?.message || error}`);
+    }
+}
+
+// A conversation is summarized once it has been quiet for memoryIdleMs and no
+// reply to the same player is still pending.
+function sweepMemories() {
+    if (!connection) return;
+    const rows = worldRows();
+    const talking = new Set([...connection.db.pending_npc_replies.iter()].map((job: any) => npcMemoryId(job.npcId, job.actorId)));
+    const now = Date.now();
+    for (const memory of rows('npc_memories')) {
+        if (summarizing.size >= concurrency) return;
+        if (summarizing.has(memory.id) || talking.has(memory.id) || (summaryRetryAt.get(memory.id) || 0) > now) continue;
+        if (now - Date.parse(memory.last_talked_at) < memoryIdleMs || parseRecentExchanges(memory.recent_exchanges).length === 0) continue;
+        summarizing.add(memory.id);
+        summarize(memory, rows).finally(() => summarizing.delete(memory.id));
+    }
+}
+
+function connect(): Promise<void> {
+    return new Promise((resolve) => {
+        let opened = false;
+        let builder = DbConnection.builder()
+            .withUri(uri)
+            .withDatabaseName(databaseName)
+            .withConfirmedReads(true)
+            .onConnect((connected: any, identity: any, token: string) => {
+                opened = true;
+                connection = connected;
+                saveToken(token);
+                log(`Connected to ${databaseName} as ${identity.toHexString()}.`);
+                // Asking grants nothing; the worker stays idle until approved.
+                connected.reducers.requestNpcWorker({ label })
+                    .then(() => log(`Replies start once an administrator approves ${identity.toHexString()} under Admin roles, or with approve_npc_worker.`))
+                    .catch((error: any) => log(`${error?.message || error}`));
+                connected.db.pending_npc_replies.onInsert((_context: any, job: any) => enqueue(job));
+                connected.subscriptionBuilder()
+                    .onApplied(() => {
+                        listening = true;
+                        log('Listening for NPC conversations.');
+                    })
+                    .onError((_context: any, error: any) => log(`Subscription failed: ${error?.message || error}`))
+                    .subscribe(['SELECT * FROM pending_npc_replies', ...Object.values(WORLD_TABLES).map((table) => `SELECT * FROM ${table}`)]);
+            })
+            .onConnectError((_context: any, error: any) => {
+                log(`Could not connect: ${error?.message || error}`);
+                resolve();
+            })
+            .onDisconnect((_context: any, error: any) => {
+                connection = null;
+                listening = false;
+                queued.length = 0;
+                if (opened && !stopping) log(`Disconnected${error ? `: ${error.message || error}` : ''}.`);
+                resolve();
+            });
+        const token = savedToken();
+        if (token) builder = builder.withToken(token);
+        builder.build();
+    });
+}
+
+async function main() {
+    memoryTimer = setInterval(sweepMemories, Math.min(memoryIdleMs, 15_000));
+    replyTimer = setInterval(sweepReplies, replySweepMs);
+    for (let attempt = 0; !stopping; attempt += 1) {
+        const startedAt = Date.now();
+        await connect();
+        if (stopping) break;
+        // A connection that held for a while starts the backoff over.
+        if (Date.now() - startedAt > reconnectMaxMs) attempt = 0;
+        const wait = Math.min(reconnectMaxMs, retryBaseMs * 2 ** attempt);
+        log(`Reconnecting in ${wait} ms...`);
+        await delay(wait);
+    }
+}
+
+const stop = () => {
+    stopping = true;
+    if (memoryTimer) clearInterval(memoryTimer);
+    if (replyTimer) clearInterval(replyTimer);
+    connection?.disconnect();
+    setTimeout(() => process.exit(0), 100);
+};
+process.once('SIGINT', stop);
+process.once('SIGTERM', stop);
+
+main().catch((error) => {
+    console.error('[npc-worker] Stopped:', error);
+    process.exit(1);
+});
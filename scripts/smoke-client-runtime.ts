@@ -0,0 +1,348 @@
+/* eslint-disable @typescript-eslint/no-explicit-any */
+import { mkdtempSync, rmSync, writeFileSync } from 'node:fs';
+import Module from 'node:module';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+// Exercises lib/spacetimedbClient.js, the world bundle, Archie's draft, and the
+// HUD against lib/fakeSpacetimeConnection.js. Needs no database, model server,
+// or key, so it can run in CI. Each block connects to freshly seeded tables.
+
+// The client, Archie, and components import through the `@/` alias Next.js
+// resolves; point it at the compiled tree.
+const moduleLoader: any = Module;
+const resolveFilename = moduleLoader._resolveFilename;
+moduleLoader._resolveFilename = function resolveAlias(this: unknown, request: string, ...rest: unknown[]) {
+    return resolveFilename.call(this, request.startsWith('@/') ? path.join(__dirname, '..', request.slice(2)) : request, ...rest);
+};
+
+const delay = (milliseconds: number) => new Promise((resolve) => setTimeout(resolve, milliseconds));
+// Row callbacks and live query diffs are delivered in microtasks.
+const settle = () => delay(0);
+
+function assert(condition: unknown, message: string): asserts condition {
+    if (!condition) throw new Error(message);
+}
+
+async function waitFor(predicate: () => boolean, label: string, timeout = 5_000) {
+    const startedAt = Date.now();
+    while (!predicate()) {
+        if (Date.now() - startedAt > timeout) throw new Error(`Timed out waiting for ${label}.`);
+        await delay(20);
+    }
+}
+
+const ids = (rows: any[] | null) => (rows || []).map((row) => row.id ?? row.name).sort().join(',');
+
+const room = (id: string, name: string, region: string, height: number) => ({ id, name, description: `${name}.`, region, region_name: region, height, image_url: null });
+
+const SEED = {
+    regions: [
+        { name: 'harbor', display_name: 'Harbor', color_scheme: { primary: '#0af' }, pvp_enabled: false },
+        { name: 'cliffs', display_name: 'Cliffs', color_scheme: { primary: '#fa0' }, pvp_enabled: false },
+        { name: 'marsh', display_name: 'Marsh', color_scheme: { primary: '#5a5' }, pvp_enabled: false },
+    ],
+    rooms: [
+        room('room-1', 'Dock 100%', 'harbor', 2),
+        room('room-2', 'Dock_1', 'harbor', 10),
+        room('room-3', 'Lighthouse', 'cliffs', 30),
+        room('room-4', 'dock cellar', 'harbor', 1),
+        room('room-5', 'Dock 1', 'cliffs', 5),
+        room('room-6', 'Reeds', 'marsh', 0),
+    ],
+    exits: [
+        { id: 'exit-1', from_room: 'room-1', to_room: 'room-2', verb: 'east' },
+        { id: 'exit-2', from_room: 'room-2', to_room: 'room-3', verb: 'up' },
+    ],
+    characters: [
+        { id: 'char-1', owner: 'c0ffee', user_id: 'player', name: 'Ada', current_room: 'room-1' },
+        { id: 'char-2', owner: 'beef', user_id: 'other', name: 'Bo', current_room: 'room-3' },
+    ],
+    npcs: [
+        { id: 'npc-1', name: 'Gull', current_room: 'room-1', behavior_type: 'static' },
+        { id: 'npc-2', name: 'Keeper', current_room: 'room-3', behavior_type: 'static' },
+        { id: 'npc-3', name: 'Heron', current_room: 'room-6', behavior_type: 'static' },
+    ],
+    object_definitions: [
+        { id: 'def-chest', name: 'Chest' },
+        { id: 'def-coin', name: 'Coin' },
+        { id: 'def-sword', name: 'Sword' },
+    ],
+    world_objects: [
+        { id: 'obj-chest', definition_id: 'def-chest', location_kind: 'room', location_id: 'room-1', quantity: 1, state_json: {} },
+        { id: 'obj-coin', definition_id: 'def-coin', location_kind: 'container', location_id: 'obj-chest', quantity: 3, state_json: {} },
+        { id: 'obj-sword', definition_id: 'def-sword', location_kind: 'inventory', location_id: 'char-1', quantity: 1, state_json: {} },
+    ],
+    stat_definitions: [{ id: 'hp', name: 'Health', default_value: 10, visible: true }],
+    actor_stats: [
+        { id: 'stat-npc', actor_id: 'npc-1', stat_definition_id: 'hp', base_value: 10, current_value: 10 },
+        { id: 'stat-char', actor_id: 'char-1', stat_definition_id: 'hp', base_value: 10, current_value: 7 },
+    ],
+};
+
+async function main() {
+    const scratch = mkdtempSync(path.join(tmpdir(), 'arkyv-client-'));
+    process.env.AI_PROVIDER = 'fake';
+    const { connectSpacetime, disconnectSpacetime, getSpacetimeClient, setSubscriptionScope }: any = await import('../lib/spacetimedbClient');
+    const { createFakeSpacetime }: any = await import('../lib/fakeSpacetimeConnection');
+    const { orderWorldObjectsForRestore }: any = await import('../lib/worldContentBundle');
+    const { collectArchieWorld }: any = await import('../lib/archieWorld');
+    const { runArchieAgent }: any = await import('../lib/archieAgent');
+    const React: any = (await import('react')).default;
+    const { renderToStaticMarkup }: any = await import('react-dom/server');
+    const RpgHud: any = (await import('../components/RpgHud')).default;
+
+    const connect = async () => {
+        const fake = createFakeSpacetime({ tables: SEED });
+        await connectSpacetime(null, { DbConnection: fake.DbConnection });
+        const spacetime = getSpacetimeClient();
+        assert(spacetime.connectionState().state === 'connected', 'The client did not connect to the fake database.');
+        return { fake, spacetime };
+    };
+
+    {
+        // Owner scoping, enrichment, and copies that callers may change freely.
+        const { fake, spacetime } = await connect();
+        const rooms = () => spacetime.from('rooms').select('*');
+        const characters = await spacetime.from('characters').select('*');
+        assert(ids(characters.data) === 'char-1', 'Characters were not limited to the connected identity.');
+        const character = characters.data[0];
+        assert(character.rooms?.name === 'Dock 100%' && character.rooms.regions?.display_name === 'Harbor', 'Characters did not embed their room and its region.');
+        character.rooms.regions.display_name = 'Changed by the caller';
+        character.rooms.regions.color_scheme.primary = 'changed';
+        const reread = (await spacetime.from('characters').select('*').single()).data;
+        assert(reread.rooms.regions.display_name === 'Harbor' && reread.rooms.regions.color_scheme.primary === '#0af', 'Changing a result changed the cached embedded row or parsed JSON.');
+
+        // Indexes and enrichment follow changes made by other clients.
+        assert(ids((await rooms().eq('region', 'harbor')).data) === 'room-1,room-2,room-4', 'The region index returned the wrong rooms.');
+        fake.transaction((tx: any) => tx.update('rooms', { ...tx.find('rooms', 'room-4'), region: 'cliffs', region_name: 'cliffs' }));
+        fake.transaction((tx: any) => tx.update('regions', { ...tx.find('regions', 'harbor'), display_name: 'Old Harbor' }));
+        await settle();
+        assert(ids((await rooms().eq('region', 'harbor')).data) === 'room-1,room-2', 'The region index kept a room that moved away.');
+        assert(ids((await rooms().in('region', ['cliffs'])).data) === 'room-3,room-4,room-5', 'The region index missed a room that moved in.');
+        const renamed = (await spacetime.from('characters').select('*').single()).data;
+        assert(renamed.rooms.regions.display_name === 'Old Harbor', 'A cached nested enrichment survived a change to the related region.');
+    }
+
+    {
+        // Live queries deliver one diff per transaction, projected to the select list.
+        const { fake, spacetime } = await connect();
+        const roomDiffs: any[] = [];
+        const liveRooms = spacetime.from('rooms').select('id, name').eq('region', 'harbor').subscribe((diff: any) => roomDiffs.push(diff));
+        await settle();
+        assert(roomDiffs.map((delivery) => ids(delivery.inserted)).join('|') === 'room-1,room-2,room-4' && roomDiffs[0].updated.length === 0, 'The first live delivery did not report every row as inserted.');
+        fake.transaction((tx: any) => {
+            tx.insert('rooms', room('room-7', 'Slip', 'harbor', 3));
+            tx.update('rooms', { ...tx.find('rooms', 'room-1'), name: 'Dock Master' });
+            tx.delete('rooms', 'room-2');
+        });
+        await settle();
+        const diff = roomDiffs[1];
+        assert(roomDiffs.length === 2, 'A transaction was not delivered as exactly one diff.');
+        assert(ids(diff.inserted) === 'room-7' && ids(diff.updated) === 'room-1' && ids(diff.deleted) === 'room-2' && ids(diff.data) === 'room-1,room-4,room-7', 'The live diff reported the wrong rows.');
+        assert(diff.updated[0].name === 'Dock Master' && Object.keys(diff.data[0]).join(',') === 'id,name', 'Live rows were not projected to the select list.');
+        fake.transaction((tx: any) => tx.update('rooms', { ...tx.find('rooms', 'room-3'), description: 'Fog rolls in.' }));
+        await settle();
+        assert(roomDiffs.length === 2, 'A change outside the query produced a delivery.');
+        liveRooms.unsubscribe();
+        const characterDiffs: any[] = [];
+        const liveCharacters = spacetime.from('characters').select('id, rooms(name, regions(display_name))').subscribe((delivery: any) => characterDiffs.push(delivery));
+        await settle();
+        fake.transaction((tx: any) => tx.update('regions', { ...tx.find('regions', 'harbor'), display_name: 'Old Harbor' }));
+        await settle();
+        assert(characterDiffs.length === 2 && ids(characterDiffs[1].updated) === 'char-1' && characterDiffs[1].data[0].rooms.regions.display_name === 'Old Harbor', 'A change to a nested related row did not update the live query.');
+        liveCharacters.unsubscribe();
+        fake.transaction((tx: any) => tx.update('rooms', { ...tx.find('rooms', 'room-1'), name: 'Dock 100%' }));
+        await settle();
+        assert(roomDiffs.length === 2 && characterDiffs.length === 2, 'An unsubscribed live query kept delivering.');
+    }
+
+    {
+        // Place-bound tables follow the player's region and its neighbours.
+        const { fake, spacetime } = await connect();
+        assert(ids((await spacetime.from('npcs').select('*')).data) === '', 'NPCs were subscribed before a room was focused.');
+        await setSubscriptionScope({ roomId: 'room-1' });
+        assert(ids((await spacetime.from('npcs').select('*')).data) === 'npc-1,npc-2', 'The region scope did not cover the room\'s region and its neighbour.');
+        // A region larger than one scope query still reaches its last room.
+        fake.transaction((tx: any) => {
+            for (let index = 0; index < 120; index += 1) tx.insert('rooms', room(`pier-${index}`, `Pier ${index}`, 'harbor', 0));
+            tx.insert('npcs', { id: 'npc-4', name: 'Tern', current_room: 'pier-119', behavior_type: 'static' });
+        });
+        await settle();
+        await settle();
+        assert(ids((await spacetime.from('npcs').select('*')).data) === 'npc-1,npc-2,npc-4', 'A room past the first scope query was left unsubscribed.');
+    }
+
+    {
+        // Filters, patterns, ordering, ranges, counts, and projections.
+        const { spacetime } = await connect();
+        const rooms = () => spacetime.from('rooms').select('*');
+        assert(ids((await rooms().like('name', 'Dock_1')).data) === 'room-2,room-5', 'like _ did not match a single character.');
+        assert(ids((await rooms().like('name', 'Dock\\_1')).data) === 'room-2', 'An escaped _ was treated as a wildcard.');
+        assert(ids((await rooms().like('name', 'Dock 100\\%')).data) === 'room-1', 'An escaped % was treated as a wildcard.');
+        assert(ids((await rooms().like('name', 'dock*')).data) === 'room-4', 'like was not case-sensitive.');
+        assert(ids((await rooms().ilike('name', 'dock%')).data) === 'room-1,room-2,room-4,room-5', 'ilike did not ignore case.');
+        assert(ids((await rooms().or('and(region.eq.harbor,name.like.Dock*),id.eq.room-3')).data) === 'room-1,room-2,room-3', 'A nested and() inside or() was not applied.');
+        assert(ids((await rooms().or('not.and(region.eq.harbor,name.ilike.dock*),id.eq.room-1')).data) === 'room-1,room-3,room-5,room-6', 'A negated group inside or() was not applied.');
+        assert(ids((await rooms().or('name.eq."Dock 100%",name.in.("Dock_1","dock cellar")')).data) === 'room-1,room-2,room-4', 'Quoted values in or() were split or misread.');
+        assert(ids((await rooms().gt('height', 9)).data) === 'room-2,room-3', 'Numeric comparisons compared as text.');
+        assert(ids((await rooms().not('region', 'in', '(harbor,cliffs)')).data) === 'room-6', 'not.in did not exclude the listed values.');
+        const malformed = await rooms().or('name.ilike');
+        assert(malformed.error?.message.includes('Malformed filter') && malformed.data === null, 'A malformed filter did not surface as the query error.');
+        const page = await spacetime.from('rooms').select('id', { count: 'exact' }).order('id').range(1, 2);
+        assert(page.data.map((row: any) => row.id).join(',') === 'room-2,room-3' && page.count === 6, 'range() with count=exact returned the wrong page or count.');
+        const head = await spacetime.from('rooms').select('*', { count: 'exact', head: true }).eq('region', 'harbor');
+        assert(head.data === null && head.count === 3, 'count=exact with head returned rows or the wrong count.');
+        const descending = await spacetime.from('rooms').select('id').order('height', { ascending: false }).limit(2);
+        assert(descending.data.map((row: any) => row.id).join(',') === 'room-3,room-2', 'Descending numeric order was wrong.');
+        const projected = await spacetime.from('rooms').select('id, label:name, regions(display_name)').eq('id', 'room-1').single();
+        assert(JSON.stringify(projected.data) === JSON.stringify({ id: 'room-1', label: 'Dock 100%', regions: { display_name: 'Harbor' } }), 'The select list was not projected with its alias and embedded row.');
+        assert((await rooms().eq('region', 'nowhere').single()).error?.message.includes('Expected one rooms row'), 'single() accepted an empty result.');
+    }
+
+    {
+        // Commands typed during an outage queue up, then replay in order.
+        const { fake, spacetime } = await connect();
+        const states: any[] = [];
+        const stateListener = spacetime.onConnectionStateChange((state: any) => states.push(state));
+        fake.failNextConnect();
+        fake.dropConnection();
+        await settle();
+        assert(spacetime.connectionState().state === 'reconnecting', 'A dropped connection did not start reconnecting.');
+        const waitingRead = spacetime.from('rooms').select('id').eq('id', 'room-1').single().then((result: any) => result);
+        const callsBeforeReplay = fake.calls.length;
+        for (const raw of ['look', 'east', 'say hello']) {
+            const queued = await spacetime.from('commands').insert({ raw, character_id: 'char-1', room_id: 'room-1' });
+            assert(!queued.error && queued.data[0].raw === raw, `The command "${raw}" was not queued.`);
+        }
+        assert(spacetime.connectionState().queued === 3, 'Queued commands were not counted.');
+        const overflow = await spacetime.from('commands').insert(Array.from({ length: 23 }, (_, index) => ({ raw: `wait ${index}`, character_id: 'char-1' })));
+        assert(overflow.error?.message.includes('queue is full') && spacetime.connectionState().queued === 3, 'The command queue accepted more than its limit, or kept part of a rejected insert.');
+        await waitFor(() => spacetime.connectionState().state === 'connected' && spacetime.connectionState().queued === 0, 'the reconnect and replay');
+        stateListener.unsubscribe();
+        const attempts = states.filter((state) => state.state === 'reconnecting').map((state) => state.attempt);
+        assert(attempts.includes(1) && attempts.includes(2), 'A refused reconnect was not retried.');
+        const replayed = fake.calls.slice(callsBeforeReplay).filter((call: any) => call.name === 'submitCommand').map((call: any) => call.args.raw);
+        assert(replayed.join('|') === 'look|east|say hello', `Queued commands replayed as ${replayed.join('|')}.`);
+        assert(fake.rows('commands').map((row: any) => row.raw).join('|') === 'look|east|say hello', 'The replayed commands did not reach the server in order.');
+        assert((await waitingRead).data?.id === 'room-1', 'A read made during the outage did not resolve once reconnected.');
+    }
+
+    {
+        // Batches compile into one apply_admin_batch call and roll back together.
+        const { fake, spacetime } = await connect();
+        const callsBefore = fake.calls.length;
+        const applied = await spacetime.batch(async (tx: any) => {
+            tx.from('regions').insert({ name: 'bay', display_name: 'Bay', color_scheme: {}, pvp_enabled: false });
+            tx.from('rooms').insert(room('room-8', 'Bay Shore', 'bay', 0));
+            tx.from('rooms').update({ height: 99 }).eq('id', 'room-5');
+            tx.from('exits').delete().eq('id', 'no-such-exit');
+            return 'done';
+        }, 'Add the bay');
+        const batchCalls = fake.calls.slice(callsBefore);
+        assert(!applied.error && applied.data === 'done', `The batch failed: ${applied.error?.message}`);
+        assert(batchCalls.length === 1 && batchCalls[0].name === 'applyAdminBatch' && batchCalls[0].args.summary === 'Add the bay', 'The batch was not sent as one apply_admin_batch call.');
+        const operations = JSON.parse(batchCalls[0].args.operationsJson);
+        assert(operations.map((operation: any) => `${operation.action}:${operation.table}`).join(',') === 'insert:regions,insert:rooms,update:rooms', 'The batch did not compile its writes in order, or kept an empty delete.');
+        assert(operations[2].ids.join(',') === 'room-5' && operations[2].changes.height === 99, 'The batched update targeted the wrong rows.');
+        assert(fake.rows('rooms').find((row: any) => row.id === 'room-5').height === 99 && fake.rows('regions').some((row: any) => row.name === 'bay'), 'The batch was not applied.');
+        let spent: any = null;
+        const rolledBack = await spacetime.batch((tx: any) => {
+            spent = tx;
+            tx.from('regions').insert({ name: 'fen', display_name: 'Fen', color_scheme: {}, pvp_enabled: false });
+            tx.from('rooms').insert(room('room-1', 'Duplicate', 'fen', 0));
+        });
+        assert(rolledBack.error?.message.includes('Duplicate'), 'A failing batch did not report its error.');
+        assert(!fake.rows('regions').some((row: any) => row.name === 'fen') && (await spacetime.from('regions').select('*').eq('name', 'fen')).data.length === 0, 'A failed batch left part of its writes behind.');
+        let reused: any = null;
+        try {
+            spent.from('rooms');
+        } catch (error) {
+            reused = error;
+        }
+        assert(reused?.message.includes('already been applied'), 'A batch accepted writes after it was applied.');
+        const callsBeforeAbort = fake.calls.length;
+        const aborted = await spacetime.batch(() => { throw new Error('Changed my mind.'); });
+        const commandBatch = await spacetime.batch((tx: any) => tx.from('commands').insert({ raw: 'look' }));
+        assert(aborted.error?.message === 'Changed my mind.' && commandBatch.error?.message.includes('cannot be batched') && fake.calls.length === callsBeforeAbort, 'A batch that threw or wrote commands reached the server.');
+    }
+
+    {
+        // The world bundle keeps authored content only.
+        const { fake, spacetime } = await connect();
+        await setSubscriptionScope({ mode: 'world' });
+        const world = await collectArchieWorld(spacetime);
+        assert(world.format === 'arkyv-world' && ids(world.tables.world_objects) === 'obj-chest,obj-coin', 'The bundle did not keep exactly the placed objects and their contents.');
+        assert(ids(world.tables.actor_stats) === 'stat-npc', 'The bundle kept player stats.');
+        assert(world.tables.rooms.every((row: any) => !('regions' in row)), 'The bundle kept enriched relations.');
+        const [coin, chest] = SEED.world_objects;
+        assert(orderWorldObjectsForRestore([coin, chest]).map((object: any) => object.id).join(',') === 'obj-chest,obj-coin', 'A container was not restored before its contents.');
+        let cycle: any = null;
+        try {
+            orderWorldObjectsForRestore([{ ...chest, location_kind: 'container', location_id: 'obj-coin' }, coin]);
+        } catch (error) {
+            cycle = error;
+        }
+        assert(cycle?.message.includes('containment cycle'), 'A containment cycle was not rejected.');
+
+        // Archie stages a draft from the bundle; the patch applies once.
+        const archieScript = (steps: unknown[]) => {
+            const file = path.join(scratch, `archie-${Date.now()}.json`);
+            writeFileSync(file, JSON.stringify(steps));
+            process.env.FAKE_AI_ARCHIE_SCRIPT = file;
+        };
+        archieScript([
+            {
+                tools: [
+                    { name: 'stage_insert', arguments: { table: 'rooms', records_json: JSON.stringify([room('room-tower', 'Tower', 'harbor', 40)]) } },
+                    { name: 'stage_insert', arguments: { table: 'exits', records_json: JSON.stringify([{ id: 'exit-up', from_room: 'room-1', to_room: 'room-tower', verb: 'up' }]) } },
+                ],
+            },
+            {
+                tools: [
+                    { name: 'stage_update', arguments: { table: 'rooms', record_id: 'room-3', changes_json: JSON.stringify({ description: 'The lamp is lit.' }) } },
+                    { name: 'stage_delete', arguments: { table: 'exits', record_ids: ['exit-1'] } },
+                ],
+            },
+            { tools: [{ name: 'validate_draft', arguments: {} }] },
+            { text: 'Added a tower above the dock.' },
+        ]);
+        const events: any[] = [];
+        const draft = await runArchieAgent({ prompt: 'Add a tower above the dock.', world, history: [], emit: (event: any) => events.push(event) });
+        assert(draft.validation.valid && draft.report === 'Added a tower above the dock.', `Archie's draft did not validate: ${draft.validation.errors.join(' ')}`);
+        assert(JSON.stringify(draft.summary) === JSON.stringify({ inserts: 2, updates: 1, deletes: 1, configures: 0, records: 4 }), 'Archie summarized its draft wrongly.');
+        assert(draft.operations.map((operation: any) => `${operation.action}:${operation.table}`).join(',') === 'insert:rooms,update:rooms,insert:exits,delete:exits', 'Archie did not order inserts before deletions.');
+        assert(JSON.stringify(draft.operations[1].changes) === JSON.stringify({ description: 'The lamp is lit.' }), 'Archie\'s update carried unchanged fields.');
+        assert(['stage_insert', 'stage_update', 'stage_delete', 'validate_draft'].every((name) => events.some((event) => event.type === 'tool' && event.name === name)), 'Archie did not report its tool calls.');
+        const patch = await spacetime.applyAdminPatch(draft.runId, draft.operations, draft.report);
+        await settle();
+        assert(!patch.error, `The Archie patch failed: ${patch.error?.message}`);
+        const tower = (await spacetime.from('rooms').select('*').eq('id', 'room-tower').single()).data;
+        assert(tower?.regions?.display_name === 'Harbor', 'The patched room was not readable with its region.');
+        assert((await spacetime.from('rooms').select('description').eq('id', 'room-3').single()).data.description === 'The lamp is lit.', 'The patched update was not applied.');
+        assert(ids((await spacetime.from('exits').select('*')).data) === 'exit-2,exit-up', 'The patched exits were wrong.');
+        const replay = await spacetime.applyAdminPatch(draft.runId, draft.operations, draft.report);
+        assert(!replay.error && fake.rows('rooms').filter((row: any) => row.id === 'room-tower').length === 1, 'Replaying an Archie run applied it twice.');
+        archieScript([
+            { tools: [{ name: 'stage_insert', arguments: { table: 'exits', records_json: JSON.stringify([{ id: 'exit-lost', from_room: 'room-1', to_room: 'room-missing', verb: 'down' }]) } }] },
+            { text: 'Added a way down.' },
+        ]);
+        const broken = await runArchieAgent({ prompt: 'Add a way down.', world: await collectArchieWorld(spacetime), history: [], emit: () => {} });
+        assert(!broken.validation.valid && broken.validation.errors.some((error: string) => error.includes('missing rooms "room-missing"')), 'Archie validated an exit to a missing room.');
+
+        // The HUD renders headlessly against the same client.
+        const idle = renderToStaticMarkup(React.createElement(RpgHud, { actor: null }));
+        assert(idle.includes('No active character'), 'The HUD did not render its empty state.');
+        const hud = renderToStaticMarkup(React.createElement(RpgHud, { actor: { id: 'char-1', current_room: 'room-1' } }));
+        assert(hud.includes('Your pack is empty') && hud.includes('0 / 20 slots'), 'The HUD did not render its gear tab before its rows load.');
+        disconnectSpacetime();
+        assert(spacetime.connectionState().state === 'disconnected', 'The client did not disconnect.');
+    }
+
+    rmSync(scratch, { recursive: true, force: true });
+    console.log('Client smoke test passed.');
+}
+
+main().catch((error) => {
+    console.error(error);
+    process.exitCode = 1;
+});
@@ -0,0 +1,311 @@
+/* eslint-disable @typescript-eslint/no-explicit-any */
+import { mkdtempSync, rmSync } from 'node:fs';
+import { createServer } from 'node:http';
+import type { AddressInfo } from 'node:net';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { z } from 'zod';
+// Exercises the AI callers against AI_PROVIDER=fake. Needs no database, model
+// server, or key, so it can run in CI.
+
+function assert(condition: unknown, message: string): asserts condition {
+    if (!condition) throw new Error(message);
+}
+
+const json = (completion: any) => JSON.parse(completion?.choices?.[0]?.message?.content || '');
+
+async function main() {
+    process.env.AI_PROVIDER = 'fake';
+    process.env.AI_CACHE_DIR = mkdtempSync(path.join(tmpdir(), 'arkyv-ai-cache-'));
+    process.env.ASSET_STORE_DIR = mkdtempSync(path.join(tmpdir(), 'arkyv-assets-'));
+    // A provider that answers with whatever status the test sets, for the
+    // circuit breaker. Its URL is read when aiProvider loads.
+    let flakyStatus = 200;
+    let flakyRequests = 0;
+    const flaky = createServer((req, res) => {
+        flakyRequests += 1;
+        req.resume();
+        req.on('end', () => setTimeout(() => {
+            res.statusCode = flakyStatus;
+            res.setHeader('Content-Type', 'application/json');
+            res.end(JSON.stringify(flakyStatus === 200 ? { choices: [{ message: { role: 'assistant', content: 'Still here.' } }] } : { error: { message: `status ${flakyStatus}` } }));
+        }, 50));
+    });
+    await new Promise<void>((resolve) => flaky.listen(0, '127.0.0.1', resolve));
+    process.env.CUSTOM_AI_BASE_URL = `http://127.0.0.1:${(flaky.address() as AddressInfo).port}/v1`;
+    process.env.CUSTOM_AI_API_KEY = 'flaky';
+    process.env.CUSTOM_AI_MODEL = 'flaky-model';
+    process.env.AI_PROVIDER_RETRIES = '0';
+    process.env.AI_CIRCUIT_BREAKER_FAILURES = '2';
+    process.env.AI_CIRCUIT_BREAKER_COOLDOWN_SECONDS = '1';
+    // Loaded after AI_PROVIDER is set, and untyped: the JSDoc marks optional
+    // options as required.
+    const { createChatCompletion, createStructuredCompletion, getAIProviderHealth, StructuredOutputError }: any = await import('../lib/aiProvider');
+    const { generateNpcTurn, matchDialogueChoice }: any = await import('../lib/npcDialogue');
+    const { summarizeNpcConversation }: any = await import('../lib/npcMemory');
+    const { npcActionTools, npcToolCallActions }: any = await import('../lib/npcActions');
+    const { FakeArchieProvider }: any = await import('../lib/fakeArchieModel');
+    const { PROMPT_SUBJECTS, PROMPT_TEMPLATES, renderPromptMessages }: any = await import('../lib/promptTemplates');
+    const { clearAICache, getAICacheStats, suggestionCache }: any = await import('../lib/aiCache');
+    const { discoverLocalModels, ollamaChatCompletion }: any = await import('../lib/localModelServers');
+    const { generateImage, ImageProviderError }: any = await import('../lib/imageProvider');
+    const { processImage }: any = await import('../lib/imagePipeline');
+    const { getAssetStoreStats, readAsset, removeUnreferencedAssets, storeDataUrlAsset }: any = await import('../lib/assetStore');
+    const { assetIdFromUrl, referencedAssetIds }: any = await import('../lib/assetUrls');
+    const { artStyleSeed, mergeArtStyles, normalizeArtStyle }: any = await import('../lib/artStyles');
+    const sharp = (await import('sharp')).default;
+
+    for (const [id, template] of Object.entries<any>(PROMPT_TEMPLATES)) {
+        const rendered = renderPromptMessages(template, PROMPT_SUBJECTS[template.subject].sample);
+        assert(rendered.every((message: any) => message.content && !message.content.includes('{{')), `Prompt template ${id} left a marker unfilled.`);
+    }
+
+    const messages = [{ role: 'user', content: 'A smithy at the edge of the market.' }];
+    const colors = json(await createChatCompletion({ task: 'generate-colors', messages, responseFormat: { type: 'json_object' } }));
+    assert(/^#[0-9a-f]{6}$/.test(colors.borderColor) && /^#[0-9a-f]{6}$/.test(colors.fontColor) && colors.accent.startsWith('rgba('), 'Colour suggestion was not a palette.');
+    const usage: any[] = [];
+    const again = json(await createChatCompletion({ task: 'generate-colors', messages, responseFormat: { type: 'json_object' }, onUsage: (entry: any) => { usage.push(entry); } }));
+    assert(usage.length === 1 && usage[0].provider === 'fake' && usage[0].succeeded && usage[0].promptTokens > 0, 'Usage was not reported for a completion.');
+    assert(again.borderColor === colors.borderColor, 'The same request gave a different answer.');
+    const roomName = await createStructuredCompletion({ task: 'suggest-room-name', schema: z.object({ name: z.string().min(1) }), messages });
+    assert(typeof roomName.name === 'string' && roomName.name.length > 0, 'Room name suggestion was empty.');
+    let invalid: any = null;
+    try {
+        await createStructuredCompletion({ task: 'suggest-room-name', schema: z.object({ name: z.number() }), messages });
+    } catch (error) {
+        invalid = error;
+    }
+    assert(invalid instanceof StructuredOutputError && invalid.details.includes('name'), 'A reply that failed its schema was not reported.');
+    const cachedUsage: any[] = [];
+    const ask = (body: any) => createStructuredCompletion({ task: 'suggest-room-name', schema: z.object({ name: z.string().min(1) }), messages, cache: suggestionCache({ body }), onUsage: (entry: any) => { cachedUsage.push(entry); } });
+    await ask({});
+    await ask({});
+    await ask({ fresh: true });
+    const cacheStats = await getAICacheStats();
+    assert(cachedUsage.length === 2 && cacheStats.hits === 1 && cacheStats.misses === 1 && cacheStats.bypasses === 1 && cacheStats.entries === 1, 'The suggestion cache did not answer a repeated request.');
+    await clearAICache();
+    rmSync(process.env.AI_CACHE_DIR, { recursive: true, force: true });
+    const npcName = json(await createChatCompletion({ task: 'suggest-npc-name', messages, responseFormat: { type: 'json_object' } }));
+    assert(npcName.name && npcName.alias, 'NPC name suggestion was missing its alias.');
+
+    const rows = (tableName: string) => (tableName === 'npc_ai_actions'
+        ? [{ id: 'smoke-gold', npc_id: 'smoke-npc', action_kind: 'gold', action_reference_id: null, max_value: 5, uses_per_actor: 1, instructions: '' }]
+        : []);
+    const tools = npcActionTools(rows, { npcId: 'smoke-npc', actorId: 'smoke-actor' });
+    let streamed = '';
+    const turn = await generateNpcTurn({
+        npcName: 'Mara Quill',
+        personality: 'A patient smith.',
+        playerMessage: 'Could you give_gold to a poor traveler?',
+        conversationHistory: [],
+        tools,
+        onDelta: (delta: string) => { streamed += delta; },
+    });
+    assert(turn.response && streamed.trim() === turn.response, 'NPC reply did not stream word by word.');
+    const actions = npcToolCallActions(tools, turn.toolCalls);
+    assert(actions.length === 1 && actions[0].action_id === 'smoke-gold' && actions[0].value === 1, 'Naming a tool did not call it.');
+    const quiet = await generateNpcTurn({ npcName: 'Mara Quill', playerMessage: 'Nice weather.', conversationHistory: [], tools });
+    assert(quiet.toolCalls.length === 0, 'NPC called a tool nobody named.');
+
+    const dialogueNode = { text: 'What brings you here?', choices: [{ id: 'greet', label: 'Hello there' }, { id: 'trade', label: 'Show me your wares' }] };
+    const choice = await matchDialogueChoice({ npcName: 'Mara Quill', dialogueNode, playerMessage: 'show me your wares' });
+    assert(choice === 'trade', `Dialogue match picked ${choice || 'nothing'} instead of trade.`);
+
+    const memory = await summarizeNpcConversation({ npcName: 'Mara Quill', exchanges: [{ role: 'user', content: 'Hello' }, { role: 'assistant', content: 'Welcome.' }] });
+    assert(memory.summary && Array.isArray(memory.keyFacts), 'Memory summary was not parsed.');
+
+    const model: any = new FakeArchieProvider().getModel();
+    const first = await model.getResponse({ input: 'List a few rooms.' });
+    assert(first.output.map((item: any) => item.name).join(',') === 'find_rooms,inspect_schema', 'Archie script did not start with its lookups.');
+    const second = await model.getResponse({ input: ['List a few rooms.', ...first.output] });
+    assert(second.output[0]?.name === 'validate_draft', 'Archie script did not validate the draft.');
+    const report = await model.getResponse({ input: ['List a few rooms.', ...first.output, ...second.output] });
+    assert(report.output[0]?.type === 'message', 'Archie script did not end with a report.');
+
+    // A stand-in for Ollama's native API on a random local port.
+    const ollama = createServer((req, res) => {
+        let raw = '';
+        req.on('data', (chunk) => { raw += chunk; });
+        req.on('end', () => {
+            const body = raw ? JSON.parse(raw) : {};
+            res.setHeader('Content-Type', 'application/json');
+            if (req.url === '/api/tags') {
+                res.end(JSON.stringify({ models: [{ name: 'qwen2.5:7b', size: 4_700_000_000, details: { family: 'qwen2' } }, { name: 'llama3:latest' }] }));
+            } else if (req.url === '/api/show') {
+                res.end(JSON.stringify({ model_info: { 'qwen2.context_length': body.model === 'qwen2.5:7b' ? 32_768 : 8_192 }, capabilities: ['completion'] }));
+            } else if (body.model === 'missing') {
+                res.statusCode = 404;
+                res.end(JSON.stringify({ error: 'model "missing" not found, try pulling it first' }));
+            } else if (body.stream) {
+                res.end(['Well', ' met.'].map((content) => `${JSON.stringify({ message: { content }, done: false })}\n`).join('')
+                    + `${JSON.stringify({ message: { content: '' }, done: true, prompt_eval_count: 12, eval_count: 3 })}\n`);
+            } else {
+                res.end(JSON.stringify({ message: { content: JSON.stringify(body.format) }, done: true, prompt_eval_count: 12, eval_count: 4 }));
+            }
+        });
+    });
+    await new Promise<void>((resolve) => ollama.listen(0, '127.0.0.1', resolve));
+    const ollamaConfig = { server: 'ollama', baseUrl: `http://127.0.0.1:${(ollama.address() as AddressInfo).port}/v1`, apiKey: 'local', models: { fast: 'qwen2.5:7b', smart: 'llama3', vision: 'missing' } };
+    try {
+        const discovered = await discoverLocalModels(ollamaConfig);
+        const [fast, smart, vision] = discovered.configured;
+        assert(discovered.reachable && discovered.models.length === 2, 'Ollama models were not listed.');
+        assert(fast.installed && fast.contextLength === 32_768 && smart.installed && !vision.installed, 'Configured Ollama models were not checked against the installed ones.');
+        const structured = await ollamaChatCompletion(ollamaConfig, { model: 'qwen2.5:7b', messages, responseFormat: { type: 'json_object' } }, null, undefined);
+        assert(structured.choices[0].message.content === '"json"' && structured.usage.total_tokens === 16, 'Ollama JSON mode or token counts were not mapped.');
+        let streamedOllama = '';
+        const streamedReply = await ollamaChatCompletion(ollamaConfig, { model: 'qwen2.5:7b', messages, stream: true }, (delta: string) => { streamedOllama += delta; }, undefined);
+        assert(streamedOllama === 'Well met.' && streamedReply.choices[0].message.content === 'Well met.' && streamedReply.usage.completion_tokens === 3, 'Ollama stream was not assembled.');
+        let missing: any = null;
+        await ollamaChatCompletion(ollamaConfig, { model: 'missing', messages }, null, undefined).catch((error: any) => { missing = error; });
+        assert(missing?.status === 404 && missing.message.includes('ollama pull missing'), 'A missing Ollama model did not say how to pull it.');
+    } finally {
+        ollama.close();
+    }
+
+    // A stand-in for ComfyUI that runs each prompt after one poll, and fails
+    // prompts whose seed node is set to 13.
+    const submitted: any[] = [];
+    const history: Record<string, any> = {};
+    const comfy = createServer((req, res) => {
+        let raw = '';
+        req.on('data', (chunk) => { raw += chunk; });
+        req.on('end', () => {
+            res.setHeader('Content-Type', 'application/json');
+            if (req.url === '/prompt') {
+                const { prompt } = JSON.parse(raw);
+                const id = `prompt-${submitted.push(prompt)}`;
+                const failed = prompt['5'].inputs.seed === 13;
+                setTimeout(() => {
+                    history[id] = failed
+                        ? { outputs: {}, status: { status_str: 'error', completed: false, messages: [['execution_error', { node_type: 'KSampler', exception_message: 'out of memory' }]] } }
+                        : { outputs: { 7: { images: [{ filename: 'arkyv_0001.png', subfolder: '', type: 'output' }] } }, status: { status_str: 'success', completed: true } };
+                }, 30);
+                res.end(JSON.stringify({ prompt_id: id, number: submitted.length, node_errors: {} }));
+            } else if (req.url === '/upload/image') {
+                const name = raw.match(/filename="([^"]+)"/)?.[1];
+                res.end(JSON.stringify({ name, subfolder: 'arkyv', type: 'input' }));
+            } else if (req.url?.startsWith('/history/')) {
+                const id = req.url.slice('/history/'.length);
+                res.end(JSON.stringify(history[id] ? { [id]: history[id] } : {}));
+            } else if (req.url === '/queue') {
+                res.end(JSON.stringify({ queue_running: submitted.map((_, index) => [index, `prompt-${index + 1}`]), queue_pending: [] }));
+            } else if (req.url?.startsWith('/view?filename=arkyv_0001.png')) {
+                res.setHeader('Content-Type', 'image/png');
+                res.end(Buffer.from('png bytes'));
+            } else {
+                res.statusCode = 404;
+                res.end('{}');
+            }
+        });
+    });
+    await new Promise<void>((resolve) => comfy.listen(0, '127.0.0.1', resolve));
+    Object.assign(process.env, { IMAGE_PROVIDER: 'comfyui', COMFYUI_BASE_URL: `http://127.0.0.1:${(comfy.address() as AddressInfo).port}`, COMFYUI_POLL_MS: '100' });
+    try {
+        const image = await generateImage({ prompt: 'A lantern-lit forge.', width: 384, height: 216, seed: 7 });
+        const [sent] = submitted;
+        assert(sent['2'].inputs.text === 'A lantern-lit forge.' && sent['4'].inputs.width === 384 && sent['4'].inputs.height === 216 && sent['5'].inputs.seed === 7, 'ComfyUI workflow nodes were not filled in.');
+        assert(image.imageUrl === `data:image/png;base64,${Buffer.from('png bytes').toString('base64')}` && image.seed === 7, 'ComfyUI image was not downloaded.');
+        let failure: any = null;
+        await generateImage({ prompt: 'A lantern-lit forge.', width: 384, height: 216, seed: 13 }).catch((error: any) => { failure = error; });
+        assert(failure instanceof ImageProviderError && failure.status === 502 && failure.message.includes('out of memory'), 'A ComfyUI execution error was not reported.');
+        const style = { stylePrompt: 'teal dusk palette', negativePrompt: 'text, watermark', steps: 30, cfgScale: 6.5, sampler: 'dpmpp_2m', referenceImage: '/api/assets/x.webp', referenceStrength: 0.75 };
+        await generateImage({ prompt: 'A lantern-lit forge.', width: 384, height: 216, seed: 8, style });
+        const styled = submitted[submitted.length - 1];
+        assert(styled['2'].inputs.text === 'teal dusk palette, A lantern-lit forge.' && styled['3'].inputs.text.endsWith(', text, watermark'), 'The art style prompts were not added to the workflow.');
+        assert(styled['5'].inputs.steps === 30 && styled['5'].inputs.cfg === 6.5 && styled['5'].inputs.sampler_name === 'dpmpp_2m', 'The art style sampler settings did not reach the seed node.');
+        failure = null;
+        const referenceImage = `data:image/png;base64,${Buffer.from('reference').toString('base64')}`;
+        await generateImage({ prompt: 'A lantern-lit forge.', width: 384, height: 216, seed: 9, style, referenceImage }).catch((error: any) => { failure = error; });
+        assert(failure?.code === 'IMAGE_PROVIDER_NOT_CONFIGURED' && failure.message.includes('Arkyv Reference'), 'A reference image without a reference node was not reported.');
+        process.env.COMFYUI_WORKFLOW = path.join(process.cwd(), 'data/comfyui/reference-workflow.json');
+        await generateImage({ prompt: 'A lantern-lit forge.', width: 384, height: 216, seed: 9, style, referenceImage });
+        const referenced = submitted[submitted.length - 1];
+        assert(/^arkyv\/arkyv-[0-9a-f]{24}\.png$/.test(referenced['8'].inputs.image) && Math.abs(referenced['5'].inputs.denoise - 0.25) < 1e-9, 'The reference image was not uploaded and used for img2img.');
+        delete process.env.COMFYUI_WORKFLOW;
+        process.env.COMFYUI_SEED_NODE = 'Missing Seed';
+        failure = null;
+        await generateImage({ prompt: 'A lantern-lit forge.', width: 384, height: 216 }).catch((error: any) => { failure = error; });
+        assert(failure?.code === 'IMAGE_PROVIDER_NOT_CONFIGURED' && failure.message.includes('Missing Seed'), 'A workflow without its seed node was not reported.');
+    } finally {
+        comfy.close();
+        for (const name of ['IMAGE_PROVIDER', 'COMFYUI_BASE_URL', 'COMFYUI_POLL_MS', 'COMFYUI_SEED_NODE', 'COMFYUI_WORKFLOW']) delete process.env[name];
+    }
+
+    const regionStyle = normalizeArtStyle(JSON.stringify({ stylePrompt: ' ink wash ', steps: '500', seedMode: 'per-record', seed: 41, referenceImage: 'https://example.com/a.png', sampler: '' }));
+    assert(JSON.stringify(regionStyle) === JSON.stringify({ stylePrompt: 'ink wash', steps: 150, seedMode: 'per-record', seed: 41 }), 'An art style was not normalized to the fields it sets.');
+    const roomStyle = mergeArtStyles(regionStyle, { steps: 20, negativePrompt: 'blurry' });
+    assert(roomStyle.stylePrompt === 'ink wash' && roomStyle.steps === 20 && roomStyle.negativePrompt === 'blurry', 'A record style did not override its region field by field.');
+    const roomSeed = artStyleSeed(roomStyle, 'room:harbor-gate');
+    assert(Number.isInteger(roomSeed) && roomSeed === artStyleSeed(roomStyle, 'room:harbor-gate') && roomSeed !== artStyleSeed(roomStyle, 'room:lighthouse'), 'Per-record seeds were not stable and distinct.');
+    assert(artStyleSeed({ seedMode: 'fixed', seed: 41 }, 'room:lighthouse') === 41 && artStyleSeed({}, 'room:lighthouse') === null, 'Fixed and random seed modes were wrong.');
+
+    // Random noise is the worst case for the byte budget.
+    const noise = await sharp(Buffer.from(Array.from({ length: 1200 * 900 * 3 }, () => Math.floor(Math.random() * 256))), { raw: { width: 1200, height: 900, channels: 3 } }).png().toBuffer();
+    const upload = `data:image/png;base64,${noise.toString('base64')}`;
+    const room = await processImage(upload, 'room');
+    assert(room.dataUrl.startsWith('data:image/webp;base64,') && room.width <= 768 && room.height <= 432 && room.bytes <= 80_000, 'Room image was not resized and re-encoded within its budget.');
+    assert(room.savedBytes === noise.length - room.bytes && room.savedBytes > 0, 'Saved bytes were not reported.');
+    process.env.IMAGE_PALETTE_COLORS = '16';
+    process.env.IMAGE_ITEM_MAX_BYTES = '4000';
+    try {
+        const item = await processImage(upload, 'item');
+        const stats = await sharp(Buffer.from(item.dataUrl.split(',')[1], 'base64')).metadata();
+        assert(stats.format === 'webp' && item.bytes <= 4_000 && item.width <= 128, 'Pixel-art item was not quantized within its budget.');
+    } finally {
+        delete process.env.IMAGE_PALETTE_COLORS;
+        delete process.env.IMAGE_ITEM_MAX_BYTES;
+    }
+    let undecodable: any = null;
+    await processImage('data:image/png;base64,bm90IGFuIGltYWdl', 'portrait').catch((error: any) => { undecodable = error; });
+    assert(undecodable?.code === 'IMAGE_INVALID' && undecodable.status === 400, 'An undecodable upload was not rejected.');
+
+    const stored = await storeDataUrlAsset(room.dataUrl);
+    const duplicate = await storeDataUrlAsset(room.dataUrl);
+    assert(stored.created && !duplicate.created && duplicate.id === stored.id && stored.id.endsWith('.webp'), 'The same image was not stored once under its hash.');
+    assert(assetIdFromUrl(stored.url) === stored.id && referencedAssetIds(JSON.stringify({ rooms: [{ image_url: stored.url }] })).has(stored.id), 'An asset URL did not resolve to its id.');
+    const served = await readAsset(stored.id);
+    assert(served?.contentType === 'image/webp' && served.data.length === stored.bytes, 'A stored asset was not read back.');
+    assert(await readAsset('../../etc/passwd') === null, 'A malformed asset id was read.');
+    let svg: any = null;
+    await storeDataUrlAsset(`data:image/svg+xml;base64,${Buffer.from('<svg xmlns="http://www.w3.org/2000/svg"/>').toString('base64')}`).catch((error: any) => { svg = error; });
+    assert(svg?.code === 'IMAGE_INVALID', 'An SVG was accepted as an asset.');
+    const unused = await storeDataUrlAsset(upload);
+    assert((await removeUnreferencedAssets(new Set([stored.id]))).removed === 0, 'An asset inside the grace period was removed.');
+    const collected = await removeUnreferencedAssets(new Set([stored.id]), { graceMs: 0 });
+    const assetStats = await getAssetStoreStats(new Set([stored.id]));
+    assert(collected.removed === 1 && collected.freedBytes === unused.bytes && assetStats.assets === 1 && assetStats.unreferenced === 0, 'An unreferenced asset was not removed.');
+    rmSync(process.env.ASSET_STORE_DIR, { recursive: true, force: true });
+
+    process.env.AI_PROVIDER = 'custom';
+    const customState = () => getAIProviderHealth()[0].state;
+    const flakyCall = () => createChatCompletion({ messages: [{ role: 'user', content: 'Hello?' }] }).then(() => 'ok', (error: any) => error.message);
+    flakyStatus = 400;
+    for (let attempt = 0; attempt < 3; attempt += 1) await flakyCall();
+    assert(customState() === 'healthy', 'Rejected requests opened the circuit.');
+    flakyStatus = 503;
+    await flakyCall();
+    await flakyCall();
+    assert(customState() === 'open', 'Repeated 503s did not open the circuit.');
+    const beforePaused = flakyRequests;
+    assert((await flakyCall()).includes('paused') && flakyRequests === beforePaused, 'An open circuit let a request through.');
+    await new Promise((resolve) => setTimeout(resolve, 1_100));
+    const probes = await Promise.all([flakyCall(), flakyCall()]);
+    assert(probes[0].includes('503') && probes[1].includes('retried by another request') && customState() === 'open', 'A half-open circuit did not admit exactly one probe, or a failed probe did not reopen it.');
+    await new Promise((resolve) => setTimeout(resolve, 1_100));
+    flakyStatus = 200;
+    const recovered = await Promise.all([flakyCall(), flakyCall()]);
+    assert(recovered[0] === 'ok' && recovered[1].includes('retried by another request') && customState() === 'healthy', 'A successful probe did not close the circuit.');
+    assert(await flakyCall() === 'ok', 'A closed circuit refused a request.');
+    flaky.close();
+    process.env.AI_PROVIDER = 'fake';
+
+    const health = getAIProviderHealth();
+    assert(health.length === 1 && health[0].provider === 'fake' && health[0].state === 'healthy', 'Fake provider was not reported healthy.');
+    console.log('Fake AI smoke test passed.');
+}
+
+main().catch((error) => {
+    console.error(error);
+    process.exitCode = 1;
+});
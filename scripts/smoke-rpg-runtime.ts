@@ -185,6 +185,38 @@ async function main() {
         await command('runtime-talk-greeter-second', 'talk greeter');
         assert([...connection.db.room_message.iter()].filter((row: any) => row.body.includes('Runtime Greeter: "The road is quiet today."')).length === 2, 'A one-line authored dialogue did not repeat on each conversation.');
 
+        // Hybrid NPCs answer `respond <free text>` through the approved NPC
+        // worker, either with a matched authored choice or in their own words.
+        const worker: any = await new Promise((resolve, reject) => {
+            DbConnection.builder()
+                .withUri(uri)
+                .withDatabaseName(databaseName)
+                .withConfirmedReads(true)
+                .onConnect((connected) => resolve(connected))
+                .onConnectError((_context, error) => reject(error))
+                .build();
+        });
+        try {
+            await worker.reducers.requestNpcWorker({ label: 'Runtime NPC worker' });
+            await connection.reducers.approveNpcWorker({ identityHex: worker.identity.toHexString(), label: 'Runtime NPC worker' });
+            const complete = (commandId: string, response: string, dialogueChoiceId?: string) => worker.reducers.completeNpcCommand({ commandId, response, actionsJson: '[]', dialogueChoiceId });
+            await insert('npcs', { id: 'runtime-sage', name: 'Runtime Sage', alias: 'sage', description: 'Answers off-script questions.', dialogue_tree: { dialogue_mode: 'hybrid' }, current_room: roomA, spawn_room: roomA, behavior_type: 'static', disposition: 'friendly', respawn_seconds: 0 });
+            await connection.reducers.configureEngineRecord({ tableName: 'dialogue_nodes', payloadJson: JSON.stringify({ id: 'runtime-sage-entry', npc_id: 'runtime-sage', text: 'Ask me anything.', entry_node: true, required_reputation: 0, sort_order: 1 }) });
+            await connection.reducers.configureEngineRecord({ tableName: 'dialogue_choices', payloadJson: JSON.stringify({ id: 'runtime-sage-pay', node_id: 'runtime-sage-entry', label: 'Pay me for the tale.', action_kind: 'gold', action_value: 7, sort_order: 1 }) });
+            await command('runtime-sage-talk', 'talk sage');
+            await complete('runtime-sage-talk', 'Welcome, traveller.');
+            await command('runtime-sage-improvise', 'respond what lies beyond the tide');
+            await complete('runtime-sage-improvise', 'Only more tide, friend.');
+            await waitFor(() => [...connection.db.room_message.iter()].some((row: any) => row.kind === 'npc_speech' && row.body === 'Runtime Sage: Only more tide, friend.'), 'the improvised hybrid reply');
+            const sageGoldBefore = [...connection.db.actor_wallet.iter()].find((row: any) => row.actorId === heroId)?.gold || 0;
+            await command('runtime-sage-match', 'respond pay me for the tale');
+            await complete('runtime-sage-match', '', 'runtime-sage-pay');
+            await waitFor(() => [...connection.db.actor_wallet.iter()].find((row: any) => row.actorId === heroId)?.gold === sageGoldBefore + 7, 'the matched hybrid dialogue choice');
+            assert(![...connection.db.room_message.iter()].some((row: any) => row.kind === 'npc_typing' && row.body.startsWith('Runtime Sage')), 'A completed hybrid reply left the NPC thinking.');
+        } finally {
+            worker.disconnect();
+        }
+
         await insert('object_definitions', [
             { id: 'runtime-raw-fish', name: 'Raw Runtime Fish', description: 'An uncooked test ingredient.', primitive_kind: 'item', icon: '◇', portable: true, stackable: true, max_stack: 10 },
             { id: 'runtime-cooked-fish', name: 'Cooked Runtime Fish', description: 'A finished test meal.', primitive_kind: 'consumable', icon: '◇', portable: true, stackable: true, max_stack: 10 },
@@ -392,7 +424,7 @@ async function main() {
 
         await connection.reducers.validateWorldContent({});
 
-        console.log('RPG runtime smoke test passed: rooms, doors, private messaging, parties and loot rules, secure trade, authored dialogue and recipe learning, PvP, attack speed, inventory capacity, patrol, XP/levels/talents, abilities, resources, equipment, hostile AI, graph-nearest delayed respawn, bank death policy, death losses/protection/history, hardcore deletion/recreation, loot, guard greetings/crimes, faction reputation, quest objectives, turn-in rewards, and content validation.');
+        console.log('RPG runtime smoke test passed: rooms, doors, private messaging, parties and loot rules, secure trade, authored dialogue and recipe learning, hybrid NPC replies, PvP, attack speed, inventory capacity, patrol, XP/levels/talents, abilities, resources, equipment, hostile AI, graph-nearest delayed respawn, bank death policy, death losses/protection/history, hardcore deletion/recreation, loot, guard greetings/crimes, faction reputation, quest objectives, turn-in rewards, and content validation.');
     } finally {
         connection?.disconnect();
     }
@@ -0,0 +1,251 @@
+//! Spend accounting for the AI text and image providers.
+//!
+//! The web server and the NPC worker report every provider call with
+//! `record_ai_usage` after it returns, under the service identity and charged
+//! to the player who asked. Each call is kept in `ai_usage_event` for a
+//! fortnight and folded into per-day totals in `ai_usage_daily`.
+//! `authorize_provider_request` checks those totals against the daily budgets
+//! in `ai_budget` before a route may call a provider, and `talk` checks them
+//! before it queues an NPC reply.
+
+use super::*;
+use spacetimedb::ViewContext;
+
+const DAY_MICROS: i64 = 86_400_000_000;
+const EVENT_RETENTION_DAYS: u32 = 14;
+const DAILY_RETENTION_DAYS: u32 = 90;
+const USAGE_FIELD_LENGTH: usize = 120;
+
+#[spacetimedb::table(accessor = ai_usage_event, index(accessor = scope_index, btree(columns = [scope])))]
+#[derive(Clone)]
+pub struct AiUsageEvent {
+    #[primary_key]
+    #[auto_inc]
+    pub id: u64,
+    pub scope: String,
+    pub owner: Identity,
+    pub profile_id: String,
+    pub route: String,
+    pub task: String,
+    pub provider: String,
+    pub model: String,
+    pub prompt_tokens: u64,
+    pub completion_tokens: u64,
+    pub images: u32,
+    pub latency_ms: u32,
+    pub succeeded: bool,
+    pub created_at: Timestamp,
+}
+
+/// One identity's use of one route, provider, and model on one UTC day.
+#[spacetimedb::table(
+    accessor = ai_usage_daily,
+    index(accessor = scope_index, btree(columns = [scope])),
+    index(accessor = day_index, btree(columns = [day]))
+)]
+#[derive(Clone)]
+pub struct AiUsageDaily {
+    #[primary_key]
+    pub id: String,
+    pub scope: String,
+    /// Days since the Unix epoch, in UTC.
+    pub day: u32,
+    pub profile_id: String,
+    pub route: String,
+    pub provider: String,
+    pub model: String,
+    pub requests: u32,
+    pub failures: u32,
+    pub prompt_tokens: u64,
+    pub completion_tokens: u64,
+    pub images: u32,
+    pub latency_ms_total: u64,
+    pub updated_at: Timestamp,
+}
+
+/// A daily allowance. `scope` is "identity", where `target` is a profile id or
+/// "*" for every identity without its own budget, or "route", where `target`
+/// is a route name and the allowance is shared by everyone. Zero means no
+/// limit.
+#[spacetimedb::table(accessor = ai_budget, public)]
+#[derive(Clone)]
+pub struct AiBudget {
+    #[primary_key]
+    pub id: String,
+    pub scope: String,
+    pub target: String,
+    pub daily_requests: u32,
+    pub daily_tokens: u64,
+    pub daily_images: u32,
+    pub updated_by: String,
+    pub updated_at: Timestamp,
+}
+
+#[spacetimedb::view(accessor = admin_ai_usage_events, public)]
+fn admin_ai_usage_events(ctx: &ViewContext) -> Vec<AiUsageEvent> {
+    if view_has_permission(ctx, "world.manage") { ctx.db.ai_usage_event().scope_index().filter("world").collect() } else { Vec::new() }
+}
+
+#[spacetimedb::view(accessor = admin_ai_usage_daily, public)]
+fn admin_ai_usage_daily(ctx: &ViewContext) -> Vec<AiUsageDaily> {
+    if view_has_permission(ctx, "world.manage") { ctx.db.ai_usage_daily().scope_index().filter("world").collect() } else { Vec::new() }
+}
+
+fn usage_day(ctx: &ReducerContext) -> u32 {
+    (ctx.timestamp.to_micros_since_unix_epoch() / DAY_MICROS) as u32
+}
+
+fn usage_field(value: &str) -> String {
+    value.trim().chars().take(USAGE_FIELD_LENGTH).collect()
+}
+
+/// The profile an AI call is charged to: a profile id, a character's owner,
+/// or, for the web routes, the caller's identity as hex.
+pub(crate) fn charged_profile_id(ctx: &ReducerContext, actor_id: &str) -> Option<String> {
+    if let Some(profile) = ctx.db.profile().id().find(&actor_id.to_string()) { return Some(profile.id); }
+    let owner = ctx.db.character().id().find(&actor_id.to_string()).map(|character| character.owner)
+        .or_else(|| Identity::from_hex(actor_id).ok())?;
+    profile_for(ctx, owner).map(|profile| profile.id)
+}
+
+#[derive(Default)]
+struct UsageTotals {
+    requests: u64,
+    tokens: u64,
+    images: u64,
+}
+
+impl UsageTotals {
+    fn add(&mut self, row: &AiUsageDaily) {
+        self.requests += u64::from(row.requests);
+        self.tokens += row.prompt_tokens + row.completion_tokens;
+        self.images += u64::from(row.images);
+    }
+
+    fn exceeded(&self, budget: &AiBudget) -> Option<&'static str> {
+        if budget.daily_requests > 0 && self.requests >= u64::from(budget.daily_requests) { return Some("requests"); }
+        if budget.daily_tokens > 0 && self.tokens >= budget.daily_tokens { return Some("tokens"); }
+        if budget.daily_images > 0 && self.images >= u64::from(budget.daily_images) { return Some("images"); }
+        None
+    }
+}
+
+/// Refuses a provider call once today's use by this profile, or on this
+/// route, has reached its budget.
+pub(crate) fn check_ai_budget(ctx: &ReducerContext, profile_id: &str, route: &str) -> Result<(), String> {
+    let identity_budget = ctx.db.ai_budget().id().find(&format!("identity:{profile_id}"))
+        .or_else(|| ctx.db.ai_budget().id().find(&"identity:*".to_string()));
+    let route_budget = ctx.db.ai_budget().id().find(&format!("route:{route}"));
+    if identity_budget.is_none() && route_budget.is_none() { return Ok(()); }
+    let mut by_identity = UsageTotals::default();
+    let mut by_route = UsageTotals::default();
+    for row in ctx.db.ai_usage_daily().day_index().filter(usage_day(ctx)) {
+        if row.profile_id == profile_id { by_identity.add(&row); }
+        if row.route == route { by_route.add(&row); }
+    }
+    if let Some(kind) = identity_budget.as_ref().and_then(|budget| by_identity.exceeded(budget)) {
+        return Err(format!("Daily AI budget reached: you have used today's {kind} allowance."));
+    }
+    if let Some(kind) = route_budget.as_ref().and_then(|budget| by_route.exceeded(budget)) {
+        return Err(format!("Daily AI budget reached: {route} has used today's {kind} allowance."));
+    }
+    Ok(())
+}
+
+fn prune_ai_usage(ctx: &ReducerContext, day: u32) {
+    let event_cutoff = ctx.timestamp.to_micros_since_unix_epoch() - i64::from(EVENT_RETENTION_DAYS) * DAY_MICROS;
+    let stale_events: Vec<u64> = ctx.db.ai_usage_event().iter().filter(|row| row.created_at.to_micros_since_unix_epoch() < event_cutoff).map(|row| row.id).collect();
+    for id in stale_events { ctx.db.ai_usage_event().id().delete(id); }
+    let stale_days: Vec<String> = ctx.db.ai_usage_daily().iter().filter(|row| row.day + DAILY_RETENTION_DAYS < day).map(|row| row.id).collect();
+    for id in stale_days { ctx.db.ai_usage_daily().id().delete(&id); }
+}
+
+#[spacetimedb::reducer]
+#[allow(clippy::too_many_arguments)]
+pub fn record_ai_usage(
+    ctx: &ReducerContext,
+    actor_id: String,
+    route: String,
+    task: String,
+    provider: String,
+    model: String,
+    prompt_tokens: u64,
+    completion_tokens: u64,
+    images: u32,
+    latency_ms: u32,
+    succeeded: bool,
+) -> Result<(), String> {
+    // Spend counts against shared route budgets, so only the server reports
+    // it, never a player's own connection.
+    if !npc_ai::is_service_identity(ctx, npc_ai::NPC_WORKER_ROLE) { return Err("Only the server's service identity reports AI usage.".to_string()); }
+    let profile_id = charged_profile_id(ctx, actor_id.trim()).ok_or_else(|| "AI usage must be charged to an existing player.".to_string())?;
+    let route = normalized_key(&route);
+    if route.is_empty() { return Err("AI usage needs a route.".to_string()); }
+    let provider = usage_field(&provider);
+    let model = usage_field(&model);
+    let event = ctx.db.ai_usage_event().insert(AiUsageEvent {
+        id: 0,
+        scope: "world".to_string(),
+        owner: ctx.sender(),
+        profile_id: profile_id.clone(),
+        route: route.clone(),
+        task: usage_field(&task),
+        provider: provider.clone(),
+        model: model.clone(),
+        prompt_tokens,
+        completion_tokens,
+        images,
+        latency_ms,
+        succeeded,
+        created_at: ctx.timestamp,
+    });
+
+    let day = usage_day(ctx);
+    let id = format!("{day}::{profile_id}::{route}::{provider}::{model}");
+    let existing = ctx.db.ai_usage_daily().id().find(&id);
+    let mut row = existing.clone().unwrap_or(AiUsageDaily {
+        id: id.clone(), scope: "world".to_string(), day, profile_id, route, provider, model,
+        requests: 0, failures: 0, prompt_tokens: 0, completion_tokens: 0, images: 0, latency_ms_total: 0, updated_at: ctx.timestamp,
+    });
+    row.requests = row.requests.saturating_add(1);
+    if !succeeded { row.failures = row.failures.saturating_add(1); }
+    row.prompt_tokens = row.prompt_tokens.saturating_add(prompt_tokens);
+    row.completion_tokens = row.completion_tokens.saturating_add(completion_tokens);
+    row.images = row.images.saturating_add(images);
+    row.latency_ms_total = row.latency_ms_total.saturating_add(u64::from(latency_ms));
+    row.updated_at = ctx.timestamp;
+    if existing.is_some() { ctx.db.ai_usage_daily().id().update(row); } else { ctx.db.ai_usage_daily().insert(row); }
+
+    // Old rows are cleared every few hundred calls rather than on each one.
+    if event.id % 250 == 0 { prune_ai_usage(ctx, day); }
+    Ok(())
+}
+
+#[spacetimedb::reducer]
+pub fn save_ai_budget(ctx: &ReducerContext, scope: String, target: String, daily_requests: u32, daily_tokens: u64, daily_images: u32) -> Result<(), String> {
+    ensure_profile(ctx);
+    require_permission(ctx, "world.manage")?;
+    let scope = scope.trim().to_string();
+    let target = if scope == "route" { normalized_key(&target) } else { target.trim().to_string() };
+    if scope != "identity" && scope != "route" { return Err("Budgets apply to an identity or a route.".to_string()); }
+    if target.is_empty() || target.len() > USAGE_FIELD_LENGTH { return Err("Choose who or what the budget applies to.".to_string()); }
+    if scope == "identity" && target != "*" && ctx.db.profile().id().find(&target).is_none() { return Err(format!("No profile {target} exists.")); }
+    let id = format!("{scope}:{target}");
+    let row = AiBudget {
+        id: id.clone(), scope, target, daily_requests, daily_tokens, daily_images,
+        updated_by: require_profile(ctx)?.id, updated_at: ctx.timestamp,
+    };
+    if ctx.db.ai_budget().id().find(&id).is_some() { ctx.db.ai_budget().id().update(row); } else { ctx.db.ai_budget().insert(row); }
+    expansion::audit(ctx, "ai_budget.save", &id, &format!("{{\"daily_requests\":{daily_requests},\"daily_tokens\":{daily_tokens},\"daily_images\":{daily_images}}}"));
+    Ok(())
+}
+
+#[spacetimedb::reducer]
+pub fn delete_ai_budget(ctx: &ReducerContext, budget_id: String) -> Result<(), String> {
+    ensure_profile(ctx);
+    require_permission(ctx, "world.manage")?;
+    if ctx.db.ai_budget().id().find(&budget_id).is_none() { return Err("That budget no longer exists.".to_string()); }
+    ctx.db.ai_budget().id().delete(&budget_id);
+    expansion::audit(ctx, "ai_budget.delete", &budget_id, "{}");
+    Ok(())
+}
@@ -0,0 +1,93 @@
+//! Art style profiles for generated images, read by the image routes.
+//!
+//! A region's profile sets the style prompt, negative prompt, sampler
+//! settings, seed strategy, and reference image for every room, NPC, and item
+//! generated for it. A room, NPC, or item may carry its own row that
+//! overrides single fields. Rows are keyed `kind:target_id`, and the profile
+//! itself is JSON that lib/artStyles.js normalizes, so new settings do not
+//! need a schema change. Profiles are world content: they go through the
+//! generic row reducers and travel with snapshots and exports.
+
+use super::*;
+
+const ART_STYLE_KINDS: [&str; 4] = ["region", "room", "npc", "item"];
+const ART_STYLE_LENGTH: usize = 8_000;
+
+#[spacetimedb::table(accessor = art_style, public)]
+#[derive(Clone)]
+pub struct ArtStyle {
+    #[primary_key]
+    pub id: String,
+    pub target_kind: String,
+    pub target_id: String,
+    pub style_json: String,
+    pub updated_at: Timestamp,
+}
+
+fn target_exists(ctx: &ReducerContext, kind: &str, target_id: &str) -> bool {
+    match kind {
+        "region" => ctx.db.region().name().find(target_id).is_some(),
+        "room" => ctx.db.room().id().find(target_id).is_some(),
+        "npc" => ctx.db.npc().id().find(target_id).is_some(),
+        "item" => ctx.db.object_definition().id().find(target_id).is_some(),
+        _ => false,
+    }
+}
+
+fn parse_style_json(value: Option<&Value>, fallback: &str) -> Result<String, String> {
+    let text = json_string(value, fallback);
+    if !serde_json::from_str::<Value>(&text).map(|style| style.is_object()).unwrap_or(false) {
+        return Err("An art style must be a JSON object.".to_string());
+    }
+    if text.len() > ART_STYLE_LENGTH { return Err(format!("Art styles are limited to {ART_STYLE_LENGTH} bytes.")); }
+    Ok(text)
+}
+
+/// Inserts rows from `insert_rows`. Each names its target with `target_kind`
+/// and `target_id`; the id is derived from them.
+pub(crate) fn insert_art_styles(ctx: &ReducerContext, rows: Vec<Value>) -> Result<(), String> {
+    for row in rows {
+        let target_kind = string(&row, "target_kind", "");
+        let target_id = string(&row, "target_id", "");
+        if !ART_STYLE_KINDS.contains(&target_kind.as_str()) {
+            return Err("Art styles belong to a region, room, npc, or item.".to_string());
+        }
+        if !target_exists(ctx, &target_kind, &target_id) {
+            return Err(format!("The {target_kind} \"{target_id}\" for this art style does not exist."));
+        }
+        let id = format!("{target_kind}:{target_id}");
+        if ctx.db.art_style().id().find(&id).is_some() {
+            return Err("This record already has an art style.".to_string());
+        }
+        let style_json = parse_style_json(row.get("style_json"), "{}")?;
+        ctx.db.art_style().insert(ArtStyle { id, target_kind, target_id, style_json, updated_at: ctx.timestamp });
+    }
+    Ok(())
+}
+
+/// Updates rows from `update_rows`. Only the profile changes; a style moves
+/// with its target, never to another one.
+pub(crate) fn update_art_styles(ctx: &ReducerContext, ids: Vec<String>, payload: &Value) -> Result<(), String> {
+    for id in ids {
+        let Some(existing) = ctx.db.art_style().id().find(&id) else { continue };
+        let style_json = parse_style_json(payload.get("style_json"), &existing.style_json)?;
+        ctx.db.art_style().id().update(ArtStyle { style_json, updated_at: ctx.timestamp, ..existing });
+    }
+    Ok(())
+}
+
+pub(crate) fn delete_art_styles(ctx: &ReducerContext, ids: Vec<String>) {
+    for id in ids { ctx.db.art_style().id().delete(&id); }
+}
+
+/// Removes the style of a deleted region, room, NPC, or item.
+pub(crate) fn forget_art_style(ctx: &ReducerContext, kind: &str, target_id: &str) {
+    ctx.db.art_style().id().delete(&format!("{kind}:{target_id}"));
+}
+
+/// Keeps a region's profile when the region is renamed.
+pub(crate) fn rename_region_art_style(ctx: &ReducerContext, old_name: &str, new_name: &str) {
+    let Some(existing) = ctx.db.art_style().id().find(&format!("region:{old_name}")) else { return };
+    ctx.db.art_style().id().delete(&existing.id);
+    ctx.db.art_style().insert(ArtStyle { id: format!("region:{new_name}"), target_id: new_name.to_string(), updated_at: ctx.timestamp, ..existing });
+}
@@ -521,7 +521,7 @@ pub(super) fn migrate_legacy_private_messages(ctx: &ReducerContext) {
     }
 }
 
-fn audit(ctx: &ReducerContext, action: &str, target: &str, details: &str) {
+pub(super) fn audit(ctx: &ReducerContext, action: &str, target: &str, details: &str) {
     let profile_id = profile_for(ctx, ctx.sender()).map(|row| row.id).unwrap_or_default();
     ctx.db.admin_audit().insert(AdminAudit {
         id: 0, scope: "world".to_string(), profile_id, action: action.to_string(), target: target.to_string(),
@@ -536,9 +536,7 @@ pub fn authorize_provider_request(ctx: &ReducerContext, route: String) -> Result
     if active_sanction(ctx, &profile.id, "ban").is_some() { return Err("This saved world is banned.".to_string()); }
     let now = ctx.timestamp.to_micros_since_unix_epoch();
     let route = normalized_key(&route);
-    if route != "npc-response" {
-        require_permission(ctx, if route == "generate-item-image" { "systems.manage" } else { "world.manage" })?;
-    }
+    require_permission(ctx, if route == "generate-item-image" { "systems.manage" } else { "world.manage" })?;
     let id = format!("{}::{route}", identity_id(ctx.sender()));
     let limit = if route.contains("image") || route.contains("portrait") { 10 } else { 30 };
     let existing = ctx.db.provider_request_window().id().find(&id);
@@ -550,6 +548,7 @@ pub fn authorize_provider_request(ctx: &ReducerContext, route: String) -> Result
         row.request_count = 0;
     }
     if row.request_count >= limit { return Err("Provider request rate limit exceeded. Try again in a minute.".to_string()); }
+    ai_usage::check_ai_budget(ctx, &profile.id, &row.route)?;
     row.request_count = row.request_count.saturating_add(1);
     if existing.is_some() { ctx.db.provider_request_window().id().update(row); } else { ctx.db.provider_request_window().insert(row); }
     Ok(())
@@ -816,52 +815,89 @@ fn dialogue_node_available(ctx: &ReducerContext, actor_id: &str, node: &Dialogue
         && node.required_faction_id.as_ref().map(|id| actor_reputation(ctx, actor_id, id) >= node.required_reputation).unwrap_or(true)
 }
 
-fn show_dialogue_node(ctx: &ReducerContext, room_id: &str, actor_id: &str, npc: &Npc, node: DialogueNode) {
-    let mut choices = ctx.db.dialogue_choice().iter().filter(|row| row.node_id == node.id).collect::<Vec<_>>(); choices.sort_by_key(|row| row.sort_order);
-    let lines = choices.iter().map(|row| format!("- {} (`respond {}`)", row.label, row.id)).collect::<Vec<_>>();
-    let state = ActorDialogueState { actor_id: actor_id.to_string(), npc_id: npc.id.clone(), node_id: node.id, updated_at: ctx.timestamp };
+/// The responses available at a dialogue node, one `respond` hint per line.
+pub(super) fn dialogue_choice_lines(ctx: &ReducerContext, node_id: &str) -> Vec<String> {
+    let mut choices = ctx.db.dialogue_choice().iter().filter(|row| row.node_id == node_id).collect::<Vec<_>>(); choices.sort_by_key(|row| row.sort_order);
+    choices.iter().map(|row| format!("- {} (`respond {}`)", row.label, row.id)).collect()
+}
+
+fn set_dialogue_state(ctx: &ReducerContext, actor_id: &str, npc_id: &str, node_id: String) {
+    let state = ActorDialogueState { actor_id: actor_id.to_string(), npc_id: npc_id.to_string(), node_id, updated_at: ctx.timestamp };
     if ctx.db.actor_dialogue_state().actor_id().find(&actor_id.to_string()).is_some() { ctx.db.actor_dialogue_state().actor_id().update(state); } else { ctx.db.actor_dialogue_state().insert(state); }
+}
+
+fn show_dialogue_node(ctx: &ReducerContext, room_id: &str, actor_id: &str, npc: &Npc, node: DialogueNode) {
+    let lines = dialogue_choice_lines(ctx, &node.id);
+    set_dialogue_state(ctx, actor_id, &npc.id, node.id);
     rpg_message(ctx, room_id, actor_id, "npc_speech", format!("{}: \"{}\"{}", npc.name, node.text, if lines.is_empty() { String::new() } else { format!("\n{}", lines.join("\n")) }));
 }
 
+fn first_entry_node(ctx: &ReducerContext, actor_id: &str, npc_id: &str) -> Option<DialogueNode> {
+    let mut nodes = ctx.db.dialogue_node().iter().filter(|node| node.npc_id == npc_id && node.entry_node && dialogue_node_available(ctx, actor_id, node)).collect::<Vec<_>>(); nodes.sort_by_key(|row| row.sort_order);
+    nodes.into_iter().next()
+}
+
+// Runs a chosen response: its action, then the next line or the end of the
+// conversation.
+fn choose_dialogue_response(ctx: &ReducerContext, room_id: &str, actor_id: &str, npc_id: &str, choice: DialogueChoice) {
+    apply_dialogue_action(ctx, room_id, actor_id, &choice.action_kind, choice.action_reference_id.as_ref(), choice.action_value);
+    let Some(npc) = ctx.db.npc().id().find(&npc_id.to_string()) else { return };
+    if let Some(next) = choice.next_node_id.and_then(|id| ctx.db.dialogue_node().id().find(&id)).filter(|row| dialogue_node_available(ctx, actor_id, row)) { show_dialogue_node(ctx, room_id, actor_id, &npc, next); }
+    else { ctx.db.actor_dialogue_state().actor_id().delete(&actor_id.to_string()); rpg_message(ctx, room_id, actor_id, "system", "The conversation ends.".to_string()); }
+}
+
+/// Carries out one dialogue action for `actor_id`. Authored dialogue choices
+/// and AI NPC tool calls both go through here. Returns a short description of
+/// what the actor received; quests report through their own messages.
+pub(super) fn apply_dialogue_action(ctx: &ReducerContext, room_id: &str, actor_id: &str, action_kind: &str, reference_id: Option<&String>, value: i32) -> Option<String> {
+    match action_kind {
+        "start_quest" => { if let Some(id) = reference_id { accept_quest(ctx, room_id, actor_id, id); } None }
+        "gold" => change_currency(ctx, actor_id, "gold", i64::from(value)).ok().map(|_| format!("{value} gold")),
+        "reputation" => {
+            let id = reference_id?;
+            change_reputation(ctx, actor_id, id, value)?;
+            ctx.db.faction_definition().id().find(id).map(|faction| format!("{value:+} reputation with {}", faction.name))
+        }
+        "give_item" => grant_inventory_item(ctx, actor_id, reference_id?, u32::try_from(value.max(1)).unwrap_or(1), "dialogue").ok(),
+        "learn_recipe" => {
+            let id = reference_id?;
+            let recipe = ctx.db.crafting_recipe().id().find(id)?;
+            let learned_id = format!("{actor_id}::{id}");
+            if ctx.db.actor_learned_recipe().id().find(&learned_id).is_none() {
+                ctx.db.actor_learned_recipe().insert(ActorLearnedRecipe { id: learned_id, actor_id: actor_id.to_string(), recipe_id: id.clone(), learned_at: ctx.timestamp });
+            }
+            Some(format!("the {} recipe", recipe.name))
+        }
+        "learn_profession" => {
+            let id = reference_id?;
+            let profession = ctx.db.profession_definition().id().find(id)?;
+            let profession_id = format!("{actor_id}::{id}");
+            let rank = u32::try_from(value.max(0)).unwrap_or(0);
+            let row = ActorProfession { id: profession_id.clone(), actor_id: actor_id.to_string(), profession_id: id.clone(), rank, experience: 0, updated_at: ctx.timestamp };
+            if ctx.db.actor_profession().id().find(&profession_id).is_some() { ctx.db.actor_profession().id().update(row); }
+            else { ctx.db.actor_profession().insert(row); }
+            Some(format!("the {} profession", profession.name))
+        }
+        _ => None,
+    }
+}
+
 fn handle_dialogue(ctx: &ReducerContext, lower: &str, room_id: &str, actor_id: &str) -> bool {
     if let Some(rest) = lower.strip_prefix("talk ") {
         let alias = rest.split_whitespace().next().unwrap_or_default();
         let Some(npc) = ctx.db.npc().iter().find(|npc| npc.current_room.as_deref() == Some(room_id) && npc_matches(npc, alias)) else { return false };
-        let mut nodes = ctx.db.dialogue_node().iter().filter(|node| node.npc_id == npc.id && node.entry_node && dialogue_node_available(ctx, actor_id, node)).collect::<Vec<_>>(); nodes.sort_by_key(|row| row.sort_order);
-        if let Some(node) = nodes.into_iter().next() { advance_quest_event(ctx, actor_id, "talk_npc", &npc.id, 1); show_dialogue_node(ctx, room_id, actor_id, &npc, node); return true; }
+        // Free text to a hybrid NPC is answered by the AI; see submit_command.
+        if !rest.trim_start().strip_prefix(alias).unwrap_or_default().trim().is_empty() && npc_dialogue_is_hybrid(&npc) { return false; }
+        if let Some(node) = first_entry_node(ctx, actor_id, &npc.id) { advance_quest_event(ctx, actor_id, "talk_npc", &npc.id, 1); show_dialogue_node(ctx, room_id, actor_id, &npc, node); return true; }
         return false;
     }
     let Some(query) = lower.strip_prefix("respond ") else { return false };
     let Some(state) = ctx.db.actor_dialogue_state().actor_id().find(&actor_id.to_string()) else { rpg_message(ctx, room_id, actor_id, "error", "You are not in an authored conversation.".to_string()); return true };
-    let Some(choice) = ctx.db.dialogue_choice().iter().find(|row| row.node_id == state.node_id && (row.id.eq_ignore_ascii_case(query.trim()) || row.label.eq_ignore_ascii_case(query.trim()))) else { rpg_message(ctx, room_id, actor_id, "error", "That response is not available.".to_string()); return true };
-    match choice.action_kind.as_str() {
-        "start_quest" => if let Some(id) = choice.action_reference_id.as_ref() { accept_quest(ctx, room_id, actor_id, id); },
-        "gold" => { let _ = change_currency(ctx, actor_id, "gold", i64::from(choice.action_value)); },
-        "reputation" => if let Some(id) = choice.action_reference_id.as_ref() { change_reputation(ctx, actor_id, id, choice.action_value); },
-        "give_item" => if let Some(id) = choice.action_reference_id.as_ref() { let _ = grant_inventory_item(ctx, actor_id, id, u32::try_from(choice.action_value.max(1)).unwrap_or(1), "dialogue"); },
-        "learn_recipe" => if let Some(id) = choice.action_reference_id.as_ref() {
-            if ctx.db.crafting_recipe().id().find(id).is_some() {
-                let learned_id = format!("{actor_id}::{id}");
-                if ctx.db.actor_learned_recipe().id().find(&learned_id).is_none() {
-                    ctx.db.actor_learned_recipe().insert(ActorLearnedRecipe { id: learned_id, actor_id: actor_id.to_string(), recipe_id: id.clone(), learned_at: ctx.timestamp });
-                }
-            }
-        },
-        "learn_profession" => if let Some(id) = choice.action_reference_id.as_ref() {
-            if ctx.db.profession_definition().id().find(id).is_some() {
-                let profession_id = format!("{actor_id}::{id}");
-                let rank = u32::try_from(choice.action_value.max(0)).unwrap_or(0);
-                let row = ActorProfession { id: profession_id.clone(), actor_id: actor_id.to_string(), profession_id: id.clone(), rank, experience: 0, updated_at: ctx.timestamp };
-                if ctx.db.actor_profession().id().find(&profession_id).is_some() { ctx.db.actor_profession().id().update(row); }
-                else { ctx.db.actor_profession().insert(row); }
-            }
-        },
-        _ => {}
-    }
-    let Some(npc) = ctx.db.npc().id().find(&state.npc_id) else { return true };
-    if let Some(next) = choice.next_node_id.and_then(|id| ctx.db.dialogue_node().id().find(&id)).filter(|row| dialogue_node_available(ctx, actor_id, row)) { show_dialogue_node(ctx, room_id, actor_id, &npc, next); }
-    else { ctx.db.actor_dialogue_state().actor_id().delete(&actor_id.to_string()); rpg_message(ctx, room_id, actor_id, "system", "The conversation ends.".to_string()); }
+    let Some(choice) = ctx.db.dialogue_choice().iter().find(|row| row.node_id == state.node_id && (row.id.eq_ignore_ascii_case(query.trim()) || row.label.eq_ignore_ascii_case(query.trim()))) else {
+        if hybrid_dialogue_npc(ctx, actor_id, room_id).is_some() { return false; }
+        rpg_message(ctx, room_id, actor_id, "error", "That response is not available.".to_string()); return true
+    };
+    choose_dialogue_response(ctx, room_id, actor_id, &state.npc_id, choice);
     true
 }
 
@@ -869,6 +905,43 @@ pub(super) fn npc_uses_authored_dialogue(ctx: &ReducerContext, npc_id: &str) ->
     ctx.db.dialogue_node().iter().any(|row| row.npc_id == npc_id && row.entry_node)
 }
 
+/// Hybrid NPCs keep their authored tree, but free text that no authored
+/// response covers is answered by the AI. Set with `"dialogue_mode": "hybrid"`
+/// in the NPC's dialogue_tree.
+pub(super) fn npc_dialogue_is_hybrid(npc: &Npc) -> bool {
+    npc.dialogue_tree.as_deref()
+        .and_then(|tree| serde_json::from_str::<Value>(tree).ok())
+        .map(|tree| tree.get("dialogue_mode").and_then(Value::as_str) == Some("hybrid"))
+        .unwrap_or(false)
+}
+
+/// The hybrid NPC in `room_id` the actor is in an authored conversation with.
+pub(super) fn hybrid_dialogue_npc(ctx: &ReducerContext, actor_id: &str, room_id: &str) -> Option<Npc> {
+    let state = ctx.db.actor_dialogue_state().actor_id().find(&actor_id.to_string())?;
+    ctx.db.npc().id().find(&state.npc_id).filter(|npc| npc.current_room.as_deref() == Some(room_id) && npc_dialogue_is_hybrid(npc))
+}
+
+/// The authored line free text to a hybrid NPC is matched against: the
+/// actor's current line with that NPC, or else its first available opening
+/// line, which starts the conversation.
+pub(super) fn enter_hybrid_dialogue(ctx: &ReducerContext, actor_id: &str, npc: &Npc) -> Option<String> {
+    if let Some(state) = ctx.db.actor_dialogue_state().actor_id().find(&actor_id.to_string()).filter(|state| state.npc_id == npc.id) {
+        if ctx.db.dialogue_node().id().find(&state.node_id).is_some() { return Some(state.node_id); }
+    }
+    let node = first_entry_node(ctx, actor_id, &npc.id)?;
+    set_dialogue_state(ctx, actor_id, &npc.id, node.id.clone());
+    Some(node.id)
+}
+
+/// Runs the response the dialogue worker matched to the player's free text.
+/// Returns false, changing nothing, when the actor has since left that line.
+pub(super) fn run_matched_dialogue_choice(ctx: &ReducerContext, room_id: &str, actor_id: &str, npc: &Npc, node_id: &str, choice_id: &str) -> bool {
+    let on_node = ctx.db.actor_dialogue_state().actor_id().find(&actor_id.to_string()).map(|state| state.npc_id == npc.id && state.node_id == node_id).unwrap_or(false);
+    let Some(choice) = ctx.db.dialogue_choice().id().find(&choice_id.to_string()).filter(|choice| on_node && choice.node_id == node_id) else { return false };
+    choose_dialogue_response(ctx, room_id, actor_id, &npc.id, choice);
+    true
+}
+
 pub(super) fn whisper_allowed(ctx: &ReducerContext, source_actor_id: &str, target_actor_id: &str) -> bool {
     !is_blocked(ctx, source_actor_id, target_actor_id)
 }
@@ -1053,6 +1126,20 @@ pub(super) fn handle_expansion_command(ctx: &ReducerContext, raw: &str, room_id:
     Ok(false)
 }
 
+/// Whether the record a dialogue action hands out exists. Gold and "none"
+/// take no reference.
+fn dialogue_action_reference_exists(ctx: &ReducerContext, action_kind: &str, reference_id: Option<&String>) -> Result<bool, String> {
+    Ok(match action_kind {
+        "none" | "gold" => true,
+        "start_quest" => reference_id.map(|id| ctx.db.quest_definition().id().find(id).is_some()).unwrap_or(false),
+        "reputation" => reference_id.map(|id| ctx.db.faction_definition().id().find(id).is_some()).unwrap_or(false),
+        "give_item" => reference_id.map(|id| ctx.db.object_definition().id().find(id).is_some()).unwrap_or(false),
+        "learn_recipe" => reference_id.map(|id| ctx.db.crafting_recipe().id().find(id).is_some()).unwrap_or(false),
+        "learn_profession" => reference_id.map(|id| ctx.db.profession_definition().id().find(id).is_some()).unwrap_or(false),
+        _ => return Err("Unsupported dialogue action.".to_string()),
+    })
+}
+
 fn clean_optional(row: &Value, key: &str) -> Option<String> {
     optional_string(row, key).filter(|value| !value.trim().is_empty())
 }
@@ -1227,19 +1314,17 @@ pub fn configure_engine_record(ctx: &ReducerContext, table_name: String, payload
             }
             let action_kind = string(&row, "action_kind", "none");
             let action_reference_id = clean_optional(&row, "action_reference_id");
-            let action_reference_exists = match action_kind.as_str() {
-                "none" | "gold" => true,
-                "start_quest" => action_reference_id.as_ref().map(|id| ctx.db.quest_definition().id().find(id).is_some()).unwrap_or(false),
-                "reputation" => action_reference_id.as_ref().map(|id| ctx.db.faction_definition().id().find(id).is_some()).unwrap_or(false),
-                "give_item" => action_reference_id.as_ref().map(|id| ctx.db.object_definition().id().find(id).is_some()).unwrap_or(false),
-                "learn_recipe" => action_reference_id.as_ref().map(|id| ctx.db.crafting_recipe().id().find(id).is_some()).unwrap_or(false),
-                "learn_profession" => action_reference_id.as_ref().map(|id| ctx.db.profession_definition().id().find(id).is_some()).unwrap_or(false),
-                _ => return Err("Unsupported dialogue action.".to_string()),
-            };
-            if !action_reference_exists { return Err("Dialogue action reference does not exist.".to_string()); }
+            if !dialogue_action_reference_exists(ctx, &action_kind, action_reference_id.as_ref())? { return Err("Dialogue action reference does not exist.".to_string()); }
             let value = DialogueChoice { id: record_id.clone(), node_id, label, next_node_id, action_kind, action_reference_id, action_value: i32_value(&row, "action_value", 0), sort_order: u32_value(&row, "sort_order", 100), created_at: ctx.db.dialogue_choice().id().find(&record_id).map(|old| old.created_at).unwrap_or(ctx.timestamp), updated_at: ctx.timestamp };
             if ctx.db.dialogue_choice().id().find(&record_id).is_some() { ctx.db.dialogue_choice().id().update(value); } else { ctx.db.dialogue_choice().insert(value); }
         }
+        "npc_ai_actions" => {
+            let npc_id = string(&row, "npc_id", ""); if ctx.db.npc().id().find(&npc_id).is_none() { return Err("NPC does not exist.".to_string()); }
+            let action_kind = string(&row, "action_kind", "none");
+            let action_reference_id = clean_optional(&row, "action_reference_id");
+            if !dialogue_action_reference_exists(ctx, &action_kind, action_reference_id.as_ref())? { return Err("AI NPC action reference does not exist.".to_string()); }
+            npc_ai::save_npc_ai_action(ctx, npc_ai::NpcAiAction { id: record_id.clone(), npc_id, action_kind, action_reference_id, max_value: i32_value(&row, "max_value", 1), uses_per_actor: u32_value(&row, "uses_per_actor", 1), instructions: string(&row, "instructions", ""), created_at: ctx.timestamp, updated_at: ctx.timestamp })?;
+        }
         "exit_rules" => {
             if ctx.db.exit().id().find(&record_id).is_none() { return Err("Exit does not exist.".to_string()); }
             let key_definition_id = clean_optional(&row, "key_definition_id");
@@ -1303,8 +1388,9 @@ pub fn delete_engine_record(ctx: &ReducerContext, table_name: String, record_id:
         "profession_definitions" => {
             if ctx.db.recipe_rule().iter().any(|row| row.profession_id.as_deref() == Some(&record_id))
                 || ctx.db.dialogue_choice().iter().any(|row| row.action_kind == "learn_profession" && row.action_reference_id.as_deref() == Some(record_id.as_str()))
+                || npc_ai::npc_ai_action_references(ctx, "learn_profession", &record_id)
             {
-                return Err("Profession is used by a recipe rule or dialogue response.".to_string());
+                return Err("Profession is used by a recipe rule, dialogue response, or AI NPC action.".to_string());
             }
             ctx.db.profession_definition().id().delete(&record_id);
         }
@@ -1317,6 +1403,7 @@ pub fn delete_engine_record(ctx: &ReducerContext, table_name: String, record_id:
             ctx.db.dialogue_node().id().delete(&record_id);
         }
         "dialogue_choices" => { ctx.db.dialogue_choice().id().delete(&record_id); }
+        "npc_ai_actions" => { npc_ai::delete_npc_ai_action(ctx, &record_id); }
         "exit_rules" => { ctx.db.exit_rule().exit_id().delete(&record_id); }
         "world_triggers" => { ctx.db.world_trigger().id().delete(&record_id); }
         "world_simulation_configs" => { ctx.db.world_simulation_config().id().delete(&record_id); }
@@ -7,7 +7,11 @@ use serde_json::Value;
 use spacetimedb::{reducer, Identity, ReducerContext, ScheduleAt, Table, TimeDuration, Timestamp, ViewContext};
 use std::collections::{BTreeMap, VecDeque};
 
+mod ai_usage;
+mod art_styles;
 mod expansion;
+mod npc_ai;
+mod prompt_templates;
 pub use expansion::*;
 
 const CREATION_ROOM_ID: &str = "e58caed0-8268-419e-abe8-faa3833a1de6";
@@ -1500,14 +1504,14 @@ fn seed_default_world(ctx: &ReducerContext) -> Result<(), String> {
         "world_lifecycle_configs", "admin_role_definitions", "ability_unlock_rules",
         "object_rules", "bank_configs", "vendor_restock_rules",
         "profession_definitions", "recipe_rules", "dialogue_nodes",
-        "dialogue_choices", "exit_rules", "world_triggers",
+        "dialogue_choices", "npc_ai_actions", "exit_rules", "world_triggers",
         "world_simulation_configs",
     ];
     let engine_tables = [
         "ability_unlock_rules", "object_rules", "bank_configs",
         "vendor_restock_rules", "profession_definitions", "recipe_rules",
-        "dialogue_nodes", "dialogue_choices", "exit_rules", "world_triggers",
-        "world_simulation_configs",
+        "dialogue_nodes", "dialogue_choices", "npc_ai_actions", "exit_rules",
+        "world_triggers", "world_simulation_configs",
     ];
 
     // The ordinary admin mutation contract performs the same validation here
@@ -1555,6 +1559,9 @@ pub fn client_connected(ctx: &ReducerContext) {
         seed_rpg_definitions(ctx);
     }
     seed_lifecycle_definitions(ctx);
+    // Service identities such as the NPC dialogue worker, approved or still
+    // waiting, never get a profile.
+    if npc_ai::is_any_service_identity(ctx) { return; }
     ensure_profile(ctx);
     expansion::migrate_legacy_private_messages(ctx);
 }
@@ -2389,6 +2396,10 @@ pub fn insert_rows(ctx: &ReducerContext, table_name: String, payload_json: Strin
                 });
             }
         }
+        "art_styles" => {
+            require_admin(ctx)?;
+            art_styles::insert_art_styles(ctx, rows)?;
+        }
         "region_chats" => return Err("Chat messages must use the submit_command reducer.".to_string()),
         "commands" => return Err("Commands must use the submit_command reducer.".to_string()),
         _ => return Err(format!("Unsupported insert table: {table_name}")),
@@ -2463,6 +2474,7 @@ pub fn update_rows(
                     }
                     ctx.db.region().name().delete(&id);
                     ctx.db.region().insert(updated);
+                    art_styles::rename_region_art_style(ctx, &id, &new_name);
                     let rooms = ctx.db.room().iter().filter(|room| room.region_name.as_deref() == Some(id.as_str())).collect::<Vec<_>>();
                     for room in rooms {
                         ctx.db.room().id().update(Room { region_name: Some(new_name.clone()), ..room });
@@ -3178,6 +3190,10 @@ pub fn update_rows(
                 });
             }
         }
+        "art_styles" => {
+            require_admin(ctx)?;
+            art_styles::update_art_styles(ctx, ids, &payload)?;
+        }
         _ => return Err(format!("Unsupported update table: {table_name}")),
     }
     Ok(())
@@ -3204,6 +3220,8 @@ fn delete_ability_effect(ctx: &ReducerContext, id: &String) {
 }
 
 fn delete_actor_rpg_state(ctx: &ReducerContext, actor_id: &String) {
+    npc_ai::forget_npc_memories(ctx, actor_id);
+    npc_ai::forget_ai_action_uses(ctx, actor_id);
     let object_ids = ctx.db.world_object().iter()
         .filter(|object| matches!(object.location_kind.as_str(), "inventory" | "equipped" | "bank") && object.location_id == *actor_id)
         .map(|object| object.id)
@@ -3290,6 +3308,7 @@ pub fn delete_rows(ctx: &ReducerContext, table_name: String, ids_json: String) -
                 if ctx.db.room().iter().any(|room| room.region_name.as_deref() == Some(id.as_str())) {
                     return Err("Move or delete every room in this region before deleting the region.".to_string());
                 }
+                art_styles::forget_art_style(ctx, "region", &id);
                 ctx.db.region().name().delete(&id);
             }
         }
@@ -3331,6 +3350,7 @@ pub fn delete_rows(ctx: &ReducerContext, table_name: String, ids_json: String) -
                     || ctx.db.character_option_grant().iter().any(|grant| grant.grant_kind == "item" && grant.reference_id == id)
                     || ctx.db.exit_rule().iter().any(|rule| rule.key_definition_id.as_deref() == Some(id.as_str()))
                     || ctx.db.dialogue_choice().iter().any(|choice| choice.action_kind == "give_item" && choice.action_reference_id.as_deref() == Some(id.as_str()))
+                    || npc_ai::npc_ai_action_references(ctx, "give_item", &id)
                     || ctx.db.world_trigger().iter().any(|trigger| trigger_action_references(&trigger, "item", "definition_id", &id))
                 {
                     return Err("This item is used by an option, vendor, recipe, door, dialogue, or trigger. Reassign it first.".to_string());
@@ -3342,6 +3362,7 @@ pub fn delete_rows(ctx: &ReducerContext, table_name: String, ids_json: String) -
                 let object_ids = ctx.db.world_object().iter().filter(|object| object.definition_id == id).map(|object| object.id).collect::<Vec<_>>();
                 for object_id in object_ids { delete_world_object_tree(ctx, &object_id); }
                 ctx.db.object_rule().definition_id().delete(&id);
+                art_styles::forget_art_style(ctx, "item", &id);
                 ctx.db.object_definition().id().delete(&id);
             }
         }
@@ -3435,6 +3456,7 @@ pub fn delete_rows(ctx: &ReducerContext, table_name: String, ids_json: String) -
                 }
                 let regions = ctx.db.region().iter().filter(|region| region.respawn_room_id.as_deref() == Some(id.as_str())).collect::<Vec<_>>();
                 for region in regions { ctx.db.region().name().update(Region { respawn_room_id: None, updated_at: ctx.timestamp, ..region }); }
+                art_styles::forget_art_style(ctx, "room", &id);
                 ctx.db.room().id().delete(&id);
             }
         }
@@ -3460,6 +3482,8 @@ pub fn delete_rows(ctx: &ReducerContext, table_name: String, ids_json: String) -
                 }
                 let dialogue_state_actor_ids = ctx.db.actor_dialogue_state().iter().filter(|state| state.npc_id == id).map(|state| state.actor_id).collect::<Vec<_>>();
                 for actor_id in dialogue_state_actor_ids { ctx.db.actor_dialogue_state().actor_id().delete(&actor_id); }
+                npc_ai::forget_npc_ai_actions(ctx, &id);
+                art_styles::forget_art_style(ctx, "npc", &id);
                 delete_actor_rpg_state(ctx, &id);
                 ctx.db.npc().id().delete(&id);
             }
@@ -3474,6 +3498,7 @@ pub fn delete_rows(ctx: &ReducerContext, table_name: String, ids_json: String) -
                     || ctx.db.ability_unlock_rule().iter().any(|rule| rule.required_faction_id.as_deref() == Some(id.as_str()))
                     || ctx.db.dialogue_node().iter().any(|node| node.required_faction_id.as_deref() == Some(id.as_str()))
                     || ctx.db.dialogue_choice().iter().any(|choice| choice.action_kind == "reputation" && choice.action_reference_id.as_deref() == Some(id.as_str()))
+                    || npc_ai::npc_ai_action_references(ctx, "reputation", &id)
                     || ctx.db.world_trigger().iter().any(|trigger| trigger_action_references(&trigger, "reputation", "faction_id", &id)) {
                     return Err("This faction is used by an NPC, quest, vendor, talent, dialogue, or trigger. Reassign those references first.".to_string());
                 }
@@ -3496,6 +3521,7 @@ pub fn delete_rows(ctx: &ReducerContext, table_name: String, ids_json: String) -
                     || ctx.db.ability_unlock_rule().iter().any(|rule| rule.required_quest_id.as_deref() == Some(id.as_str()))
                     || ctx.db.dialogue_node().iter().any(|node| node.required_quest_id.as_deref() == Some(id.as_str()))
                     || ctx.db.dialogue_choice().iter().any(|choice| choice.action_kind == "start_quest" && choice.action_reference_id.as_deref() == Some(id.as_str()))
+                    || npc_ai::npc_ai_action_references(ctx, "start_quest", &id)
                     || ctx.db.exit_rule().iter().any(|rule| rule.required_quest_id.as_deref() == Some(id.as_str()))
                     || ctx.db.world_trigger().iter().any(|trigger| trigger_condition_references(&trigger, "required_quest_id", &id)) {
                     return Err("This quest is referenced by another quest, talent, dialogue, exit rule, or trigger.".to_string());
@@ -3599,8 +3625,9 @@ pub fn delete_rows(ctx: &ReducerContext, table_name: String, ids_json: String) -
         "crafting_recipes" => {
             require_admin(ctx)?;
             for id in ids {
-                if ctx.db.dialogue_choice().iter().any(|choice| choice.action_kind == "learn_recipe" && choice.action_reference_id.as_deref() == Some(id.as_str())) {
-                    return Err("This recipe is granted by authored dialogue. Reassign that response first.".to_string());
+                if ctx.db.dialogue_choice().iter().any(|choice| choice.action_kind == "learn_recipe" && choice.action_reference_id.as_deref() == Some(id.as_str()))
+                    || npc_ai::npc_ai_action_references(ctx, "learn_recipe", &id) {
+                    return Err("This recipe is granted by authored dialogue or an AI NPC action. Reassign that first.".to_string());
                 }
                 let ingredients = ctx.db.crafting_ingredient().iter().filter(|row| row.recipe_id == id).map(|row| row.id).collect::<Vec<_>>();
                 for ingredient in ingredients { ctx.db.crafting_ingredient().id().delete(&ingredient); }
@@ -3672,6 +3699,10 @@ pub fn delete_rows(ctx: &ReducerContext, table_name: String, ids_json: String) -
                 if let Ok(id) = id.parse::<u64>() { ctx.db.room_message().id().delete(id); }
             }
         }
+        "art_styles" => {
+            require_admin(ctx)?;
+            art_styles::delete_art_styles(ctx, ids);
+        }
         _ => return Err(format!("Unsupported delete table: {table_name}")),
     }
     Ok(())
@@ -3717,9 +3748,11 @@ fn archie_content_table(table_name: &str) -> bool {
             | "recipe_rules"
             | "dialogue_nodes"
             | "dialogue_choices"
+            | "npc_ai_actions"
             | "exit_rules"
             | "world_triggers"
             | "world_simulation_configs"
+            | "art_styles"
     )
 }
 
@@ -3752,30 +3785,81 @@ pub fn apply_admin_patch(
     {
         return Ok(());
     }
+    let (operation_count, record_count, _) = apply_patch_operations(ctx, &operations_json, "Archie patch")?;
+
+    let profile_id = require_profile(ctx)?.id;
+    let details = serde_json::json!({
+        "summary": summary.chars().take(1_000).collect::<String>(),
+        "operation_count": operation_count,
+        "record_count": record_count,
+    })
+    .to_string();
+    ctx.db.admin_audit().insert(AdminAudit {
+        id: 0,
+        scope: "world".to_string(),
+        profile_id,
+        action: "archie.apply".to_string(),
+        target: run_id,
+        details,
+        created_at: ctx.timestamp,
+    });
+    Ok(())
+}
+
+/// Applies the writes an editor collected with `batch()` as a single
+/// transaction, with the same operations and limits as an Archie patch. A
+/// batch is one reducer call, so unlike a patch it has no run id to replay.
+#[reducer]
+pub fn apply_admin_batch(ctx: &ReducerContext, operations_json: String, summary: String) -> Result<(), String> {
+    ensure_profile(ctx);
+    require_admin(ctx)?;
+    let (operation_count, record_count, tables) = apply_patch_operations(ctx, &operations_json, "Batch")?;
+    let details = serde_json::json!({
+        "summary": summary.chars().take(1_000).collect::<String>(),
+        "operation_count": operation_count,
+        "record_count": record_count,
+    })
+    .to_string();
+    expansion::audit(ctx, "admin.batch", &tables.join(","), &details);
+    Ok(())
+}
+
+/// Checks every operation before applying any, then applies them in order.
+/// `subject` names the caller in errors. Returns the operation count, the
+/// record count, and the tables touched.
+fn apply_patch_operations(
+    ctx: &ReducerContext,
+    operations_json: &str,
+    subject: &str,
+) -> Result<(usize, usize, Vec<String>), String> {
     if operations_json.len() > 2_000_000 {
-        return Err("Archie patch is too large.".to_string());
+        return Err(format!("{subject} is too large."));
     }
-    let operations: Vec<Value> = serde_json::from_str(&operations_json)
-        .map_err(|error| format!("Invalid Archie patch: {error}"))?;
+    let operations: Vec<Value> = serde_json::from_str(operations_json)
+        .map_err(|error| format!("{subject} is not valid JSON: {error}"))?;
     if operations.is_empty() {
-        return Err("Archie patch has no operations.".to_string());
+        return Err(format!("{subject} has no operations."));
     }
     if operations.len() > 220 {
-        return Err("Archie patch has too many operations.".to_string());
+        return Err(format!("{subject} has too many operations."));
     }
 
     let mut record_count = 0usize;
+    let mut tables: Vec<String> = Vec::new();
     for operation in &operations {
         let action = operation
             .get("action")
             .and_then(Value::as_str)
-            .ok_or_else(|| "Archie patch operation is missing an action.".to_string())?;
+            .ok_or_else(|| format!("{subject} operation is missing an action."))?;
         let table_name = operation
             .get("table")
             .and_then(Value::as_str)
-            .ok_or_else(|| "Archie patch operation is missing a table.".to_string())?;
+            .ok_or_else(|| format!("{subject} operation is missing a table."))?;
         if !archie_content_table(table_name) {
-            return Err(format!("Archie cannot modify table: {table_name}"));
+            return Err(format!("{subject} cannot modify table: {table_name}"));
+        }
+        if !tables.iter().any(|table| table == table_name) {
+            tables.push(table_name.to_string());
         }
         let count = match action {
             "insert" => operation
@@ -3783,24 +3867,24 @@ pub fn apply_admin_patch(
                 .and_then(Value::as_array)
                 .map(Vec::len)
                 .filter(|count| *count > 0)
-                .ok_or_else(|| "Archie insert operation has no records.".to_string())?,
+                .ok_or_else(|| format!("{subject} insert operation has no records."))?,
             "update" | "delete" | "delete_engine" => operation
                 .get("ids")
                 .and_then(Value::as_array)
                 .map(Vec::len)
                 .filter(|count| *count > 0)
-                .ok_or_else(|| format!("Archie {action} operation has no ids."))?,
+                .ok_or_else(|| format!("{subject} {action} operation has no ids."))?,
             "configure" => {
                 if !operation.get("record").is_some_and(Value::is_object) {
-                    return Err("Archie configure operation has no record.".to_string());
+                    return Err(format!("{subject} configure operation has no record."));
                 }
                 1
             }
-            _ => return Err(format!("Unsupported Archie patch action: {action}")),
+            _ => return Err(format!("{subject} has an unsupported action: {action}")),
         };
         record_count = record_count.saturating_add(count);
         if record_count > 220 {
-            return Err("Archie patch changes more than 220 records.".to_string());
+            return Err(format!("{subject} changes more than 220 records."));
         }
     }
 
@@ -3819,7 +3903,7 @@ pub fn apply_admin_patch(
                 let changes = operation
                     .get("changes")
                     .filter(|value| value.is_object())
-                    .ok_or_else(|| "Archie update operation has no changes object.".to_string())?;
+                    .ok_or_else(|| format!("{subject} update operation has no changes object."))?;
                 update_rows(
                     ctx,
                     table_name,
@@ -3846,31 +3930,14 @@ pub fn apply_admin_patch(
                 for id in ids {
                     let record_id = id
                         .as_str()
-                        .ok_or_else(|| "Archie engine record id must be a string.".to_string())?;
+                        .ok_or_else(|| "Engine record ids must be strings.".to_string())?;
                     delete_engine_record(ctx, table_name.clone(), record_id.to_string())?;
                 }
             }
             _ => unreachable!(),
         }
     }
-
-    let profile_id = require_profile(ctx)?.id;
-    let details = serde_json::json!({
-        "summary": summary.chars().take(1_000).collect::<String>(),
-        "operation_count": operations.len(),
-        "record_count": record_count,
-    })
-    .to_string();
-    ctx.db.admin_audit().insert(AdminAudit {
-        id: 0,
-        scope: "world".to_string(),
-        profile_id,
-        action: "archie.apply".to_string(),
-        target: run_id,
-        details,
-        created_at: ctx.timestamp,
-    });
-    Ok(())
+    Ok((operations.len(), record_count, tables))
 }
 
 /// Focused moderation operations that need more invariants than generic row
@@ -7343,16 +7410,36 @@ pub fn submit_command(
     } else if let Some(rest) = raw.strip_prefix("talk ") {
         let alias = rest.split_whitespace().next().unwrap_or_default();
         if let Some(npc) = ctx.db.npc().iter().find(|npc| npc.current_room.as_deref() == Some(room_id.as_str()) && npc_matches(npc, alias)) {
-            if expansion::npc_uses_authored_dialogue(ctx, &npc.id) {
+            let hybrid = expansion::npc_dialogue_is_hybrid(&npc);
+            if !hybrid && expansion::npc_uses_authored_dialogue(ctx, &npc.id) {
                 add_message(ctx, Some(room_id), Some(actor_id), None, None, "npc_speech", format!("{} has nothing to say to you right now.", npc.name), None, None);
+            } else if let Err(reason) = npc_ai::check_npc_reply_budget(ctx, &actor_id) {
+                add_message(ctx, Some(room_id), Some(actor_id), None, None, "system", format!("{} cannot answer: {reason}", npc.name), None, None);
             } else {
                 advance_quest_event(ctx, &actor_id, "talk_npc", &npc.id, 1);
+                let message = rest.trim_start().strip_prefix(alias).unwrap_or_default().trim();
+                let dialogue_node_id = if hybrid { expansion::enter_hybrid_dialogue(ctx, &actor_id, &npc) } else { None };
+                npc_ai::queue_npc_reply(ctx, &command_id, &npc, &actor_id, if message.is_empty() { "hello" } else { message }, dialogue_node_id);
                 add_message(ctx, Some(room_id), Some(actor_id), None, None, "npc_typing", format!("{} is thinking...", npc.name), None, None);
                 return Ok(());
             }
         } else {
             add_message(ctx, Some(room_id), Some(actor_id.clone()), None, None, "system", format!("There is no one named \"{alias}\" here to talk to. Use 'who' to see who's present."), None, None);
         }
+    } else if let Some(message) = raw.strip_prefix("respond ") {
+        // Authored responses were handled with the other RPG commands; free
+        // text only reaches here in a hybrid conversation.
+        if let Some(npc) = expansion::hybrid_dialogue_npc(ctx, &actor_id, &room_id) {
+            if let Err(reason) = npc_ai::check_npc_reply_budget(ctx, &actor_id) {
+                add_message(ctx, Some(room_id), Some(actor_id), None, None, "system", format!("{} cannot answer: {reason}", npc.name), None, None);
+                return Ok(());
+            }
+            let dialogue_node_id = expansion::enter_hybrid_dialogue(ctx, &actor_id, &npc);
+            npc_ai::queue_npc_reply(ctx, &command_id, &npc, &actor_id, message.trim(), dialogue_node_id);
+            add_message(ctx, Some(room_id), Some(actor_id), None, None, "npc_typing", format!("{} is thinking...", npc.name), None, None);
+            return Ok(());
+        }
+        add_message(ctx, Some(room_id), Some(actor_id), None, None, "error", "That response is not available.".to_string(), None, None);
     } else if raw == "__GREET" {
         handle_room_entry(ctx, &room_id, &actor_id, &actor_name, character_id.clone(), is_profile);
     } else if let Some(exit) = ctx.db.exit().iter().find(|exit| {
@@ -7386,17 +7473,52 @@ pub fn submit_command(
 }
 
 #[reducer]
-pub fn complete_npc_command(ctx: &ReducerContext, command_id: String, response: String) -> Result<(), String> {
+pub fn complete_npc_command(ctx: &ReducerContext, command_id: String, response: String, actions_json: String, dialogue_choice_id: Option<String>) -> Result<(), String> {
+    // Players never answer for NPCs: the reply is spoken aloud, skips usage
+    // accounting, and is written into the NPC's memory.
+    if !npc_ai::is_service_identity(ctx, npc_ai::NPC_WORKER_ROLE) { return Err("Only the NPC worker can complete NPC replies.".to_string()); }
     let command = ctx.db.command().id().find(&command_id).ok_or_else(|| "Pending command not found.".to_string())?;
-    if command.owner != ctx.sender() { return Err("That command belongs to another saved world.".to_string()); }
+    // Retried generations may finish twice; only the first reply is spoken.
+    if command.processed_at.is_some() { return Ok(()); }
+    let job = npc_ai::npc_reply_job(ctx, &command_id);
+    npc_ai::clear_npc_reply(ctx, &command_id);
     let room_id = command.room_id.clone().ok_or_else(|| "Command has no room.".to_string())?;
-    let alias = command.raw.strip_prefix("talk ").and_then(|rest| rest.split_whitespace().next()).unwrap_or_default();
-    let npc = ctx.db.npc().iter().find(|npc| npc.current_room.as_deref() == Some(room_id.as_str()) && npc.alias.as_deref().map(|value| value.eq_ignore_ascii_case(alias)).unwrap_or(false)).ok_or_else(|| "NPC is no longer present.".to_string())?;
-    if expansion::npc_uses_authored_dialogue(ctx, &npc.id) { finish_command(ctx, &command_id); return Ok(()); }
+    // The queued job names the NPC for both `talk` and hybrid `respond` text;
+    // the alias is only read back for a reply whose job row is gone.
+    let in_room = |npc: &Npc| npc.current_room.as_deref() == Some(room_id.as_str());
+    let npc = match job.as_ref() {
+        Some(job) => ctx.db.npc().id().find(&job.npc_id).filter(|npc| in_room(npc)),
+        None => {
+            let alias = command.raw.strip_prefix("talk ").and_then(|rest| rest.split_whitespace().next()).unwrap_or_default();
+            ctx.db.npc().iter().find(|npc| in_room(npc) && npc_matches(npc, alias))
+        }
+    };
+    let Some(npc) = npc else {
+        // The NPC walked off while the reply was generated; drop it quietly.
+        finish_command(ctx, &command_id);
+        return Ok(());
+    };
+    let hybrid = expansion::npc_dialogue_is_hybrid(&npc);
+    if !hybrid && expansion::npc_uses_authored_dialogue(ctx, &npc.id) { finish_command(ctx, &command_id); return Ok(()); }
     let typing_ids = ctx.db.room_message().iter().filter(|message| message.room_id.as_deref() == Some(room_id.as_str()) && message.kind == "npc_typing" && message.body.starts_with(&npc.name)).map(|message| message.id).collect::<Vec<_>>();
     for id in typing_ids { ctx.db.room_message().id().delete(id); }
     let actor_id = command.character_id.clone().or(command.user_id.clone());
-    add_message(ctx, Some(room_id), actor_id, None, None, "npc_speech", format!("{}: {}", npc.name, response.trim()), None, None);
+    let dialogue_node_id = job.as_ref().filter(|job| hybrid && job.npc_id == npc.id).and_then(|job| job.dialogue_node_id.clone());
+    if let (Some(actor_id), Some(node_id), Some(choice_id)) = (actor_id.as_deref(), dialogue_node_id.as_deref(), dialogue_choice_id.as_deref()) {
+        // The player's words matched an authored response, which speaks for the
+        // NPC. If the player has answered another way since, drop the match.
+        if expansion::run_matched_dialogue_choice(ctx, &room_id, actor_id, &npc, node_id, choice_id) || response.trim().is_empty() {
+            finish_command(ctx, &command_id);
+            return Ok(());
+        }
+    }
+    add_message(ctx, Some(room_id.clone()), actor_id.clone(), None, None, "npc_speech", format!("{}: {}", npc.name, response.trim()), None, None);
+    if let Some(actor_id) = actor_id.as_ref() { npc_ai::apply_npc_tool_calls(ctx, &room_id, actor_id, &npc, &actions_json); }
+    if let (Some(actor_id), Some(node_id)) = (actor_id.as_deref(), dialogue_node_id.as_deref()) {
+        let lines = expansion::dialogue_choice_lines(ctx, node_id);
+        if !lines.is_empty() { add_message(ctx, Some(room_id.clone()), Some(actor_id.to_string()), None, None, "system", format!("You can still answer:\n{}", lines.join("\n")), None, None); }
+    }
+    if let Some(job) = job.filter(|job| job.npc_id == npc.id) { npc_ai::remember_npc_exchange(ctx, &job, &response); }
     finish_command(ctx, &command_id);
     Ok(())
 }
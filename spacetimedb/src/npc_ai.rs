@@ -0,0 +1,440 @@
+//! AI NPC conversations answered by a headless dialogue worker.
+//!
+//! `talk` commands for NPCs without authored dialogue queue a reply job. A
+//! service identity approved by an administrator reads the queue through
+//! `pending_npc_replies`, generates the line outside the database, and commits
+//! it with `complete_npc_command`. Jobs stay queued until answered, so replies
+//! survive closed tabs and worker restarts.
+
+use super::*;
+use spacetimedb::ViewContext;
+
+pub(crate) const NPC_WORKER_ROLE: &str = "npc_worker";
+
+/// Headless processes that act for the world rather than for a player. They
+/// never keep a profile, so they cannot play, hold items, or administer.
+#[spacetimedb::table(accessor = service_identity)]
+#[derive(Clone)]
+pub struct ServiceIdentity {
+    #[primary_key]
+    pub identity: Identity,
+    pub role: String,
+    pub label: String,
+    pub created_at: Timestamp,
+}
+
+#[spacetimedb::table(accessor = npc_reply_job, index(accessor = state_index, btree(columns = [state])))]
+#[derive(Clone)]
+pub struct NpcReplyJob {
+    #[primary_key]
+    pub command_id: String,
+    pub npc_id: String,
+    pub room_id: String,
+    pub actor_id: String,
+    pub player_message: String,
+    pub conversation_history: Option<String>,
+    pub state: String,
+    pub created_at: Timestamp,
+    /// The authored line a hybrid conversation is at, if any. The worker
+    /// matches the message against its responses before improvising.
+    pub dialogue_node_id: Option<String>,
+}
+
+#[spacetimedb::view(accessor = pending_npc_replies, public)]
+fn pending_npc_replies(ctx: &ViewContext) -> Vec<NpcReplyJob> {
+    let is_worker = ctx.db.service_identity().identity().find(ctx.sender()).map(|service| service.role == NPC_WORKER_ROLE).unwrap_or(false);
+    if is_worker { ctx.db.npc_reply_job().state_index().filter("pending").collect() } else { Vec::new() }
+}
+
+pub(crate) fn is_service_identity(ctx: &ReducerContext, role: &str) -> bool {
+    ctx.db.service_identity().identity().find(ctx.sender()).map(|service| service.role == role).unwrap_or(false)
+}
+
+/// The route NPC worker calls are charged under.
+pub(crate) const NPC_WORKER_ROUTE: &str = "npc-worker";
+
+/// Refuses to queue a reply once the player, or the worker's route, has used
+/// today's AI budget. The worker's calls are charged to the same player.
+pub(crate) fn check_npc_reply_budget(ctx: &ReducerContext, actor_id: &str) -> Result<(), String> {
+    let Some(profile_id) = ai_usage::charged_profile_id(ctx, actor_id) else { return Ok(()) };
+    ai_usage::check_ai_budget(ctx, &profile_id, NPC_WORKER_ROUTE)
+}
+
+pub(crate) fn queue_npc_reply(ctx: &ReducerContext, command_id: &String, npc: &Npc, actor_id: &str, player_message: &str, dialogue_node_id: Option<String>) {
+    let Some(command) = ctx.db.command().id().find(command_id) else { return };
+    ctx.db.npc_reply_job().insert(NpcReplyJob {
+        command_id: command.id.clone(),
+        npc_id: npc.id.clone(),
+        room_id: command.room_id.clone().unwrap_or_default(),
+        actor_id: actor_id.to_string(),
+        player_message: player_message.to_string(),
+        conversation_history: command.conversation_history,
+        state: "pending".to_string(),
+        created_at: ctx.timestamp,
+        dialogue_node_id,
+    });
+}
+
+pub(crate) fn clear_npc_reply(ctx: &ReducerContext, command_id: &String) {
+    ctx.db.npc_reply_job().command_id().delete(command_id);
+    ctx.db.npc_reply_draft().command_id().delete(command_id);
+}
+
+const REPLY_DRAFT_LENGTH: usize = 4000;
+
+/// The part of a reply the worker has generated so far. Terminals in the room
+/// show it in place of the typing line; `complete_npc_command` removes it when
+/// the finished reply is spoken.
+#[spacetimedb::table(accessor = npc_reply_draft, public)]
+#[derive(Clone)]
+pub struct NpcReplyDraft {
+    #[primary_key]
+    pub command_id: String,
+    pub room_id: String,
+    pub npc_id: String,
+    pub npc_name: String,
+    pub body: String,
+    pub updated_at: Timestamp,
+}
+
+/// Publishes the reply text streamed so far. Drafts for jobs that were already
+/// answered are ignored, since a late update can race the final reply.
+#[spacetimedb::reducer]
+pub fn stream_npc_reply(ctx: &ReducerContext, command_id: String, body: String) -> Result<(), String> {
+    if !is_service_identity(ctx, NPC_WORKER_ROLE) { return Err("Only the NPC worker can stream replies.".to_string()); }
+    let Some(job) = ctx.db.npc_reply_job().command_id().find(&command_id) else { return Ok(()) };
+    let npc_name = ctx.db.npc().id().find(&job.npc_id).map(|npc| npc.name).unwrap_or_default();
+    let row = NpcReplyDraft {
+        command_id: command_id.clone(),
+        room_id: job.room_id,
+        npc_id: job.npc_id,
+        npc_name,
+        body: body.trim_start().chars().take(REPLY_DRAFT_LENGTH).collect(),
+        updated_at: ctx.timestamp,
+    };
+    if ctx.db.npc_reply_draft().command_id().find(&command_id).is_some() { ctx.db.npc_reply_draft().command_id().update(row); } else { ctx.db.npc_reply_draft().insert(row); }
+    Ok(())
+}
+
+/// A worker that asked for the role and is waiting for an administrator. It
+/// has no profile and no access to the reply queue or memories.
+pub(crate) const NPC_WORKER_REQUEST_ROLE: &str = "npc_worker_request";
+
+/// Workers and pending requests, for administrators who approve them.
+#[spacetimedb::view(accessor = admin_npc_workers, public)]
+fn admin_npc_workers(ctx: &ViewContext) -> Vec<ServiceIdentity> {
+    if view_has_permission(ctx, "roles.manage") { ctx.db.service_identity().iter().collect() } else { Vec::new() }
+}
+
+/// Whether the caller is a worker or a pending request, either of which
+/// connects without a profile.
+pub(crate) fn is_any_service_identity(ctx: &ReducerContext) -> bool {
+    ctx.db.service_identity().identity().find(ctx.sender()).is_some()
+}
+
+// A service identity keeps no profile. The empty one its first connection
+// created is removed; a profile that plays or administers is never touched.
+fn release_service_profile(ctx: &ReducerContext, identity: Identity, allow_founder: bool) -> Result<(), String> {
+    if ctx.db.character().iter().any(|character| character.owner == identity) {
+        return Err("An identity that owns characters cannot become a service identity.".to_string());
+    }
+    let Some(profile) = profile_for(ctx, identity) else { return Ok(()) };
+    if ctx.db.admin_role_assignment().profile_id().find(&profile.id).is_some() || (profile.is_admin && !allow_founder) {
+        return Err("An identity with administrator access cannot become a service identity.".to_string());
+    }
+    let stat_ids = ctx.db.actor_stat().iter().filter(|stat| stat.actor_id == profile.id).map(|stat| stat.id).collect::<Vec<_>>();
+    for id in stat_ids { ctx.db.actor_stat().id().delete(&id); }
+    ctx.db.actor_progression().id().delete(&profile.id);
+    ctx.db.actor_life_state().id().delete(&profile.id);
+    ctx.db.profile().id().delete(&profile.id);
+    // A worker that connected before any player took the founding flag;
+    // hand it on as deleting an account would.
+    if profile.is_admin {
+        if let Some(successor) = ctx.db.profile().iter().min_by_key(|row| row.created_at) {
+            ctx.db.profile().id().update(Profile { is_admin: true, ..successor });
+        }
+    }
+    Ok(())
+}
+
+fn save_service(ctx: &ReducerContext, identity: Identity, role: &str, label: String) {
+    let label = if label.trim().is_empty() { "NPC dialogue worker".to_string() } else { label.trim().chars().take(80).collect() };
+    let row = ServiceIdentity { identity, role: role.to_string(), label, created_at: ctx.timestamp };
+    if ctx.db.service_identity().identity().find(identity).is_some() { ctx.db.service_identity().identity().update(row); } else { ctx.db.service_identity().insert(row); }
+}
+
+/// Asks for the NPC worker role. The request grants nothing: the caller gives
+/// up its empty profile and waits until an administrator with `roles.manage`
+/// approves it with `approve_npc_worker`. The caller may release the founding
+/// administrator flag it took by connecting first, but only its own.
+#[spacetimedb::reducer]
+pub fn request_npc_worker(ctx: &ReducerContext, label: String) -> Result<(), String> {
+    if is_any_service_identity(ctx) { return Ok(()); }
+    release_service_profile(ctx, ctx.sender(), true)?;
+    save_service(ctx, ctx.sender(), NPC_WORKER_REQUEST_ROLE, label);
+    Ok(())
+}
+
+/// Approves a worker identity, usually one that requested the role. Identities
+/// that own characters or hold administrator access are refused.
+#[spacetimedb::reducer]
+pub fn approve_npc_worker(ctx: &ReducerContext, identity_hex: String, label: String) -> Result<(), String> {
+    ensure_profile(ctx);
+    require_permission(ctx, "roles.manage")?;
+    let identity = Identity::from_hex(identity_hex.trim()).map_err(|_| "Enter the worker identity as a hex string.".to_string())?;
+    release_service_profile(ctx, identity, false)?;
+    let label = if label.trim().is_empty() { ctx.db.service_identity().identity().find(identity).map(|service| service.label).unwrap_or_default() } else { label };
+    save_service(ctx, identity, NPC_WORKER_ROLE, label);
+    expansion::audit(ctx, "npc_worker.approve", identity_hex.trim(), "{}");
+    Ok(())
+}
+
+#[spacetimedb::reducer]
+pub fn revoke_npc_worker(ctx: &ReducerContext, identity_hex: String) -> Result<(), String> {
+    ensure_profile(ctx);
+    require_permission(ctx, "roles.manage")?;
+    let identity = Identity::from_hex(identity_hex.trim()).map_err(|_| "Enter the worker identity as a hex string.".to_string())?;
+    ctx.db.service_identity().identity().delete(identity);
+    expansion::audit(ctx, "npc_worker.revoke", identity_hex.trim(), "{}");
+    Ok(())
+}
+
+const MEMORY_EXCHANGE_LIMIT: usize = 40;
+const MEMORY_SUMMARY_LIMIT: usize = 1200;
+const MEMORY_FACT_LIMIT: usize = 12;
+const MEMORY_FACT_LENGTH: usize = 200;
+
+/// What an AI NPC remembers about one actor between visits. Each reply is
+/// appended to `recent_exchanges`; once the conversation goes quiet the worker
+/// folds them into the rolling summary, key facts, and sentiment.
+#[spacetimedb::table(accessor = npc_memory, index(accessor = scope_index, btree(columns = [scope])))]
+#[derive(Clone)]
+pub struct NpcMemory {
+    #[primary_key]
+    pub id: String,
+    pub scope: String,
+    pub npc_id: String,
+    pub actor_id: String,
+    pub summary: String,
+    pub key_facts: String,
+    pub sentiment: i32,
+    pub conversations: u32,
+    pub recent_exchanges: String,
+    pub last_talked_at: Timestamp,
+    pub updated_at: Timestamp,
+}
+
+/// Readable by the NPC worker, which injects memories into replies, and by
+/// administrators, who review and correct them in the NPC editor.
+#[spacetimedb::view(accessor = npc_memories, public)]
+fn npc_memories(ctx: &ViewContext) -> Vec<NpcMemory> {
+    let is_worker = ctx.db.service_identity().identity().find(ctx.sender()).map(|service| service.role == NPC_WORKER_ROLE).unwrap_or(false);
+    if is_worker || view_has_permission(ctx, "world.manage") { ctx.db.npc_memory().scope_index().filter("world").collect() } else { Vec::new() }
+}
+
+fn memory_id(npc_id: &str, actor_id: &str) -> String {
+    format!("{npc_id}:{actor_id}")
+}
+
+fn clean_key_facts(key_facts_json: &str) -> Result<String, String> {
+    let facts = serde_json::from_str::<Vec<String>>(key_facts_json).map_err(|_| "Key facts must be a JSON array of strings.".to_string())?;
+    let facts = facts.iter()
+        .map(|fact| fact.trim().chars().take(MEMORY_FACT_LENGTH).collect::<String>())
+        .filter(|fact| !fact.is_empty())
+        .take(MEMORY_FACT_LIMIT)
+        .collect::<Vec<_>>();
+    Ok(serde_json::to_string(&facts).unwrap_or_else(|_| "[]".to_string()))
+}
+
+fn clean_summary(summary: &str) -> String {
+    summary.trim().chars().take(MEMORY_SUMMARY_LIMIT).collect()
+}
+
+/// Job for a queued reply, taken before `clear_npc_reply` removes it.
+pub(crate) fn npc_reply_job(ctx: &ReducerContext, command_id: &String) -> Option<NpcReplyJob> {
+    ctx.db.npc_reply_job().command_id().find(command_id)
+}
+
+/// Appends one answered line to the actor's memory of the NPC. Only replies
+/// the worker generated from a server-queued job are remembered, so players
+/// cannot write an NPC's memories for it.
+pub(crate) fn remember_npc_exchange(ctx: &ReducerContext, job: &NpcReplyJob, response: &str) {
+    if job.actor_id.is_empty() || !is_service_identity(ctx, NPC_WORKER_ROLE) { return; }
+    let id = memory_id(&job.npc_id, &job.actor_id);
+    let existing = ctx.db.npc_memory().id().find(&id);
+    let mut exchanges = existing.as_ref()
+        .and_then(|memory| serde_json::from_str::<Vec<Value>>(&memory.recent_exchanges).ok())
+        .unwrap_or_default();
+    exchanges.push(serde_json::json!({ "role": "user", "content": job.player_message }));
+    exchanges.push(serde_json::json!({ "role": "assistant", "content": response.trim() }));
+    if exchanges.len() > MEMORY_EXCHANGE_LIMIT { exchanges.drain(..exchanges.len() - MEMORY_EXCHANGE_LIMIT); }
+    let recent_exchanges = serde_json::to_string(&exchanges).unwrap_or_else(|_| "[]".to_string());
+    match existing {
+        Some(memory) => { ctx.db.npc_memory().id().update(NpcMemory { recent_exchanges, last_talked_at: ctx.timestamp, ..memory }); }
+        None => {
+            ctx.db.npc_memory().insert(NpcMemory {
+                id, scope: "world".to_string(), npc_id: job.npc_id.clone(), actor_id: job.actor_id.clone(),
+                summary: String::new(), key_facts: "[]".to_string(), sentiment: 0, conversations: 0,
+                recent_exchanges, last_talked_at: ctx.timestamp, updated_at: ctx.timestamp,
+            });
+        }
+    }
+}
+
+/// Drops every memory held by or about `actor_id` when an NPC or character is deleted.
+pub(crate) fn forget_npc_memories(ctx: &ReducerContext, actor_id: &str) {
+    let ids = ctx.db.npc_memory().iter().filter(|memory| memory.npc_id == actor_id || memory.actor_id == actor_id).map(|memory| memory.id).collect::<Vec<_>>();
+    for id in ids { ctx.db.npc_memory().id().delete(&id); }
+}
+
+/// Stores the worker's summary of a finished conversation. The first
+/// `summarized_exchanges` entries are folded in and removed; lines spoken while
+/// the summary was generated stay for the next pass.
+#[spacetimedb::reducer]
+pub fn record_npc_memory(ctx: &ReducerContext, memory_id: String, summary: String, key_facts_json: String, sentiment: i32, summarized_exchanges: u32) -> Result<(), String> {
+    if !is_service_identity(ctx, NPC_WORKER_ROLE) { return Err("Only the NPC worker records conversation memories.".to_string()); }
+    let memory = ctx.db.npc_memory().id().find(&memory_id).ok_or_else(|| "NPC memory not found.".to_string())?;
+    let mut exchanges = serde_json::from_str::<Vec<Value>>(&memory.recent_exchanges).unwrap_or_default();
+    exchanges.drain(..(summarized_exchanges as usize).min(exchanges.len()));
+    ctx.db.npc_memory().id().update(NpcMemory {
+        summary: clean_summary(&summary),
+        key_facts: clean_key_facts(&key_facts_json)?,
+        sentiment: sentiment.clamp(-100, 100),
+        conversations: memory.conversations + 1,
+        recent_exchanges: serde_json::to_string(&exchanges).unwrap_or_else(|_| "[]".to_string()),
+        updated_at: ctx.timestamp,
+        ..memory
+    });
+    Ok(())
+}
+
+#[spacetimedb::reducer]
+pub fn update_npc_memory(ctx: &ReducerContext, memory_id: String, summary: String, key_facts_json: String, sentiment: i32) -> Result<(), String> {
+    ensure_profile(ctx);
+    require_permission(ctx, "world.manage")?;
+    let memory = ctx.db.npc_memory().id().find(&memory_id).ok_or_else(|| "NPC memory not found.".to_string())?;
+    ctx.db.npc_memory().id().update(NpcMemory {
+        summary: clean_summary(&summary),
+        key_facts: clean_key_facts(&key_facts_json)?,
+        sentiment: sentiment.clamp(-100, 100),
+        updated_at: ctx.timestamp,
+        ..memory
+    });
+    expansion::audit(ctx, "npc_memory.update", &memory_id, "{}");
+    Ok(())
+}
+
+#[spacetimedb::reducer]
+pub fn forget_npc_memory(ctx: &ReducerContext, memory_id: String) -> Result<(), String> {
+    ensure_profile(ctx);
+    require_permission(ctx, "world.manage")?;
+    if ctx.db.npc_memory().id().find(&memory_id).is_none() { return Err("NPC memory not found.".to_string()); }
+    ctx.db.npc_memory().id().delete(&memory_id);
+    expansion::audit(ctx, "npc_memory.forget", &memory_id, "{}");
+    Ok(())
+}
+
+const NPC_TOOL_CALLS_PER_REPLY: usize = 3;
+
+/// One dialogue action an AI NPC may take on its own, offered to the model as
+/// a tool. `max_value` caps the gold, item quantity, or reputation change per
+/// call and is the starting rank a profession is taught at. `uses_per_actor`
+/// limits how often one actor can receive it; 0 means no limit.
+#[spacetimedb::table(accessor = npc_ai_action, public)]
+#[derive(Clone)]
+pub struct NpcAiAction {
+    #[primary_key]
+    pub id: String,
+    pub npc_id: String,
+    pub action_kind: String,
+    pub action_reference_id: Option<String>,
+    pub max_value: i32,
+    pub uses_per_actor: u32,
+    pub instructions: String,
+    pub created_at: Timestamp,
+    pub updated_at: Timestamp,
+}
+
+#[spacetimedb::table(accessor = actor_ai_action_use, public)]
+#[derive(Clone)]
+pub struct ActorAiActionUse {
+    #[primary_key]
+    pub id: String,
+    pub actor_id: String,
+    pub action_id: String,
+    pub uses: u32,
+    pub last_used_at: Timestamp,
+}
+
+/// Validates and stores an `npc_ai_actions` record from configure_engine_record.
+pub(crate) fn save_npc_ai_action(ctx: &ReducerContext, action: NpcAiAction) -> Result<(), String> {
+    if action.action_kind == "none" { return Err("Choose the action this NPC may take.".to_string()); }
+    if action.action_kind == "gold" && action.action_reference_id.is_some() { return Err("Gold actions do not take a target.".to_string()); }
+    if matches!(action.action_kind.as_str(), "gold" | "give_item" | "reputation") && action.max_value < 1 {
+        return Err("Set a maximum amount of at least 1.".to_string());
+    }
+    if ctx.db.npc_ai_action().iter().any(|row| row.id != action.id && row.npc_id == action.npc_id && row.action_kind == action.action_kind && row.action_reference_id == action.action_reference_id) {
+        return Err("This NPC already has that action.".to_string());
+    }
+    let created_at = ctx.db.npc_ai_action().id().find(&action.id).map(|old| old.created_at).unwrap_or(ctx.timestamp);
+    let row = NpcAiAction { instructions: action.instructions.trim().chars().take(300).collect(), created_at, updated_at: ctx.timestamp, ..action };
+    if ctx.db.npc_ai_action().id().find(&row.id).is_some() { ctx.db.npc_ai_action().id().update(row); } else { ctx.db.npc_ai_action().insert(row); }
+    Ok(())
+}
+
+pub(crate) fn delete_npc_ai_action(ctx: &ReducerContext, action_id: &String) {
+    let use_ids = ctx.db.actor_ai_action_use().iter().filter(|row| row.action_id == *action_id).map(|row| row.id).collect::<Vec<_>>();
+    for id in use_ids { ctx.db.actor_ai_action_use().id().delete(&id); }
+    ctx.db.npc_ai_action().id().delete(action_id);
+}
+
+pub(crate) fn forget_npc_ai_actions(ctx: &ReducerContext, npc_id: &str) {
+    let ids = ctx.db.npc_ai_action().iter().filter(|row| row.npc_id == npc_id).map(|row| row.id).collect::<Vec<_>>();
+    for id in ids { delete_npc_ai_action(ctx, &id); }
+}
+
+pub(crate) fn forget_ai_action_uses(ctx: &ReducerContext, actor_id: &str) {
+    let ids = ctx.db.actor_ai_action_use().iter().filter(|row| row.actor_id == actor_id).map(|row| row.id).collect::<Vec<_>>();
+    for id in ids { ctx.db.actor_ai_action_use().id().delete(&id); }
+}
+
+/// Whether an AI NPC action hands out `reference_id` as `action_kind`.
+pub(crate) fn npc_ai_action_references(ctx: &ReducerContext, action_kind: &str, reference_id: &str) -> bool {
+    ctx.db.npc_ai_action().iter().any(|row| row.action_kind == action_kind && row.action_reference_id.as_deref() == Some(reference_id))
+}
+
+/// Carries out the tool calls the worker returned with a reply. Each call
+/// names one of the NPC's whitelisted actions and a value; calls for other
+/// NPCs' actions, values outside the action's bounds, and spent actions are
+/// dropped. The effects go through the same code as authored dialogue choices.
+pub(crate) fn apply_npc_tool_calls(ctx: &ReducerContext, room_id: &str, actor_id: &str, npc: &Npc, actions_json: &str) {
+    if actions_json.trim().is_empty() || !is_service_identity(ctx, NPC_WORKER_ROLE) { return; }
+    let calls = serde_json::from_str::<Vec<Value>>(actions_json).unwrap_or_default();
+    for call in calls.iter().take(NPC_TOOL_CALLS_PER_REPLY) {
+        let action_id = call.get("action_id").and_then(Value::as_str).unwrap_or_default().to_string();
+        let Some(action) = ctx.db.npc_ai_action().id().find(&action_id).filter(|row| row.npc_id == npc.id) else { continue };
+        let requested = call.get("value").and_then(Value::as_i64).and_then(|value| i32::try_from(value).ok()).unwrap_or(0);
+        let value = match action.action_kind.as_str() {
+            "gold" | "give_item" if (1..=action.max_value).contains(&requested) => requested,
+            "reputation" if requested != 0 && requested.abs() <= action.max_value => requested,
+            "learn_profession" => action.max_value.max(0),
+            "start_quest" | "learn_recipe" => 0,
+            _ => continue,
+        };
+        let use_id = format!("{actor_id}::{}", action.id);
+        let used = ctx.db.actor_ai_action_use().id().find(&use_id);
+        if action.uses_per_actor > 0 && used.as_ref().map(|row| row.uses >= action.uses_per_actor).unwrap_or(false) { continue; }
+        let received = expansion::apply_dialogue_action(ctx, room_id, actor_id, &action.action_kind, action.action_reference_id.as_ref(), value);
+        match used {
+            Some(row) => { ctx.db.actor_ai_action_use().id().update(ActorAiActionUse { uses: row.uses.saturating_add(1), last_used_at: ctx.timestamp, ..row }); }
+            None => { ctx.db.actor_ai_action_use().insert(ActorAiActionUse { id: use_id, actor_id: actor_id.to_string(), action_id: action.id.clone(), uses: 1, last_used_at: ctx.timestamp }); }
+        }
+        let Some(received) = received else { continue };
+        let line = match action.action_kind.as_str() {
+            "reputation" => format!("Your standing changes: {received}."),
+            "learn_recipe" | "learn_profession" => format!("{} teaches you {received}.", npc.name),
+            _ => format!("{} gives you {received}.", npc.name),
+        };
+        rpg_message(ctx, room_id, actor_id, "system", line);
+    }
+}
@@ -0,0 +1,115 @@
+//! Per-world overrides for the AI prompt templates in lib/promptTemplates.js.
+//!
+//! The defaults live with the web app. This world's edits are stored here, one
+//! row per overridden template, and every save or reset is kept in
+//! `prompt_template_version` so administrators can compare and restore older
+//! wording. The AI routes read the override with the caller's token.
+
+use super::*;
+use spacetimedb::ViewContext;
+
+const PROMPT_TEMPLATE_ID_LENGTH: usize = 80;
+const PROMPT_SYSTEM_LENGTH: usize = 8_000;
+const PROMPT_USER_LENGTH: usize = 20_000;
+const PROMPT_VERSIONS_KEPT: usize = 50;
+
+#[spacetimedb::table(accessor = prompt_template, public)]
+#[derive(Clone)]
+pub struct PromptTemplate {
+    #[primary_key]
+    pub id: String,
+    pub system: String,
+    pub user: String,
+    pub version: u32,
+    pub updated_by: String,
+    pub updated_at: Timestamp,
+}
+
+/// One saved or reset state of a template. A reset row has empty text and
+/// means the world went back to the built-in default. Administrators read the
+/// history through `admin_prompt_template_versions`.
+#[spacetimedb::table(
+    accessor = prompt_template_version,
+    index(accessor = scope_index, btree(columns = [scope])),
+    index(accessor = template_index, btree(columns = [template_id]))
+)]
+#[derive(Clone)]
+pub struct PromptTemplateVersion {
+    #[primary_key]
+    pub id: String,
+    pub scope: String,
+    pub template_id: String,
+    pub version: u32,
+    pub action: String,
+    pub system: String,
+    pub user: String,
+    pub created_by: String,
+    pub created_at: Timestamp,
+}
+
+#[spacetimedb::view(accessor = admin_prompt_template_versions, public)]
+fn admin_prompt_template_versions(ctx: &ViewContext) -> Vec<PromptTemplateVersion> {
+    if view_has_permission(ctx, "world.manage") { ctx.db.prompt_template_version().scope_index().filter("world").collect() } else { Vec::new() }
+}
+
+fn clean_template_id(template_id: &str) -> Result<String, String> {
+    let id = template_id.trim();
+    if id.is_empty() || id.len() > PROMPT_TEMPLATE_ID_LENGTH || !id.chars().all(|character| character.is_ascii_lowercase() || character.is_ascii_digit() || character == '-') {
+        return Err("Prompt template ids use lowercase letters, digits, and dashes.".to_string());
+    }
+    Ok(id.to_string())
+}
+
+fn record_prompt_version(ctx: &ReducerContext, template_id: &str, action: &str, system: &str, user: &str) -> Result<u32, String> {
+    let mut versions: Vec<PromptTemplateVersion> = ctx.db.prompt_template_version().template_index().filter(template_id).collect();
+    let version = versions.iter().map(|row| row.version).max().unwrap_or(0) + 1;
+    ctx.db.prompt_template_version().insert(PromptTemplateVersion {
+        id: format!("{template_id}:{version}"),
+        scope: "world".to_string(),
+        template_id: template_id.to_string(),
+        version,
+        action: action.to_string(),
+        system: system.to_string(),
+        user: user.to_string(),
+        created_by: require_profile(ctx)?.id,
+        created_at: ctx.timestamp,
+    });
+    versions.sort_by_key(|row| row.version);
+    let excess = (versions.len() + 1).saturating_sub(PROMPT_VERSIONS_KEPT);
+    for row in versions.into_iter().take(excess) {
+        ctx.db.prompt_template_version().id().delete(&row.id);
+    }
+    Ok(version)
+}
+
+#[spacetimedb::reducer]
+pub fn save_prompt_template(ctx: &ReducerContext, template_id: String, system: String, user: String) -> Result<(), String> {
+    ensure_profile(ctx);
+    require_permission(ctx, "world.manage")?;
+    let id = clean_template_id(&template_id)?;
+    let system = system.trim().to_string();
+    let user = user.trim().to_string();
+    if user.is_empty() { return Err("The prompt needs a user message.".to_string()); }
+    if system.chars().count() > PROMPT_SYSTEM_LENGTH { return Err(format!("System messages are limited to {PROMPT_SYSTEM_LENGTH} characters.")); }
+    if user.chars().count() > PROMPT_USER_LENGTH { return Err(format!("User messages are limited to {PROMPT_USER_LENGTH} characters.")); }
+    if let Some(current) = ctx.db.prompt_template().id().find(&id) {
+        if current.system == system && current.user == user { return Ok(()); }
+    }
+    let version = record_prompt_version(ctx, &id, "save", &system, &user)?;
+    let row = PromptTemplate { id: id.clone(), system, user, version, updated_by: require_profile(ctx)?.id, updated_at: ctx.timestamp };
+    if ctx.db.prompt_template().id().find(&id).is_some() { ctx.db.prompt_template().id().update(row); } else { ctx.db.prompt_template().insert(row); }
+    expansion::audit(ctx, "prompt_template.save", &id, &format!("{{\"version\":{version}}}"));
+    Ok(())
+}
+
+#[spacetimedb::reducer]
+pub fn reset_prompt_template(ctx: &ReducerContext, template_id: String) -> Result<(), String> {
+    ensure_profile(ctx);
+    require_permission(ctx, "world.manage")?;
+    let id = clean_template_id(&template_id)?;
+    if ctx.db.prompt_template().id().find(&id).is_none() { return Err("This prompt already uses the default.".to_string()); }
+    ctx.db.prompt_template().id().delete(&id);
+    let version = record_prompt_version(ctx, &id, "reset", "", "")?;
+    expansion::audit(ctx, "prompt_template.reset", &id, &format!("{{\"version\":{version}}}"));
+    Ok(())
+}